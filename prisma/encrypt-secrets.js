@@ -0,0 +1,75 @@
+// Secret Encryption Script
+// Encrypts plaintext LINE credentials and e-invoice keys in existing rows, or with --rotate
+// re-wraps every encrypted value with the active ENCRYPTION_ACTIVE_KEY_ID
+//
+//   npm run db:encrypt-secrets
+//   npm run db:rotate-key
+
+import 'dotenv/config';
+import { PrismaClient } from '@prisma/client';
+import {
+  ENCRYPTED_FIELDS,
+  encrypt,
+  rewrap,
+  isEncrypted,
+  getActiveKeyId
+} from '../src/services/encryptionService.js';
+
+// Plain client: values are written exactly as computed here
+const prisma = new PrismaClient();
+
+const rotate = process.argv.includes('--rotate');
+
+async function main() {
+  const activeKeyId = getActiveKeyId();
+
+  if (!activeKeyId) {
+    throw new Error('ENCRYPTION_KEYS is not set');
+  }
+
+  console.log(rotate
+    ? `🔑 Re-wrapping secrets with key "${activeKeyId}"...`
+    : `🔒 Encrypting plaintext secrets with key "${activeKeyId}"...`);
+
+  for (const [model, fields] of Object.entries(ENCRYPTED_FIELDS)) {
+    const delegate = prisma[model.charAt(0).toLowerCase() + model.slice(1)];
+
+    const rows = await delegate.findMany({
+      where: { OR: fields.map(field => ({ [field]: { not: null } })) },
+      select: { id: true, ...Object.fromEntries(fields.map(field => [field, true])) }
+    });
+
+    let updated = 0;
+
+    for (const row of rows) {
+      const data = {};
+
+      for (const field of fields) {
+        const value = row[field];
+        if (!value) continue;
+
+        // Migration only touches plaintext; rotation touches everything
+        const next = rotate ? rewrap(value) : (isEncrypted(value) ? value : encrypt(value));
+        if (next !== value) {
+          data[field] = next;
+        }
+      }
+
+      if (Object.keys(data).length > 0) {
+        await delegate.update({ where: { id: row.id }, data });
+        updated++;
+      }
+    }
+
+    console.log(`✅ ${model}: ${updated} of ${rows.length} row(s) updated`);
+  }
+}
+
+main()
+  .catch((e) => {
+    console.error('❌ Secret encryption error:', e);
+    process.exit(1);
+  })
+  .finally(async () => {
+    await prisma.$disconnect();
+  });
@@ -2,14 +2,16 @@
 // Prevents multiple instances in development with hot reloading
 
 import { PrismaClient } from '@prisma/client';
+import { encryptionExtension } from '../services/encryptionService.js';
 
 const globalForPrisma = globalThis;
 
+// Secret fields (LINE credentials) are encrypted on write by the extension
 export const prisma = globalForPrisma.prisma ?? new PrismaClient({
   log: process.env.NODE_ENV === 'development' 
     ? ['query', 'error', 'warn'] 
     : ['error'],
-});
+}).$extends(encryptionExtension);
 
 if (process.env.NODE_ENV !== 'production') {
   globalForPrisma.prisma = prisma;
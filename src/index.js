@@ -11,19 +11,32 @@ import dotenv from 'dotenv';
 import authRoutes from './routes/auth.js';
 import schoolRoutes from './routes/schools.js';
 import userRoutes from './routes/users.js';
+import studentRoutes from './routes/students.js';
 import classRoutes from './routes/classes.js';
+import sessionRoutes from './routes/sessions.js';
+import calendarRoutes from './routes/calendar.js';
+import kioskRoutes from './routes/kiosk.js';
 import attendanceRoutes from './routes/attendance.js';
+import leaveRequestRoutes from './routes/leaveRequests.js';
+import attendanceAlertRoutes from './routes/attendanceAlerts.js';
 import homeworkRoutes from './routes/homework.js';
+import rubricRoutes from './routes/rubrics.js';
+import gradebookRoutes from './routes/gradebook.js';
 import messageRoutes from './routes/messages.js';
+import fileRoutes from './routes/files.js';
 import lineWebhook from './routes/lineWebhook.js';
 import reportsRoutes from './routes/reports.js';
 import invoicesRoutes from './routes/invoices.js';
+import discountRoutes from './routes/discounts.js';
 import parentRoutes from './routes/parent.js';
 
 // Import middleware
 import { errorHandler } from './middleware/errorHandler.js';
 import { notFound } from './middleware/notFound.js';
 
+// Import background jobs
+import { startScheduler } from './jobs/scheduler.js';
+
 // Load environment variables
 dotenv.config();
 
@@ -62,7 +75,7 @@ app.use(cors({
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'PATCH'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Kiosk-Token']
 }));
 
 // Request logging
@@ -91,12 +104,22 @@ app.get('/api/health', (req, res) => {
 app.use('/api/auth', authRoutes);
 app.use('/api/schools', schoolRoutes);
 app.use('/api/users', userRoutes);
+app.use('/api/students', studentRoutes);
 app.use('/api/classes', classRoutes);
+app.use('/api/sessions', sessionRoutes);
+app.use('/api/calendar', calendarRoutes);
 app.use('/api/attendance', attendanceRoutes);
+app.use('/api/leave-requests', leaveRequestRoutes);
+app.use('/api/attendance-alerts', attendanceAlertRoutes);
+app.use('/api/kiosk', kioskRoutes);
 app.use('/api/homework', homeworkRoutes);
+app.use('/api/rubrics', rubricRoutes);
+app.use('/api/gradebook', gradebookRoutes);
 app.use('/api/messages', messageRoutes);
+app.use('/api/files', fileRoutes);
 app.use('/api/reports', reportsRoutes);
 app.use('/api/invoices', invoicesRoutes);
+app.use('/api/discounts', discountRoutes);
 app.use('/api/parent', parentRoutes);
 
 // LINE Webhook (separate path for raw body handling)
@@ -128,6 +151,8 @@ app.listen(PORT, () => {
   ║                                                   ║
   ╚═══════════════════════════════════════════════════╝
   `);
+
+  startScheduler();
 });
 
 export default app;
@@ -0,0 +1,75 @@
+// Job Scheduler
+// Runs periodic background jobs inside the API process
+// Set DISABLE_JOBS=true on extra instances so each job runs in one place only
+
+import waitlistService from '../services/waitlistService.js';
+import attendanceClosingService from '../services/attendanceClosingService.js';
+import attendanceAlertService from '../services/attendanceAlertService.js';
+
+const MINUTE = 60 * 1000;
+
+const jobs = [
+  {
+    name: 'waitlist-offer-expiry',
+    intervalMs: 5 * MINUTE,
+    run: waitlistService.expireOffers
+  },
+  {
+    name: 'attendance-closing',
+    intervalMs: 5 * MINUTE,
+    run: () => attendanceClosingService.closeEndedSessions()
+  },
+  {
+    // Each school is evaluated on the first tick after its local alert hour
+    name: 'attendance-alerts',
+    intervalMs: 15 * MINUTE,
+    run: () => attendanceAlertService.runNightlyAlerts()
+  }
+];
+
+const timers = [];
+
+/**
+ * Run a job, skipping the tick if the previous run hasn't finished
+ */
+const runJob = async (job) => {
+  if (job.running) return;
+
+  job.running = true;
+  try {
+    const result = await job.run();
+    if (result && Object.values(result).some(Boolean)) {
+      console.log(`⏱️  Job ${job.name}:`, result);
+    }
+  } catch (error) {
+    console.error(`Job ${job.name} failed:`, error);
+  } finally {
+    job.running = false;
+  }
+};
+
+/**
+ * Start all jobs on their intervals
+ */
+export const startScheduler = () => {
+  if (process.env.DISABLE_JOBS === 'true' || timers.length > 0) return;
+
+  for (const job of jobs) {
+    const timer = setInterval(() => runJob(job), job.intervalMs);
+    timer.unref();
+    timers.push(timer);
+  }
+
+  console.log(`⏱️  Scheduler started (${jobs.map(j => j.name).join(', ')})`);
+};
+
+/**
+ * Stop all jobs
+ */
+export const stopScheduler = () => {
+  while (timers.length > 0) {
+    clearInterval(timers.pop());
+  }
+};
+
+export default { startScheduler, stopScheduler };
@@ -3,6 +3,7 @@
 
 import jwt from 'jsonwebtoken';
 import prisma from '../config/database.js';
+import { hashDeviceToken } from '../services/kioskService.js';
 
 const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
 
@@ -137,6 +138,57 @@ export const optionalAuth = async (req, res, next) => {
   }
 };
 
+/**
+ * Authenticate a check-in kiosk by its device token (X-Kiosk-Token header)
+ * Attaches the device and its school to req.kiosk
+ */
+export const authenticateKiosk = async (req, res, next) => {
+  try {
+    const token = req.headers['x-kiosk-token'];
+
+    if (!token) {
+      return res.status(401).json({
+        success: false,
+        error: {
+          code: 'UNAUTHORIZED',
+          message: 'Kiosk token required',
+          messageZh: '需要簽到機權杖'
+        }
+      });
+    }
+
+    const device = await prisma.kioskDevice.findUnique({
+      where: { tokenHash: hashDeviceToken(token) },
+      include: {
+        school: {
+          select: { id: true, name: true, timezone: true, settings: true }
+        }
+      }
+    });
+
+    if (!device || !device.isActive) {
+      return res.status(401).json({
+        success: false,
+        error: {
+          code: 'INVALID_KIOSK_TOKEN',
+          message: 'Invalid or revoked kiosk token',
+          messageZh: '無效或已停用的簽到機權杖'
+        }
+      });
+    }
+
+    await prisma.kioskDevice.update({
+      where: { id: device.id },
+      data: { lastSeenAt: new Date() }
+    });
+
+    req.kiosk = device;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * Role-based access control middleware
  * @param  {...string} roles - Allowed roles
@@ -211,6 +263,7 @@ export const generateRefreshToken = (userId) => {
 export default { 
   authenticate, 
   optionalAuth, 
+  authenticateKiosk,
   authorize, 
   verifySchoolAccess,
   generateToken,
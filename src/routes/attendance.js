@@ -6,9 +6,56 @@ import prisma from '../config/database.js';
 import { authenticate, authorize } from '../middleware/auth.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
 import lineService from '../services/lineService.js';
+import sessionService from '../services/sessionService.js';
+import attendanceAuditService from '../services/attendanceAuditService.js';
+import attendanceSyncService from '../services/attendanceSyncService.js';
+import fileService from '../services/fileService.js';
 
 const router = Router();
 
+/**
+ * Resolve the session an attendance record belongs to
+ * Uses sessionId when given, otherwise the class's session on that date (if any)
+ */
+const resolveSession = async (classId, date, sessionId) => {
+  if (sessionId) {
+    return prisma.classSession.findFirst({
+      where: { id: sessionId, classId }
+    });
+  }
+
+  return sessionService.findSessionForDate(classId, date);
+};
+
+/**
+ * Students of a class already excused on a date by an approved leave request
+ */
+const findLeaveExcused = async (classId, date) => {
+  const records = await prisma.attendance.findMany({
+    where: {
+      classId,
+      date: new Date(date),
+      status: 'EXCUSED',
+      leaveRequestId: { not: null }
+    }
+  });
+
+  return new Map(records.map(r => [r.studentId, r]));
+};
+
+/**
+ * Attendance entered after the closing job flagged the session as "not taken"
+ * clears the flag
+ */
+const markSessionTaken = async (session) => {
+  if (session?.attendanceClosedAt && session.attendanceTaken === false) {
+    await prisma.classSession.update({
+      where: { id: session.id },
+      data: { attendanceTaken: true, status: 'COMPLETED' }
+    });
+  }
+};
+
 /**
  * GET /api/attendance
  * Get attendance records with filters
@@ -107,6 +154,67 @@ router.get('/', authenticate, asyncHandler(async (req, res) => {
   });
 }));
 
+/**
+ * GET /api/attendance/incomplete
+ * Closed sessions where attendance was not taken or students were auto-marked absent
+ */
+router.get('/incomplete',
+  authenticate,
+  authorize('ADMIN', 'MANAGER', 'TEACHER'),
+  asyncHandler(async (req, res) => {
+    const { startDate, endDate, notTakenOnly } = req.query;
+
+    const end = endDate ? sessionService.toDateOnly(endDate) : new Date();
+    const start = startDate
+      ? sessionService.toDateOnly(startDate)
+      : new Date(end.getTime() - 14 * 24 * 60 * 60 * 1000);
+
+    const sessions = await prisma.classSession.findMany({
+      where: {
+        class: {
+          schoolId: req.user.schoolId,
+          ...(req.user.role === 'TEACHER' && { teacherId: req.user.id })
+        },
+        attendanceClosedAt: { not: null },
+        date: { gte: start, lte: end },
+        OR: notTakenOnly === 'true'
+          ? [{ attendanceTaken: false }]
+          : [{ attendanceTaken: false }, { autoMarkedAbsent: { gt: 0 } }]
+      },
+      include: {
+        class: {
+          select: {
+            id: true,
+            name: true,
+            teacher: {
+              select: {
+                id: true,
+                firstName: true,
+                lastName: true
+              }
+            }
+          }
+        }
+      },
+      orderBy: [
+        { date: 'desc' },
+        { startTime: 'asc' }
+      ]
+    });
+
+    res.json({
+      success: true,
+      data: {
+        sessions,
+        summary: {
+          notTaken: sessions.filter(s => s.attendanceTaken === false).length,
+          autoMarkedAbsent: sessions.reduce((sum, s) => sum + s.autoMarkedAbsent, 0)
+        }
+      }
+    });
+  })
+);
+
 /**
  * GET /api/attendance/class/:classId/date/:date
  * Get attendance for a specific class and date
@@ -131,7 +239,8 @@ router.get('/class/:classId/date/:date', authenticate, asyncHandler(async (req,
               firstName: true,
               lastName: true,
               englishName: true,
-              photoUrl: true
+              photoUrl: true,
+              photoFileId: true
             }
           }
         }
@@ -150,23 +259,46 @@ router.get('/class/:classId/date/:date', authenticate, asyncHandler(async (req,
     });
   }
 
-  // Get existing attendance records for this date
-  const attendanceRecords = await prisma.attendance.findMany({
-    where: {
-      classId,
-      date: new Date(date)
-    }
-  });
+  // Get existing attendance records, leave requests and the scheduled session for this date
+  const [attendanceRecords, leaveRequests, session] = await Promise.all([
+    prisma.attendance.findMany({
+      where: {
+        classId,
+        date: new Date(date)
+      }
+    }),
+    prisma.leaveRequest.findMany({
+      where: {
+        studentId: { in: classData.enrollments.map(e => e.student.id) },
+        status: { in: ['PENDING', 'APPROVED'] },
+        startDate: { lte: new Date(date) },
+        endDate: { gte: new Date(date) },
+        OR: [{ classId }, { classId: null }]
+      },
+      select: {
+        id: true,
+        studentId: true,
+        type: true,
+        reason: true,
+        status: true
+      }
+    }),
+    sessionService.findSessionForDate(classId, date)
+  ]);
 
-  // Create a map for quick lookup
+  // Create maps for quick lookup
   const attendanceMap = new Map(
     attendanceRecords.map(r => [r.studentId, r])
   );
+  const leaveMap = new Map(
+    leaveRequests.map(l => [l.studentId, l])
+  );
 
   // Combine students with their attendance status
   const students = classData.enrollments.map(e => ({
-    ...e.student,
-    attendance: attendanceMap.get(e.student.id) || null
+    ...fileService.signStudentPhoto(e.student),
+    attendance: attendanceMap.get(e.student.id) || null,
+    leaveRequest: leaveMap.get(e.student.id) || null
   }));
 
   res.json({
@@ -177,6 +309,9 @@ router.get('/class/:classId/date/:date', authenticate, asyncHandler(async (req,
         name: classData.name
       },
       date,
+      session,
+      // Classes without generated sessions are treated as meeting every day
+      classHeld: !session || sessionService.isSessionHeld(session),
       students
     }
   });
@@ -190,7 +325,7 @@ router.post('/',
   authenticate,
   authorize('ADMIN', 'MANAGER', 'TEACHER'),
   asyncHandler(async (req, res) => {
-    const { classId, studentId, date, status, reason, notes, notifyParent = true } = req.body;
+    const { classId, studentId, date, sessionId, status, reason, notes, notifyParent = true } = req.body;
 
     // Validate required fields
     if (!classId || !studentId || !date || !status) {
@@ -218,7 +353,7 @@ router.post('/',
     }
 
     // Verify class and student exist in school
-    const [classData, student] = await Promise.all([
+    const [classData, student, session] = await Promise.all([
       prisma.class.findFirst({
         where: { id: classId, schoolId: req.user.schoolId }
       }),
@@ -238,7 +373,8 @@ router.post('/',
             }
           }
         }
-      })
+      }),
+      resolveSession(classId, date, sessionId)
     ]);
 
     if (!classData) {
@@ -263,19 +399,50 @@ router.post('/',
       });
     }
 
-    // Upsert attendance record
-    const attendance = await prisma.attendance.upsert({
-      where: {
-        classId_studentId_date: {
-          classId,
-          studentId,
-          date: new Date(date)
+    if (sessionId && !session) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'SESSION_NOT_FOUND',
+          message: 'Session not found',
+          messageZh: '找不到課堂'
         }
-      },
+      });
+    }
+
+    if (session && !sessionService.isSessionHeld(session)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'SESSION_NOT_HELD',
+          message: `No class on this date (session ${session.status.toLowerCase()})`,
+          messageZh: '該日無課，無法點名'
+        }
+      });
+    }
+
+    // A child on approved leave stays EXCUSED rather than ABSENT, so parents get no absence notice
+    const leaveExcused = status === 'ABSENT' && (await findLeaveExcused(classId, date)).get(studentId);
+
+    if (leaveExcused) {
+      return res.json({
+        success: true,
+        data: { attendance: leaveExcused, excusedByLeave: true }
+      });
+    }
+
+    // Upsert attendance record
+    const attendance = await attendanceAuditService.upsertAttendance({
+      classId,
+      studentId,
+      date: new Date(date)
+    }, {
       update: {
         status,
         reason,
         notes,
+        sessionId: session?.id,
+        autoMarked: false,
         markedById: req.user.id,
         markedAt: new Date()
       },
@@ -283,12 +450,15 @@ router.post('/',
         classId,
         studentId,
         date: new Date(date),
+        sessionId: session?.id,
         status,
         reason,
         notes,
         markedById: req.user.id
       }
-    });
+    }, { source: 'TEACHER', changedById: req.user.id, notifyParent });
+
+    await markSessionTaken(session);
 
     // Send LINE notification for absences
     if (notifyParent && status !== 'PRESENT') {
@@ -305,7 +475,7 @@ router.post('/',
             reason
           );
 
-          await lineService.sendPushMessage(primaryParent.lineUserId, message);
+          await lineService.sendPushMessage(primaryParent.lineUserId, message, classData.schoolId);
 
           // Update notification status
           await prisma.attendance.update({
@@ -337,7 +507,7 @@ router.post('/bulk',
   authenticate,
   authorize('ADMIN', 'MANAGER', 'TEACHER'),
   asyncHandler(async (req, res) => {
-    const { classId, date, records, notifyParents = true } = req.body;
+    const { classId, date, sessionId, records, notifyParents = true } = req.body;
 
     // records should be array of { studentId, status, reason?, notes? }
     if (!classId || !date || !records || !Array.isArray(records)) {
@@ -367,28 +537,57 @@ router.post('/bulk',
       });
     }
 
+    const session = await resolveSession(classId, date, sessionId);
+
+    if (sessionId && !session) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'SESSION_NOT_FOUND',
+          message: 'Session not found',
+          messageZh: '找不到課堂'
+        }
+      });
+    }
+
+    if (session && !sessionService.isSessionHeld(session)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'SESSION_NOT_HELD',
+          message: `No class on this date (session ${session.status.toLowerCase()})`,
+          messageZh: '該日無課，無法點名'
+        }
+      });
+    }
+
     // Process each attendance record
     const results = [];
     const notificationsToSend = [];
+    const leaveExcused = await findLeaveExcused(classId, date);
 
     for (const record of records) {
       const { studentId, status, reason, notes } = record;
 
       if (!studentId || !status) continue;
 
+      if (status === 'ABSENT' && leaveExcused.has(studentId)) {
+        results.push({ studentId, success: true, attendance: leaveExcused.get(studentId), excusedByLeave: true });
+        continue;
+      }
+
       try {
-        const attendance = await prisma.attendance.upsert({
-          where: {
-            classId_studentId_date: {
-              classId,
-              studentId,
-              date: new Date(date)
-            }
-          },
+        const attendance = await attendanceAuditService.upsertAttendance({
+          classId,
+          studentId,
+          date: new Date(date)
+        }, {
           update: {
             status,
             reason,
             notes,
+            sessionId: session?.id,
+            autoMarked: false,
             markedById: req.user.id,
             markedAt: new Date()
           },
@@ -396,12 +595,13 @@ router.post('/bulk',
             classId,
             studentId,
             date: new Date(date),
+            sessionId: session?.id,
             status,
             reason,
             notes,
             markedById: req.user.id
           }
-        });
+        }, { source: 'BULK', changedById: req.user.id, notifyParent: notifyParents });
 
         results.push({ studentId, success: true, attendance });
 
@@ -414,6 +614,10 @@ router.post('/bulk',
       }
     }
 
+    if (results.some(r => r.success)) {
+      await markSessionTaken(session);
+    }
+
     // Send notifications in background
     if (notificationsToSend.length > 0) {
       sendBulkNotifications(classData, date, notificationsToSend);
@@ -431,6 +635,65 @@ router.post('/bulk',
   })
 );
 
+/**
+ * POST /api/attendance/sync
+ * Offline sync for teacher tablets: apply queued mutations, return changes since the cursor
+ * Body: { cursor, classIds?, notifyParents = true, mutations: [{ clientMutationId,
+ *   classId, studentId, date, status, reason, notes, clientTimestamp }] }
+ * Each mutation result is APPLIED, CONFLICT (server record returned) or REJECTED;
+ * resending a processed clientMutationId returns its original result.
+ */
+router.post('/sync',
+  authenticate,
+  authorize('ADMIN', 'MANAGER', 'TEACHER'),
+  asyncHandler(async (req, res) => {
+    const { cursor, classIds, mutations, notifyParents = true } = req.body;
+
+    const { results, ...delta } = await attendanceSyncService.sync(req.user, { cursor, classIds, mutations });
+
+    // Same follow-up as the bulk endpoint, grouped by class and date
+    const applied = results.filter(r => r.result === 'APPLIED');
+    const groups = new Map();
+
+    for (const { attendance, session, notify } of applied) {
+      await markSessionTaken(session);
+
+      if (!notifyParents || !notify) continue;
+
+      const key = `${attendance.classId}|${sessionService.formatDateOnly(attendance.date)}`;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push({
+        studentId: attendance.studentId,
+        status: attendance.status,
+        reason: attendance.reason,
+        attendanceId: attendance.id
+      });
+    }
+
+    for (const [key, notifications] of groups) {
+      const [classId, date] = key.split('|');
+      const classData = await prisma.class.findUnique({
+        where: { id: classId },
+        select: { name: true, schoolId: true }
+      });
+      sendBulkNotifications(classData, date, notifications);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        results: results.map(({ session, notify, ...result }) => result),
+        ...delta,
+        summary: {
+          applied: applied.length,
+          conflicts: results.filter(r => r.result === 'CONFLICT').length,
+          rejected: results.filter(r => r.result === 'REJECTED').length
+        }
+      }
+    });
+  })
+);
+
 // Helper function to send bulk notifications
 async function sendBulkNotifications(classData, date, notifications) {
   for (const { studentId, status, reason, attendanceId } of notifications) {
@@ -461,7 +724,7 @@ async function sendBulkNotifications(classData, date, notifications) {
           reason
         );
 
-        await lineService.sendPushMessage(primaryParent.lineUserId, message);
+        await lineService.sendPushMessage(primaryParent.lineUserId, message, classData.schoolId);
 
         await prisma.attendance.update({
           where: { id: attendanceId },
@@ -520,16 +783,15 @@ router.put('/:id',
       });
     }
 
-    const attendance = await prisma.attendance.update({
-      where: { id },
-      data: {
-        ...(status && { status }),
-        ...(reason !== undefined && { reason }),
-        ...(notes !== undefined && { notes }),
-        markedById: req.user.id,
-        markedAt: new Date()
-      }
-    });
+    // Corrections of a notified absence to PRESENT send parents a retraction unless notifyParent is false
+    const attendance = await attendanceAuditService.updateAttendance(id, {
+      ...(status && { status }),
+      ...(reason !== undefined && { reason }),
+      ...(notes !== undefined && { notes }),
+      autoMarked: false,
+      markedById: req.user.id,
+      markedAt: new Date()
+    }, { source: 'TEACHER', changedById: req.user.id, notifyParent: notifyParent !== false });
 
     // Send notification if status changed to non-present
     if (notifyParent && status && status !== 'PRESENT' && status !== existingRecord.status) {
@@ -546,7 +808,7 @@ router.put('/:id',
             reason
           );
 
-          await lineService.sendPushMessage(primaryParent.lineUserId, message);
+          await lineService.sendPushMessage(primaryParent.lineUserId, message, existingRecord.class.schoolId);
 
           await prisma.attendance.update({
             where: { id },
@@ -568,6 +830,68 @@ router.put('/:id',
   })
 );
 
+/**
+ * GET /api/attendance/:id/history
+ * Change log of an attendance record (also available after the record was deleted)
+ */
+router.get('/:id/history',
+  authenticate,
+  authorize('ADMIN', 'MANAGER', 'TEACHER'),
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const [attendance, history] = await Promise.all([
+      prisma.attendance.findUnique({
+        where: { id },
+        include: {
+          student: {
+            select: {
+              id: true,
+              firstName: true,
+              lastName: true
+            }
+          }
+        }
+      }),
+      attendanceAuditService.getHistory(id)
+    ]);
+
+    // Scope by the class the record belongs (or belonged) to
+    const classId = attendance?.classId || history[0]?.classId;
+    const classData = classId
+      ? await prisma.class.findFirst({
+          where: {
+            id: classId,
+            schoolId: req.user.schoolId,
+            ...(req.user.role === 'TEACHER' && { teacherId: req.user.id })
+          },
+          select: { id: true, name: true }
+        })
+      : null;
+
+    if (!classData) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'RECORD_NOT_FOUND',
+          message: 'Attendance record not found',
+          messageZh: '找不到出席記錄'
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        attendance,
+        class: classData,
+        deleted: !attendance,
+        history
+      }
+    });
+  })
+);
+
 /**
  * GET /api/attendance/stats
  * Get attendance statistics
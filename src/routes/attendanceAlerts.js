@@ -0,0 +1,247 @@
+// Attendance Alert Routes
+// Handles the chronic-absence / lateness alert feed, acknowledgement and per-student history
+
+import { Router } from 'express';
+import prisma from '../config/database.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import attendanceAlertService from '../services/attendanceAlertService.js';
+
+const router = Router();
+
+/**
+ * Where clause for alerts the user may see (teachers: students in their classes)
+ */
+const alertScope = (user) => ({
+  schoolId: user.schoolId,
+  ...(user.role === 'TEACHER' && {
+    student: {
+      enrollments: {
+        some: { status: 'ACTIVE', class: { teacherId: user.id } }
+      }
+    }
+  })
+});
+
+const withDescription = (alert) => ({
+  ...alert,
+  ...attendanceAlertService.describeAlert(alert)
+});
+
+/**
+ * GET /api/attendance-alerts
+ * Alert feed (defaults to open alerts)
+ */
+router.get('/',
+  authenticate,
+  authorize('ADMIN', 'MANAGER', 'TEACHER'),
+  asyncHandler(async (req, res) => {
+    const { status = 'OPEN', rule, studentId, page = 1, limit = 50 } = req.query;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const take = parseInt(limit);
+
+    const where = {
+      ...alertScope(req.user),
+      ...(status !== 'ALL' && { status }),
+      ...(rule && { rule }),
+      ...(studentId && { studentId })
+    };
+
+    const [alerts, total, school] = await Promise.all([
+      prisma.attendanceAlert.findMany({
+        where,
+        include: {
+          student: {
+            select: {
+              id: true,
+              firstName: true,
+              lastName: true,
+              englishName: true
+            }
+          },
+          acknowledgedBy: {
+            select: {
+              id: true,
+              firstName: true,
+              lastName: true
+            }
+          }
+        },
+        orderBy: { createdAt: 'desc' },
+        skip,
+        take
+      }),
+      prisma.attendanceAlert.count({ where }),
+      prisma.school.findUnique({
+        where: { id: req.user.schoolId },
+        select: { settings: true }
+      })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        alerts: alerts.map(withDescription),
+        rules: attendanceAlertService.getAlertSettings(school?.settings),
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          totalPages: Math.ceil(total / parseInt(limit))
+        }
+      }
+    });
+  })
+);
+
+/**
+ * GET /api/attendance-alerts/students/:studentId
+ * Alert history for one student
+ */
+router.get('/students/:studentId',
+  authenticate,
+  authorize('ADMIN', 'MANAGER', 'TEACHER'),
+  asyncHandler(async (req, res) => {
+    const { studentId } = req.params;
+
+    const student = await prisma.student.findFirst({
+      where: { id: studentId, schoolId: req.user.schoolId },
+      select: {
+        id: true,
+        firstName: true,
+        lastName: true,
+        englishName: true
+      }
+    });
+
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'STUDENT_NOT_FOUND',
+          message: 'Student not found',
+          messageZh: '找不到學生'
+        }
+      });
+    }
+
+    const alerts = await prisma.attendanceAlert.findMany({
+      where: { ...alertScope(req.user), studentId },
+      include: {
+        acknowledgedBy: {
+          select: {
+            id: true,
+            firstName: true,
+            lastName: true
+          }
+        }
+      },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    res.json({
+      success: true,
+      data: {
+        student,
+        alerts: alerts.map(withDescription),
+        openCount: alerts.filter(a => a.status === 'OPEN').length
+      }
+    });
+  })
+);
+
+/**
+ * POST /api/attendance-alerts/evaluate
+ * Run the alert rules for the school now instead of waiting for the nightly job
+ */
+router.post('/evaluate',
+  authenticate,
+  authorize('ADMIN', 'MANAGER'),
+  asyncHandler(async (req, res) => {
+    const { endDate, notifyParents } = req.body;
+
+    if (endDate && isNaN(new Date(endDate))) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_DATE',
+          message: 'endDate must be a valid date (YYYY-MM-DD)',
+          messageZh: '無效的日期'
+        }
+      });
+    }
+
+    const school = await prisma.school.findUnique({
+      where: { id: req.user.schoolId },
+      select: { id: true, timezone: true, settings: true }
+    });
+
+    const result = await attendanceAlertService.evaluateSchool(school, { endDate, notifyParents });
+
+    res.json({
+      success: true,
+      data: {
+        ...result,
+        message: `Created ${result.alertsCreated} alerts`,
+        messageZh: `已產生 ${result.alertsCreated} 筆出席警示`
+      }
+    });
+  })
+);
+
+/**
+ * POST /api/attendance-alerts/:id/acknowledge
+ * Mark an alert as followed up
+ */
+router.post('/:id/acknowledge',
+  authenticate,
+  authorize('ADMIN', 'MANAGER', 'TEACHER'),
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { note } = req.body;
+
+    const existing = await prisma.attendanceAlert.findFirst({
+      where: { id, ...alertScope(req.user) }
+    });
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'ALERT_NOT_FOUND',
+          message: 'Alert not found',
+          messageZh: '找不到出席警示'
+        }
+      });
+    }
+
+    if (existing.status === 'ACKNOWLEDGED') {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'ALERT_ALREADY_ACKNOWLEDGED',
+          message: 'Alert has already been acknowledged',
+          messageZh: '此警示已處理'
+        }
+      });
+    }
+
+    const alert = await prisma.attendanceAlert.update({
+      where: { id },
+      data: {
+        status: 'ACKNOWLEDGED',
+        acknowledgedById: req.user.id,
+        acknowledgedAt: new Date(),
+        acknowledgeNote: note || null
+      }
+    });
+
+    res.json({
+      success: true,
+      data: { alert: withDescription(alert) }
+    });
+  })
+);
+
+export default router;
@@ -0,0 +1,401 @@
+// School Calendar Routes
+// Handles holidays, school breaks and emergency (typhoon) closures
+
+import { Router, raw } from 'express';
+import prisma from '../config/database.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { decodeBuffer, parseCsvRecords } from '../services/csvService.js';
+import { toDateOnly, formatDateOnly } from '../services/sessionService.js';
+import calendarService from '../services/calendarService.js';
+import lineService from '../services/lineService.js';
+
+const router = Router();
+
+const VALID_TYPES = ['PUBLIC_HOLIDAY', 'SCHOOL_BREAK', 'EMERGENCY_CLOSURE'];
+
+// LINE multicast accepts at most 500 recipients per request
+const MULTICAST_LIMIT = 500;
+
+/**
+ * GET /api/calendar
+ * List calendar events in a date range (defaults to the current year)
+ */
+router.get('/', authenticate, asyncHandler(async (req, res) => {
+  const year = new Date().getFullYear();
+  const { startDate = `${year}-01-01`, endDate = `${year}-12-31`, type } = req.query;
+
+  const events = await calendarService.getEventsInRange(
+    req.user.schoolId,
+    startDate,
+    endDate,
+    type ? type.split(',') : undefined
+  );
+
+  res.json({
+    success: true,
+    data: {
+      events,
+      startDate: formatDateOnly(startDate),
+      endDate: formatDateOnly(endDate)
+    }
+  });
+}));
+
+/**
+ * GET /api/calendar/check/:date
+ * Check whether the school is open on a date
+ */
+router.get('/check/:date', authenticate, asyncHandler(async (req, res) => {
+  const closure = await calendarService.getClosureOn(req.user.schoolId, req.params.date);
+
+  res.json({
+    success: true,
+    data: {
+      date: formatDateOnly(req.params.date),
+      open: !closure,
+      closure
+    }
+  });
+}));
+
+/**
+ * POST /api/calendar
+ * Add a holiday or school break
+ */
+router.post('/',
+  authenticate,
+  authorize('ADMIN', 'MANAGER'),
+  asyncHandler(async (req, res) => {
+    const { name, nameZh, type = 'SCHOOL_BREAK', startDate, endDate, notes } = req.body;
+
+    if (!name || !startDate) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'MISSING_FIELDS',
+          message: 'name and startDate are required',
+          messageZh: '需要名稱和開始日期'
+        }
+      });
+    }
+
+    if (!VALID_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_TYPE',
+          message: `type must be one of ${VALID_TYPES.join(', ')}`,
+          messageZh: '無效的行事曆類型'
+        }
+      });
+    }
+
+    const start = toDateOnly(startDate);
+    const end = toDateOnly(endDate || startDate);
+
+    if (end < start) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_DATE_RANGE',
+          message: 'endDate must not be before startDate',
+          messageZh: '結束日期不可早於開始日期'
+        }
+      });
+    }
+
+    const event = await prisma.schoolCalendarEvent.create({
+      data: {
+        name,
+        nameZh,
+        type,
+        startDate: start,
+        endDate: end,
+        notes,
+        schoolId: req.user.schoolId,
+        createdById: req.user.id
+      }
+    });
+
+    const sessionsClosed = await calendarService.applyEventToSessions(event);
+
+    res.status(201).json({
+      success: true,
+      data: { event, sessionsClosed }
+    });
+  })
+);
+
+/**
+ * POST /api/calendar/import
+ * Import public holidays from the DGPA office calendar CSV (政府行政機關辦公日曆表)
+ * or a JSON body { holidays: [{ date, name }] }
+ */
+router.post('/import',
+  authenticate,
+  authorize('ADMIN', 'MANAGER'),
+  raw({
+    type: ['text/csv', 'text/plain', 'application/csv', 'application/vnd.ms-excel', 'application/octet-stream'],
+    limit: '1mb'
+  }),
+  asyncHandler(async (req, res) => {
+    let holidays;
+
+    if (Buffer.isBuffer(req.body)) {
+      const text = decodeBuffer(req.body, req.query.encoding);
+      holidays = calendarService.parseHolidayRecords(
+        parseCsvRecords(text, calendarService.HOLIDAY_HEADERS)
+      );
+    } else if (Array.isArray(req.body?.holidays)) {
+      holidays = calendarService.parseHolidayRecords(req.body.holidays);
+    }
+
+    if (!holidays || holidays.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'NO_HOLIDAYS',
+          message: 'No holidays found. Upload the DGPA calendar CSV or send { holidays: [{ date, name }] }',
+          messageZh: '找不到假日資料，請上傳人事行政總處行事曆 CSV'
+        }
+      });
+    }
+
+    const result = await calendarService.importPublicHolidays(req.user.schoolId, holidays, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        message: `${result.created} holiday(s) imported`,
+        messageZh: `已匯入 ${result.created} 個假日`,
+        ...result
+      }
+    });
+  })
+);
+
+/**
+ * POST /api/calendar/closures
+ * Declare an emergency closure (e.g. typhoon day) and notify all parents via LINE
+ */
+router.post('/closures',
+  authenticate,
+  authorize('ADMIN', 'MANAGER'),
+  asyncHandler(async (req, res) => {
+    const {
+      date = formatDateOnly(new Date()),
+      endDate,
+      name = 'Emergency closure',
+      nameZh = '停課',
+      reason,
+      notifyParents = true
+    } = req.body;
+
+    const start = toDateOnly(date);
+    const end = toDateOnly(endDate || date);
+
+    if (end < start) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_DATE_RANGE',
+          message: 'endDate must not be before date',
+          messageZh: '結束日期不可早於開始日期'
+        }
+      });
+    }
+
+    const event = await prisma.schoolCalendarEvent.upsert({
+      where: {
+        schoolId_startDate_name: {
+          schoolId: req.user.schoolId,
+          startDate: start,
+          name
+        }
+      },
+      update: {
+        endDate: end,
+        notes: reason
+      },
+      create: {
+        name,
+        nameZh,
+        type: 'EMERGENCY_CLOSURE',
+        startDate: start,
+        endDate: end,
+        notes: reason,
+        schoolId: req.user.schoolId,
+        createdById: req.user.id
+      }
+    });
+
+    const sessionsClosed = await calendarService.applyEventToSessions(event);
+
+    let parentsNotified = 0;
+
+    if (notifyParents) {
+      const [school, parents] = await Promise.all([
+        prisma.school.findUnique({
+          where: { id: req.user.schoolId },
+          select: { name: true }
+        }),
+        prisma.user.findMany({
+          where: {
+            schoolId: req.user.schoolId,
+            role: 'PARENT',
+            isActive: true,
+            lineUserId: { not: null }
+          },
+          select: { lineUserId: true }
+        })
+      ]);
+
+      const message = lineService.createClosureNotification(school.name, start, end, reason);
+      const lineUserIds = parents.map(p => p.lineUserId);
+
+      for (let i = 0; i < lineUserIds.length; i += MULTICAST_LIMIT) {
+        const batch = lineUserIds.slice(i, i + MULTICAST_LIMIT);
+        try {
+          await lineService.sendMulticast(batch, message, req.user.schoolId);
+          parentsNotified += batch.length;
+        } catch (error) {
+          console.error('Failed to send closure notification:', error);
+        }
+      }
+
+      if (parentsNotified > 0) {
+        await prisma.schoolCalendarEvent.update({
+          where: { id: event.id },
+          data: { parentsNotifiedAt: new Date() }
+        });
+      }
+    }
+
+    res.status(201).json({
+      success: true,
+      data: {
+        event,
+        sessionsClosed,
+        parentsNotified
+      }
+    });
+  })
+);
+
+/**
+ * PUT /api/calendar/:id
+ * Update a calendar event
+ */
+router.put('/:id',
+  authenticate,
+  authorize('ADMIN', 'MANAGER'),
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { name, nameZh, type, startDate, endDate, notes } = req.body;
+
+    const existingEvent = await prisma.schoolCalendarEvent.findFirst({
+      where: { id, schoolId: req.user.schoolId }
+    });
+
+    if (!existingEvent) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'EVENT_NOT_FOUND',
+          message: 'Calendar event not found',
+          messageZh: '找不到行事曆項目'
+        }
+      });
+    }
+
+    if (type && !VALID_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_TYPE',
+          message: `type must be one of ${VALID_TYPES.join(', ')}`,
+          messageZh: '無效的行事曆類型'
+        }
+      });
+    }
+
+    const start = startDate ? toDateOnly(startDate) : existingEvent.startDate;
+    const end = endDate ? toDateOnly(endDate) : existingEvent.endDate;
+
+    if (end < start) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_DATE_RANGE',
+          message: 'endDate must not be before startDate',
+          messageZh: '結束日期不可早於開始日期'
+        }
+      });
+    }
+
+    // Reopen sessions under the old range/label, then close them under the new one
+    await calendarService.releaseEventFromSessions(existingEvent);
+
+    const event = await prisma.schoolCalendarEvent.update({
+      where: { id },
+      data: {
+        ...(name && { name }),
+        ...(nameZh !== undefined && { nameZh }),
+        ...(type && { type }),
+        startDate: start,
+        endDate: end,
+        ...(notes !== undefined && { notes })
+      }
+    });
+
+    const sessionsClosed = await calendarService.applyEventToSessions(event);
+
+    res.json({
+      success: true,
+      data: { event, sessionsClosed }
+    });
+  })
+);
+
+/**
+ * DELETE /api/calendar/:id
+ * Remove a calendar event and reopen the sessions it closed
+ */
+router.delete('/:id',
+  authenticate,
+  authorize('ADMIN', 'MANAGER'),
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const existingEvent = await prisma.schoolCalendarEvent.findFirst({
+      where: { id, schoolId: req.user.schoolId }
+    });
+
+    if (!existingEvent) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'EVENT_NOT_FOUND',
+          message: 'Calendar event not found',
+          messageZh: '找不到行事曆項目'
+        }
+      });
+    }
+
+    const sessionsReopened = await calendarService.releaseEventFromSessions(existingEvent);
+
+    await prisma.schoolCalendarEvent.delete({ where: { id } });
+
+    res.json({
+      success: true,
+      data: {
+        message: 'Calendar event deleted',
+        messageZh: '行事曆項目已刪除',
+        sessionsReopened
+      }
+    });
+  })
+);
+
+export default router;
@@ -5,9 +5,30 @@ import { Router } from 'express';
 import prisma from '../config/database.js';
 import { authenticate, authorize } from '../middleware/auth.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
+import scheduleService from '../services/scheduleService.js';
+import waitlistService from '../services/waitlistService.js';
+import billingService from '../services/billingService.js';
+import fileService from '../services/fileService.js';
 
 const router = Router();
 
+const TIME_REGEX = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Whether a class's times are usable: each HH:mm when set, and the start before the end
+ */
+const isValidSchedule = (startTime, endTime) => {
+  if (startTime && !TIME_REGEX.test(startTime)) return false;
+  if (endTime && !TIME_REGEX.test(endTime)) return false;
+  return !(startTime && endTime && startTime >= endTime);
+};
+
+const INVALID_TIME_ERROR = {
+  code: 'INVALID_TIME',
+  message: 'startTime and endTime must be HH:mm with startTime before endTime',
+  messageZh: '開始與結束時間格式須為 HH:mm，且開始時間須早於結束時間'
+};
+
 /**
  * GET /api/classes
  * Get all classes in current school
@@ -111,14 +132,16 @@ router.get('/:id', authenticate, asyncHandler(async (req, res) => {
               firstName: true,
               lastName: true,
               englishName: true,
-              photoUrl: true
+              photoUrl: true,
+              photoFileId: true
             }
           }
         },
         orderBy: {
           student: { firstName: 'asc' }
         }
-      }
+      },
+      tuitionPlan: true
     }
   });
 
@@ -134,7 +157,7 @@ router.get('/:id', authenticate, asyncHandler(async (req, res) => {
   }
 
   // Transform enrollments to students array
-  const students = classData.enrollments.map(e => e.student);
+  const students = classData.enrollments.map(e => fileService.signStudentPhoto(e.student));
 
   res.json({
     success: true,
@@ -165,7 +188,11 @@ router.post('/',
       endTime, 
       maxStudents,
       academicYear,
-      term
+      term,
+      room,
+      startDate,
+      endDate,
+      allowConflicts = false
     } = req.body;
 
     if (!name) {
@@ -179,6 +206,10 @@ router.post('/',
       });
     }
 
+    if (!isValidSchedule(startTime, endTime)) {
+      return res.status(400).json({ success: false, error: INVALID_TIME_ERROR });
+    }
+
     // Verify teacher belongs to same school if provided
     if (teacherId) {
       const teacher = await prisma.user.findFirst({
@@ -201,6 +232,29 @@ router.post('/',
       }
     }
 
+    // Check teacher and room double-booking (allowConflicts overrides)
+    const conflicts = await scheduleService.findClassConflicts(req.user.schoolId, {
+      teacherId,
+      room,
+      dayOfWeek,
+      startTime,
+      endTime,
+      startDate,
+      endDate
+    });
+
+    if (conflicts.length > 0 && !allowConflicts) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'SCHEDULE_CONFLICT',
+          message: 'Class schedule conflicts with existing classes; send allowConflicts: true to save anyway',
+          messageZh: '班級時間與現有班級衝突',
+          conflicts
+        }
+      });
+    }
+
     const classData = await prisma.class.create({
       data: {
         name,
@@ -212,6 +266,9 @@ router.post('/',
         maxStudents: maxStudents || 20,
         academicYear,
         term,
+        room,
+        startDate: startDate ? new Date(startDate) : undefined,
+        endDate: endDate ? new Date(endDate) : undefined,
         schoolId: req.user.schoolId
       },
       include: {
@@ -227,7 +284,7 @@ router.post('/',
 
     res.status(201).json({
       success: true,
-      data: { class: classData }
+      data: { class: classData, conflicts }
     });
   })
 );
@@ -250,7 +307,11 @@ router.put('/:id',
       endTime, 
       maxStudents,
       academicYear,
-      term
+      term,
+      room,
+      startDate,
+      endDate,
+      allowConflicts = false
     } = req.body;
 
     // Verify class belongs to school
@@ -281,6 +342,38 @@ router.put('/:id',
       });
     }
 
+    if ((startTime !== undefined || endTime !== undefined) &&
+      !isValidSchedule(
+        startTime !== undefined ? startTime : existingClass.startTime,
+        endTime !== undefined ? endTime : existingClass.endTime
+      )) {
+      return res.status(400).json({ success: false, error: INVALID_TIME_ERROR });
+    }
+
+    // Re-check double-booking against the schedule as it will be after the update
+    const conflicts = await scheduleService.findClassConflicts(req.user.schoolId, {
+      id,
+      teacherId: teacherId !== undefined ? teacherId : existingClass.teacherId,
+      room: room !== undefined ? room : existingClass.room,
+      dayOfWeek: dayOfWeek !== undefined ? dayOfWeek : existingClass.dayOfWeek,
+      startTime: startTime !== undefined ? startTime : existingClass.startTime,
+      endTime: endTime !== undefined ? endTime : existingClass.endTime,
+      startDate: startDate !== undefined ? startDate : existingClass.startDate,
+      endDate: endDate !== undefined ? endDate : existingClass.endDate
+    });
+
+    if (conflicts.length > 0 && !allowConflicts) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'SCHEDULE_CONFLICT',
+          message: 'Class schedule conflicts with existing classes; send allowConflicts: true to save anyway',
+          messageZh: '班級時間與現有班級衝突',
+          conflicts
+        }
+      });
+    }
+
     const classData = await prisma.class.update({
       where: { id },
       data: {
@@ -292,7 +385,10 @@ router.put('/:id',
         ...(endTime !== undefined && { endTime }),
         ...(maxStudents && { maxStudents }),
         ...(academicYear && { academicYear }),
-        ...(term && { term })
+        ...(term && { term }),
+        ...(room !== undefined && { room }),
+        ...(startDate !== undefined && { startDate: startDate ? new Date(startDate) : null }),
+        ...(endDate !== undefined && { endDate: endDate ? new Date(endDate) : null })
       },
       include: {
         teacher: {
@@ -307,7 +403,7 @@ router.put('/:id',
 
     res.json({
       success: true,
-      data: { class: classData }
+      data: { class: classData, conflicts }
     });
   })
 );
@@ -361,7 +457,7 @@ router.post('/:id/enroll',
   authorize('ADMIN', 'MANAGER', 'TEACHER'),
   asyncHandler(async (req, res) => {
     const { id } = req.params;
-    const { studentIds } = req.body;
+    const { studentIds, allowConflicts = false, waitlist = true } = req.body;
 
     if (!studentIds || !Array.isArray(studentIds) || studentIds.length === 0) {
       return res.status(400).json({
@@ -380,8 +476,12 @@ router.post('/:id/enroll',
       include: {
         _count: {
           select: {
-            enrollments: { where: { status: 'ACTIVE' } }
+            enrollments: { where: { status: { in: waitlistService.SEAT_STATUSES } } }
           }
+        },
+        enrollments: {
+          where: { studentId: { in: studentIds } },
+          select: { studentId: true, status: true }
         }
       }
     });
@@ -397,9 +497,23 @@ router.post('/:id/enroll',
       });
     }
 
-    // Check capacity
-    const currentCount = classData._count.enrollments;
-    if (currentCount + studentIds.length > classData.maxStudents) {
+    // Students already enrolled, offered or waitlisted keep their place
+    const placed = new Set(
+      classData.enrollments
+        .filter(e => [...waitlistService.SEAT_STATUSES, 'WAITLISTED'].includes(e.status))
+        .map(e => e.studentId)
+    );
+    const newStudentIds = studentIds.filter(studentId => !placed.has(studentId));
+
+    // Check capacity; nobody skips ahead of families already waiting
+    const waitingCount = await prisma.classEnrollment.count({
+      where: { classId: id, status: 'WAITLISTED' }
+    });
+    const openSeats = waitingCount > 0
+      ? 0
+      : Math.max(0, classData.maxStudents - classData._count.enrollments);
+
+    if (newStudentIds.length > openSeats && !waitlist) {
       return res.status(400).json({
         success: false,
         error: {
@@ -410,14 +524,32 @@ router.post('/:id/enroll',
       });
     }
 
+    // Check students already taking a class at the same time
+    const conflicts = await scheduleService.findStudentConflicts(classData, newStudentIds);
+
+    if (conflicts.length > 0 && !allowConflicts) {
+      return res.status(409).json({
+        success: false,
+        error: {
+          code: 'SCHEDULE_CONFLICT',
+          message: 'Some students are enrolled in classes at the same time; send allowConflicts: true to enroll anyway',
+          messageZh: '部分學生已報名同時段的班級',
+          conflicts
+        }
+      });
+    }
+
+    const enrollIds = newStudentIds.slice(0, openSeats);
+    const waitlistIds = newStudentIds.slice(openSeats);
+
     // Create enrollments (upsert to handle re-enrollment)
     const enrollments = await Promise.all(
-      studentIds.map(studentId =>
+      enrollIds.map(studentId =>
         prisma.classEnrollment.upsert({
           where: {
             classId_studentId: { classId: id, studentId }
           },
-          update: { status: 'ACTIVE' },
+          update: { status: 'ACTIVE', enrollmentDate: new Date(), endedAt: null },
           create: {
             classId: id,
             studentId,
@@ -427,12 +559,18 @@ router.post('/:id/enroll',
       )
     );
 
+    const waitlisted = await waitlistService.addToWaitlist(id, waitlistIds);
+
     res.status(201).json({
       success: true,
       data: {
-        message: `${enrollments.length} student(s) enrolled successfully`,
-        messageZh: `${enrollments.length} 位學生已成功加入`,
-        enrollments
+        message: `${enrollments.length} student(s) enrolled successfully` +
+          (waitlisted.length > 0 ? `, ${waitlisted.length} waitlisted` : ''),
+        messageZh: `${enrollments.length} 位學生已成功加入` +
+          (waitlisted.length > 0 ? `，${waitlisted.length} 位列入候補` : ''),
+        enrollments,
+        waitlisted,
+        conflicts
       }
     });
   })
@@ -441,13 +579,15 @@ router.post('/:id/enroll',
 /**
  * POST /api/classes/:id/unenroll
  * Remove student(s) from class
+ * endDate is the last day they are billed for (default today); tuition already invoiced
+ * after it is credited back
  */
 router.post('/:id/unenroll',
   authenticate,
   authorize('ADMIN', 'MANAGER', 'TEACHER'),
   asyncHandler(async (req, res) => {
     const { id } = req.params;
-    const { studentIds } = req.body;
+    const { studentIds, endDate } = req.body;
 
     if (!studentIds || !Array.isArray(studentIds) || studentIds.length === 0) {
       return res.status(400).json({
@@ -460,20 +600,185 @@ router.post('/:id/unenroll',
       });
     }
 
-    // Update enrollments to DROPPED status
-    await prisma.classEnrollment.updateMany({
+    // Verify class belongs to school
+    const classData = await prisma.class.findFirst({
+      where: { id, schoolId: req.user.schoolId }
+    });
+
+    if (!classData) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'CLASS_NOT_FOUND',
+          message: 'Class not found',
+          messageZh: '找不到班級'
+        }
+      });
+    }
+
+    const endedAt = endDate ? new Date(endDate) : new Date();
+
+    if (isNaN(endedAt.getTime())) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_DATE',
+          message: 'endDate is not a valid date',
+          messageZh: '結束日期無效'
+        }
+      });
+    }
+
+    // Waitlisted students leave the queue; the rest free up their seats
+    await waitlistService.removeFromWaitlist(id, studentIds);
+
+    const leaving = await prisma.classEnrollment.findMany({
       where: {
         classId: id,
-        studentId: { in: studentIds }
+        studentId: { in: studentIds },
+        status: { in: waitlistService.SEAT_STATUSES }
       },
-      data: { status: 'DROPPED' }
+      select: { id: true }
     });
 
+    await prisma.classEnrollment.updateMany({
+      where: { id: { in: leaving.map(e => e.id) } },
+      data: { status: 'DROPPED', offerExpiresAt: null, endedAt }
+    });
+
+    // The seats are already freed, so a failed credit is reported rather than failing the request
+    const { creditNotes, creditError } = await billingService.tryIssueWithdrawalCredits(leaving.map(e => e.id), {
+      createdById: req.user.id
+    });
+
+    // Offer freed seats to the waitlist
+    const promoted = await waitlistService.promoteNext(id);
+
     res.json({
       success: true,
       data: {
         message: `${studentIds.length} student(s) removed from class`,
-        messageZh: `${studentIds.length} 位學生已從班級移除`
+        messageZh: `${studentIds.length} 位學生已從班級移除`,
+        creditNotes,
+        creditError,
+        promoted: promoted.map(e => ({
+          enrollmentId: e.id,
+          studentId: e.studentId,
+          offerExpiresAt: e.offerExpiresAt,
+          parentNotified: e.parentNotified
+        }))
+      }
+    });
+  })
+);
+
+/**
+ * GET /api/classes/:id/waitlist
+ * Get the waitlist and outstanding seat offers for a class
+ */
+router.get('/:id/waitlist', authenticate, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const classData = await prisma.class.findFirst({
+    where: { id, schoolId: req.user.schoolId },
+    select: { id: true, name: true, maxStudents: true }
+  });
+
+  if (!classData) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        code: 'CLASS_NOT_FOUND',
+        message: 'Class not found',
+        messageZh: '找不到班級'
+      }
+    });
+  }
+
+  const studentSelect = {
+    select: { id: true, firstName: true, lastName: true, englishName: true }
+  };
+
+  const [waitlist, offers, heldSeats] = await Promise.all([
+    prisma.classEnrollment.findMany({
+      where: { classId: id, status: 'WAITLISTED' },
+      include: { student: studentSelect },
+      orderBy: { waitlistPosition: 'asc' }
+    }),
+    prisma.classEnrollment.findMany({
+      where: { classId: id, status: 'OFFERED' },
+      include: { student: studentSelect },
+      orderBy: { offeredAt: 'asc' }
+    }),
+    waitlistService.countHeldSeats(id)
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      class: classData,
+      heldSeats,
+      openSeats: Math.max(0, classData.maxStudents - heldSeats),
+      waitlist,
+      offers
+    }
+  });
+}));
+
+/**
+ * POST /api/classes/:id/waitlist/:enrollmentId/:decision
+ * Accept or decline a seat offer on the family's behalf (decision: accept | decline)
+ */
+router.post('/:id/waitlist/:enrollmentId/:decision',
+  authenticate,
+  authorize('ADMIN', 'MANAGER'),
+  asyncHandler(async (req, res) => {
+    const { id, enrollmentId, decision } = req.params;
+
+    if (!['accept', 'decline'].includes(decision)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_DECISION',
+          message: 'Decision must be accept or decline',
+          messageZh: '請選擇接受或放棄'
+        }
+      });
+    }
+
+    const enrollment = await prisma.classEnrollment.findFirst({
+      where: {
+        id: enrollmentId,
+        classId: id,
+        class: { schoolId: req.user.schoolId }
+      }
+    });
+
+    if (!enrollment) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'ENROLLMENT_NOT_FOUND',
+          message: 'Enrollment not found',
+          messageZh: '找不到報名記錄'
+        }
+      });
+    }
+
+    const result = decision === 'accept'
+      ? { enrollment: await waitlistService.acceptOffer(enrollmentId), promoted: [] }
+      : await waitlistService.declineOffer(enrollmentId);
+
+    res.json({
+      success: true,
+      data: {
+        enrollment: result.enrollment,
+        promoted: result.promoted.map(e => ({
+          enrollmentId: e.id,
+          studentId: e.studentId,
+          offerExpiresAt: e.offerExpiresAt,
+          parentNotified: e.parentNotified
+        }))
       }
     });
   })
@@ -516,6 +821,7 @@ router.get('/:id/students', authenticate, asyncHandler(async (req, res) => {
           lastName: true,
           englishName: true,
           photoUrl: true,
+          photoFileId: true,
           status: true,
           parentRelations: {
             include: {
@@ -539,7 +845,7 @@ router.get('/:id/students', authenticate, asyncHandler(async (req, res) => {
   });
 
   const students = enrollments.map(e => ({
-    ...e.student,
+    ...fileService.signStudentPhoto(e.student),
     enrollmentDate: e.enrollmentDate,
     enrollmentStatus: e.status
   }));
@@ -550,4 +856,80 @@ router.get('/:id/students', authenticate, asyncHandler(async (req, res) => {
   });
 }));
 
+/**
+ * PUT /api/classes/:id/tuition-plan
+ * Set the class's tuition plan
+ * billingType: MONTHLY | PER_TERM | PER_SESSION | PER_HOUR; amount is per month, term, session or hour
+ */
+router.put('/:id/tuition-plan',
+  authenticate,
+  authorize('ADMIN', 'MANAGER'),
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const classData = await prisma.class.findFirst({
+      where: { id, schoolId: req.user.schoolId }
+    });
+
+    if (!classData) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'CLASS_NOT_FOUND',
+          message: 'Class not found',
+          messageZh: '找不到班級'
+        }
+      });
+    }
+
+    const plan = billingService.normalizeTuitionPlan(req.body);
+
+    const tuitionPlan = await prisma.tuitionPlan.upsert({
+      where: { classId: id },
+      update: plan,
+      create: { ...plan, classId: id }
+    });
+
+    res.json({
+      success: true,
+      data: { tuitionPlan }
+    });
+  })
+);
+
+/**
+ * DELETE /api/classes/:id/tuition-plan
+ * Remove the class's tuition plan (the class is no longer billed by invoice generation)
+ */
+router.delete('/:id/tuition-plan',
+  authenticate,
+  authorize('ADMIN', 'MANAGER'),
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const { count } = await prisma.tuitionPlan.deleteMany({
+      where: { classId: id, class: { schoolId: req.user.schoolId } }
+    });
+
+    if (count === 0) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'TUITION_PLAN_NOT_FOUND',
+          message: 'This class has no tuition plan',
+          messageZh: '此班級尚未設定學費方案'
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        message: 'Tuition plan removed',
+        messageZh: '學費方案已移除'
+      }
+    });
+  })
+);
+
 export default router;
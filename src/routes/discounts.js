@@ -0,0 +1,242 @@
+// Discount Routes
+// Handles the school's discount rules and the students granted manual discounts (scholarships)
+
+import { Router } from 'express';
+import prisma from '../config/database.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { asyncHandler, AppError } from '../middleware/errorHandler.js';
+import discountService from '../services/discountService.js';
+
+const router = Router();
+
+const studentSelect = {
+  select: {
+    id: true,
+    firstName: true,
+    lastName: true,
+    englishName: true
+  }
+};
+
+/**
+ * GET /api/discounts
+ * List the school's discount rules (inactive ones only with includeInactive=true)
+ */
+router.get('/',
+  authenticate,
+  authorize('ADMIN', 'MANAGER'),
+  asyncHandler(async (req, res) => {
+    const { includeInactive } = req.query;
+
+    const rules = await prisma.discountRule.findMany({
+      where: {
+        schoolId: req.user.schoolId,
+        ...(includeInactive !== 'true' && { isActive: true })
+      },
+      include: {
+        _count: { select: { grants: true } }
+      },
+      orderBy: [{ sortOrder: 'asc' }, { createdAt: 'asc' }]
+    });
+
+    res.json({
+      success: true,
+      data: { rules }
+    });
+  })
+);
+
+/**
+ * GET /api/discounts/:id
+ * Get a discount rule with the students granted it
+ */
+router.get('/:id',
+  authenticate,
+  authorize('ADMIN', 'MANAGER'),
+  asyncHandler(async (req, res) => {
+    const rule = await prisma.discountRule.findFirst({
+      where: { id: req.params.id, schoolId: req.user.schoolId },
+      include: {
+        grants: {
+          include: {
+            student: studentSelect,
+            grantedBy: { select: { id: true, firstName: true, lastName: true } }
+          },
+          orderBy: { createdAt: 'asc' }
+        }
+      }
+    });
+
+    if (!rule) {
+      throw new AppError('DISCOUNT_NOT_FOUND', 'Discount rule not found', '找不到折扣規則', 404);
+    }
+
+    res.json({
+      success: true,
+      data: { rule }
+    });
+  })
+);
+
+/**
+ * POST /api/discounts
+ * Create a discount rule
+ * { name, eligibility: SIBLING|EARLY_PAYMENT|MANUAL, valueType: PERCENTAGE|FIXED, value,
+ *   stackable, sortOrder, minSiblings (SIBLING), daysBeforeStart (EARLY_PAYMENT) }
+ */
+router.post('/',
+  authenticate,
+  authorize('ADMIN', 'MANAGER'),
+  asyncHandler(async (req, res) => {
+    const rule = await prisma.discountRule.create({
+      data: {
+        ...discountService.normalizeDiscountRule(req.body),
+        schoolId: req.user.schoolId
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      data: { rule }
+    });
+  })
+);
+
+/**
+ * PUT /api/discounts/:id
+ * Update a discount rule
+ * Invoices already generated keep their discount lines
+ */
+router.put('/:id',
+  authenticate,
+  authorize('ADMIN', 'MANAGER'),
+  asyncHandler(async (req, res) => {
+    const existingRule = await findRule(req.params.id, req.user.schoolId);
+
+    const rule = await prisma.discountRule.update({
+      where: { id: existingRule.id },
+      data: discountService.normalizeDiscountRule(req.body, existingRule)
+    });
+
+    res.json({
+      success: true,
+      data: { rule }
+    });
+  })
+);
+
+/**
+ * DELETE /api/discounts/:id
+ * Deactivate a discount rule (it stops applying to new invoices)
+ */
+router.delete('/:id',
+  authenticate,
+  authorize('ADMIN', 'MANAGER'),
+  asyncHandler(async (req, res) => {
+    const existingRule = await findRule(req.params.id, req.user.schoolId);
+
+    await prisma.discountRule.update({
+      where: { id: existingRule.id },
+      data: { isActive: false }
+    });
+
+    res.json({
+      success: true,
+      data: {
+        message: 'Discount rule deactivated',
+        messageZh: '折扣規則已停用'
+      }
+    });
+  })
+);
+
+/**
+ * PUT /api/discounts/:id/grants/:studentId
+ * Give a student a MANUAL discount (scholarship), optionally from startMonth to endMonth
+ */
+router.put('/:id/grants/:studentId',
+  authenticate,
+  authorize('ADMIN', 'MANAGER'),
+  asyncHandler(async (req, res) => {
+    const { id, studentId } = req.params;
+    const { note } = req.body;
+
+    const rule = await findRule(id, req.user.schoolId);
+
+    if (rule.eligibility !== 'MANUAL') {
+      throw new AppError('DISCOUNT_NOT_GRANTABLE', 'Only MANUAL discounts are granted to students', '只有手動折扣可以發給學生', 400);
+    }
+
+    const student = await prisma.student.findFirst({
+      where: { id: studentId, schoolId: req.user.schoolId }
+    });
+
+    if (!student) {
+      throw new AppError('STUDENT_NOT_FOUND', 'Student not found', '找不到學生', 404);
+    }
+
+    const data = {
+      ...discountService.normalizeGrantMonths(req.body),
+      note: note || null,
+      grantedById: req.user.id
+    };
+
+    const grant = await prisma.discountGrant.upsert({
+      where: { ruleId_studentId: { ruleId: rule.id, studentId } },
+      update: data,
+      create: { ...data, ruleId: rule.id, studentId },
+      include: { student: studentSelect }
+    });
+
+    res.json({
+      success: true,
+      data: { grant }
+    });
+  })
+);
+
+/**
+ * DELETE /api/discounts/:id/grants/:studentId
+ * Take a MANUAL discount away from a student
+ */
+router.delete('/:id/grants/:studentId',
+  authenticate,
+  authorize('ADMIN', 'MANAGER'),
+  asyncHandler(async (req, res) => {
+    const { id, studentId } = req.params;
+
+    const rule = await findRule(id, req.user.schoolId);
+
+    const { count } = await prisma.discountGrant.deleteMany({
+      where: { ruleId: rule.id, studentId }
+    });
+
+    if (count === 0) {
+      throw new AppError('GRANT_NOT_FOUND', 'Student does not have this discount', '學生沒有此折扣', 404);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        message: 'Discount removed from student',
+        messageZh: '已取消學生的折扣'
+      }
+    });
+  })
+);
+
+// Helper functions
+
+async function findRule(id, schoolId) {
+  const rule = await prisma.discountRule.findFirst({
+    where: { id, schoolId }
+  });
+
+  if (!rule) {
+    throw new AppError('DISCOUNT_NOT_FOUND', 'Discount rule not found', '找不到折扣規則', 404);
+  }
+
+  return rule;
+}
+
+export default router;
@@ -0,0 +1,188 @@
+// File Routes
+// Handles uploads, storage usage and signed downloads for homework, submissions, messages and photos
+
+import { Router } from 'express';
+import multer from 'multer';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { asyncHandler, AppError } from '../middleware/errorHandler.js';
+import fileService from '../services/fileService.js';
+
+const router = Router();
+
+// Purposes only staff may upload for
+const STAFF_PURPOSES = ['HOMEWORK', 'STUDENT_PHOTO'];
+
+const MULTER_ERRORS = {
+  LIMIT_FILE_SIZE: ['FILE_TOO_LARGE', 'File is too large', '檔案太大', 413],
+  LIMIT_FILE_COUNT: ['TOO_MANY_FILES', `Upload at most ${fileService.MAX_FILES_PER_UPLOAD} files at a time`, `每次最多上傳 ${fileService.MAX_FILES_PER_UPLOAD} 個檔案`, 400],
+  LIMIT_UNEXPECTED_FILE: ['INVALID_FIELD', 'Send files in the "file" or "files" field', '請以 file 或 files 欄位上傳檔案', 400]
+};
+
+/**
+ * Parse a multipart upload into req.files (kept in memory until stored)
+ */
+const parseUpload = (req, res, next) => {
+  const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+      fileSize: fileService.getMaxFileBytes(),
+      files: fileService.MAX_FILES_PER_UPLOAD
+    }
+  }).fields([
+    { name: 'file', maxCount: 1 },
+    { name: 'files', maxCount: fileService.MAX_FILES_PER_UPLOAD }
+  ]);
+
+  upload(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      const [code, message, messageZh, status] = MULTER_ERRORS[error.code] ||
+        ['INVALID_UPLOAD', error.message, '上傳失敗', 400];
+      return next(new AppError(code, message, messageZh, status));
+    }
+    next(error);
+  });
+};
+
+/**
+ * POST /api/files
+ * Upload files (multipart/form-data: "file" or "files", plus "purpose")
+ * purpose: HOMEWORK | SUBMISSION | MESSAGE | STUDENT_PHOTO
+ */
+router.post('/',
+  authenticate,
+  parseUpload,
+  asyncHandler(async (req, res) => {
+    const { purpose } = req.body;
+    const files = [...(req.files?.file || []), ...(req.files?.files || [])];
+
+    if (STAFF_PURPOSES.includes(purpose) && !['ADMIN', 'MANAGER', 'TEACHER'].includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'FORBIDDEN',
+          message: 'Only staff can upload these files',
+          messageZh: '僅限教職員上傳此類檔案'
+        }
+      });
+    }
+
+    const saved = await fileService.saveFiles(req.user, files, purpose);
+
+    res.status(201).json({
+      success: true,
+      data: { files: saved.map(fileService.toFileResponse) }
+    });
+  })
+);
+
+/**
+ * GET /api/files/usage
+ * Storage used by the school and its quota
+ */
+router.get('/usage',
+  authenticate,
+  authorize('ADMIN', 'MANAGER'),
+  asyncHandler(async (req, res) => {
+    const usage = await fileService.getUsage(req.user.schoolId);
+
+    res.json({
+      success: true,
+      data: {
+        ...usage,
+        maxFileBytes: fileService.getMaxFileBytes()
+      }
+    });
+  })
+);
+
+/**
+ * GET /api/files/:id/download
+ * Download a file with a signed link (no login needed; links expire)
+ */
+router.get('/:id/download', asyncHandler(async (req, res) => {
+  const { expires, signature } = req.query;
+  const { file, stream } = await fileService.openDownload(req.params.id, expires, signature);
+
+  const inline = file.mimeType.startsWith('image/') || file.mimeType === 'application/pdf';
+
+  stream.on('error', (error) => {
+    console.error(`Failed to read file ${file.id}:`, error);
+    if (!res.headersSent) {
+      res.status(404).json({
+        success: false,
+        error: {
+          code: 'FILE_NOT_FOUND',
+          message: 'File not found',
+          messageZh: '找不到檔案'
+        }
+      });
+    } else {
+      res.destroy(error);
+    }
+  });
+
+  stream.once('open', () => {
+    res.setHeader('Content-Type', file.mimeType);
+    res.setHeader('Content-Length', file.size);
+    res.setHeader('Content-Disposition', `${inline ? 'inline' : 'attachment'}; filename*=UTF-8''${encodeURIComponent(file.fileName)}`);
+    res.setHeader('Cache-Control', 'private, max-age=3600');
+    // Let the web app on another origin show images from signed links
+    res.setHeader('Cross-Origin-Resource-Policy', 'cross-origin');
+    stream.pipe(res);
+  });
+}));
+
+/**
+ * GET /api/files/:id
+ * File details with a fresh download link
+ */
+router.get('/:id', authenticate, asyncHandler(async (req, res) => {
+  const file = await fileService.findAccessibleFile(req.user, req.params.id);
+
+  if (!file) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        code: 'FILE_NOT_FOUND',
+        message: 'File not found',
+        messageZh: '找不到檔案'
+      }
+    });
+  }
+
+  res.json({
+    success: true,
+    data: { file: fileService.toFileResponse(file) }
+  });
+}));
+
+/**
+ * DELETE /api/files/:id
+ * Delete a file (the uploader, or admins / managers)
+ */
+router.delete('/:id', authenticate, asyncHandler(async (req, res) => {
+  const file = await fileService.findAccessibleFile(req.user, req.params.id);
+
+  if (!file || (file.uploadedById !== req.user.id && !['ADMIN', 'MANAGER'].includes(req.user.role))) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        code: 'FILE_NOT_FOUND',
+        message: 'File not found or access denied',
+        messageZh: '找不到檔案或拒絕存取'
+      }
+    });
+  }
+
+  await fileService.deleteFile(file);
+
+  res.json({
+    success: true,
+    data: {
+      message: 'File deleted',
+      messageZh: '檔案已刪除'
+    }
+  });
+}));
+
+export default router;
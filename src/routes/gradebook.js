@@ -0,0 +1,547 @@
+// Gradebook Routes
+// Handles grade categories, directly entered assessments, excused work, term grades and exports
+
+import { Router, raw } from 'express';
+import prisma from '../config/database.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { asyncHandler, AppError } from '../middleware/errorHandler.js';
+import gradebookService from '../services/gradebookService.js';
+import examService from '../services/examService.js';
+import { decodeBuffer, parseCsvRecords } from '../services/csvService.js';
+import { toCsv } from '../services/attendanceExportService.js';
+import { toDateOnly } from '../services/sessionService.js';
+
+const router = Router();
+
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+
+/**
+ * GET /api/gradebook/classes/:classId
+ * Gradebook for a class with category percentages and term grades
+ */
+router.get('/classes/:classId',
+  authenticate,
+  authorize('ADMIN', 'MANAGER', 'TEACHER'),
+  asyncHandler(async (req, res) => {
+    const classData = await findClass(req.user, req.params.classId);
+
+    const gradebook = await gradebookService.buildGradebook(classData);
+
+    res.json({
+      success: true,
+      data: { gradebook }
+    });
+  })
+);
+
+/**
+ * PUT /api/gradebook/classes/:classId/categories
+ * Replace the class's grade categories
+ * categories: [{ id, name, kind, weight }] with weights adding up to 100 (omit id for new ones)
+ */
+router.put('/classes/:classId/categories',
+  authenticate,
+  authorize('ADMIN', 'MANAGER', 'TEACHER'),
+  asyncHandler(async (req, res) => {
+    const classData = await findClass(req.user, req.params.classId);
+
+    const categories = await gradebookService.saveCategories(classData.id, req.body.categories);
+
+    res.json({
+      success: true,
+      data: { categories }
+    });
+  })
+);
+
+/**
+ * GET /api/gradebook/classes/:classId/export
+ * Download the gradebook (format: csv | xlsx)
+ */
+router.get('/classes/:classId/export',
+  authenticate,
+  authorize('ADMIN', 'MANAGER', 'TEACHER'),
+  asyncHandler(async (req, res) => {
+    const { format = 'csv' } = req.query;
+
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_FORMAT',
+          message: `format must be one of ${EXPORT_FORMATS.join(', ')}`,
+          messageZh: '不支援的匯出格式'
+        }
+      });
+    }
+
+    const classData = await findClass(req.user, req.params.classId);
+
+    const gradebook = await gradebookService.buildGradebook(classData);
+    const fileName = `gradebook-${[classData.academicYear, classData.term].filter(Boolean).join('-') || classData.id}`;
+
+    if (format === 'xlsx') {
+      const buffer = await gradebookService.buildGradebookWorkbook(gradebook);
+      res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+      res.setHeader('Content-Disposition', `attachment; filename="gradebook.xlsx"; filename*=UTF-8''${encodeURIComponent(`${fileName}.xlsx`)}`);
+      return res.send(Buffer.from(buffer));
+    }
+
+    const { header, rows } = gradebookService.gradebookRows(gradebook);
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="gradebook.csv"; filename*=UTF-8''${encodeURIComponent(`${fileName}.csv`)}`);
+    res.send(toCsv([header, ...rows]));
+  })
+);
+
+/**
+ * GET /api/gradebook/classes/:classId/assessments
+ * Quizzes and exams of a class with score statistics (filter with kind, startDate, endDate)
+ */
+router.get('/classes/:classId/assessments',
+  authenticate,
+  authorize('ADMIN', 'MANAGER', 'TEACHER'),
+  asyncHandler(async (req, res) => {
+    const { kind, startDate, endDate } = req.query;
+
+    const classData = await findClass(req.user, req.params.classId);
+
+    const summaries = await examService.getClassExamSummaries(classData.id, {
+      start: startDate && toDateOnly(startDate),
+      end: endDate && toDateOnly(endDate)
+    });
+
+    res.json({
+      success: true,
+      data: {
+        assessments: summaries
+          .filter(summary => !kind || summary.category.kind === kind)
+          .map(({ results, ...summary }) => summary)
+      }
+    });
+  })
+);
+
+/**
+ * POST /api/gradebook/classes/:classId/assessments
+ * Add a quiz, exam or other assessment to the gradebook
+ * Without categoryId it goes in the class's first category of kind (default EXAM)
+ */
+router.post('/classes/:classId/assessments',
+  authenticate,
+  authorize('ADMIN', 'MANAGER', 'TEACHER'),
+  asyncHandler(async (req, res) => {
+    const { title, description, date, maxScore, kind = 'EXAM' } = req.body;
+    let { categoryId } = req.body;
+
+    if (!title || !date || !Number.isInteger(maxScore) || maxScore <= 0) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'MISSING_FIELDS',
+          message: 'Title, date and a whole-number maxScore above 0 are required',
+          messageZh: '請填寫標題、日期及大於 0 的整數滿分'
+        }
+      });
+    }
+
+    const classData = await findClass(req.user, req.params.classId);
+
+    if (categoryId) {
+      await gradebookService.findClassCategory(classData.id, categoryId);
+    } else {
+      const category = await prisma.gradeCategory.findFirst({
+        where: { classId: classData.id, kind },
+        orderBy: { sortOrder: 'asc' }
+      });
+
+      if (!category) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'CATEGORY_REQUIRED',
+            message: `Add a ${kind} category to the class gradebook first, or send categoryId`,
+            messageZh: '請先在班級成績簿新增此類別，或指定成績類別'
+          }
+        });
+      }
+      categoryId = category.id;
+    }
+
+    const assessment = await prisma.assessment.create({
+      data: {
+        title,
+        description,
+        date: toDateOnly(date),
+        maxScore,
+        classId: classData.id,
+        categoryId,
+        createdById: req.user.id
+      },
+      include: { category: true }
+    });
+
+    res.status(201).json({
+      success: true,
+      data: { assessment }
+    });
+  })
+);
+
+/**
+ * PUT /api/gradebook/assessments/:id
+ * Update an assessment
+ */
+router.put('/assessments/:id',
+  authenticate,
+  authorize('ADMIN', 'MANAGER', 'TEACHER'),
+  asyncHandler(async (req, res) => {
+    const { title, description, date, maxScore, categoryId } = req.body;
+
+    const existingAssessment = await findAssessment(req.user, req.params.id);
+
+    if (maxScore !== undefined) {
+      const highestScore = existingAssessment.scores.reduce((max, s) => Math.max(max, s.score ?? 0), 0);
+
+      if (!Number.isInteger(maxScore) || maxScore <= 0 || maxScore < highestScore) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'INVALID_SCORE',
+            message: `maxScore must be a whole number of at least ${Math.max(highestScore, 1)}`,
+            messageZh: `滿分需為至少 ${Math.max(highestScore, 1)} 的整數`
+          }
+        });
+      }
+    }
+
+    if (categoryId) {
+      await gradebookService.findClassCategory(existingAssessment.classId, categoryId);
+    }
+
+    const assessment = await prisma.assessment.update({
+      where: { id: existingAssessment.id },
+      data: {
+        ...(title && { title }),
+        ...(description !== undefined && { description }),
+        ...(date && { date: toDateOnly(date) }),
+        ...(maxScore !== undefined && { maxScore }),
+        ...(categoryId && { categoryId })
+      },
+      include: { category: true }
+    });
+
+    res.json({
+      success: true,
+      data: { assessment }
+    });
+  })
+);
+
+/**
+ * DELETE /api/gradebook/assessments/:id
+ * Delete an assessment and its scores
+ */
+router.delete('/assessments/:id',
+  authenticate,
+  authorize('ADMIN', 'MANAGER', 'TEACHER'),
+  asyncHandler(async (req, res) => {
+    const existingAssessment = await findAssessment(req.user, req.params.id);
+
+    await prisma.assessment.delete({ where: { id: existingAssessment.id } });
+
+    res.json({
+      success: true,
+      data: {
+        message: 'Assessment deleted',
+        messageZh: '測驗已刪除'
+      }
+    });
+  })
+);
+
+/**
+ * GET /api/gradebook/assessments/:id/results
+ * Ranked results with average, median, standard deviation and a score histogram
+ */
+router.get('/assessments/:id/results',
+  authenticate,
+  authorize('ADMIN', 'MANAGER', 'TEACHER'),
+  asyncHandler(async (req, res) => {
+    const { id } = await findAssessment(req.user, req.params.id);
+
+    const assessment = await prisma.assessment.findUnique({
+      where: { id },
+      include: {
+        category: true,
+        scores: {
+          include: {
+            student: { select: { id: true, firstName: true, lastName: true, englishName: true } }
+          }
+        }
+      }
+    });
+
+    res.json({
+      success: true,
+      data: { assessment: examService.summarizeAssessment(assessment) }
+    });
+  })
+);
+
+/**
+ * PUT /api/gradebook/assessments/:id/scores
+ * Enter scores for an assessment
+ * scores: [{ studentId, score, status, comment }] where status is SCORED (default), MISSING or EXCUSED;
+ * score null with no status clears the entry
+ */
+router.put('/assessments/:id/scores',
+  authenticate,
+  authorize('ADMIN', 'MANAGER', 'TEACHER'),
+  asyncHandler(async (req, res) => {
+    const assessment = await findAssessment(req.user, req.params.id);
+
+    const scores = await examService.saveScores(assessment, req.body.scores, req.user.id);
+
+    res.json({
+      success: true,
+      data: { scores }
+    });
+  })
+);
+
+/**
+ * POST /api/gradebook/assessments/:id/scores/import
+ * Enter a whole score sheet from CSV (columns: student_id or 姓名 / english_name, 分數, 備註)
+ * Body is the raw CSV file (UTF-8, UTF-8 with BOM or Big5)
+ * Query: dryRun (default true) returns the matched rows without saving; encoding=auto|utf-8|big5
+ */
+router.post('/assessments/:id/scores/import',
+  authenticate,
+  authorize('ADMIN', 'MANAGER', 'TEACHER'),
+  raw({
+    type: ['text/csv', 'text/plain', 'application/csv', 'application/vnd.ms-excel', 'application/octet-stream'],
+    limit: '1mb'
+  }),
+  asyncHandler(async (req, res) => {
+    const { dryRun = 'true', encoding = 'auto' } = req.query;
+
+    const assessment = await findAssessment(req.user, req.params.id);
+
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'CSV_REQUIRED',
+          message: 'Upload the CSV file as the request body (Content-Type: text/csv)',
+          messageZh: '請以 CSV 檔案作為請求內容上傳'
+        }
+      });
+    }
+
+    let records;
+    try {
+      records = parseCsvRecords(decodeBuffer(req.body, encoding), examService.SCORE_IMPORT_HEADERS);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_CSV',
+          message: `Could not read CSV: ${error.message}`,
+          messageZh: '無法讀取 CSV 檔案'
+        }
+      });
+    }
+
+    const plan = await examService.planScoreImport(assessment, records);
+
+    if (dryRun !== 'false') {
+      return res.json({
+        success: true,
+        data: { dryRun: true, plan }
+      });
+    }
+
+    if (plan.errors.length > 0 || plan.entries.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'IMPORT_INVALID',
+          message: plan.errors.length > 0
+            ? `${plan.errors.length} row error(s) must be fixed before importing`
+            : 'The CSV has no scores',
+          messageZh: plan.errors.length > 0
+            ? `匯入前需修正 ${plan.errors.length} 個資料錯誤`
+            : 'CSV 沒有成績'
+        },
+        data: { plan }
+      });
+    }
+
+    const scores = await examService.saveScores(assessment, plan.entries, req.user.id);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        dryRun: false,
+        message: `Saved ${plan.entries.length} score(s)`,
+        messageZh: `已儲存 ${plan.entries.length} 筆成績`,
+        scores
+      }
+    });
+  })
+);
+
+/**
+ * PUT /api/gradebook/homework/:homeworkId/excuse
+ * Excuse a student from a homework (or undo it with excused: false)
+ */
+router.put('/homework/:homeworkId/excuse',
+  authenticate,
+  authorize('ADMIN', 'MANAGER', 'TEACHER'),
+  asyncHandler(async (req, res) => {
+    const { homeworkId } = req.params;
+    const { studentId, excused = true } = req.body;
+
+    const homework = await prisma.homework.findFirst({
+      where: {
+        id: homeworkId,
+        class: {
+          schoolId: req.user.schoolId,
+          ...(req.user.role === 'TEACHER' && { teacherId: req.user.id })
+        }
+      },
+      include: {
+        class: {
+          select: {
+            enrollments: { where: { studentId }, select: { id: true } }
+          }
+        }
+      }
+    });
+
+    if (!homework || !studentId || homework.class.enrollments.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'NOT_FOUND',
+          message: 'Homework or student not found',
+          messageZh: '找不到作業或學生'
+        }
+      });
+    }
+
+    const where = { homeworkId_studentId: { homeworkId, studentId } };
+    let submission;
+
+    if (excused) {
+      submission = await prisma.homeworkSubmission.upsert({
+        where,
+        update: { status: 'EXCUSED' },
+        create: { homeworkId, studentId, status: 'EXCUSED' }
+      });
+    } else {
+      const existing = await prisma.homeworkSubmission.findUnique({ where });
+      if (existing?.status === 'EXCUSED') {
+        // Back to not handed in; a graded score wins over the status in the gradebook
+        submission = await prisma.homeworkSubmission.update({
+          where,
+          data: { status: existing.score !== null ? 'GRADED' : 'PENDING' }
+        });
+      } else {
+        submission = existing;
+      }
+    }
+
+    res.json({
+      success: true,
+      data: { submission }
+    });
+  })
+);
+
+/**
+ * GET /api/gradebook/students/:studentId
+ * A student's term grades per class (filter with academicYear / term)
+ */
+router.get('/students/:studentId',
+  authenticate,
+  authorize('ADMIN', 'MANAGER', 'TEACHER', 'PARENT'),
+  asyncHandler(async (req, res) => {
+    const { studentId } = req.params;
+    const { academicYear, term } = req.query;
+
+    const student = await prisma.student.findFirst({
+      where: {
+        id: studentId,
+        schoolId: req.user.schoolId,
+        ...(req.user.role === 'PARENT' && { parentRelations: { some: { parentId: req.user.id } } })
+      },
+      select: { id: true, firstName: true, lastName: true, englishName: true }
+    });
+
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'STUDENT_NOT_FOUND',
+          message: 'Student not found',
+          messageZh: '找不到學生'
+        }
+      });
+    }
+
+    let termGrades = await gradebookService.getStudentTermGrades(studentId, req.user.schoolId, { academicYear, term });
+
+    if (req.user.role === 'TEACHER') {
+      const ownClasses = await prisma.class.findMany({
+        where: { teacherId: req.user.id, id: { in: termGrades.map(t => t.class.id) } },
+        select: { id: true }
+      });
+      const ownIds = new Set(ownClasses.map(c => c.id));
+      termGrades = termGrades.filter(t => ownIds.has(t.class.id));
+    }
+
+    res.json({
+      success: true,
+      data: { student, termGrades }
+    });
+  })
+);
+
+// Helper functions
+
+async function findClass(user, classId) {
+  const classData = await prisma.class.findFirst({
+    where: {
+      id: classId,
+      schoolId: user.schoolId,
+      ...(user.role === 'TEACHER' && { teacherId: user.id })
+    }
+  });
+
+  if (!classData) {
+    throw new AppError('CLASS_NOT_FOUND', 'Class not found or access denied', '找不到班級或拒絕存取', 404);
+  }
+  return classData;
+}
+
+async function findAssessment(user, id) {
+  const assessment = await prisma.assessment.findFirst({
+    where: {
+      id,
+      class: {
+        schoolId: user.schoolId,
+        ...(user.role === 'TEACHER' && { teacherId: user.id })
+      }
+    },
+    include: { scores: { select: { score: true } } }
+  });
+
+  if (!assessment) {
+    throw new AppError('ASSESSMENT_NOT_FOUND', 'Assessment not found', '找不到測驗', 404);
+  }
+  return assessment;
+}
+
+export default router;
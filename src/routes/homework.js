@@ -2,13 +2,25 @@
 // Handles homework assignments, submissions, and grading
 
 import { Router } from 'express';
+import { Prisma } from '@prisma/client';
 import prisma from '../config/database.js';
 import { authenticate, authorize } from '../middleware/auth.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
 import lineService from '../services/lineService.js';
+import calendarService from '../services/calendarService.js';
+import fileService from '../services/fileService.js';
+import homeworkSubmissionService from '../services/homeworkSubmissionService.js';
+import rubricService from '../services/rubricService.js';
+import gradebookService from '../services/gradebookService.js';
 
 const router = Router();
 
+const signSubmission = (submission) => ({
+  ...submission,
+  ...(submission.student && { student: fileService.signStudentPhoto(submission.student) }),
+  attachments: fileService.signAttachments(submission.attachments)
+});
+
 /**
  * GET /api/homework
  * Get homework assignments with filters
@@ -102,6 +114,7 @@ router.get('/', authenticate, asyncHandler(async (req, res) => {
     data: {
       homework: homework.map(h => ({
         ...h,
+        attachments: fileService.signAttachments(h.attachments),
         submissionCount: h._count.submissions,
         _count: undefined
       })),
@@ -177,7 +190,13 @@ router.get('/:id', authenticate, asyncHandler(async (req, res) => {
 
   res.json({
     success: true,
-    data: { homework }
+    data: {
+      homework: {
+        ...homework,
+        attachments: fileService.signAttachments(homework.attachments),
+        submissions: homework.submissions.map(signSubmission)
+      }
+    }
   });
 }));
 
@@ -196,7 +215,10 @@ router.post('/',
       dueDate, 
       attachments,
       maxScore,
+      rubricId,
+      gradeCategoryId,
       allowLateSubmission,
+      keepDueDate = false,
       notifyStudents = true
     } = req.body;
 
@@ -219,6 +241,9 @@ router.post('/',
         ...(req.user.role === 'TEACHER' && { teacherId: req.user.id })
       },
       include: {
+        school: {
+          select: { timezone: true }
+        },
         enrollments: {
           where: { status: 'ACTIVE' },
           include: {
@@ -248,14 +273,33 @@ router.post('/',
       });
     }
 
+    const storedAttachments = attachments
+      ? await fileService.resolveAttachments(req.user, attachments, 'HOMEWORK')
+      : [];
+
+    const rubricFields = rubricId
+      ? await rubricService.getRubricFields(req.user.schoolId, rubricId, maxScore)
+      : {};
+
+    if (gradeCategoryId) {
+      await gradebookService.findClassCategory(classId, gradeCategoryId);
+    }
+
+    // Due dates on holidays or closures move to the next open day unless keepDueDate is set
+    const dueDateCheck = keepDueDate
+      ? { date: new Date(dueDate), closures: [] }
+      : await calendarService.nextOpenDate(req.user.schoolId, dueDate, classData.school.timezone);
+
     const homework = await prisma.homework.create({
       data: {
         classId,
         title,
         description,
-        dueDate: new Date(dueDate),
-        attachments: attachments || [],
+        dueDate: dueDateCheck.date,
+        attachments: storedAttachments,
         maxScore,
+        ...rubricFields,
+        gradeCategoryId,
         allowLateSubmission: allowLateSubmission !== false,
         createdById: req.user.id
       },
@@ -273,7 +317,12 @@ router.post('/',
 
     res.status(201).json({
       success: true,
-      data: { homework }
+      data: {
+        homework: { ...homework, attachments: fileService.signAttachments(homework.attachments) },
+        dueDateAdjusted: dueDateCheck.closures.length > 0
+          ? { from: new Date(dueDate), to: dueDateCheck.date, closures: dueDateCheck.closures }
+          : null
+      }
     });
   })
 );
@@ -294,7 +343,7 @@ async function sendHomeworkNotifications(classData, homework) {
           `截止日期：${new Date(homework.dueDate).toLocaleDateString('zh-TW')}\n` +
           `${homework.description ? `說明：${homework.description}` : ''}`;
 
-        await lineService.sendPushMessage(primaryParent.lineUserId, message);
+        await lineService.sendPushMessage(primaryParent.lineUserId, message, classData.schoolId);
       } catch (error) {
         console.error(`Failed to send homework notification to parent of ${student.firstName}:`, error);
       }
@@ -311,7 +360,7 @@ router.put('/:id',
   authorize('ADMIN', 'MANAGER', 'TEACHER'),
   asyncHandler(async (req, res) => {
     const { id } = req.params;
-    const { title, description, dueDate, attachments, maxScore, allowLateSubmission } = req.body;
+    const { title, description, dueDate, attachments, maxScore, rubricId, gradeCategoryId, allowLateSubmission, keepDueDate = false } = req.body;
 
     // Verify homework exists and user has access
     const existingHomework = await prisma.homework.findFirst({
@@ -321,6 +370,11 @@ router.put('/:id',
           schoolId: req.user.schoolId,
           ...(req.user.role === 'TEACHER' && { teacherId: req.user.id })
         }
+      },
+      include: {
+        class: {
+          select: { school: { select: { timezone: true } } }
+        }
       }
     });
 
@@ -335,21 +389,75 @@ router.put('/:id',
       });
     }
 
+    const storedAttachments = attachments &&
+      await fileService.resolveAttachments(req.user, attachments, 'HOMEWORK');
+
+    // Rubric scores already given refer to the attached criteria, so the rubric can't change after grading
+    const rubricChanged = rubricId !== undefined && rubricId !== existingHomework.rubricId;
+    if (rubricChanged) {
+      const rubricGraded = await prisma.homeworkSubmission.count({
+        where: { homeworkId: id, criterionScores: { not: Prisma.DbNull } }
+      });
+
+      if (rubricGraded > 0) {
+        return res.status(409).json({
+          success: false,
+          error: {
+            code: 'RUBRIC_LOCKED',
+            message: 'Submissions have already been graded with this rubric',
+            messageZh: '已有作業依此評分標準評分，無法更換'
+          }
+        });
+      }
+    }
+
+    if (gradeCategoryId) {
+      await gradebookService.findClassCategory(existingHomework.classId, gradeCategoryId);
+    }
+
+    let rubricFields = {};
+    if (rubricChanged) {
+      rubricFields = await rubricService.getRubricFields(req.user.schoolId, rubricId, maxScore ?? existingHomework.maxScore);
+    } else if (maxScore !== undefined && existingHomework.rubricCriteria) {
+      const totalPoints = rubricService.getTotalPoints(existingHomework.rubricCriteria);
+      if (maxScore === null || maxScore < totalPoints) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'RUBRIC_EXCEEDS_MAX_SCORE',
+            message: `The rubric totals ${totalPoints} points, more than maxScore ${maxScore}`,
+            messageZh: `評分標準總分 ${totalPoints} 超過作業滿分 ${maxScore}`
+          }
+        });
+      }
+    }
+
+    const dueDateCheck = dueDate && !keepDueDate
+      ? await calendarService.nextOpenDate(req.user.schoolId, dueDate, existingHomework.class.school.timezone)
+      : { date: dueDate && new Date(dueDate), closures: [] };
+
     const homework = await prisma.homework.update({
       where: { id },
       data: {
         ...(title && { title }),
         ...(description !== undefined && { description }),
-        ...(dueDate && { dueDate: new Date(dueDate) }),
-        ...(attachments && { attachments }),
+        ...(dueDate && { dueDate: dueDateCheck.date }),
+        ...(storedAttachments && { attachments: storedAttachments }),
         ...(maxScore !== undefined && { maxScore }),
+        ...rubricFields,
+        ...(gradeCategoryId !== undefined && { gradeCategoryId }),
         ...(allowLateSubmission !== undefined && { allowLateSubmission })
       }
     });
 
     res.json({
       success: true,
-      data: { homework }
+      data: {
+        homework: { ...homework, attachments: fileService.signAttachments(homework.attachments) },
+        dueDateAdjusted: dueDateCheck.closures.length > 0
+          ? { from: new Date(dueDate), to: dueDateCheck.date, closures: dueDateCheck.closures }
+          : null
+      }
     });
   })
 );
@@ -444,57 +552,20 @@ router.post('/:id/submit',
       });
     }
 
-    // Check if late
-    const now = new Date();
-    const isLate = now > homework.dueDate;
+    const storedAttachments = attachments
+      ? await fileService.resolveAttachments(req.user, attachments, 'SUBMISSION')
+      : [];
 
-    if (isLate && !homework.allowLateSubmission) {
-      return res.status(400).json({
-        success: false,
-        error: {
-          code: 'LATE_NOT_ALLOWED',
-          message: 'Late submissions are not allowed for this homework',
-          messageZh: '此作業不允許遲交'
-        }
-      });
-    }
-
-    // Create or update submission
-    const submission = await prisma.homeworkSubmission.upsert({
-      where: {
-        homeworkId_studentId: {
-          homeworkId: id,
-          studentId
-        }
-      },
-      update: {
-        content,
-        attachments: attachments || [],
-        submittedAt: new Date(),
-        status: isLate ? 'LATE' : 'SUBMITTED'
-      },
-      create: {
-        homeworkId: id,
-        studentId,
-        content,
-        attachments: attachments || [],
-        status: isLate ? 'LATE' : 'SUBMITTED'
-      },
-      include: {
-        student: {
-          select: {
-            id: true,
-            firstName: true,
-            lastName: true
-          }
-        }
-      }
+    // SUBMITTED, or LATE after the due date (rejected if late work isn't allowed)
+    const { submission, isLate } = await homeworkSubmissionService.submitHomework(homework, studentId, {
+      content,
+      attachments: storedAttachments
     });
 
     res.status(201).json({
       success: true,
       data: { 
-        submission,
+        submission: signSubmission(submission),
         isLate
       }
     });
@@ -504,13 +575,16 @@ router.post('/:id/submit',
 /**
  * PUT /api/homework/:id/submissions/:submissionId/grade
  * Grade a submission
+ * Rubric homework takes criteria: [{ criterionId, score, comment }]; the score is their total
+ * returnForRevision: true marks it RETURNED and sends the feedback to the parent in both languages
  */
 router.put('/:id/submissions/:submissionId/grade',
   authenticate,
   authorize('ADMIN', 'MANAGER', 'TEACHER'),
   asyncHandler(async (req, res) => {
     const { id, submissionId } = req.params;
-    const { score, feedback } = req.body;
+    const { feedback, criteria, returnForRevision = false } = req.body;
+    let { score } = req.body;
 
     // Verify submission exists and belongs to this homework
     const submission = await prisma.homeworkSubmission.findFirst({
@@ -550,6 +624,11 @@ router.put('/:id/submissions/:submissionId/grade',
       });
     }
 
+    let criterionScores;
+    if (submission.homework.rubricCriteria) {
+      ({ criterionScores, score } = rubricService.scoreCriteria(submission.homework, criteria));
+    }
+
     // Validate score if maxScore is set
     if (score !== undefined && submission.homework.maxScore !== null) {
       if (score < 0 || score > submission.homework.maxScore) {
@@ -564,14 +643,20 @@ router.put('/:id/submissions/:submissionId/grade',
       }
     }
 
+    const feedbackTranslated = returnForRevision
+      ? await rubricService.translateFeedback(feedback)
+      : null;
+
     const updatedSubmission = await prisma.homeworkSubmission.update({
       where: { id: submissionId },
       data: {
         score,
         feedback,
+        feedbackTranslated,
+        ...(criterionScores && { criterionScores }),
         gradedById: req.user.id,
         gradedAt: new Date(),
-        status: 'GRADED'
+        status: returnForRevision ? 'RETURNED' : 'GRADED'
       },
       include: {
         student: {
@@ -591,9 +676,16 @@ router.put('/:id/submissions/:submissionId/grade',
       }
     });
 
-    // Notify parent of grading
     const primaryParent = submission.student.parentRelations[0]?.parent;
-    if (primaryParent?.lineUserId) {
+
+    if (returnForRevision) {
+      await rubricService.sendReturnedNotice(
+        { ...submission, ...updatedSubmission, student: submission.student },
+        submission.homework,
+        req.user.schoolId
+      );
+    } else if (primaryParent?.lineUserId) {
+      // Notify parent of grading
       try {
         const studentName = `${submission.student.firstName} ${submission.student.lastName}`;
         let message = `【作業批改通知】\n`;
@@ -610,7 +702,7 @@ router.put('/:id/submissions/:submissionId/grade',
           message += `評語：${feedback}`;
         }
 
-        await lineService.sendPushMessage(primaryParent.lineUserId, message);
+        await lineService.sendPushMessage(primaryParent.lineUserId, message, req.user.schoolId);
       } catch (error) {
         console.error('Failed to send grading notification:', error);
       }
@@ -618,7 +710,7 @@ router.put('/:id/submissions/:submissionId/grade',
 
     res.json({
       success: true,
-      data: { submission: updatedSubmission }
+      data: { submission: signSubmission(updatedSubmission) }
     });
   })
 );
@@ -664,7 +756,8 @@ router.get('/:id/submissions',
             firstName: true,
             lastName: true,
             englishName: true,
-            photoUrl: true
+            photoUrl: true,
+            photoFileId: true
           }
         },
         gradedBy: {
@@ -680,7 +773,7 @@ router.get('/:id/submissions',
 
     res.json({
       success: true,
-      data: { submissions }
+      data: { submissions: submissions.map(signSubmission) }
     });
   })
 );
@@ -762,7 +855,7 @@ router.post('/:id/remind',
             homework.class.name
           );
 
-          await lineService.sendPushMessage(primaryParent.lineUserId, message);
+          await lineService.sendPushMessage(primaryParent.lineUserId, message, homework.class.schoolId);
           sentCount++;
         } catch (error) {
           console.error(`Failed to send reminder to parent of ${student.firstName}:`, error);
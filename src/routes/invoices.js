@@ -2,7 +2,11 @@ import express from 'express'
 import { PrismaClient } from '@prisma/client'
 import { authenticate, authorize } from '../middleware/auth.js'
 import { sendPushMessage, createPaymentReminder } from '../services/lineService.js'
-import { format, addMonths, startOfMonth, endOfMonth } from 'date-fns'
+import { format, addMonths, startOfMonth } from 'date-fns'
+import billingService from '../services/billingService.js'
+import discountService from '../services/discountService.js'
+import paymentService from '../services/paymentService.js'
+import eInvoiceService from '../services/eInvoiceService.js'
 
 const router = express.Router()
 const prisma = new PrismaClient()
@@ -77,12 +81,17 @@ router.get('/stats', authorize('ADMIN', 'MANAGER'), async (req, res, next) => {
     const where = { student: { schoolId } }
 
     // Get counts by status
-    const [pending, paid, overdue, thisMonth] = await Promise.all([
+    const [pending, partiallyPaid, paid, overdue, thisMonth] = await Promise.all([
       prisma.invoice.aggregate({
         where: { ...where, status: 'PENDING' },
         _sum: { amount: true },
         _count: true
       }),
+      prisma.invoice.aggregate({
+        where: { ...where, status: 'PARTIALLY_PAID' },
+        _sum: { amount: true, paidAmount: true },
+        _count: true
+      }),
       prisma.invoice.aggregate({
         where: { ...where, status: 'PAID' },
         _sum: { amount: true },
@@ -93,13 +102,15 @@ router.get('/stats', authorize('ADMIN', 'MANAGER'), async (req, res, next) => {
         _sum: { amount: true },
         _count: true
       }),
-      prisma.invoice.aggregate({
-        where: { 
-          ...where, 
-          status: 'PAID',
+      // Money received this month (credit carried over between invoices isn't new money)
+      prisma.payment.aggregate({
+        where: {
+          schoolId,
+          voidedAt: null,
+          method: { not: 'ACCOUNT_CREDIT' },
           paidAt: { gte: currentMonth }
         },
-        _sum: { paidAmount: true },
+        _sum: { amount: true },
         _count: true
       })
     ])
@@ -111,6 +122,11 @@ router.get('/stats', authorize('ADMIN', 'MANAGER'), async (req, res, next) => {
           count: pending._count,
           amount: pending._sum.amount || 0
         },
+        partiallyPaid: {
+          count: partiallyPaid._count,
+          amount: partiallyPaid._sum.amount || 0,
+          paidAmount: partiallyPaid._sum.paidAmount || 0
+        },
         paid: {
           count: paid._count,
           amount: paid._sum.amount || 0
@@ -121,7 +137,52 @@ router.get('/stats', authorize('ADMIN', 'MANAGER'), async (req, res, next) => {
         },
         thisMonthCollection: {
           count: thisMonth._count,
-          amount: thisMonth._sum.paidAmount || 0
+          amount: thisMonth._sum.amount || 0
+        }
+      }
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// GET /api/invoices/credit-notes - List credit notes (e.g. tuition credited back after a withdrawal)
+router.get('/credit-notes', authorize('ADMIN', 'MANAGER'), async (req, res, next) => {
+  try {
+    const { studentId, invoiceId, startDate, endDate, page = 1, limit = 20 } = req.query
+
+    const where = { schoolId: req.user.schoolId }
+    if (studentId) where.studentId = studentId
+    if (invoiceId) where.invoiceId = invoiceId
+    if (startDate) where.issueDate = { ...where.issueDate, gte: new Date(startDate) }
+    if (endDate) where.issueDate = { ...where.issueDate, lte: new Date(endDate) }
+
+    const [creditNotes, total] = await Promise.all([
+      prisma.creditNote.findMany({
+        where,
+        include: {
+          student: {
+            select: { id: true, firstName: true, lastName: true, englishName: true }
+          },
+          invoice: { select: { id: true, invoiceNumber: true, billingMonth: true } },
+          items: true
+        },
+        orderBy: { issueDate: 'desc' },
+        skip: (parseInt(page) - 1) * parseInt(limit),
+        take: parseInt(limit)
+      }),
+      prisma.creditNote.count({ where })
+    ])
+
+    res.json({
+      success: true,
+      data: {
+        creditNotes,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / parseInt(limit))
         }
       }
     })
@@ -147,7 +208,15 @@ router.get('/:id', async (req, res, next) => {
             }
           }
         },
-        items: true
+        items: true,
+        creditNotes: {
+          include: { items: true },
+          orderBy: { issueDate: 'asc' }
+        },
+        payments: {
+          include: { receivedBy: { select: { id: true, firstName: true, lastName: true } } },
+          orderBy: { paidAt: 'asc' }
+        }
       }
     })
 
@@ -165,7 +234,10 @@ router.get('/:id', async (req, res, next) => {
       }
     }
 
-    res.json({ success: true, data: { invoice } })
+    res.json({
+      success: true,
+      data: { invoice: { ...invoice, balance: paymentService.getInvoiceBalance(invoice) } }
+    })
   } catch (error) {
     next(error)
   }
@@ -174,7 +246,7 @@ router.get('/:id', async (req, res, next) => {
 // POST /api/invoices - Create single invoice
 router.post('/', authorize('ADMIN', 'MANAGER'), async (req, res, next) => {
   try {
-    const { studentId, items, dueDate, notes } = req.body
+    const { studentId, items, dueDate, notes, buyerTaxId, buyerName, buyerAddress, carrierType, carrierNumber, donationCode } = req.body
 
     // Validate student exists
     const student = await prisma.student.findUnique({
@@ -198,6 +270,7 @@ router.post('/', authorize('ADMIN', 'MANAGER'), async (req, res, next) => {
     const invoice = await prisma.invoice.create({
       data: {
         invoiceNumber,
+        schoolId: student.schoolId,
         studentId,
         amount: total,
         currency: 'TWD',
@@ -205,6 +278,7 @@ router.post('/', authorize('ADMIN', 'MANAGER'), async (req, res, next) => {
         dueDate: dueDate ? new Date(dueDate) : addMonths(new Date(), 1),
         status: 'PENDING',
         notes,
+        ...eInvoiceService.normalizeEInvoiceBuyer({ buyerTaxId, buyerName, buyerAddress, carrierType, carrierNumber, donationCode }),
         items: {
           create: items.map(item => ({
             description: item.description,
@@ -216,111 +290,121 @@ router.post('/', authorize('ADMIN', 'MANAGER'), async (req, res, next) => {
       include: { items: true, student: true }
     })
 
-    res.status(201).json({ success: true, data: { invoice } })
+    // Overpayments on earlier invoices are used first
+    const creditApplied = await paymentService.applyAccountCredit(invoice)
+
+    res.status(201).json({ success: true, data: { invoice, creditApplied } })
   } catch (error) {
     next(error)
   }
 })
 
 // POST /api/invoices/generate - Bulk generate monthly invoices
+// Each student's lines come from the tuition plans of their active enrollments, followed by
+// any discounts they qualify for; `items` are extra lines added to every invoice.
+// dryRun returns the lines without creating anything
 router.post('/generate', authorize('ADMIN', 'MANAGER'), async (req, res, next) => {
   try {
-    const { month, items, classIds } = req.body
+    const { month = format(new Date(), 'yyyy-MM'), items = [], classIds, dueDate, prorateClosures, dryRun = false } = req.body
     const schoolId = req.user.schoolId
 
-    // Get target month
-    const targetMonth = month ? new Date(month) : new Date()
-    const monthStart = startOfMonth(targetMonth)
-    const monthEnd = endOfMonth(targetMonth)
-    const monthStr = format(targetMonth, 'yyyy-MM')
-
-    // Get all active students (optionally filtered by class)
-    const studentWhere = {
-      schoolId,
-      status: 'ACTIVE'
+    if (!/^\d{4}-\d{2}$/.test(month)) {
+      return res.status(400).json({
+        success: false,
+        error: { code: 'INVALID_MONTH', message: 'month must be YYYY-MM', messageZh: '月份格式應為 YYYY-MM' }
+      })
     }
 
-    if (classIds && classIds.length > 0) {
-      studentWhere.enrollments = {
-        some: {
-          classId: { in: classIds },
-          status: 'ACTIVE'
-        }
-      }
+    const [year, monthNumber] = month.split('-').map(Number)
+    const invoiceDueDate = dueDate ? new Date(dueDate) : new Date(year, monthNumber, 1)
+
+    if (isNaN(invoiceDueDate.getTime())) {
+      return res.status(400).json({
+        success: false,
+        error: { code: 'INVALID_DATE', message: 'dueDate is not a valid date', messageZh: '繳費期限日期無效' }
+      })
     }
 
-    const students = await prisma.student.findMany({
-      where: studentWhere,
-      include: {
-        enrollments: {
-          where: { status: 'ACTIVE' },
-          include: { class: true }
-        }
+    const plan = await billingService.planMonthlyInvoices(schoolId, { month, classIds, prorateClosures })
+    const discounted = await discountService.applyDiscounts(schoolId, plan.students, { month })
+
+    const extraItems = items.map(item => ({
+      type: 'OTHER',
+      description: item.description,
+      amount: item.amount,
+      quantity: item.quantity || 1
+    }))
+
+    const planned = discounted.map(({ student, items: planItems }) => {
+      const studentItems = [...planItems, ...extraItems]
+      return {
+        student: { id: student.id, firstName: student.firstName, lastName: student.lastName },
+        items: studentItems,
+        amount: studentItems.reduce((sum, item) => sum + (item.amount * item.quantity), 0)
       }
     })
 
-    // Check for existing invoices this month
-    const existingInvoices = await prisma.invoice.findMany({
-      where: {
-        studentId: { in: students.map(s => s.id) },
-        issueDate: { gte: monthStart, lte: monthEnd }
-      },
-      select: { studentId: true }
-    })
-    const existingStudentIds = new Set(existingInvoices.map(i => i.studentId))
-
-    // Filter out students who already have invoices
-    const studentsToInvoice = students.filter(s => !existingStudentIds.has(s.id))
+    if (dryRun) {
+      return res.json({
+        success: true,
+        data: { dryRun: true, billingMonth: month, invoices: planned, skipped: plan.skipped }
+      })
+    }
 
-    if (studentsToInvoice.length === 0) {
+    if (planned.length === 0) {
       return res.json({
         success: true,
         data: {
           created: 0,
-          skipped: students.length,
-          message: 'All students already have invoices for this month'
+          skipped: plan.skipped.length,
+          message: 'No students to invoice for this month / 本月沒有需要開立的帳單'
         }
       })
     }
 
-    // Calculate total amount
-    const totalAmount = items.reduce((sum, item) => sum + (item.amount * (item.quantity || 1)), 0)
-
     // Generate invoices
     const invoices = []
     let invoiceCounter = await prisma.invoice.count({ where: { student: { schoolId } } })
 
-    for (const student of studentsToInvoice) {
+    for (const { student, items: studentItems, amount } of planned) {
       invoiceCounter++
-      const invoiceNumber = `INV-${format(targetMonth, 'yyyyMM')}-${String(invoiceCounter).padStart(4, '0')}`
+      const invoiceNumber = `INV-${month.replace('-', '')}-${String(invoiceCounter).padStart(4, '0')}`
 
       const invoice = await prisma.invoice.create({
         data: {
           invoiceNumber,
+          schoolId,
           studentId: student.id,
-          amount: totalAmount,
+          amount,
           currency: 'TWD',
           issueDate: new Date(),
-          dueDate: addMonths(monthStart, 1),
+          dueDate: invoiceDueDate,
           status: 'PENDING',
-          notes: `${format(targetMonth, 'yyyy年MM月')}學費 / Tuition for ${format(targetMonth, 'MMMM yyyy')}`,
+          billingMonth: month,
+          notes: `${year}年${String(monthNumber).padStart(2, '0')}月學費 / Tuition for ${format(new Date(year, monthNumber - 1, 1), 'MMMM yyyy')}`,
           items: {
-            create: items.map(item => ({
+            create: studentItems.map(item => ({
+              type: item.type,
               description: item.description,
               amount: item.amount,
-              quantity: item.quantity || 1
+              quantity: item.quantity,
+              classId: item.classId,
+              enrollmentId: item.enrollmentId,
+              discountRuleId: item.discountRuleId
             }))
           }
-        }
+        },
+        include: { items: true }
       })
-      invoices.push(invoice)
+      const creditApplied = await paymentService.applyAccountCredit(invoice)
+      invoices.push({ ...invoice, creditApplied })
     }
 
     res.status(201).json({
       success: true,
       data: {
         created: invoices.length,
-        skipped: existingStudentIds.size,
+        skipped: plan.skipped.length,
         invoices
       }
     })
@@ -330,28 +414,40 @@ router.post('/generate', authorize('ADMIN', 'MANAGER'), async (req, res, next) =
 })
 
 // PUT /api/invoices/:id - Update invoice
+// Payments go through POST /api/invoices/:id/payments; status PAID here records a payment
+// of paidAmount (default: whatever is still due). Payment statuses follow the payments
 router.put('/:id', authorize('ADMIN', 'MANAGER'), async (req, res, next) => {
   try {
     const { id } = req.params
     const { status, paidAmount, paymentMethod, notes, dueDate } = req.body
 
+    const existing = await prisma.invoice.findFirst({
+      where: { id, schoolId: req.user.schoolId },
+      include: { payments: true, creditNotes: true }
+    })
+
+    if (!existing) {
+      return res.status(404).json({ success: false, error: { message: 'Invoice not found' } })
+    }
+
     const updateData = {}
-    if (status) updateData.status = status
+    if (status && status !== 'PAID') updateData.status = status
     if (notes !== undefined) updateData.notes = notes
     if (dueDate) updateData.dueDate = new Date(dueDate)
 
+    await prisma.invoice.update({ where: { id }, data: updateData })
+
     // Handle payment
-    if (status === 'PAID') {
-      updateData.paidAt = new Date()
-      updateData.paidAmount = paidAmount
-      updateData.paymentMethod = paymentMethod
+    const { balanceDue } = paymentService.getInvoiceBalance(existing)
+    if (status === 'PAID' && balanceDue > 0) {
+      const method = paymentMethod?.toUpperCase()
+      await paymentService.recordPayment(existing, {
+        amount: paidAmount ?? balanceDue,
+        method: paymentService.PAYMENT_METHODS.includes(method) ? method : 'OTHER'
+      }, req.user.id)
     }
 
-    const invoice = await prisma.invoice.update({
-      where: { id },
-      data: updateData,
-      include: { student: true, items: true }
-    })
+    const invoice = await paymentService.syncInvoiceStatus(id)
 
     res.json({ success: true, data: { invoice } })
   } catch (error) {
@@ -359,6 +455,146 @@ router.put('/:id', authorize('ADMIN', 'MANAGER'), async (req, res, next) => {
   }
 })
 
+// ============================================
+// PAYMENTS
+// ============================================
+
+// GET /api/invoices/:id/payments - Payment ledger of an invoice, including voided payments
+router.get('/:id/payments', authorize('ADMIN', 'MANAGER', 'PARENT'), async (req, res, next) => {
+  try {
+    const { id } = req.params
+
+    const invoice = await prisma.invoice.findFirst({
+      where: { id, schoolId: req.user.schoolId },
+      include: {
+        payments: {
+          include: {
+            receivedBy: { select: { id: true, firstName: true, lastName: true } },
+            voidedBy: { select: { id: true, firstName: true, lastName: true } }
+          },
+          orderBy: { paidAt: 'asc' }
+        },
+        creditNotes: true
+      }
+    })
+
+    if (!invoice) {
+      return res.status(404).json({ success: false, error: { message: 'Invoice not found' } })
+    }
+
+    if (req.user.role === 'PARENT') {
+      const isParent = await prisma.parentStudent.findFirst({
+        where: { parentId: req.user.id, studentId: invoice.studentId }
+      })
+      if (!isParent) {
+        return res.status(403).json({ success: false, error: { message: 'Access denied' } })
+      }
+    }
+
+    res.json({
+      success: true,
+      data: {
+        payments: invoice.payments,
+        balance: paymentService.getInvoiceBalance(invoice)
+      }
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// POST /api/invoices/:id/payments - Record a payment { amount, method, reference, paidAt, notes }
+// Anything paid beyond the balance is carried to the student's next invoice
+router.post('/:id/payments', authorize('ADMIN', 'MANAGER'), async (req, res, next) => {
+  try {
+    const invoice = await prisma.invoice.findFirst({
+      where: { id: req.params.id, schoolId: req.user.schoolId }
+    })
+
+    if (!invoice) {
+      return res.status(404).json({ success: false, error: { message: 'Invoice not found' } })
+    }
+
+    const result = await paymentService.recordPayment(invoice, req.body, req.user.id)
+
+    res.status(201).json({ success: true, data: result })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// POST /api/invoices/:id/payments/:paymentId/void - Void a payment entered by mistake { reason }
+router.post('/:id/payments/:paymentId/void', authorize('ADMIN', 'MANAGER'), async (req, res, next) => {
+  try {
+    const payment = await prisma.payment.findFirst({
+      where: { id: req.params.paymentId, invoiceId: req.params.id, schoolId: req.user.schoolId }
+    })
+
+    if (!payment) {
+      return res.status(404).json({ success: false, error: { message: 'Payment not found' } })
+    }
+
+    const result = await paymentService.voidPayment(payment, req.body, req.user.id)
+
+    res.json({ success: true, data: result })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// GET /api/invoices/:id/payments/:paymentId/receipt - Receipt PDF; printing it again gives a marked copy
+router.get('/:id/payments/:paymentId/receipt', authorize('ADMIN', 'MANAGER', 'PARENT'), async (req, res, next) => {
+  try {
+    const existing = await prisma.payment.findFirst({
+      where: { id: req.params.paymentId, invoiceId: req.params.id, schoolId: req.user.schoolId }
+    })
+
+    if (!existing) {
+      return res.status(404).json({ success: false, error: { message: 'Payment not found' } })
+    }
+
+    if (!existing.receiptNumber) {
+      return res.status(400).json({
+        success: false,
+        error: { message: 'Account credit payments have no receipt / 帳戶餘額抵扣沒有收據' }
+      })
+    }
+
+    if (req.user.role === 'PARENT') {
+      const isParent = await prisma.parentStudent.findFirst({
+        where: { parentId: req.user.id, studentId: existing.studentId }
+      })
+      if (!isParent) {
+        return res.status(403).json({ success: false, error: { message: 'Access denied' } })
+      }
+    }
+
+    const payment = await prisma.payment.findUnique({
+      where: { id: existing.id },
+      include: {
+        invoice: { include: { payments: true, creditNotes: true } },
+        student: { select: { firstName: true, lastName: true, englishName: true } },
+        receivedBy: { select: { firstName: true, lastName: true } },
+        school: { select: { name: true } }
+      }
+    })
+
+    // Built before the print is counted, so a receipt that can't be printed doesn't make the next one a copy
+    const doc = paymentService.buildReceiptPdf({ ...payment, receiptPrints: payment.receiptPrints + 1 }, { schoolName: payment.school.name })
+    await prisma.payment.update({
+      where: { id: existing.id },
+      data: { receiptPrints: { increment: 1 } }
+    })
+
+    res.setHeader('Content-Type', 'application/pdf')
+    res.setHeader('Content-Disposition', `attachment; filename="receipt-${payment.receiptNumber}.pdf"`)
+    doc.pipe(res)
+    doc.end()
+  } catch (error) {
+    next(error)
+  }
+})
+
 // POST /api/invoices/:id/send-reminder - Send payment reminder via LINE
 router.post('/:id/send-reminder', authorize('ADMIN', 'MANAGER'), async (req, res, next) => {
   try {
@@ -376,7 +612,9 @@ router.post('/:id/send-reminder', authorize('ADMIN', 'MANAGER'), async (req, res
               }
             }
           }
-        }
+        },
+        payments: true,
+        creditNotes: true
       }
     })
 
@@ -396,11 +634,11 @@ router.post('/:id/send-reminder', authorize('ADMIN', 'MANAGER'), async (req, res
     const studentName = `${invoice.student.lastName}${invoice.student.firstName}`
     const message = createPaymentReminder(
       studentName,
-      invoice.amount,
+      paymentService.getInvoiceBalance(invoice).balanceDue,
       format(invoice.dueDate, 'yyyy/MM/dd')
     )
 
-    await sendPushMessage(primaryParent.lineUserId, message)
+    await sendPushMessage(primaryParent.lineUserId, message, req.user.schoolId)
 
     // Update invoice
     await prisma.invoice.update({
@@ -420,7 +658,7 @@ router.post('/:id/send-reminder', authorize('ADMIN', 'MANAGER'), async (req, res
   }
 })
 
-// POST /api/invoices/send-bulk-reminders - Send reminders to all pending/overdue
+// POST /api/invoices/send-bulk-reminders - Send reminders to all unpaid (pending, partially paid, overdue)
 router.post('/send-bulk-reminders', authorize('ADMIN', 'MANAGER'), async (req, res, next) => {
   try {
     const schoolId = req.user.schoolId
@@ -428,7 +666,7 @@ router.post('/send-bulk-reminders', authorize('ADMIN', 'MANAGER'), async (req, r
     const invoices = await prisma.invoice.findMany({
       where: {
         student: { schoolId },
-        status: { in: ['PENDING', 'OVERDUE'] }
+        status: { in: paymentService.OPEN_STATUSES }
       },
       include: {
         student: {
@@ -440,7 +678,9 @@ router.post('/send-bulk-reminders', authorize('ADMIN', 'MANAGER'), async (req, r
               }
             }
           }
-        }
+        },
+        payments: true,
+        creditNotes: true
       }
     })
 
@@ -458,10 +698,10 @@ router.post('/send-bulk-reminders', authorize('ADMIN', 'MANAGER'), async (req, r
         const studentName = `${invoice.student.lastName}${invoice.student.firstName}`
         const message = createPaymentReminder(
           studentName,
-          invoice.amount,
+          paymentService.getInvoiceBalance(invoice).balanceDue,
           format(invoice.dueDate, 'yyyy/MM/dd')
         )
-        await sendPushMessage(lineUserId, message)
+        await sendPushMessage(lineUserId, message, schoolId)
         
         await prisma.invoice.update({
           where: { id: invoice.id },
@@ -490,21 +730,24 @@ router.post('/send-bulk-reminders', authorize('ADMIN', 'MANAGER'), async (req, r
   }
 })
 
-// DELETE /api/invoices/:id - Delete invoice (only if unpaid)
+// DELETE /api/invoices/:id - Delete invoice (only if nothing was paid)
 router.delete('/:id', authorize('ADMIN'), async (req, res, next) => {
   try {
     const { id } = req.params
 
-    const invoice = await prisma.invoice.findUnique({ where: { id } })
+    const invoice = await prisma.invoice.findUnique({
+      where: { id },
+      include: { payments: { where: { voidedAt: null } } }
+    })
     
     if (!invoice) {
       return res.status(404).json({ success: false, error: { message: 'Invoice not found' } })
     }
 
-    if (invoice.status === 'PAID') {
+    if (invoice.status === 'PAID' || invoice.payments.length > 0) {
       return res.status(400).json({
         success: false,
-        error: { message: 'Cannot delete paid invoices / 無法刪除已付款的帳單' }
+        error: { message: 'Cannot delete invoices with payments / 無法刪除已付款的帳單' }
       })
     }
 
@@ -518,4 +761,93 @@ router.delete('/:id', authorize('ADMIN'), async (req, res, next) => {
   }
 })
 
+// ============================================
+// E-INVOICES
+// ============================================
+
+// PUT /api/invoices/:id/buyer - Who the e-invoice is made out to
+// { buyerTaxId, buyerName, buyerAddress } for company-paid tuition, or { carrierType, carrierNumber }
+// or { donationCode }; parents can set it for their children's invoices before they are paid
+router.put('/:id/buyer', authorize('ADMIN', 'MANAGER', 'PARENT'), async (req, res, next) => {
+  try {
+    const existing = await prisma.invoice.findFirst({
+      where: { id: req.params.id, schoolId: req.user.schoolId }
+    })
+
+    if (!existing) {
+      return res.status(404).json({ success: false, error: { message: 'Invoice not found' } })
+    }
+
+    if (req.user.role === 'PARENT') {
+      const isParent = await prisma.parentStudent.findFirst({
+        where: { parentId: req.user.id, studentId: existing.studentId }
+      })
+      if (!isParent) {
+        return res.status(403).json({ success: false, error: { message: 'Access denied' } })
+      }
+    }
+
+    if (existing.eInvoiceStatus === 'ISSUED') {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'EINVOICE_ALREADY_ISSUED',
+          message: 'The e-invoice was already issued; void it before changing the buyer',
+          messageZh: '電子發票已開立，請先作廢再修改買受人'
+        }
+      })
+    }
+
+    const { buyerTaxId, buyerName, buyerAddress, carrierType, carrierNumber, donationCode } = req.body
+    const invoice = await prisma.invoice.update({
+      where: { id: existing.id },
+      data: eInvoiceService.normalizeEInvoiceBuyer({ buyerTaxId, buyerName, buyerAddress, carrierType, carrierNumber, donationCode })
+    })
+
+    res.json({ success: true, data: { invoice } })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// POST /api/invoices/:id/e-invoice - Issue the e-invoice of a paid invoice now, or retry what failed
+// (e-invoices are otherwise issued, voided and adjusted as payments and credit notes are recorded)
+router.post('/:id/e-invoice', authorize('ADMIN', 'MANAGER'), async (req, res, next) => {
+  try {
+    const invoice = await prisma.invoice.findFirst({
+      where: { id: req.params.id, schoolId: req.user.schoolId }
+    })
+
+    if (!invoice) {
+      return res.status(404).json({ success: false, error: { message: 'Invoice not found' } })
+    }
+
+    const eInvoice = await eInvoiceService.syncEInvoice(invoice.id)
+
+    res.json({ success: true, data: { eInvoice } })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// POST /api/invoices/:id/e-invoice/void - Void the e-invoice, e.g. to correct the buyer { reason }
+// The invoice stays paid; POST /api/invoices/:id/e-invoice issues a new one
+router.post('/:id/e-invoice/void', authorize('ADMIN', 'MANAGER'), async (req, res, next) => {
+  try {
+    const invoice = await prisma.invoice.findFirst({
+      where: { id: req.params.id, schoolId: req.user.schoolId }
+    })
+
+    if (!invoice) {
+      return res.status(404).json({ success: false, error: { message: 'Invoice not found' } })
+    }
+
+    const eInvoice = await eInvoiceService.voidEInvoice(invoice.id, req.body)
+
+    res.json({ success: true, data: { eInvoice } })
+  } catch (error) {
+    next(error)
+  }
+})
+
 export default router
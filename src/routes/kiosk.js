@@ -0,0 +1,211 @@
+// Kiosk Routes
+// Handles check-in kiosk devices and QR / NFC card scans
+
+import { Router } from 'express';
+import prisma from '../config/database.js';
+import { authenticate, authenticateKiosk, authorize } from '../middleware/auth.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import kioskService from '../services/kioskService.js';
+import fileService from '../services/fileService.js';
+
+const router = Router();
+
+/**
+ * GET /api/kiosk/devices
+ * List kiosk devices registered to the school
+ */
+router.get('/devices',
+  authenticate,
+  authorize('ADMIN', 'MANAGER'),
+  asyncHandler(async (req, res) => {
+    const devices = await prisma.kioskDevice.findMany({
+      where: { schoolId: req.user.schoolId },
+      select: {
+        id: true,
+        name: true,
+        isActive: true,
+        lastSeenAt: true,
+        createdAt: true
+      },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    res.json({
+      success: true,
+      data: { devices }
+    });
+  })
+);
+
+/**
+ * POST /api/kiosk/devices
+ * Register a kiosk device; the token is only returned here
+ */
+router.post('/devices',
+  authenticate,
+  authorize('ADMIN', 'MANAGER'),
+  asyncHandler(async (req, res) => {
+    const { name } = req.body;
+
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'NAME_REQUIRED',
+          message: 'Device name is required',
+          messageZh: '需要裝置名稱'
+        }
+      });
+    }
+
+    const { token, tokenHash } = kioskService.generateDeviceToken();
+
+    const device = await prisma.kioskDevice.create({
+      data: {
+        name,
+        tokenHash,
+        schoolId: req.user.schoolId,
+        createdById: req.user.id
+      },
+      select: {
+        id: true,
+        name: true,
+        isActive: true,
+        createdAt: true
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        device,
+        token,
+        message: 'Store this token on the kiosk now; it cannot be shown again',
+        messageZh: '請立即將權杖設定於簽到機，之後將無法再次顯示'
+      }
+    });
+  })
+);
+
+/**
+ * DELETE /api/kiosk/devices/:id
+ * Revoke a kiosk device
+ */
+router.delete('/devices/:id',
+  authenticate,
+  authorize('ADMIN', 'MANAGER'),
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const device = await prisma.kioskDevice.findFirst({
+      where: { id, schoolId: req.user.schoolId }
+    });
+
+    if (!device) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'DEVICE_NOT_FOUND',
+          message: 'Kiosk device not found',
+          messageZh: '找不到簽到機'
+        }
+      });
+    }
+
+    await prisma.kioskDevice.update({
+      where: { id },
+      data: { isActive: false }
+    });
+
+    res.json({
+      success: true,
+      data: {
+        message: 'Kiosk device revoked',
+        messageZh: '簽到機已停用'
+      }
+    });
+  })
+);
+
+/**
+ * GET /api/kiosk/me
+ * Kiosk startup check: which school this device belongs to
+ */
+router.get('/me', authenticateKiosk, asyncHandler(async (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      device: {
+        id: req.kiosk.id,
+        name: req.kiosk.name
+      },
+      school: {
+        id: req.kiosk.school.id,
+        name: req.kiosk.school.name,
+        timezone: req.kiosk.school.timezone
+      }
+    }
+  });
+}));
+
+/**
+ * POST /api/kiosk/scan
+ * Check a student in or out from a QR code or NFC card UID
+ * action: 'auto' (default) checks in, or out if already checked in
+ */
+router.post('/scan', authenticateKiosk, asyncHandler(async (req, res) => {
+  const { code, action = 'auto' } = req.body;
+
+  if (!code) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'CODE_REQUIRED',
+        message: 'Scanned code is required',
+        messageZh: '需要掃描碼'
+      }
+    });
+  }
+
+  if (!['auto', 'in', 'out'].includes(action)) {
+    return res.status(400).json({
+      success: false,
+      error: {
+        code: 'INVALID_ACTION',
+        message: 'action must be auto, in or out',
+        messageZh: '無效的動作'
+      }
+    });
+  }
+
+  const student = await kioskService.resolveStudent(req.kiosk.schoolId, code);
+
+  if (!student) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        code: 'STUDENT_NOT_FOUND',
+        message: 'No student is registered with this card',
+        messageZh: '此卡片未登記學生'
+      }
+    });
+  }
+
+  const result = await kioskService.recordScan(req.kiosk, student, action);
+
+  res.json({
+    success: true,
+    data: {
+      student: {
+        id: student.id,
+        firstName: student.firstName,
+        lastName: student.lastName,
+        englishName: student.englishName,
+        photoUrl: fileService.signStudentPhoto(student).photoUrl
+      },
+      ...result
+    }
+  });
+}));
+
+export default router;
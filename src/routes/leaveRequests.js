@@ -0,0 +1,181 @@
+// Leave Request Routes
+// Handles teacher / manager review of parent absence requests (請假)
+
+import { Router } from 'express';
+import prisma from '../config/database.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import leaveRequestService from '../services/leaveRequestService.js';
+import sessionService from '../services/sessionService.js';
+
+const router = Router();
+
+const LEAVE_REQUEST_INCLUDE = {
+  student: {
+    select: {
+      id: true,
+      firstName: true,
+      lastName: true,
+      englishName: true
+    }
+  },
+  class: {
+    select: { id: true, name: true }
+  },
+  requestedBy: {
+    select: {
+      id: true,
+      firstName: true,
+      lastName: true,
+      phone: true
+    }
+  },
+  reviewedBy: {
+    select: {
+      id: true,
+      firstName: true,
+      lastName: true
+    }
+  }
+};
+
+/**
+ * GET /api/leave-requests
+ * List leave requests (teachers: requests touching their classes)
+ */
+router.get('/',
+  authenticate,
+  authorize('ADMIN', 'MANAGER', 'TEACHER'),
+  asyncHandler(async (req, res) => {
+    const { status, studentId, classId, startDate, endDate, page = 1, limit = 50 } = req.query;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const take = parseInt(limit);
+
+    const where = {
+      AND: [
+        leaveRequestService.getReviewerScope(req.user),
+        {
+          ...(status && { status }),
+          ...(studentId && { studentId }),
+          ...(classId && { OR: [{ classId }, { classId: null, student: { enrollments: { some: { classId } } } }] }),
+          ...(startDate && { endDate: { gte: sessionService.toDateOnly(startDate) } }),
+          ...(endDate && { startDate: { lte: sessionService.toDateOnly(endDate) } })
+        }
+      ]
+    };
+
+    const [leaveRequests, total] = await Promise.all([
+      prisma.leaveRequest.findMany({
+        where,
+        include: LEAVE_REQUEST_INCLUDE,
+        orderBy: [
+          { status: 'asc' },
+          { startDate: 'asc' }
+        ],
+        skip,
+        take
+      }),
+      prisma.leaveRequest.count({ where })
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        leaveRequests,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          totalPages: Math.ceil(total / parseInt(limit))
+        }
+      }
+    });
+  })
+);
+
+/**
+ * GET /api/leave-requests/:id
+ * Get a leave request with the class meetings it covers
+ */
+router.get('/:id',
+  authenticate,
+  authorize('ADMIN', 'MANAGER', 'TEACHER'),
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const leaveRequest = await prisma.leaveRequest.findFirst({
+      where: { id, ...leaveRequestService.getReviewerScope(req.user) },
+      include: LEAVE_REQUEST_INCLUDE
+    });
+
+    if (!leaveRequest) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'LEAVE_REQUEST_NOT_FOUND',
+          message: 'Leave request not found',
+          messageZh: '找不到請假申請'
+        }
+      });
+    }
+
+    const days = await leaveRequestService.findLeaveDays(
+      leaveRequest.studentId,
+      leaveRequest.classId,
+      leaveRequest.startDate,
+      leaveRequest.endDate
+    );
+
+    res.json({
+      success: true,
+      data: {
+        leaveRequest,
+        days: days.map(d => ({
+          classId: d.classData.id,
+          className: d.classData.name,
+          date: sessionService.formatDateOnly(d.date),
+          sessionId: d.sessionId
+        }))
+      }
+    });
+  })
+);
+
+/**
+ * POST /api/leave-requests/:id/:decision
+ * Approve or reject a pending leave request (decision: approve | reject)
+ * Approval marks the covered class days EXCUSED
+ */
+router.post('/:id/:decision',
+  authenticate,
+  authorize('ADMIN', 'MANAGER', 'TEACHER'),
+  asyncHandler(async (req, res) => {
+    const { id, decision } = req.params;
+    const { note } = req.body;
+
+    if (!['approve', 'reject'].includes(decision)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_DECISION',
+          message: 'Decision must be approve or reject',
+          messageZh: '無效的操作'
+        }
+      });
+    }
+
+    const result = await leaveRequestService.reviewLeaveRequest(id, req.user, decision === 'approve', note);
+
+    res.json({
+      success: true,
+      data: {
+        ...result,
+        message: decision === 'approve' ? 'Leave request approved' : 'Leave request rejected',
+        messageZh: decision === 'approve' ? '已核准請假' : '已退回請假申請'
+      }
+    });
+  })
+);
+
+export default router;
@@ -1,19 +1,61 @@
 // LINE Webhook Handler
 // Processes incoming LINE messages and events
 
+import path from 'path';
 import { Router } from 'express';
 import prisma from '../config/database.js';
 import lineService from '../services/lineService.js';
 import translationService from '../services/translationService.js';
+import waitlistService from '../services/waitlistService.js';
+import leaveRequestService from '../services/leaveRequestService.js';
+import homeworkSubmissionService from '../services/homeworkSubmissionService.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
 
 const router = Router();
 
+// LINE rejects postback data longer than this
+const MAX_POSTBACK_DATA_LENGTH = 300;
+
+const LEAVE_TYPE_OPTIONS = [
+  { type: 'SICK', label: '病假 Sick' },
+  { type: 'PERSONAL', label: '事假 Personal' },
+  { type: 'OTHER', label: '其他 Other' }
+];
+
 /**
  * POST /api/webhook/line
- * Receive LINE webhook events
+ * Receive LINE webhook events for the default (env-configured) channel
  * Note: Body is raw buffer for signature verification
  */
-router.post('/', async (req, res) => {
+router.post('/', asyncHandler(async (req, res) => {
+  await handleWebhook(req, res, null);
+}));
+
+/**
+ * POST /api/webhook/line/:schoolId
+ * Receive LINE webhook events for a school's own Official Account
+ */
+router.post('/:schoolId', asyncHandler(async (req, res) => {
+  const { schoolId } = req.params;
+
+  const school = await prisma.school.findUnique({
+    where: { id: schoolId },
+    select: { id: true }
+  });
+
+  if (!school) {
+    console.log(`LINE webhook for unknown school ${schoolId}`);
+    return res.status(404).json({ error: 'School not found' });
+  }
+
+  await handleWebhook(req, res, school.id);
+}));
+
+/**
+ * Verify, acknowledge and process a webhook request
+ * schoolId selects the channel used for signature checks and replies
+ */
+async function handleWebhook(req, res, schoolId) {
   // Get signature from header
   const signature = req.headers['x-line-signature'];
   
@@ -26,7 +68,7 @@ router.post('/', async (req, res) => {
   const body = req.body.toString();
 
   // Verify signature
-  if (!lineService.verifyWebhookSignature(body, signature)) {
+  if (!(await lineService.verifyWebhookSignature(body, signature, schoolId))) {
     console.log('Invalid LINE signature');
     return res.status(401).json({ error: 'Invalid signature' });
   }
@@ -47,34 +89,34 @@ router.post('/', async (req, res) => {
   // Process events asynchronously
   for (const event of events) {
     try {
-      await handleLineEvent(event);
+      await handleLineEvent(event, schoolId);
     } catch (error) {
       console.error('Error handling LINE event:', error);
     }
   }
-});
+}
 
 /**
  * Handle individual LINE event
  */
-async function handleLineEvent(event) {
+async function handleLineEvent(event, schoolId) {
   console.log('LINE Event:', event.type, event);
 
   switch (event.type) {
     case 'message':
-      await handleMessageEvent(event);
+      await handleMessageEvent(event, schoolId);
       break;
       
     case 'follow':
-      await handleFollowEvent(event);
+      await handleFollowEvent(event, schoolId);
       break;
       
     case 'unfollow':
-      await handleUnfollowEvent(event);
+      await handleUnfollowEvent(event, schoolId);
       break;
       
     case 'postback':
-      await handlePostbackEvent(event);
+      await handlePostbackEvent(event, schoolId);
       break;
       
     default:
@@ -85,7 +127,7 @@ async function handleLineEvent(event) {
 /**
  * Handle incoming message from LINE
  */
-async function handleMessageEvent(event) {
+async function handleMessageEvent(event, schoolId) {
   const { source, message, replyToken } = event;
   const lineUserId = source.userId;
 
@@ -95,8 +137,8 @@ async function handleMessageEvent(event) {
   }
 
   // Find user by LINE ID
-  const user = await prisma.user.findUnique({
-    where: { lineUserId },
+  const user = await prisma.user.findFirst({
+    where: { lineUserId, ...(schoolId && { schoolId }) },
     include: {
       school: {
         select: { id: true, name: true }
@@ -114,43 +156,48 @@ async function handleMessageEvent(event) {
               '請先透過網頁或應用程式完成註冊，然後連結您的 LINE 帳號。\n' +
               'Please register through our website or app first, then link your LINE account.'
       }
-    ]);
+    ], schoolId);
     return;
   }
 
   // Handle text messages
   if (message.type === 'text') {
-    await handleTextMessage(user, message.text, replyToken);
-  } else if (message.type === 'image') {
-    await handleImageMessage(user, message, replyToken);
+    await handleTextMessage(user, message.text, replyToken, schoolId);
+  } else if (message.type === 'image' || message.type === 'file') {
+    await handleImageMessage(user, message, replyToken, schoolId);
   } else {
     // Unsupported message type
     await lineService.sendReplyMessage(replyToken, {
       type: 'text',
-      text: '目前僅支援文字訊息。\nCurrently only text messages are supported.'
-    });
+      text: '目前僅支援文字、圖片及檔案訊息。\nCurrently only text, image and file messages are supported.'
+    }, schoolId);
   }
 }
 
 /**
  * Handle text message from user
  */
-async function handleTextMessage(user, text, replyToken) {
+async function handleTextMessage(user, text, replyToken, schoolId) {
   const lowerText = text.toLowerCase().trim();
 
   // Check for commands
   if (lowerText === '出席' || lowerText === 'attendance') {
-    await sendAttendanceSummary(user, replyToken);
+    await sendAttendanceSummary(user, replyToken, schoolId);
     return;
   }
 
   if (lowerText === '作業' || lowerText === 'homework') {
-    await sendHomeworkSummary(user, replyToken);
+    await sendHomeworkSummary(user, replyToken, schoolId);
+    return;
+  }
+
+  if (lowerText === '請假' || lowerText === 'leave') {
+    await startLeaveRequest(user, replyToken, schoolId);
     return;
   }
 
   if (lowerText === '幫助' || lowerText === 'help') {
-    await sendHelpMessage(user, replyToken);
+    await sendHelpMessage(user, replyToken, schoolId);
     return;
   }
 
@@ -205,7 +252,7 @@ async function handleTextMessage(user, text, replyToken) {
         type: 'text',
         text: '找不到您孩子的老師。請先確認孩子已加入班級。\n' +
               'No teachers found for your children. Please ensure your child is enrolled in a class.'
-      });
+      }, schoolId);
       return;
     }
 
@@ -230,37 +277,158 @@ async function handleTextMessage(user, text, replyToken) {
       text: `訊息已送達！老師們會盡快回覆您。\n` +
             `Message sent! Teachers will reply soon.\n\n` +
             `已發送給 ${teachers.size} 位老師。\nSent to ${teachers.size} teacher(s).`
-    });
+    }, schoolId);
   } else {
     // For teachers/admins - just acknowledge
     await lineService.sendReplyMessage(replyToken, {
       type: 'text',
       text: '訊息已收到。請使用 Erudition 應用程式發送訊息給家長。\n' +
             'Message received. Please use the Erudition app to send messages to parents.'
-    });
+    }, schoolId);
   }
 }
 
 /**
- * Handle image message
+ * Handle image / file message: parents' homework photos are submitted to the matching homework
  */
-async function handleImageMessage(user, message, replyToken) {
+async function handleImageMessage(user, message, replyToken, schoolId) {
+  if (user.role !== 'PARENT') {
+    await lineService.sendReplyMessage(replyToken, {
+      type: 'text',
+      text: '已收到您的檔案！請透過 Erudition 應用程式上傳檔案。\n' +
+            'File received! Please upload files through the Erudition app.'
+    }, schoolId);
+    return;
+  }
+
+  const { recent, open } = await homeworkSubmissionService.findLineTargets(user.id);
+  const targets = recent ? [recent, ...open] : open;
+
+  // Only sent on its own when there is nothing else it could be for: more pages of the
+  // worksheet just sent, or the only homework due. Otherwise the parent picks, with the
+  // worksheet just sent first
+  if (targets.length === 1) {
+    await submitHomeworkContent(user, message, targets[0], replyToken, schoolId);
+    return;
+  }
+
+  if (targets.length === 0) {
+    await lineService.sendReplyMessage(replyToken, {
+      type: 'text',
+      text: '目前沒有待繳交的作業，照片未送出。\n' +
+            'There is no homework waiting to be handed in, so the photo was not submitted.'
+    }, schoolId);
+    return;
+  }
+
   await lineService.sendReplyMessage(replyToken, {
     type: 'text',
-    text: '已收到您的圖片！目前圖片需透過應用程式上傳。\n' +
-          'Image received! Please upload images through the app for now.'
+    text: '這是哪一份作業？\nWhich homework is this for?',
+    quickReply: {
+      items: targets.slice(0, homeworkSubmissionService.MAX_LINE_CHOICES).map(({ homework, student }, i) => {
+        const label = `${recent && i === 0 ? '＋' : ''}${student.firstName}：${homework.title}`;
+        return {
+          type: 'action',
+          action: {
+            type: 'postback',
+            label: label.slice(0, 20),
+            data: homeworkChoiceData(message, homework, student),
+            displayText: label
+          }
+        };
+      })
+    }
+  }, schoolId);
+}
+
+/**
+ * Submit a photo sent earlier for the homework the parent picked from the quick reply
+ */
+async function handleHomeworkChoice(user, data, replyToken, schoolId) {
+  if (user.role !== 'PARENT') return;
+
+  const { recent, open } = await homeworkSubmissionService.findLineTargets(user.id);
+  const target = [recent, ...open].find(t =>
+    t && t.homework.id === data.get('homeworkId') && t.student.id === data.get('studentId')
+  );
+
+  if (!target) {
+    await lineService.sendReplyMessage(replyToken, {
+      type: 'text',
+      text: '此作業已繳交或已截止。\nThis homework has already been handed in or is closed.'
+    }, schoolId);
+    return;
+  }
+
+  const message = {
+    id: data.get('messageId'),
+    fileName: data.get('fileName') || undefined,
+    fileSize: Number(data.get('fileSize')) || undefined
+  };
+
+  await submitHomeworkContent(user, message, target, replyToken, schoolId);
+}
+
+/**
+ * Postback data for a homework choice in the quick reply
+ * A file message carries its name and size along: LINE can serve the file as
+ * application/octet-stream, and then its type comes from the name's extension
+ */
+function homeworkChoiceData(message, homework, student) {
+  const params = new URLSearchParams({
+    action: 'homework_submit',
+    messageId: message.id,
+    homeworkId: homework.id,
+    studentId: student.id
   });
+
+  if (message.fileSize) params.set('fileSize', String(message.fileSize));
+  if (message.fileName) {
+    params.set('fileName', message.fileName);
+    // A name too long to fit is shortened, keeping the extension
+    if (params.toString().length > MAX_POSTBACK_DATA_LENGTH) {
+      params.set('fileName', `LINE-${message.id}${path.extname(message.fileName)}`);
+    }
+  }
+
+  return params.toString();
+}
+
+/**
+ * Store the LINE content as the submission and confirm to the parent
+ */
+async function submitHomeworkContent(user, message, target, replyToken, schoolId) {
+  const { homework, student } = target;
+
+  let text;
+  try {
+    const { isLate, appended } = await homeworkSubmissionService.submitLineContent(user, message, target, schoolId);
+
+    text = appended
+      ? `已加入 ${student.firstName} 的「${homework.title}」。\nAdded to ${student.firstName}'s "${homework.title}".`
+      : `已繳交 ${student.firstName} 的「${homework.title}」${isLate ? '（遲交）' : ''}。\n` +
+        `Submitted ${student.firstName}'s "${homework.title}"${isLate ? ' (late)' : ''}.`;
+  } catch (error) {
+    if (!error.isOperational) {
+      console.error(`Failed to submit LINE homework for student ${student.id}:`, error);
+      text = '無法取得檔案，請再傳送一次。\nCould not get the file. Please send it again.';
+    } else {
+      text = `${error.messageZh}\n${error.message}`;
+    }
+  }
+
+  await lineService.sendReplyMessage(replyToken, { type: 'text', text }, schoolId);
 }
 
 /**
  * Send attendance summary for parent's children
  */
-async function sendAttendanceSummary(user, replyToken) {
+async function sendAttendanceSummary(user, replyToken, schoolId) {
   if (user.role !== 'PARENT') {
     await lineService.sendReplyMessage(replyToken, {
       type: 'text',
       text: '此功能僅供家長使用。\nThis feature is for parents only.'
-    });
+    }, schoolId);
     return;
   }
 
@@ -291,7 +459,7 @@ async function sendAttendanceSummary(user, replyToken) {
     await lineService.sendReplyMessage(replyToken, {
       type: 'text',
       text: '找不到您的孩子資料。\nNo children found for your account.'
-    });
+    }, schoolId);
     return;
   }
 
@@ -322,18 +490,18 @@ async function sendAttendanceSummary(user, replyToken) {
   await lineService.sendReplyMessage(replyToken, {
     type: 'text',
     text: summary
-  });
+  }, schoolId);
 }
 
 /**
  * Send homework summary for parent's children
  */
-async function sendHomeworkSummary(user, replyToken) {
+async function sendHomeworkSummary(user, replyToken, schoolId) {
   if (user.role !== 'PARENT') {
     await lineService.sendReplyMessage(replyToken, {
       type: 'text',
       text: '此功能僅供家長使用。\nThis feature is for parents only.'
-    });
+    }, schoolId);
     return;
   }
 
@@ -371,7 +539,7 @@ async function sendHomeworkSummary(user, replyToken) {
     await lineService.sendReplyMessage(replyToken, {
       type: 'text',
       text: '找不到您的孩子資料。\nNo children found for your account.'
-    });
+    }, schoolId);
     return;
   }
 
@@ -404,18 +572,22 @@ async function sendHomeworkSummary(user, replyToken) {
   await lineService.sendReplyMessage(replyToken, {
     type: 'text',
     text: summary
-  });
+  }, schoolId);
 }
 
 /**
  * Send help message
  */
-async function sendHelpMessage(user, replyToken) {
+async function sendHelpMessage(user, replyToken, schoolId) {
   const helpText = `🎓 Erudition 指令說明\nCommand Guide\n\n` +
     `📊 出席 / attendance\n` +
     `   查看出席記錄\n   View attendance records\n\n` +
     `📚 作業 / homework\n` +
     `   查看待完成作業\n   View pending homework\n\n` +
+    `📷 傳送作業照片\n   Send a homework photo\n` +
+    `   直接繳交作業\n   Hand in homework\n\n` +
+    `📝 請假 / leave\n` +
+    `   為孩子請假\n   Request leave for your child\n\n` +
     `💬 直接輸入訊息\n   Direct message\n` +
     `   發送訊息給老師\n   Send message to teachers\n\n` +
     `❓ 幫助 / help\n` +
@@ -424,19 +596,235 @@ async function sendHelpMessage(user, replyToken) {
   await lineService.sendReplyMessage(replyToken, {
     type: 'text',
     text: helpText
+  }, schoolId);
+}
+
+/**
+ * Accept or decline a waitlist seat offer from the LINE buttons
+ */
+async function handleWaitlistResponse(user, enrollmentId, accept, replyToken, schoolId) {
+  // Only a parent of the student may answer the offer
+  const enrollment = await prisma.classEnrollment.findFirst({
+    where: {
+      id: enrollmentId,
+      student: {
+        parentRelations: { some: { parentId: user.id } }
+      }
+    },
+    include: {
+      class: { select: { name: true } }
+    }
   });
+
+  if (!enrollment) {
+    await lineService.sendReplyMessage(replyToken, {
+      type: 'text',
+      text: '找不到此候補名額。\nSeat offer not found.'
+    }, schoolId);
+    return;
+  }
+
+  let text;
+  try {
+    if (accept) {
+      await waitlistService.acceptOffer(enrollment.id);
+      text = `已確認「${enrollment.class.name}」的名額，歡迎加入！\nSeat confirmed. Welcome to the class!`;
+    } else {
+      await waitlistService.declineOffer(enrollment.id);
+      text = `已放棄「${enrollment.class.name}」的名額。\nSeat declined.`;
+    }
+  } catch (error) {
+    if (!error.isOperational) throw error;
+    text = `${error.messageZh}\n${error.message}`;
+  }
+
+  await lineService.sendReplyMessage(replyToken, { type: 'text', text }, schoolId);
+}
+
+/**
+ * Start a leave request (請假): pick the child, then the date, then the type
+ */
+async function startLeaveRequest(user, replyToken, schoolId) {
+  if (user.role !== 'PARENT') {
+    await lineService.sendReplyMessage(replyToken, {
+      type: 'text',
+      text: '此功能僅供家長使用。\nThis feature is for parents only.'
+    }, schoolId);
+    return;
+  }
+
+  const parentStudents = await prisma.parentStudent.findMany({
+    where: { parentId: user.id },
+    include: {
+      student: {
+        select: { id: true, firstName: true, lastName: true }
+      }
+    }
+  });
+
+  if (parentStudents.length === 0) {
+    await lineService.sendReplyMessage(replyToken, {
+      type: 'text',
+      text: '找不到您的孩子資料。\nNo children found for your account.'
+    }, schoolId);
+    return;
+  }
+
+  if (parentStudents.length === 1) {
+    await sendLeaveDatePicker(parentStudents[0].student, replyToken, schoolId);
+    return;
+  }
+
+  await lineService.sendReplyMessage(replyToken, {
+    type: 'text',
+    text: '請選擇要請假的孩子：\nWhich child needs leave?',
+    quickReply: {
+      items: parentStudents.slice(0, 13).map(({ student }) => {
+        const name = `${student.firstName} ${student.lastName}`;
+        return {
+          type: 'action',
+          action: {
+            type: 'postback',
+            label: name.slice(0, 20),
+            data: `action=leave_student&studentId=${student.id}`,
+            displayText: name
+          }
+        };
+      })
+    }
+  }, schoolId);
+}
+
+/**
+ * Ask which day the child will be absent
+ */
+async function sendLeaveDatePicker(student, replyToken, schoolId) {
+  const name = `${student.firstName} ${student.lastName}`;
+
+  await lineService.sendReplyMessage(replyToken, {
+    type: 'template',
+    altText: `請假 - 請選擇日期`,
+    template: {
+      type: 'buttons',
+      text: `${name} 哪一天請假？\nWhich day will ${name} be absent?`.slice(0, 160),
+      actions: [
+        {
+          type: 'datetimepicker',
+          label: '選擇日期 Pick date',
+          data: `action=leave_date&studentId=${student.id}`,
+          mode: 'date'
+        }
+      ]
+    }
+  }, schoolId);
+}
+
+/**
+ * Continue the LINE leave flow: child chosen, date chosen, or type chosen (submit)
+ */
+async function handleLeaveStep(user, step, data, replyToken, schoolId) {
+  const studentId = data.get('studentId');
+
+  const relation = await prisma.parentStudent.findFirst({
+    where: { parentId: user.id, studentId },
+    include: {
+      student: {
+        select: { id: true, firstName: true, lastName: true }
+      }
+    }
+  });
+
+  if (!relation) {
+    await lineService.sendReplyMessage(replyToken, {
+      type: 'text',
+      text: '找不到學生資料。\nStudent not found.'
+    }, schoolId);
+    return;
+  }
+
+  const { student } = relation;
+  const date = data.get('date');
+
+  if (step === 'leave_student') {
+    await sendLeaveDatePicker(student, replyToken, schoolId);
+    return;
+  }
+
+  if (step === 'leave_date') {
+    await lineService.sendReplyMessage(replyToken, {
+      type: 'text',
+      text: `${date} 請假，請選擇假別：\nLeave on ${date}. Choose the type:`,
+      quickReply: {
+        items: LEAVE_TYPE_OPTIONS.map(option => ({
+          type: 'action',
+          action: {
+            type: 'postback',
+            label: option.label,
+            data: `action=leave_submit&studentId=${student.id}&date=${date}&type=${option.type}`,
+            displayText: option.label
+          }
+        }))
+      }
+    }, schoolId);
+    return;
+  }
+
+  let text;
+  try {
+    const { days } = await leaveRequestService.createLeaveRequest(user, {
+      studentId: student.id,
+      startDate: date,
+      type: data.get('type'),
+      source: 'LINE'
+    });
+
+    const classNames = [...new Set(days.map(d => d.classData.name))].join('、');
+    text = `已送出 ${student.firstName} ${date} 的請假申請（${classNames}），老師核准後會通知您。\n` +
+           `Leave request submitted. We'll let you know once the teacher approves it.`;
+  } catch (error) {
+    if (!error.isOperational) throw error;
+    text = `${error.messageZh}\n${error.message}`;
+  }
+
+  await lineService.sendReplyMessage(replyToken, { type: 'text', text }, schoolId);
+}
+
+/**
+ * Approve or reject a leave request from the teacher's LINE buttons
+ */
+async function handleLeaveReview(user, leaveRequestId, approve, replyToken, schoolId) {
+  if (!['ADMIN', 'MANAGER', 'TEACHER'].includes(user.role)) {
+    await lineService.sendReplyMessage(replyToken, {
+      type: 'text',
+      text: '此功能僅供教職員使用。\nThis feature is for staff only.'
+    }, schoolId);
+    return;
+  }
+
+  let text;
+  try {
+    const { attendanceMarked } = await leaveRequestService.reviewLeaveRequest(leaveRequestId, user, approve);
+    text = approve
+      ? `已核准請假，${attendanceMarked} 堂課已記錄為請假。\nLeave approved; ${attendanceMarked} class(es) marked excused.`
+      : `已退回請假申請。\nLeave request rejected.`;
+  } catch (error) {
+    if (!error.isOperational) throw error;
+    text = `${error.messageZh}\n${error.message}`;
+  }
+
+  await lineService.sendReplyMessage(replyToken, { type: 'text', text }, schoolId);
 }
 
 /**
  * Handle new follower
  */
-async function handleFollowEvent(event) {
+async function handleFollowEvent(event, schoolId) {
   const lineUserId = event.source.userId;
   const replyToken = event.replyToken;
 
   // Check if user exists
-  const user = await prisma.user.findUnique({
-    where: { lineUserId }
+  const user = await prisma.user.findFirst({
+    where: { lineUserId, ...(schoolId && { schoolId }) }
   });
 
   if (user) {
@@ -447,7 +835,7 @@ async function handleFollowEvent(event) {
             `Welcome back, ${user.firstName}!\n\n` +
             `輸入「幫助」或「help」查看可用指令。\n` +
             `Type "help" to see available commands.`
-    });
+    }, schoolId);
   } else {
     // New follower - registration prompt
     await lineService.sendReplyMessage(replyToken, [
@@ -460,19 +848,19 @@ async function handleFollowEvent(event) {
               'Please register through our website or app first, ' +
               'then link your LINE account in settings.'
       }
-    ]);
+    ], schoolId);
   }
 }
 
 /**
  * Handle unfollow (user blocked the bot)
  */
-async function handleUnfollowEvent(event) {
+async function handleUnfollowEvent(event, schoolId) {
   const lineUserId = event.source.userId;
   
   // Optionally update user record
-  const user = await prisma.user.findUnique({
-    where: { lineUserId }
+  const user = await prisma.user.findFirst({
+    where: { lineUserId, ...(schoolId && { schoolId }) }
   });
 
   if (user) {
@@ -484,16 +872,21 @@ async function handleUnfollowEvent(event) {
 /**
  * Handle postback events (from buttons/quick replies)
  */
-async function handlePostbackEvent(event) {
+async function handlePostbackEvent(event, schoolId) {
   const { postback, replyToken, source } = event;
   const lineUserId = source.userId;
   const data = new URLSearchParams(postback.data);
   const action = data.get('action');
 
+  // Date picker actions return the chosen date in params
+  if (postback.params?.date) {
+    data.set('date', postback.params.date);
+  }
+
   console.log('Postback action:', action, data);
 
-  const user = await prisma.user.findUnique({
-    where: { lineUserId }
+  const user = await prisma.user.findFirst({
+    where: { lineUserId, ...(schoolId && { schoolId }) }
   });
 
   if (!user) {
@@ -502,18 +895,42 @@ async function handlePostbackEvent(event) {
 
   switch (action) {
     case 'view_attendance':
-      await sendAttendanceSummary(user, replyToken);
+      await sendAttendanceSummary(user, replyToken, schoolId);
       break;
       
     case 'view_homework':
-      await sendHomeworkSummary(user, replyToken);
+      await sendHomeworkSummary(user, replyToken, schoolId);
+      break;
+
+    case 'waitlist_accept':
+    case 'waitlist_decline':
+      await handleWaitlistResponse(user, data.get('enrollmentId'), action === 'waitlist_accept', replyToken, schoolId);
+      break;
+
+    case 'leave_start':
+      await startLeaveRequest(user, replyToken, schoolId);
+      break;
+
+    case 'leave_student':
+    case 'leave_date':
+    case 'leave_submit':
+      await handleLeaveStep(user, action, data, replyToken, schoolId);
+      break;
+
+    case 'leave_approve':
+    case 'leave_reject':
+      await handleLeaveReview(user, data.get('leaveRequestId'), action === 'leave_approve', replyToken, schoolId);
+      break;
+
+    case 'homework_submit':
+      await handleHomeworkChoice(user, data, replyToken, schoolId);
       break;
       
     default:
       await lineService.sendReplyMessage(replyToken, {
         type: 'text',
         text: '未知的操作。\nUnknown action.'
-      });
+      }, schoolId);
   }
 }
 
@@ -7,9 +7,15 @@ import { authenticate } from '../middleware/auth.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
 import lineService from '../services/lineService.js';
 import translationService from '../services/translationService.js';
+import fileService from '../services/fileService.js';
 
 const router = Router();
 
+const signMessage = (message) => ({
+  ...message,
+  attachments: fileService.signAttachments(message.attachments)
+});
+
 /**
  * GET /api/messages
  * Get messages for current user
@@ -88,7 +94,7 @@ router.get('/', authenticate, asyncHandler(async (req, res) => {
   res.json({
     success: true,
     data: {
-      messages,
+      messages: messages.map(signMessage),
       pagination: {
         page: parseInt(page),
         limit: parseInt(limit),
@@ -251,6 +257,10 @@ router.post('/', authenticate, asyncHandler(async (req, res) => {
     });
   }
 
+  const storedAttachments = attachments
+    ? await fileService.resolveAttachments(req.user, attachments, 'MESSAGE')
+    : [];
+
   // Detect source language
   const sourceLang = translationService.detectLanguage(text);
   const targetLang = sourceLang === 'zh-TW' ? 'en' : 'zh-TW';
@@ -311,7 +321,7 @@ router.post('/', authenticate, asyncHandler(async (req, res) => {
         translatedText,
         translatedLang: targetLang,
         isAnnouncement: true,
-        attachments: attachments || []
+        attachments: storedAttachments
       },
       include: {
         sender: {
@@ -349,7 +359,7 @@ router.post('/', authenticate, asyncHandler(async (req, res) => {
             `來自：${req.user.firstName} ${req.user.lastName}\n\n` +
             (sourceLang === 'zh-TW' ? text : translatedText || text);
 
-          await lineService.sendMulticast(lineUserIds, lineMessage);
+          await lineService.sendMulticast(lineUserIds, lineMessage, req.user.schoolId);
         } catch (error) {
           console.error('Failed to send LINE announcement:', error);
         }
@@ -358,7 +368,7 @@ router.post('/', authenticate, asyncHandler(async (req, res) => {
 
     return res.status(201).json({
       success: true,
-      data: { message, isAnnouncement: true }
+      data: { message: signMessage(message), isAnnouncement: true }
     });
   }
 
@@ -398,7 +408,7 @@ router.post('/', authenticate, asyncHandler(async (req, res) => {
       translatedText,
       translatedLang: targetLang,
       sentViaLine: sendViaLine && !!recipient.lineUserId,
-      attachments: attachments || []
+      attachments: storedAttachments
     },
     include: {
       sender: {
@@ -429,7 +439,7 @@ router.post('/', authenticate, asyncHandler(async (req, res) => {
 
       const lineMessage = `📩 來自 ${req.user.firstName} ${req.user.lastName} 的訊息：\n\n${lineText}`;
       
-      await lineService.sendPushMessage(recipient.lineUserId, lineMessage);
+      await lineService.sendPushMessage(recipient.lineUserId, lineMessage, req.user.schoolId);
     } catch (error) {
       console.error('Failed to send LINE message:', error);
     }
@@ -437,7 +447,7 @@ router.post('/', authenticate, asyncHandler(async (req, res) => {
 
   res.status(201).json({
     success: true,
-    data: { message }
+    data: { message: signMessage(message) }
   });
 }));
 
@@ -571,7 +581,7 @@ router.get('/:id', authenticate, asyncHandler(async (req, res) => {
 
   res.json({
     success: true,
-    data: { message }
+    data: { message: signMessage(message) }
   });
 }));
 
@@ -1,6 +1,10 @@
 import express from 'express'
 import { PrismaClient } from '@prisma/client'
 import { authenticate, authorize } from '../middleware/auth.js'
+import leaveRequestService from '../services/leaveRequestService.js'
+import fileService from '../services/fileService.js'
+import examService from '../services/examService.js'
+import paymentService from '../services/paymentService.js'
 import { format, startOfMonth, endOfMonth, subMonths, startOfWeek, endOfWeek, eachDayOfInterval, isToday, isFuture } from 'date-fns'
 
 const router = express.Router()
@@ -106,7 +110,7 @@ router.get('/dashboard', async (req, res, next) => {
     const pendingInvoices = await prisma.invoice.findMany({
       where: {
         studentId: { in: childIds },
-        status: { in: ['PENDING', 'OVERDUE'] }
+        status: { in: ['PENDING', 'PARTIALLY_PAID', 'OVERDUE'] }
       },
       include: {
         student: { select: { firstName: true, lastName: true } }
@@ -187,7 +191,7 @@ router.get('/children', async (req, res, next) => {
     })
 
     const children = relations.map(r => ({
-      ...r.student,
+      ...fileService.signStudentPhoto(r.student),
       relationship: r.relationship,
       isPrimary: r.isPrimary
     }))
@@ -232,7 +236,10 @@ router.get('/children/:id', async (req, res, next) => {
       }
     })
 
-    res.json({ success: true, data: { student } })
+    // Quiz and exam results with the child's place in the class
+    const exams = await examService.getStudentExamHistory(id)
+
+    res.json({ success: true, data: { student: fileService.signStudentPhoto(student), exams } })
   } catch (error) {
     next(error)
   }
@@ -380,11 +387,16 @@ router.get('/children/:id/homework', async (req, res, next) => {
         className: hw.class.name,
         dueDate: hw.dueDate,
         maxScore: hw.maxScore,
+        attachments: fileService.signAttachments(hw.attachments),
+        rubricCriteria: hw.rubricCriteria,
         status: homeworkStatus,
         submission: submission ? {
           submittedAt: submission.submittedAt,
+          attachments: fileService.signAttachments(submission.attachments),
           score: submission.score,
+          criterionScores: submission.criterionScores,
           feedback: submission.feedback,
+          feedbackTranslated: submission.feedbackTranslated,
           gradedAt: submission.gradedAt
         } : null
       }
@@ -450,18 +462,33 @@ router.get('/children/:id/invoices', async (req, res, next) => {
       })
     }
 
-    const invoices = await prisma.invoice.findMany({
-      where: { studentId: id },
-      include: { items: true },
-      orderBy: { issueDate: 'desc' }
-    })
+    const [found, creditBalances] = await Promise.all([
+      prisma.invoice.findMany({
+        where: { studentId: id },
+        include: {
+          items: true,
+          creditNotes: true,
+          payments: {
+            where: { voidedAt: null },
+            select: { id: true, amount: true, method: true, paidAt: true, receiptNumber: true, createdAt: true }
+          }
+        },
+        orderBy: { issueDate: 'desc' }
+      }),
+      paymentService.getCreditBalances([id])
+    ])
+    const invoices = found.map(i => ({ ...i, balance: paymentService.getInvoiceBalance(i) }))
 
     // Stats
+    const open = invoices.filter(i => paymentService.OPEN_STATUSES.includes(i.status))
     const stats = {
-      total: invoices.reduce((sum, i) => sum + i.amount, 0),
-      paid: invoices.filter(i => i.status === 'PAID').reduce((sum, i) => sum + i.paidAmount, 0),
-      pending: invoices.filter(i => i.status === 'PENDING').reduce((sum, i) => sum + i.amount, 0),
-      overdue: invoices.filter(i => i.status === 'OVERDUE').reduce((sum, i) => sum + i.amount, 0)
+      total: invoices.filter(i => i.status !== 'CANCELLED').reduce((sum, i) => sum + i.balance.amount, 0),
+      paid: invoices
+        .flatMap(i => i.payments.filter(p => p.method !== 'ACCOUNT_CREDIT'))
+        .reduce((sum, p) => sum + Number(p.amount), 0),
+      pending: open.filter(i => i.status !== 'OVERDUE').reduce((sum, i) => sum + i.balance.balanceDue, 0),
+      overdue: open.filter(i => i.status === 'OVERDUE').reduce((sum, i) => sum + i.balance.balanceDue, 0),
+      accountCredit: Math.max(creditBalances.get(id), 0)
     }
 
     res.json({
@@ -476,6 +503,85 @@ router.get('/children/:id/invoices', async (req, res, next) => {
   }
 })
 
+// ============================================
+// LEAVE REQUESTS (請假)
+// ============================================
+
+// GET /api/parent/leave-requests - Get leave requests for parent's children
+router.get('/leave-requests', async (req, res, next) => {
+  try {
+    const parentId = req.user.id
+    const { studentId, status } = req.query
+
+    const leaveRequests = await prisma.leaveRequest.findMany({
+      where: {
+        student: { parentRelations: { some: { parentId } } },
+        ...(studentId && { studentId }),
+        ...(status && { status })
+      },
+      include: {
+        student: { select: { id: true, firstName: true, lastName: true } },
+        class: { select: { id: true, name: true } },
+        reviewedBy: { select: { firstName: true, lastName: true } }
+      },
+      orderBy: { startDate: 'desc' },
+      take: 50
+    })
+
+    res.json({ success: true, data: { leaveRequests } })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// POST /api/parent/leave-requests - Request leave for a child
+router.post('/leave-requests', async (req, res, next) => {
+  try {
+    const { studentId, classId, startDate, endDate, type, reason } = req.body
+
+    const { leaveRequest, days, teachersNotified } = await leaveRequestService.createLeaveRequest(req.user, {
+      studentId,
+      classId,
+      startDate,
+      endDate,
+      type,
+      reason
+    })
+
+    res.status(201).json({
+      success: true,
+      data: {
+        leaveRequest,
+        classDays: days.map(d => ({
+          className: d.classData.name,
+          date: d.date.toISOString().slice(0, 10)
+        })),
+        teachersNotified,
+        message: 'Leave request submitted / 請假申請已送出'
+      }
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
+// POST /api/parent/leave-requests/:id/cancel - Withdraw a leave request
+router.post('/leave-requests/:id/cancel', async (req, res, next) => {
+  try {
+    const leaveRequest = await leaveRequestService.cancelLeaveRequest(req.params.id, req.user)
+
+    res.json({
+      success: true,
+      data: {
+        leaveRequest,
+        message: 'Leave request cancelled / 請假申請已取消'
+      }
+    })
+  } catch (error) {
+    next(error)
+  }
+})
+
 // GET /api/parent/messages - Get messages for parent
 router.get('/messages', async (req, res, next) => {
   try {
@@ -1,11 +1,19 @@
 import express from 'express'
 import { PrismaClient } from '@prisma/client'
 import { authenticate, authorize } from '../middleware/auth.js'
-import { format, startOfMonth, endOfMonth, startOfWeek, endOfWeek, subMonths, eachDayOfInterval, parseISO } from 'date-fns'
+import { format, startOfMonth, endOfMonth, startOfWeek, endOfWeek, subMonths, eachDayOfInterval, parseISO, differenceInCalendarDays } from 'date-fns'
+import calendarService from '../services/calendarService.js'
+import sessionService from '../services/sessionService.js'
+import attendanceExportService from '../services/attendanceExportService.js'
+import gradebookService from '../services/gradebookService.js'
+import examService from '../services/examService.js'
 
 const router = express.Router()
 const prisma = new PrismaClient()
 
+const EXPORT_FORMATS = ['csv', 'matrix', 'xlsx']
+const MAX_MATRIX_DAYS = 92
+
 // All routes require authentication
 router.use(authenticate)
 
@@ -45,19 +53,23 @@ router.get('/attendance', authorize('ADMIN', 'MANAGER', 'TEACHER'), async (req,
       where.classId = { in: teacherClasses.map(c => c.id) }
     }
 
-    // Get all attendance records
-    const attendance = await prisma.attendance.findMany({
-      where,
-      include: {
-        student: {
-          select: { id: true, firstName: true, lastName: true, englishName: true }
+    // Get all attendance records, leaving out days the school was closed
+    const [records, closedDates] = await Promise.all([
+      prisma.attendance.findMany({
+        where,
+        include: {
+          student: {
+            select: { id: true, firstName: true, lastName: true, englishName: true }
+          },
+          class: {
+            select: { id: true, name: true }
+          }
         },
-        class: {
-          select: { id: true, name: true }
-        }
-      },
-      orderBy: { date: 'asc' }
-    })
+        orderBy: { date: 'asc' }
+      }),
+      calendarService.getClosedDates(schoolId, format(start, 'yyyy-MM-dd'), format(end, 'yyyy-MM-dd'))
+    ])
+    const attendance = records.filter(a => !closedDates.has(sessionService.formatDateOnly(a.date)))
 
     // Calculate summary statistics
     const total = attendance.length
@@ -139,7 +151,9 @@ router.get('/attendance', authorize('ADMIN', 'MANAGER', 'TEACHER'), async (req,
           dateRange: {
             start: format(start, 'yyyy-MM-dd'),
             end: format(end, 'yyyy-MM-dd')
-          }
+          },
+          calendar: calendarService.summarizeClosedDates(closedDates, format(start, 'yyyy-MM-dd'), format(end, 'yyyy-MM-dd')),
+          excludedClosedDayRecords: records.length - attendance.length
         },
         groupedData,
         records: attendance
@@ -150,70 +164,165 @@ router.get('/attendance', authorize('ADMIN', 'MANAGER', 'TEACHER'), async (req,
   }
 })
 
-// GET /api/reports/attendance/export - Export to CSV/Excel format
+// GET /api/reports/attendance/export - Export attendance
+// format: csv (one row per record), matrix (students × dates CSV) or xlsx (one matrix sheet per class)
+// Range: month=YYYY-MM, or startDate/endDate (defaults to the current month)
 router.get('/attendance/export', authorize('ADMIN', 'MANAGER', 'TEACHER'), async (req, res, next) => {
   try {
-    const { classId, startDate, endDate, format: exportFormat = 'csv' } = req.query
-    const schoolId = req.user.schoolId
+    const { classId, startDate, endDate, month, format: exportFormat = 'csv' } = req.query
+
+    if (!EXPORT_FORMATS.includes(exportFormat)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_FORMAT',
+          message: `format must be one of ${EXPORT_FORMATS.join(', ')}`,
+          messageZh: '不支援的匯出格式'
+        }
+      })
+    }
 
-    const start = startDate ? parseISO(startDate) : startOfMonth(new Date())
-    const end = endDate ? parseISO(endDate) : endOfMonth(new Date())
+    let start
+    let end
+    if (month) {
+      if (!/^\d{4}-\d{2}$/.test(month)) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'INVALID_MONTH',
+            message: 'month must be YYYY-MM',
+            messageZh: '月份格式應為 YYYY-MM'
+          }
+        })
+      }
+      start = parseISO(`${month}-01`)
+      end = endOfMonth(start)
+    } else {
+      start = startDate ? parseISO(startDate) : startOfMonth(new Date())
+      end = endDate ? parseISO(endDate) : endOfMonth(new Date())
+    }
 
-    const where = {
-      student: { schoolId },
-      date: { gte: start, lte: end }
+    if (isNaN(start) || isNaN(end) || start > end) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_DATE_RANGE',
+          message: 'Invalid date range',
+          messageZh: '無效的日期區間'
+        }
+      })
     }
 
-    if (classId) where.classId = classId
+    // Matrix columns are days, so keep matrix exports to a term-sized range
+    if (exportFormat !== 'csv' && differenceInCalendarDays(end, start) > MAX_MATRIX_DAYS) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'RANGE_TOO_LONG',
+          message: `Matrix exports cover at most ${MAX_MATRIX_DAYS} days`,
+          messageZh: `矩陣匯出最多 ${MAX_MATRIX_DAYS} 天`
+        }
+      })
+    }
 
-    if (req.user.role === 'TEACHER') {
-      const teacherClasses = await prisma.class.findMany({
-        where: { teacherId: req.user.id },
-        select: { id: true }
+    const startKey = format(start, 'yyyy-MM-dd')
+    const endKey = format(end, 'yyyy-MM-dd')
+    const classes = await attendanceExportService.getExportClasses(req.user, classId)
+    const fileName = `attendance-${month || `${format(start, 'yyyyMMdd')}-${format(end, 'yyyyMMdd')}`}`
+
+    if (exportFormat === 'csv') {
+      const attendance = await prisma.attendance.findMany({
+        where: {
+          classId: { in: classes.map(c => c.id) },
+          date: { gte: sessionService.toDateOnly(startKey), lte: sessionService.toDateOnly(endKey) }
+        },
+        include: {
+          student: { select: { firstName: true, lastName: true, englishName: true } },
+          class: { select: { name: true } }
+        },
+        orderBy: [{ date: 'asc' }, { class: { name: 'asc' } }]
       })
-      where.classId = { in: teacherClasses.map(c => c.id) }
+
+      const headers = ['日期 Date', '班級 Class', '姓名 Name', '英文名 English Name', '狀態 Status', '原因 Reason', '備註 Notes']
+
+      const rows = attendance.map(record => [
+        sessionService.formatDateOnly(record.date),
+        record.class.name,
+        `${record.student.lastName}${record.student.firstName}`,
+        record.student.englishName || '',
+        attendanceExportService.STATUS_LABELS[record.status] || record.status,
+        record.reason || '',
+        record.notes || ''
+      ])
+
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8')
+      res.setHeader('Content-Disposition', `attachment; filename="${fileName}.csv"`)
+      return res.send(attendanceExportService.toCsv([headers, ...rows]))
     }
 
-    const attendance = await prisma.attendance.findMany({
-      where,
-      include: {
-        student: { select: { firstName: true, lastName: true, englishName: true } },
-        class: { select: { name: true } }
-      },
-      orderBy: [{ date: 'asc' }, { class: { name: 'asc' } }]
+    const matrices = await attendanceExportService.buildMatrices(classes, req.user.schoolId, startKey, endKey)
+
+    if (exportFormat === 'matrix') {
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8')
+      res.setHeader('Content-Disposition', `attachment; filename="${fileName}-matrix.csv"`)
+      return res.send(attendanceExportService.matricesToCsv(matrices))
+    }
+
+    const buffer = await attendanceExportService.buildWorkbook(matrices, {
+      title: month ? `${month} 出席表` : `${startKey} ~ ${endKey} 出席表`
+    })
+
+    res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet')
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}.xlsx"`)
+    res.send(Buffer.from(buffer))
+  } catch (error) {
+    next(error)
+  }
+})
+
+// GET /api/reports/attendance/sign-in-sheets - Printable blank sign-in sheets (PDF) for a day's sessions
+router.get('/attendance/sign-in-sheets', authorize('ADMIN', 'MANAGER', 'TEACHER'), async (req, res, next) => {
+  try {
+    const { classId } = req.query
+
+    const school = await prisma.school.findUnique({
+      where: { id: req.user.schoolId },
+      select: { name: true, timezone: true }
     })
 
-    // Generate CSV
-    const headers = ['日期 Date', '班級 Class', '姓名 Name', '英文名 English Name', '狀態 Status', '原因 Reason', '備註 Notes']
-    const statusMap = {
-      PRESENT: '出席',
-      ABSENT: '缺席',
-      LATE: '遲到',
-      EXCUSED: '請假',
-      EARLY_LEAVE: '早退'
+    const date = req.query.date || calendarService.formatLocalDate(new Date(), school.timezone)
+
+    if (isNaN(parseISO(date))) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_DATE',
+          message: 'date must be a valid date (YYYY-MM-DD)',
+          messageZh: '無效的日期'
+        }
+      })
     }
 
-    const rows = attendance.map(record => [
-      format(record.date, 'yyyy-MM-dd'),
-      record.class.name,
-      `${record.student.lastName}${record.student.firstName}`,
-      record.student.englishName || '',
-      statusMap[record.status] || record.status,
-      record.reason || '',
-      record.notes || ''
-    ])
+    const classes = await attendanceExportService.getExportClasses(req.user, classId)
+    const sessions = await attendanceExportService.getSignInSessions(classes, req.user.schoolId, date)
 
-    const csvContent = [
-      headers.join(','),
-      ...rows.map(row => row.map(cell => `"${cell}"`).join(','))
-    ].join('\n')
+    if (sessions.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'NO_SESSIONS',
+          message: 'No classes are held on this date',
+          messageZh: '當天沒有課程'
+        }
+      })
+    }
 
-    // Add BOM for Excel to recognize UTF-8
-    const BOM = '\uFEFF'
-    
-    res.setHeader('Content-Type', 'text/csv; charset=utf-8')
-    res.setHeader('Content-Disposition', `attachment; filename="attendance-report-${format(new Date(), 'yyyyMMdd')}.csv"`)
-    res.send(BOM + csvContent)
+    const doc = attendanceExportService.buildSignInSheets(sessions, { schoolName: school.name })
+
+    res.setHeader('Content-Type', 'application/pdf')
+    res.setHeader('Content-Disposition', `attachment; filename="sign-in-${date}.pdf"`)
+    doc.pipe(res)
+    doc.end()
   } catch (error) {
     next(error)
   }
@@ -308,6 +417,9 @@ router.get('/students/:id', authorize('ADMIN', 'MANAGER', 'TEACHER', 'PARENT'),
       homeworkStats.averageScore = (totalPercentage / gradedWithScores.length).toFixed(1)
     }
 
+    // Weighted term grades from each class's gradebook
+    const termGrades = await gradebookService.getStudentTermGrades(id, student.schoolId)
+
     res.json({
       success: true,
       data: {
@@ -315,6 +427,7 @@ router.get('/students/:id', authorize('ADMIN', 'MANAGER', 'TEACHER', 'PARENT'),
         attendanceStats,
         attendanceRecords: attendance.slice(0, 50),
         homeworkStats,
+        termGrades,
         recentSubmissions: submissions
       }
     })
@@ -352,13 +465,21 @@ router.get('/classes/:id', authorize('ADMIN', 'MANAGER', 'TEACHER'), async (req,
     // Get attendance for all students in class
     const studentIds = classData.enrollments.map(e => e.student.id)
     
-    const attendance = await prisma.attendance.findMany({
-      where: {
-        classId: id,
-        studentId: { in: studentIds },
-        date: { gte: start, lte: end }
-      }
-    })
+    const [records, closedDates] = await Promise.all([
+      prisma.attendance.findMany({
+        where: {
+          classId: id,
+          studentId: { in: studentIds },
+          date: { gte: start, lte: end }
+        }
+      }),
+      calendarService.getClosedDates(classData.schoolId, format(start, 'yyyy-MM-dd'), format(end, 'yyyy-MM-dd'))
+    ])
+    const attendance = records.filter(a => !closedDates.has(sessionService.formatDateOnly(a.date)))
+
+    // Class days in the range per the weekly schedule, minus holidays and closures
+    const classDays = sessionService.getSessionDates(sessionService.parseDaysOfWeek(classData.dayOfWeek), format(start, 'yyyy-MM-dd'), format(end, 'yyyy-MM-dd'))
+    const heldClassDays = classDays.filter(d => !closedDates.has(sessionService.formatDateOnly(d)))
 
     // Calculate per-student stats
     const studentStats = classData.enrollments.map(enrollment => {
@@ -382,6 +503,8 @@ router.get('/classes/:id', authorize('ADMIN', 'MANAGER', 'TEACHER'), async (req,
     const classStats = {
       totalStudents: studentIds.length,
       totalRecords,
+      scheduledClassDays: classDays.length,
+      heldClassDays: heldClassDays.length,
       averageAttendanceRate: studentStats.length > 0
         ? (studentStats.reduce((sum, s) => sum + parseFloat(s.attendanceRate), 0) / studentStats.length).toFixed(1)
         : 0,
@@ -411,14 +534,23 @@ router.get('/classes/:id', authorize('ADMIN', 'MANAGER', 'TEACHER'), async (req,
       completionRate: ((hw.submissions.length / studentIds.length) * 100).toFixed(1)
     }))
 
+    // Quiz and exam results in the range, with each student's placing over time
+    const examStats = await examService.getClassExamSummaries(id, { start, end })
+    const examTrends = examService.buildStudentTrends(examStats)
+    studentStats.forEach(s => {
+      s.examTrend = examTrends.get(s.student.id) || []
+    })
+
     res.json({
       success: true,
       data: {
         class: classData,
         dateRange: { start: format(start, 'yyyy-MM-dd'), end: format(end, 'yyyy-MM-dd') },
+        calendar: calendarService.summarizeClosedDates(closedDates, format(start, 'yyyy-MM-dd'), format(end, 'yyyy-MM-dd')),
         classStats,
         studentStats,
-        homeworkStats
+        homeworkStats,
+        examStats
       }
     })
   } catch (error) {
@@ -464,7 +596,7 @@ router.get('/overview', authorize('ADMIN', 'MANAGER'), async (req, res, next) =>
     const pendingInvoices = await prisma.invoice.count({
       where: { 
         student: { schoolId },
-        status: { in: ['PENDING', 'OVERDUE'] }
+        status: { in: ['PENDING', 'PARTIALLY_PAID', 'OVERDUE'] }
       }
     })
 
@@ -0,0 +1,236 @@
+// Rubric Routes
+// Handles the school's reusable rubric templates for grading homework
+
+import { Router } from 'express';
+import prisma from '../config/database.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import rubricService from '../services/rubricService.js';
+
+const router = Router();
+
+const createdBySelect = {
+  select: {
+    id: true,
+    firstName: true,
+    lastName: true
+  }
+};
+
+const withTotal = (rubric) => ({
+  ...rubric,
+  totalPoints: rubricService.getTotalPoints(rubric.criteria)
+});
+
+/**
+ * GET /api/rubrics
+ * List the school's rubrics (archived ones only with includeArchived=true)
+ */
+router.get('/',
+  authenticate,
+  authorize('ADMIN', 'MANAGER', 'TEACHER'),
+  asyncHandler(async (req, res) => {
+    const { includeArchived } = req.query;
+
+    const rubrics = await prisma.rubric.findMany({
+      where: {
+        schoolId: req.user.schoolId,
+        ...(includeArchived !== 'true' && { isActive: true })
+      },
+      include: {
+        createdBy: createdBySelect,
+        _count: { select: { homework: true } }
+      },
+      orderBy: { name: 'asc' }
+    });
+
+    res.json({
+      success: true,
+      data: { rubrics: rubrics.map(withTotal) }
+    });
+  })
+);
+
+/**
+ * GET /api/rubrics/:id
+ * Get rubric details
+ */
+router.get('/:id',
+  authenticate,
+  authorize('ADMIN', 'MANAGER', 'TEACHER'),
+  asyncHandler(async (req, res) => {
+    const rubric = await prisma.rubric.findFirst({
+      where: { id: req.params.id, schoolId: req.user.schoolId },
+      include: {
+        createdBy: createdBySelect,
+        _count: { select: { homework: true } }
+      }
+    });
+
+    if (!rubric) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'RUBRIC_NOT_FOUND',
+          message: 'Rubric not found',
+          messageZh: '找不到評分標準'
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { rubric: withTotal(rubric) }
+    });
+  })
+);
+
+/**
+ * POST /api/rubrics
+ * Create a rubric
+ * criteria: [{ name, description, maxPoints }]
+ */
+router.post('/',
+  authenticate,
+  authorize('ADMIN', 'MANAGER', 'TEACHER'),
+  asyncHandler(async (req, res) => {
+    const { name, description, criteria } = req.body;
+
+    if (!name?.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'MISSING_FIELDS',
+          message: 'Rubric name is required',
+          messageZh: '請填寫評分標準名稱'
+        }
+      });
+    }
+
+    const rubric = await prisma.rubric.create({
+      data: {
+        name: name.trim(),
+        description,
+        criteria: rubricService.normalizeCriteria(criteria),
+        schoolId: req.user.schoolId,
+        createdById: req.user.id
+      },
+      include: { createdBy: createdBySelect }
+    });
+
+    res.status(201).json({
+      success: true,
+      data: { rubric: withTotal(rubric) }
+    });
+  })
+);
+
+/**
+ * PUT /api/rubrics/:id
+ * Update a rubric
+ * Homework keeps the criteria it was given, so edits only affect homework the rubric is attached to later
+ */
+router.put('/:id',
+  authenticate,
+  authorize('ADMIN', 'MANAGER', 'TEACHER'),
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { name, description, criteria, isActive } = req.body;
+
+    const existingRubric = await prisma.rubric.findFirst({
+      where: { id, schoolId: req.user.schoolId }
+    });
+
+    if (!existingRubric) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'RUBRIC_NOT_FOUND',
+          message: 'Rubric not found',
+          messageZh: '找不到評分標準'
+        }
+      });
+    }
+
+    // Teachers can only edit their own rubrics
+    if (req.user.role === 'TEACHER' && existingRubric.createdById !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'FORBIDDEN',
+          message: 'Cannot edit this rubric',
+          messageZh: '無法編輯此評分標準'
+        }
+      });
+    }
+
+    const rubric = await prisma.rubric.update({
+      where: { id },
+      data: {
+        ...(name?.trim() && { name: name.trim() }),
+        ...(description !== undefined && { description }),
+        ...(criteria !== undefined && { criteria: rubricService.normalizeCriteria(criteria) }),
+        ...(isActive !== undefined && { isActive })
+      },
+      include: { createdBy: createdBySelect }
+    });
+
+    res.json({
+      success: true,
+      data: { rubric: withTotal(rubric) }
+    });
+  })
+);
+
+/**
+ * DELETE /api/rubrics/:id
+ * Archive a rubric (homework graded with it keeps its criteria)
+ */
+router.delete('/:id',
+  authenticate,
+  authorize('ADMIN', 'MANAGER', 'TEACHER'),
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const existingRubric = await prisma.rubric.findFirst({
+      where: { id, schoolId: req.user.schoolId }
+    });
+
+    if (!existingRubric) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'RUBRIC_NOT_FOUND',
+          message: 'Rubric not found',
+          messageZh: '找不到評分標準'
+        }
+      });
+    }
+
+    if (req.user.role === 'TEACHER' && existingRubric.createdById !== req.user.id) {
+      return res.status(403).json({
+        success: false,
+        error: {
+          code: 'FORBIDDEN',
+          message: 'Cannot archive this rubric',
+          messageZh: '無法封存此評分標準'
+        }
+      });
+    }
+
+    await prisma.rubric.update({
+      where: { id },
+      data: { isActive: false }
+    });
+
+    res.json({
+      success: true,
+      data: {
+        message: 'Rubric archived',
+        messageZh: '評分標準已封存'
+      }
+    });
+  })
+);
+
+export default router;
@@ -5,9 +5,20 @@ import { Router } from 'express';
 import prisma from '../config/database.js';
 import { authenticate, authorize, verifySchoolAccess } from '../middleware/auth.js';
 import { asyncHandler, AppError } from '../middleware/errorHandler.js';
+import calendarService from '../services/calendarService.js';
+import eInvoiceService from '../services/eInvoiceService.js';
 
 const router = Router();
 
+/**
+ * Strip stored LINE and e-invoice credentials from a school before returning it
+ */
+const sanitizeSchool = ({ lineChannelSecret, lineAccessToken, eInvoiceHashKey, eInvoiceHashIv, ...school }) => ({
+  ...school,
+  lineConfigured: !!(lineChannelSecret && lineAccessToken),
+  eInvoiceConfigured: !!school.eInvoiceProvider
+});
+
 /**
  * POST /api/schools
  * Create a new school (typically done during onboarding)
@@ -79,7 +90,7 @@ router.get('/:id', authenticate, verifySchoolAccess, asyncHandler(async (req, re
 
   res.json({
     success: true,
-    data: { school }
+    data: { school: sanitizeSchool(school) }
   });
 }));
 
@@ -108,7 +119,7 @@ router.put('/:id',
 
     res.json({
       success: true,
-      data: { school }
+      data: { school: sanitizeSchool(school) }
     });
   })
 );
@@ -138,7 +149,59 @@ router.put('/:id/line-config',
       success: true,
       data: {
         message: 'LINE configuration updated',
-        messageZh: 'LINE 設定已更新'
+        messageZh: 'LINE 設定已更新',
+        // Point the Official Account's webhook URL here
+        webhookPath: `/api/webhook/line/${school.id}`
+      }
+    });
+  })
+);
+
+/**
+ * PUT /api/schools/:id/e-invoice-config
+ * Choose the e-invoice provider ("ecpay", or "mock" for testing; null turns e-invoices off)
+ * { eInvoiceProvider, eInvoiceMerchantId, eInvoiceHashKey, eInvoiceHashIv }
+ * Keys left out are kept; tax type and unit word are settings.eInvoice
+ */
+router.put('/:id/e-invoice-config',
+  authenticate,
+  authorize('ADMIN'),
+  verifySchoolAccess,
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { eInvoiceProvider, eInvoiceMerchantId, eInvoiceHashKey, eInvoiceHashIv } = req.body;
+
+    if (eInvoiceProvider && !eInvoiceService.getEInvoiceProviderNames().includes(eInvoiceProvider)) {
+      throw new AppError(
+        'INVALID_EINVOICE_PROVIDER',
+        `eInvoiceProvider must be one of ${eInvoiceService.getEInvoiceProviderNames().join(', ')}`,
+        '無效的電子發票平台',
+        400
+      );
+    }
+
+    const data = {
+      eInvoiceProvider: eInvoiceProvider || null,
+      ...(eInvoiceMerchantId !== undefined && { eInvoiceMerchantId }),
+      ...(eInvoiceHashKey !== undefined && { eInvoiceHashKey }),
+      ...(eInvoiceHashIv !== undefined && { eInvoiceHashIv })
+    };
+
+    // Missing credentials fail here rather than on the first payment
+    const existing = await prisma.school.findUnique({ where: { id } });
+    eInvoiceService.getEInvoiceProvider({ ...existing, ...data });
+
+    const school = await prisma.school.update({
+      where: { id },
+      data
+    });
+
+    res.json({
+      success: true,
+      data: {
+        message: 'E-invoice configuration updated',
+        messageZh: '電子發票設定已更新',
+        school: sanitizeSchool(school)
       }
     });
   })
@@ -154,6 +217,10 @@ router.get('/:id/stats',
   asyncHandler(async (req, res) => {
     const { id } = req.params;
 
+    // Holidays and closures in the last 7 days are left out of the attendance rate
+    const weekStart = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+    const closedDates = await calendarService.getClosedDates(id, weekStart, new Date());
+
     // Get counts
     const [
       totalStudents,
@@ -174,7 +241,8 @@ router.get('/:id/stats',
         where: {
           class: { schoolId: id },
           date: {
-            gte: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000)
+            gte: weekStart,
+            notIn: Array.from(closedDates.keys(), date => new Date(date))
           }
         },
         _count: true
@@ -199,7 +267,8 @@ router.get('/:id/stats',
           parents: totalParents,
           attendance: {
             rate: parseFloat(attendanceRate),
-            breakdown: recentAttendance
+            breakdown: recentAttendance,
+            closedDays: closedDates.size
           }
         }
       }
@@ -0,0 +1,502 @@
+// Class Session Routes
+// Handles generated class sessions, cancellations, make-ups and room assignment
+
+import { Router } from 'express';
+import prisma from '../config/database.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import sessionService from '../services/sessionService.js';
+import calendarService from '../services/calendarService.js';
+import fileService from '../services/fileService.js';
+
+const router = Router();
+
+const TIME_REGEX = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Find a session in the user's school (teachers: own classes only)
+ */
+const findAccessibleSession = (id, user) => {
+  return prisma.classSession.findFirst({
+    where: {
+      id,
+      class: {
+        schoolId: user.schoolId,
+        ...(user.role === 'TEACHER' && { teacherId: user.id })
+      }
+    },
+    include: {
+      class: {
+        select: { id: true, name: true, teacherId: true }
+      }
+    }
+  });
+};
+
+/**
+ * GET /api/sessions
+ * List sessions with filters
+ */
+router.get('/', authenticate, asyncHandler(async (req, res) => {
+  const { classId, startDate, endDate, status, room, page = 1, limit = 100 } = req.query;
+
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+  const take = parseInt(limit);
+
+  const where = {
+    class: {
+      schoolId: req.user.schoolId,
+      ...(req.user.role === 'TEACHER' && { teacherId: req.user.id })
+    },
+    ...(classId && { classId }),
+    ...(status && { status }),
+    ...(room && { room }),
+    ...((startDate || endDate) && {
+      date: {
+        ...(startDate && { gte: sessionService.toDateOnly(startDate) }),
+        ...(endDate && { lte: sessionService.toDateOnly(endDate) })
+      }
+    })
+  };
+
+  const [sessions, total] = await Promise.all([
+    prisma.classSession.findMany({
+      where,
+      include: {
+        class: {
+          select: { id: true, name: true }
+        },
+        _count: {
+          select: { attendance: true }
+        }
+      },
+      orderBy: [
+        { date: 'asc' },
+        { startTime: 'asc' }
+      ],
+      skip,
+      take
+    }),
+    prisma.classSession.count({ where })
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      sessions: sessions.map(s => ({
+        ...s,
+        attendanceCount: s._count.attendance,
+        _count: undefined
+      })),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        totalPages: Math.ceil(total / parseInt(limit))
+      }
+    }
+  });
+}));
+
+/**
+ * POST /api/sessions/generate
+ * Generate sessions for a class from its weekly schedule over the term
+ */
+router.post('/generate',
+  authenticate,
+  authorize('ADMIN', 'MANAGER'),
+  asyncHandler(async (req, res) => {
+    const { classId, startDate, endDate, holidays, room } = req.body;
+
+    if (!classId) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'CLASS_REQUIRED',
+          message: 'classId is required',
+          messageZh: '需要班級 ID'
+        }
+      });
+    }
+
+    const classData = await prisma.class.findFirst({
+      where: { id: classId, schoolId: req.user.schoolId }
+    });
+
+    if (!classData) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'CLASS_NOT_FOUND',
+          message: 'Class not found',
+          messageZh: '找不到班級'
+        }
+      });
+    }
+
+    // School calendar closures within the term become HOLIDAY sessions
+    const termStart = startDate || classData.startDate;
+    const termEnd = endDate || classData.endDate;
+    const closures = new Map();
+
+    if (termStart && termEnd) {
+      const closedDates = await calendarService.getClosedDates(req.user.schoolId, termStart, termEnd);
+      for (const [date, event] of closedDates) {
+        closures.set(date, calendarService.getEventLabel(event));
+      }
+    }
+
+    const result = await sessionService.generateSessions(classData, {
+      startDate,
+      endDate,
+      holidays: Array.isArray(holidays) ? holidays : [],
+      closures,
+      room
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        message: `${result.created} session(s) generated`,
+        messageZh: `已產生 ${result.created} 堂課`,
+        ...result
+      }
+    });
+  })
+);
+
+/**
+ * GET /api/sessions/:id
+ * Get a session with its attendance roster
+ */
+router.get('/:id', authenticate, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const session = await findAccessibleSession(id, req.user);
+
+  if (!session) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        code: 'SESSION_NOT_FOUND',
+        message: 'Session not found',
+        messageZh: '找不到課堂'
+      }
+    });
+  }
+
+  const [enrollments, attendance] = await Promise.all([
+    prisma.classEnrollment.findMany({
+      where: {
+        classId: session.classId,
+        status: 'ACTIVE',
+        enrollmentDate: { lte: new Date(session.date.getTime() + 86400000) }
+      },
+      include: {
+        student: {
+          select: {
+            id: true,
+            firstName: true,
+            lastName: true,
+            englishName: true,
+            photoUrl: true,
+            photoFileId: true
+          }
+        }
+      }
+    }),
+    prisma.attendance.findMany({
+      where: { sessionId: id }
+    })
+  ]);
+
+  const attendanceMap = new Map(attendance.map(a => [a.studentId, a]));
+
+  res.json({
+    success: true,
+    data: {
+      session: {
+        ...session,
+        held: sessionService.isSessionHeld(session),
+        attendanceTaken: attendance.length > 0
+      },
+      students: enrollments.map(e => ({
+        ...fileService.signStudentPhoto(e.student),
+        attendance: attendanceMap.get(e.student.id) || null
+      }))
+    }
+  });
+}));
+
+/**
+ * POST /api/sessions
+ * Add a one-off or make-up session
+ */
+router.post('/',
+  authenticate,
+  authorize('ADMIN', 'MANAGER', 'TEACHER'),
+  asyncHandler(async (req, res) => {
+    const { classId, date, startTime, endTime, room, notes, makeupForId } = req.body;
+
+    if (!classId || !date) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'MISSING_FIELDS',
+          message: 'classId and date are required',
+          messageZh: '需要班級 ID 和日期'
+        }
+      });
+    }
+
+    const classData = await prisma.class.findFirst({
+      where: {
+        id: classId,
+        schoolId: req.user.schoolId,
+        ...(req.user.role === 'TEACHER' && { teacherId: req.user.id })
+      }
+    });
+
+    if (!classData) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'CLASS_NOT_FOUND',
+          message: 'Class not found',
+          messageZh: '找不到班級'
+        }
+      });
+    }
+
+    const sessionStart = startTime || classData.startTime;
+    const sessionEnd = endTime || classData.endTime;
+
+    if (!TIME_REGEX.test(sessionStart || '') || !TIME_REGEX.test(sessionEnd || '') || sessionStart >= sessionEnd) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_TIME',
+          message: 'startTime and endTime must be HH:mm with startTime before endTime',
+          messageZh: '開始與結束時間格式須為 HH:mm，且開始時間須早於結束時間'
+        }
+      });
+    }
+
+    if (makeupForId) {
+      const original = await prisma.classSession.findFirst({
+        where: { id: makeupForId, classId }
+      });
+
+      if (!original || original.status !== 'CANCELLED') {
+        return res.status(400).json({
+          success: false,
+          error: {
+            code: 'INVALID_MAKEUP',
+            message: 'Make-up sessions must replace a cancelled session of the same class',
+            messageZh: '補課必須對應同一班級已取消的課堂'
+          }
+        });
+      }
+    }
+
+    const session = await prisma.classSession.create({
+      data: {
+        classId,
+        date: sessionService.toDateOnly(date),
+        startTime: sessionStart,
+        endTime: sessionEnd,
+        room: room || classData.room,
+        notes,
+        isMakeup: !!makeupForId,
+        makeupForId
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      data: { session }
+    });
+  })
+);
+
+/**
+ * PUT /api/sessions/:id
+ * Reschedule a session or change its room
+ */
+router.put('/:id',
+  authenticate,
+  authorize('ADMIN', 'MANAGER', 'TEACHER'),
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { date, startTime, endTime, room, notes, status } = req.body;
+
+    const existingSession = await findAccessibleSession(id, req.user);
+
+    if (!existingSession) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'SESSION_NOT_FOUND',
+          message: 'Session not found',
+          messageZh: '找不到課堂'
+        }
+      });
+    }
+
+    const nextStart = startTime || existingSession.startTime;
+    const nextEnd = endTime || existingSession.endTime;
+
+    if (!TIME_REGEX.test(nextStart) || !TIME_REGEX.test(nextEnd) || nextStart >= nextEnd) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_TIME',
+          message: 'startTime and endTime must be HH:mm with startTime before endTime',
+          messageZh: '開始與結束時間格式須為 HH:mm，且開始時間須早於結束時間'
+        }
+      });
+    }
+
+    // Cancelling goes through /cancel; only allow marking held sessions
+    if (status && !sessionService.HELD_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_STATUS',
+          message: 'Use POST /api/sessions/:id/cancel to cancel a session',
+          messageZh: '請使用取消課堂功能'
+        }
+      });
+    }
+
+    const session = await prisma.classSession.update({
+      where: { id },
+      data: {
+        ...(date && { date: sessionService.toDateOnly(date) }),
+        ...(startTime && { startTime }),
+        ...(endTime && { endTime }),
+        ...(room !== undefined && { room }),
+        ...(notes !== undefined && { notes }),
+        ...(status && { status, cancelReason: null })
+      }
+    });
+
+    res.json({
+      success: true,
+      data: { session }
+    });
+  })
+);
+
+/**
+ * POST /api/sessions/:id/cancel
+ * Cancel a session (status HOLIDAY for closures), optionally scheduling a make-up
+ */
+router.post('/:id/cancel',
+  authenticate,
+  authorize('ADMIN', 'MANAGER', 'TEACHER'),
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { reason, holiday = false, makeup } = req.body;
+
+    const existingSession = await findAccessibleSession(id, req.user);
+
+    if (!existingSession) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'SESSION_NOT_FOUND',
+          message: 'Session not found',
+          messageZh: '找不到課堂'
+        }
+      });
+    }
+
+    const operations = [
+      prisma.classSession.update({
+        where: { id },
+        data: {
+          status: holiday ? 'HOLIDAY' : 'CANCELLED',
+          cancelReason: reason
+        }
+      })
+    ];
+
+    // makeup: { date, startTime?, endTime?, room? }
+    if (makeup?.date) {
+      operations.push(
+        prisma.classSession.create({
+          data: {
+            classId: existingSession.classId,
+            date: sessionService.toDateOnly(makeup.date),
+            startTime: makeup.startTime || existingSession.startTime,
+            endTime: makeup.endTime || existingSession.endTime,
+            room: makeup.room || existingSession.room,
+            isMakeup: true,
+            makeupForId: id
+          }
+        })
+      );
+    }
+
+    const [session, makeupSession] = await prisma.$transaction(operations);
+
+    res.json({
+      success: true,
+      data: {
+        session,
+        makeupSession: makeupSession || null
+      }
+    });
+  })
+);
+
+/**
+ * DELETE /api/sessions/:id
+ * Delete a session that has no attendance recorded
+ */
+router.delete('/:id',
+  authenticate,
+  authorize('ADMIN', 'MANAGER'),
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const existingSession = await findAccessibleSession(id, req.user);
+
+    if (!existingSession) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'SESSION_NOT_FOUND',
+          message: 'Session not found',
+          messageZh: '找不到課堂'
+        }
+      });
+    }
+
+    const attendanceCount = await prisma.attendance.count({ where: { sessionId: id } });
+
+    if (attendanceCount > 0) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'SESSION_HAS_ATTENDANCE',
+          message: 'Cannot delete a session with attendance records; cancel it instead',
+          messageZh: '已有出席記錄的課堂無法刪除，請改為取消'
+        }
+      });
+    }
+
+    await prisma.classSession.delete({ where: { id } });
+
+    res.json({
+      success: true,
+      data: {
+        message: 'Session deleted',
+        messageZh: '課堂已刪除'
+      }
+    });
+  })
+);
+
+export default router;
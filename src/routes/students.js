@@ -0,0 +1,820 @@
+// Student Routes
+// Handles student management
+
+import { Router, raw } from 'express';
+import prisma from '../config/database.js';
+import { authenticate, authorize } from '../middleware/auth.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { decodeBuffer, parseCsvRecords } from '../services/csvService.js';
+import studentImportService from '../services/studentImportService.js';
+import kioskService from '../services/kioskService.js';
+import fileService from '../services/fileService.js';
+import billingService from '../services/billingService.js';
+import waitlistService from '../services/waitlistService.js';
+
+const router = Router();
+
+const VALID_STATUSES = ['ACTIVE', 'INACTIVE', 'GRADUATED', 'WITHDRAWN'];
+
+// Allowed student status changes and what happens to their ACTIVE enrollments
+const STATUS_TRANSITIONS = {
+  ACTIVE: { INACTIVE: null, WITHDRAWN: 'DROPPED', GRADUATED: 'COMPLETED' },
+  INACTIVE: { ACTIVE: null, WITHDRAWN: 'DROPPED', GRADUATED: 'COMPLETED' },
+  WITHDRAWN: { ACTIVE: null },
+  GRADUATED: {}
+};
+
+/**
+ * GET /api/students
+ * Get all students in current school
+ */
+router.get('/', authenticate, authorize('ADMIN', 'MANAGER', 'TEACHER'), asyncHandler(async (req, res) => {
+  // status=ALL disables the status filter
+  const { search, status = 'ACTIVE', classId, page = 1, limit = 100 } = req.query;
+
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+  const take = parseInt(limit);
+
+  const where = {
+    schoolId: req.user.schoolId,
+    ...(status && status !== 'ALL' && { status }),
+    ...(search && {
+      OR: [
+        { firstName: { contains: search, mode: 'insensitive' } },
+        { lastName: { contains: search, mode: 'insensitive' } },
+        { englishName: { contains: search, mode: 'insensitive' } },
+        { phone: { contains: search } }
+      ]
+    }),
+    ...(classId && {
+      enrollments: {
+        some: {
+          classId,
+          status: 'ACTIVE'
+        }
+      }
+    })
+  };
+
+  const [students, total] = await Promise.all([
+    prisma.student.findMany({
+      where,
+      select: {
+        id: true,
+        firstName: true,
+        lastName: true,
+        englishName: true,
+        dateOfBirth: true,
+        phone: true,
+        email: true,
+        status: true,
+        photoUrl: true,
+        photoFileId: true,
+        medicalInfo: true,
+        allergies: true,
+        emergencyContactName: true,
+        emergencyContactPhone: true,
+        enrollments: {
+          where: { status: 'ACTIVE' },
+          select: {
+            class: {
+              select: {
+                id: true,
+                name: true
+              }
+            }
+          }
+        }
+      },
+      orderBy: [
+        { lastName: 'asc' },
+        { firstName: 'asc' }
+      ],
+      skip,
+      take
+    }),
+    prisma.student.count({ where })
+  ]);
+
+  res.json({
+    success: true,
+    data: {
+      students: students.map(fileService.signStudentPhoto),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        totalPages: Math.ceil(total / parseInt(limit))
+      }
+    }
+  });
+}));
+
+/**
+ * GET /api/students/:id
+ * Get student details
+ */
+router.get('/:id', authenticate, authorize('ADMIN', 'MANAGER', 'TEACHER'), asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const student = await prisma.student.findFirst({
+    where: {
+      id,
+      schoolId: req.user.schoolId
+    },
+    include: {
+      enrollments: {
+        where: { status: 'ACTIVE' },
+        include: {
+          class: {
+            select: {
+              id: true,
+              name: true,
+              teacher: {
+                select: {
+                  id: true,
+                  firstName: true,
+                  lastName: true
+                }
+              }
+            }
+          }
+        }
+      },
+      parentRelations: {
+        include: {
+          parent: {
+            select: {
+              id: true,
+              firstName: true,
+              lastName: true,
+              email: true,
+              phone: true,
+              lineUserId: true
+            }
+          }
+        }
+      }
+    }
+  });
+
+  if (!student) {
+    return res.status(404).json({
+      success: false,
+      error: {
+        code: 'STUDENT_NOT_FOUND',
+        message: 'Student not found',
+        messageZh: '找不到學生'
+      }
+    });
+  }
+
+  res.json({
+    success: true,
+    data: { student: fileService.signStudentPhoto(student) }
+  });
+}));
+
+/**
+ * POST /api/students
+ * Create new student
+ */
+router.post('/',
+  authenticate,
+  authorize('ADMIN', 'MANAGER'),
+  asyncHandler(async (req, res) => {
+    const {
+      firstName,
+      lastName,
+      englishName,
+      dateOfBirth,
+      gender,
+      phone,
+      email,
+      address,
+      medicalInfo,
+      allergies,
+      emergencyContactName,
+      emergencyContactPhone,
+      emergencyContactRelation,
+      enrollmentDate,
+      photoUrl,
+      notes
+    } = req.body;
+
+    if (!firstName || !lastName) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'NAME_REQUIRED',
+          message: 'First name and last name are required',
+          messageZh: '需要姓名'
+        }
+      });
+    }
+
+    const student = await prisma.student.create({
+      data: {
+        firstName,
+        lastName,
+        englishName,
+        dateOfBirth: dateOfBirth ? new Date(dateOfBirth) : null,
+        gender,
+        phone,
+        email,
+        address,
+        medicalInfo,
+        allergies,
+        emergencyContactName,
+        emergencyContactPhone,
+        emergencyContactRelation,
+        ...(enrollmentDate && { enrollmentDate: new Date(enrollmentDate) }),
+        photoUrl,
+        notes,
+        status: 'ACTIVE',
+        schoolId: req.user.schoolId
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      data: { student }
+    });
+  })
+);
+
+/**
+ * POST /api/students/import
+ * Bulk import students, parents and class enrollments from CSV
+ * Body is the raw CSV file (UTF-8, UTF-8 with BOM or Big5)
+ * Query: dryRun (default true) returns the plan without writing; encoding=auto|utf-8|big5
+ */
+router.post('/import',
+  authenticate,
+  authorize('ADMIN', 'MANAGER'),
+  raw({
+    type: ['text/csv', 'text/plain', 'application/csv', 'application/vnd.ms-excel', 'application/octet-stream'],
+    limit: '5mb'
+  }),
+  asyncHandler(async (req, res) => {
+    const { dryRun = 'true', encoding = 'auto' } = req.query;
+
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'CSV_REQUIRED',
+          message: 'Upload the CSV file as the request body (Content-Type: text/csv)',
+          messageZh: '請以 CSV 檔案作為請求內容上傳'
+        }
+      });
+    }
+
+    let records;
+    try {
+      const text = decodeBuffer(req.body, encoding);
+      records = parseCsvRecords(text, studentImportService.IMPORT_HEADERS);
+    } catch (error) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_CSV',
+          message: `Could not read CSV: ${error.message}`,
+          messageZh: '無法讀取 CSV 檔案'
+        }
+      });
+    }
+
+    if (records.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'CSV_EMPTY',
+          message: 'CSV has no data rows',
+          messageZh: 'CSV 沒有資料列'
+        }
+      });
+    }
+
+    const { rows, errors } = studentImportService.validateRows(records);
+    const plan = await studentImportService.buildImportPlan(req.user.schoolId, rows, errors);
+
+    if (dryRun !== 'false') {
+      return res.json({
+        success: true,
+        data: { dryRun: true, plan }
+      });
+    }
+
+    if (plan.errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'IMPORT_INVALID',
+          message: `${plan.errors.length} row error(s) must be fixed before importing`,
+          messageZh: `匯入前需修正 ${plan.errors.length} 個資料錯誤`
+        },
+        data: { plan }
+      });
+    }
+
+    const result = await studentImportService.commitImportPlan(req.user.schoolId, plan);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        dryRun: false,
+        message: `Imported ${result.studentsCreated} student(s) and ${result.parentsCreated} parent(s)`,
+        messageZh: `已匯入 ${result.studentsCreated} 位學生及 ${result.parentsCreated} 位家長`,
+        result,
+        plan
+      }
+    });
+  })
+);
+
+/**
+ * PUT /api/students/:id
+ * Update student profile, medical and emergency contact details
+ * Status changes go through PUT /api/students/:id/status
+ */
+router.put('/:id',
+  authenticate,
+  authorize('ADMIN', 'MANAGER', 'TEACHER'),
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const {
+      firstName,
+      lastName,
+      englishName,
+      dateOfBirth,
+      gender,
+      phone,
+      email,
+      address,
+      medicalInfo,
+      allergies,
+      emergencyContactName,
+      emergencyContactPhone,
+      emergencyContactRelation,
+      notes
+    } = req.body;
+
+    // Verify student belongs to school
+    const existingStudent = await prisma.student.findFirst({
+      where: { id, schoolId: req.user.schoolId }
+    });
+
+    if (!existingStudent) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'STUDENT_NOT_FOUND',
+          message: 'Student not found',
+          messageZh: '找不到學生'
+        }
+      });
+    }
+
+    const student = await prisma.student.update({
+      where: { id },
+      data: {
+        ...(firstName && { firstName }),
+        ...(lastName && { lastName }),
+        ...(englishName !== undefined && { englishName }),
+        ...(dateOfBirth !== undefined && { dateOfBirth: dateOfBirth ? new Date(dateOfBirth) : null }),
+        ...(gender !== undefined && { gender }),
+        ...(phone !== undefined && { phone }),
+        ...(email !== undefined && { email }),
+        ...(address !== undefined && { address }),
+        ...(medicalInfo !== undefined && { medicalInfo }),
+        ...(allergies !== undefined && { allergies }),
+        ...(emergencyContactName !== undefined && { emergencyContactName }),
+        ...(emergencyContactPhone !== undefined && { emergencyContactPhone }),
+        ...(emergencyContactRelation !== undefined && { emergencyContactRelation }),
+        ...(notes !== undefined && { notes })
+      }
+    });
+
+    res.json({
+      success: true,
+      data: { student: fileService.signStudentPhoto(student) }
+    });
+  })
+);
+
+// Delete the previous uploaded photo once the student no longer uses it
+async function removeReplacedPhoto(before, after) {
+  if (!before.photoFileId || before.photoFileId === after.photoFileId) return;
+
+  const file = await prisma.storedFile.findUnique({ where: { id: before.photoFileId } });
+  if (file) {
+    await fileService.deleteFile(file);
+  }
+}
+
+/**
+ * PUT /api/students/:id/photo
+ * Set or replace student photo: an http(s) photoUrl, or fileId of an uploaded STUDENT_PHOTO
+ */
+router.put('/:id/photo',
+  authenticate,
+  authorize('ADMIN', 'MANAGER', 'TEACHER'),
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { photoUrl, fileId } = req.body;
+
+    if (!fileId && (!photoUrl || !/^https?:\/\//i.test(photoUrl))) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_PHOTO_URL',
+          message: 'photoUrl must be an http(s) URL',
+          messageZh: '照片網址必須為 http(s) 網址'
+        }
+      });
+    }
+
+    const existingStudent = await prisma.student.findFirst({
+      where: { id, schoolId: req.user.schoolId }
+    });
+
+    if (!existingStudent) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'STUDENT_NOT_FOUND',
+          message: 'Student not found',
+          messageZh: '找不到學生'
+        }
+      });
+    }
+
+    let photoFile = null;
+    if (fileId) {
+      photoFile = await prisma.storedFile.findFirst({
+        where: { id: fileId, schoolId: req.user.schoolId, purpose: 'STUDENT_PHOTO' }
+      });
+
+      if (!photoFile) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            code: 'FILE_NOT_FOUND',
+            message: 'Photo file not found',
+            messageZh: '找不到照片檔案'
+          }
+        });
+      }
+    }
+
+    // An uploaded photo is stored by file id and given a fresh link whenever the student is read
+    const student = await prisma.student.update({
+      where: { id },
+      data: {
+        photoUrl: photoFile ? null : photoUrl,
+        photoFileId: photoFile?.id || null
+      },
+      select: { id: true, photoUrl: true, photoFileId: true }
+    });
+
+    await removeReplacedPhoto(existingStudent, student);
+
+    res.json({
+      success: true,
+      data: { student: fileService.signStudentPhoto(student) }
+    });
+  })
+);
+
+/**
+ * DELETE /api/students/:id/photo
+ * Remove student photo
+ */
+router.delete('/:id/photo',
+  authenticate,
+  authorize('ADMIN', 'MANAGER', 'TEACHER'),
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const existingStudent = await prisma.student.findFirst({
+      where: { id, schoolId: req.user.schoolId }
+    });
+
+    if (!existingStudent) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'STUDENT_NOT_FOUND',
+          message: 'Student not found',
+          messageZh: '找不到學生'
+        }
+      });
+    }
+
+    await prisma.student.update({
+      where: { id },
+      data: { photoUrl: null, photoFileId: null }
+    });
+
+    await removeReplacedPhoto(existingStudent, { photoFileId: null });
+
+    res.json({
+      success: true,
+      data: {
+        message: 'Student photo removed',
+        messageZh: '學生照片已移除'
+      }
+    });
+  })
+);
+
+/**
+ * GET /api/students/:id/check-in-code
+ * Get the signed QR code payload for kiosk check-in
+ */
+router.get('/:id/check-in-code',
+  authenticate,
+  authorize('ADMIN', 'MANAGER'),
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const student = await prisma.student.findFirst({
+      where: { id, schoolId: req.user.schoolId }
+    });
+
+    if (!student) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'STUDENT_NOT_FOUND',
+          message: 'Student not found',
+          messageZh: '找不到學生'
+        }
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        code: kioskService.createCheckInCode(student),
+        version: student.checkInCodeVersion,
+        cardUid: student.cardUid
+      }
+    });
+  })
+);
+
+/**
+ * POST /api/students/:id/check-in-code/reset
+ * Issue a new QR code, invalidating the old one (e.g. lost badge)
+ */
+router.post('/:id/check-in-code/reset',
+  authenticate,
+  authorize('ADMIN', 'MANAGER'),
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    const existingStudent = await prisma.student.findFirst({
+      where: { id, schoolId: req.user.schoolId }
+    });
+
+    if (!existingStudent) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'STUDENT_NOT_FOUND',
+          message: 'Student not found',
+          messageZh: '找不到學生'
+        }
+      });
+    }
+
+    const student = await prisma.student.update({
+      where: { id },
+      data: { checkInCodeVersion: { increment: 1 } }
+    });
+
+    res.json({
+      success: true,
+      data: {
+        code: kioskService.createCheckInCode(student),
+        version: student.checkInCodeVersion
+      }
+    });
+  })
+);
+
+/**
+ * PUT /api/students/:id/card
+ * Register (or clear with null) the student's NFC card UID
+ */
+router.put('/:id/card',
+  authenticate,
+  authorize('ADMIN', 'MANAGER'),
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { cardUid } = req.body;
+
+    const existingStudent = await prisma.student.findFirst({
+      where: { id, schoolId: req.user.schoolId }
+    });
+
+    if (!existingStudent) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'STUDENT_NOT_FOUND',
+          message: 'Student not found',
+          messageZh: '找不到學生'
+        }
+      });
+    }
+
+    const normalizedUid = cardUid ? kioskService.normalizeCardUid(cardUid) : null;
+
+    if (normalizedUid) {
+      const cardOwner = await prisma.student.findFirst({
+        where: { schoolId: req.user.schoolId, cardUid: normalizedUid, id: { not: id } },
+        select: { id: true, firstName: true, lastName: true }
+      });
+
+      if (cardOwner) {
+        return res.status(409).json({
+          success: false,
+          error: {
+            code: 'CARD_IN_USE',
+            message: `Card is already registered to ${cardOwner.firstName} ${cardOwner.lastName}`,
+            messageZh: `此卡片已登記給 ${cardOwner.lastName}${cardOwner.firstName}`
+          }
+        });
+      }
+    }
+
+    const student = await prisma.student.update({
+      where: { id },
+      data: { cardUid: normalizedUid }
+    });
+
+    res.json({
+      success: true,
+      data: { student: fileService.signStudentPhoto(student) }
+    });
+  })
+);
+
+/**
+ * PUT /api/students/:id/status
+ * Change student status (e.g. ACTIVE -> WITHDRAWN/GRADUATED)
+ * Withdrawing drops and graduating completes the student's active enrollments
+ * (tuition already invoiced past today is credited back), takes the student off waitlists
+ * and offers the freed seats to waitlisted students
+ */
+router.put('/:id/status',
+  authenticate,
+  authorize('ADMIN', 'MANAGER'),
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const { status, notes } = req.body;
+
+    if (!VALID_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_STATUS',
+          message: `status must be one of ${VALID_STATUSES.join(', ')}`,
+          messageZh: '無效的學生狀態'
+        }
+      });
+    }
+
+    const existingStudent = await prisma.student.findFirst({
+      where: { id, schoolId: req.user.schoolId }
+    });
+
+    if (!existingStudent) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'STUDENT_NOT_FOUND',
+          message: 'Student not found',
+          messageZh: '找不到學生'
+        }
+      });
+    }
+
+    const allowed = STATUS_TRANSITIONS[existingStudent.status] || {};
+    if (!(status in allowed)) {
+      return res.status(400).json({
+        success: false,
+        error: {
+          code: 'INVALID_STATUS_TRANSITION',
+          message: `Cannot change status from ${existingStudent.status} to ${status}`,
+          messageZh: `無法將狀態從 ${existingStudent.status} 變更為 ${status}`
+        }
+      });
+    }
+
+    const enrollmentStatus = allowed[status];
+
+    const ending = enrollmentStatus
+      ? await prisma.classEnrollment.findMany({
+        where: { studentId: id, status: 'ACTIVE' },
+        select: { id: true, classId: true }
+      })
+      : [];
+
+    const operations = [
+      prisma.student.update({
+        where: { id },
+        data: {
+          status,
+          ...(notes !== undefined && { notes })
+        }
+      })
+    ];
+
+    if (enrollmentStatus) {
+      operations.push(
+        prisma.classEnrollment.updateMany({
+          where: { id: { in: ending.map(e => e.id) } },
+          data: { status: enrollmentStatus, endedAt: new Date() }
+        })
+      );
+    }
+
+    const [student, enrollmentResult] = await prisma.$transaction(operations);
+
+    // Tuition already invoiced for after today is credited back; the status change is already
+    // saved, so a failed credit is reported rather than failing the request
+    const { creditNotes, creditError } = await billingService.tryIssueWithdrawalCredits(ending.map(e => e.id), {
+      createdById: req.user.id
+    });
+
+    // Leaving the school also leaves its waitlists; freed seats go to the next families
+    const promoted = enrollmentStatus
+      ? await waitlistService.releaseStudent(id, ending.map(e => e.classId))
+      : [];
+
+    res.json({
+      success: true,
+      data: {
+        student,
+        enrollmentsUpdated: enrollmentResult?.count || 0,
+        creditNotes,
+        creditError,
+        promoted: promoted.map(e => ({
+          enrollmentId: e.id,
+          classId: e.classId,
+          studentId: e.studentId,
+          offerExpiresAt: e.offerExpiresAt,
+          parentNotified: e.parentNotified
+        }))
+      }
+    });
+  })
+);
+
+/**
+ * DELETE /api/students/:id
+ * Delete student (soft delete - set status to INACTIVE)
+ */
+router.delete('/:id',
+  authenticate,
+  authorize('ADMIN', 'MANAGER'),
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+
+    // Verify student belongs to school
+    const existingStudent = await prisma.student.findFirst({
+      where: { id, schoolId: req.user.schoolId }
+    });
+
+    if (!existingStudent) {
+      return res.status(404).json({
+        success: false,
+        error: {
+          code: 'STUDENT_NOT_FOUND',
+          message: 'Student not found',
+          messageZh: '找不到學生'
+        }
+      });
+    }
+
+    // Soft delete - set status to INACTIVE
+    await prisma.student.update({
+      where: { id },
+      data: { status: 'INACTIVE' }
+    });
+
+    res.json({
+      success: true,
+      data: {
+        message: 'Student deactivated successfully',
+        messageZh: '學生已成功停用'
+      }
+    });
+  })
+);
+
+export default router;
@@ -6,6 +6,7 @@ import bcrypt from 'bcrypt';
 import prisma from '../config/database.js';
 import { authenticate, authorize } from '../middleware/auth.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
+import fileService from '../services/fileService.js';
 
 const router = Router();
 
@@ -107,7 +108,8 @@ router.get('/:id', authenticate, asyncHandler(async (req, res) => {
               id: true,
               firstName: true,
               lastName: true,
-              photoUrl: true
+              photoUrl: true,
+              photoFileId: true
             }
           }
         }
@@ -128,7 +130,15 @@ router.get('/:id', authenticate, asyncHandler(async (req, res) => {
 
   res.json({
     success: true,
-    data: { user }
+    data: {
+      user: {
+        ...user,
+        parentRelations: user.parentRelations.map(relation => ({
+          ...relation,
+          student: fileService.signStudentPhoto(relation.student)
+        }))
+      }
+    }
   });
 }));
 
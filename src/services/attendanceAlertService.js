@@ -0,0 +1,270 @@
+// Attendance Alert Service
+// Nightly early-warning rules for chronic absence, lateness and low attendance rates
+
+import prisma from '../config/database.js';
+import { toDateOnly, formatDateOnly } from './sessionService.js';
+import { formatLocalDate, formatLocalTime, getClosedDates } from './calendarService.js';
+import lineService from './lineService.js';
+
+// Defaults, overridden per school by settings.attendanceAlerts
+// (set a rule to false to turn it off)
+export const DEFAULT_ALERT_SETTINGS = {
+  absences: { count: 3, days: 14 },
+  lateness: { count: 5, days: 30 },
+  lowRate: { percent: 80, days: 30, minRecords: 6 },
+  notifyParents: false,
+  hour: 2
+};
+
+const RULES = [
+  {
+    rule: 'ABSENCES',
+    key: 'absences',
+    evaluate: (records, config) => {
+      const count = records.filter(r => r.status === 'ABSENT').length;
+      return count >= config.count ? { count, threshold: config.count } : null;
+    }
+  },
+  {
+    rule: 'LATENESS',
+    key: 'lateness',
+    evaluate: (records, config) => {
+      const count = records.filter(r => r.status === 'LATE').length;
+      return count >= config.count ? { count, threshold: config.count } : null;
+    }
+  },
+  {
+    rule: 'LOW_RATE',
+    key: 'lowRate',
+    evaluate: (records, config) => {
+      // Too few records in the period say little about a pattern
+      if (records.length < config.minRecords) return null;
+
+      const present = records.filter(r => r.status === 'PRESENT').length;
+      const rate = Math.round((present / records.length) * 1000) / 10;
+      return rate < config.percent ? { count: records.length, rate, threshold: config.percent } : null;
+    }
+  }
+];
+
+/**
+ * Merge a school's alert settings over the defaults
+ */
+export const getAlertSettings = (settings) => {
+  const custom = settings?.attendanceAlerts || {};
+
+  const ruleConfig = (key) => {
+    if (custom[key] === false || custom[key] === null) return null;
+    return { ...DEFAULT_ALERT_SETTINGS[key], ...custom[key] };
+  };
+
+  return {
+    absences: ruleConfig('absences'),
+    lateness: ruleConfig('lateness'),
+    lowRate: ruleConfig('lowRate'),
+    notifyParents: custom.notifyParents ?? DEFAULT_ALERT_SETTINGS.notifyParents,
+    hour: custom.hour ?? DEFAULT_ALERT_SETTINGS.hour
+  };
+};
+
+/**
+ * Human-readable description of an alert
+ */
+export const describeAlert = (alert) => {
+  const days = Math.round((toDateOnly(alert.periodEnd) - toDateOnly(alert.periodStart)) / 86400000) + 1;
+
+  switch (alert.rule) {
+    case 'ABSENCES':
+      return {
+        message: `${alert.count} absences in the last ${days} days`,
+        messageZh: `近 ${days} 天缺席 ${alert.count} 次`
+      };
+    case 'LATENESS':
+      return {
+        message: `Late ${alert.count} times in the last ${days} days`,
+        messageZh: `近 ${days} 天遲到 ${alert.count} 次`
+      };
+    default:
+      return {
+        message: `Attendance rate ${alert.rate}% in the last ${days} days (below ${alert.threshold}%)`,
+        messageZh: `近 ${days} 天出席率 ${alert.rate}%（低於 ${alert.threshold}%）`
+      };
+  }
+};
+
+/**
+ * Send the alert to the student's primary parent on LINE
+ */
+const notifyParent = async (alert, student, schoolId) => {
+  const primaryParent = student.parentRelations[0]?.parent;
+  if (!primaryParent?.lineUserId) return false;
+
+  try {
+    const message = lineService.createAttendanceAlertNotice(
+      `${student.firstName} ${student.lastName}`,
+      describeAlert(alert).messageZh
+    );
+
+    await lineService.sendPushMessage(primaryParent.lineUserId, message, schoolId);
+
+    await prisma.attendanceAlert.update({
+      where: { id: alert.id },
+      data: { parentNotifiedAt: new Date() }
+    });
+    return true;
+  } catch (error) {
+    console.error(`Failed to send attendance alert for student ${student.id}:`, error);
+    return false;
+  }
+};
+
+/**
+ * Evaluate the alert rules for every active student of a school
+ * endDate ('YYYY-MM-DD', default yesterday in school time) is the last day counted.
+ * A rule fires once per period: no new alert while a previous one's period still overlaps.
+ */
+export const evaluateSchool = async (school, { endDate, notifyParents } = {}) => {
+  const config = getAlertSettings(school.settings);
+  const rules = RULES.filter(r => config[r.key]);
+
+  let periodEnd;
+  if (endDate) {
+    periodEnd = toDateOnly(endDate);
+  } else {
+    periodEnd = toDateOnly(formatLocalDate(new Date(), school.timezone));
+    periodEnd.setUTCDate(periodEnd.getUTCDate() - 1);
+  }
+
+  const periodStartFor = (days) => {
+    const start = new Date(periodEnd);
+    start.setUTCDate(start.getUTCDate() - days + 1);
+    return start;
+  };
+
+  const result = { alertsCreated: 0, parentsNotified: 0, byRule: {} };
+  if (rules.length === 0) return result;
+
+  const earliest = periodStartFor(Math.max(...rules.map(r => config[r.key].days)));
+
+  const [records, closedDates] = await Promise.all([
+    prisma.attendance.findMany({
+      where: {
+        class: { schoolId: school.id },
+        student: { status: 'ACTIVE' },
+        date: { gte: earliest, lte: periodEnd }
+      },
+      select: { studentId: true, date: true, status: true }
+    }),
+    getClosedDates(school.id, formatDateOnly(earliest), formatDateOnly(periodEnd))
+  ]);
+
+  const byStudent = new Map();
+  for (const record of records) {
+    if (closedDates.has(formatDateOnly(record.date))) continue;
+    if (!byStudent.has(record.studentId)) byStudent.set(record.studentId, []);
+    byStudent.get(record.studentId).push(record);
+  }
+
+  const shouldNotify = notifyParents ?? config.notifyParents;
+
+  for (const { rule, key, evaluate } of rules) {
+    const periodStart = periodStartFor(config[key].days);
+    result.byRule[rule] = 0;
+
+    for (const [studentId, studentRecords] of byStudent) {
+      const hit = evaluate(studentRecords.filter(r => r.date >= periodStart), config[key]);
+      if (!hit) continue;
+
+      const existing = await prisma.attendanceAlert.findFirst({
+        where: { studentId, rule, periodEnd: { gte: periodStart } }
+      });
+      if (existing) continue;
+
+      const alert = await prisma.attendanceAlert.create({
+        data: {
+          rule,
+          periodStart,
+          periodEnd,
+          ...hit,
+          studentId,
+          schoolId: school.id
+        },
+        include: {
+          student: {
+            include: {
+              parentRelations: {
+                where: { isPrimary: true },
+                include: {
+                  parent: { select: { lineUserId: true } }
+                }
+              }
+            }
+          }
+        }
+      });
+
+      result.alertsCreated++;
+      result.byRule[rule]++;
+
+      if (shouldNotify && await notifyParent(alert, alert.student, school.id)) {
+        result.parentsNotified++;
+      }
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Evaluate each school once a day, on the first run after its local alert hour
+ * The day is claimed on the school (attendanceAlertsRunOn) before evaluating, so a late or
+ * missed tick still runs that night and two instances don't both run; a school that fails
+ * gives the day back to be tried on the next run, and the other schools go on
+ */
+export const runNightlyAlerts = async (now = new Date()) => {
+  const schools = await prisma.school.findMany({
+    select: { id: true, timezone: true, settings: true, attendanceAlertsRunOn: true }
+  });
+
+  const totals = { schoolsEvaluated: 0, alertsCreated: 0, parentsNotified: 0, failed: 0 };
+
+  for (const school of schools) {
+    const localHour = parseInt(formatLocalTime(now, school.timezone).slice(0, 2));
+    if (localHour < getAlertSettings(school.settings).hour) continue;
+
+    const today = toDateOnly(formatLocalDate(now, school.timezone));
+    const { count } = await prisma.school.updateMany({
+      where: {
+        id: school.id,
+        OR: [{ attendanceAlertsRunOn: null }, { attendanceAlertsRunOn: { lt: today } }]
+      },
+      data: { attendanceAlertsRunOn: today }
+    });
+    if (count === 0) continue;
+
+    try {
+      const result = await evaluateSchool(school);
+      totals.schoolsEvaluated++;
+      totals.alertsCreated += result.alertsCreated;
+      totals.parentsNotified += result.parentsNotified;
+    } catch (error) {
+      console.error(`Attendance alerts failed for school ${school.id}:`, error);
+      totals.failed++;
+
+      await prisma.school.update({
+        where: { id: school.id },
+        data: { attendanceAlertsRunOn: school.attendanceAlertsRunOn }
+      }).catch(() => {});
+    }
+  }
+
+  return totals;
+};
+
+export default {
+  DEFAULT_ALERT_SETTINGS,
+  getAlertSettings,
+  describeAlert,
+  evaluateSchool,
+  runNightlyAlerts
+};
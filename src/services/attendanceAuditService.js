@@ -0,0 +1,239 @@
+// Attendance Audit Service
+// Writes attendance through an append-only change log and sends corrections to parents
+
+import prisma from '../config/database.js';
+import lineService from './lineService.js';
+
+// Fields whose changes are recorded in the log
+const AUDITED_FIELDS = [
+  'status',
+  'reason',
+  'notes',
+  'checkInTime',
+  'checkOutTime',
+  'sessionId',
+  'leaveRequestId',
+  'autoMarked'
+];
+
+// Statuses parents were notified about that a correction to PRESENT retracts
+const NOTIFIED_STATUSES = ['ABSENT', 'LATE', 'EARLY_LEAVE'];
+
+const toLogValue = (value) => {
+  if (value instanceof Date) return value.toISOString();
+  return value ?? null;
+};
+
+/**
+ * Diff two versions of a record over the audited fields: { field: { from, to } }
+ */
+export const diffAttendance = (before, after) => {
+  const changes = {};
+
+  for (const field of AUDITED_FIELDS) {
+    const from = toLogValue(before?.[field]);
+    const to = toLogValue(after?.[field]);
+    if (from !== to) {
+      changes[field] = { from, to };
+    }
+  }
+
+  return changes;
+};
+
+/**
+ * Tell the primary parent that an absence / lateness notice no longer stands
+ */
+const sendRetraction = async (before, after) => {
+  const attendance = await prisma.attendance.findUnique({
+    where: { id: after.id },
+    include: {
+      class: { select: { name: true, schoolId: true } },
+      student: {
+        include: {
+          parentRelations: {
+            where: { isPrimary: true },
+            include: {
+              parent: { select: { lineUserId: true } }
+            }
+          }
+        }
+      }
+    }
+  });
+
+  const primaryParent = attendance?.student.parentRelations[0]?.parent;
+  if (!primaryParent?.lineUserId) return false;
+
+  try {
+    const message = lineService.createAttendanceCorrectionNotice(
+      `${attendance.student.firstName} ${attendance.student.lastName}`,
+      attendance.class.name,
+      attendance.date,
+      before.status,
+      after.status
+    );
+
+    await lineService.sendPushMessage(primaryParent.lineUserId, message, attendance.class.schoolId);
+
+    await prisma.attendance.update({
+      where: { id: after.id },
+      data: { parentNotifiedAt: new Date() }
+    });
+    return true;
+  } catch (error) {
+    console.error(`Failed to send attendance correction for record ${after.id}:`, error);
+    return false;
+  }
+};
+
+/**
+ * Append a log entry for a write (skipped when nothing audited changed)
+ * audit: { source, changedById }
+ * db is the transaction the write is made in, so the record and its entry are kept together
+ */
+const logChange = async (action, before, after, { source, changedById = null }, db) => {
+  const changes = diffAttendance(before, after);
+  if (action === 'UPDATE' && Object.keys(changes).length === 0) return null;
+
+  const record = after || before;
+
+  return db.attendanceChange.create({
+    data: {
+      attendanceId: record.id,
+      action,
+      source,
+      classId: record.classId,
+      studentId: record.studentId,
+      date: record.date,
+      oldStatus: before?.status ?? null,
+      newStatus: after?.status ?? null,
+      changes,
+      changedById
+    }
+  });
+};
+
+/**
+ * Once a correction to PRESENT is committed, retract the notice the parent was sent and
+ * mark the log entry
+ * audit: { notifyParent = true }
+ */
+const retractNotice = async (change, before, after, { notifyParent = true }) => {
+  const retract = change?.action === 'UPDATE' && notifyParent &&
+    before.parentNotified &&
+    NOTIFIED_STATUSES.includes(before.status) &&
+    after.status === 'PRESENT';
+
+  if (!retract || !(await sendRetraction(before, after))) return;
+
+  await prisma.attendanceChange.update({
+    where: { id: change.id },
+    data: { retractionSent: true }
+  });
+};
+
+/**
+ * Hold one student's record for a class and date until the transaction ends, so writers
+ * at the same time each see what the last one left
+ */
+const lockRecord = (tx, { classId, studentId, date }) => {
+  return tx.$executeRaw`SELECT pg_advisory_xact_lock(hashtext(${`attendance:${classId}:${studentId}:${new Date(date).toISOString()}`}))`;
+};
+
+/**
+ * Create a record and log it
+ */
+export const createAttendance = (data, audit) => {
+  return prisma.$transaction(async (tx) => {
+    const attendance = await tx.attendance.create({ data });
+    await logChange('CREATE', null, attendance, audit, tx);
+    return attendance;
+  });
+};
+
+/**
+ * Upsert by the classId_studentId_date key and log the create or update
+ */
+export const upsertAttendance = async (key, { update, create }, audit) => {
+  const where = { classId_studentId_date: key };
+
+  const { before, attendance, change } = await prisma.$transaction(async (tx) => {
+    await lockRecord(tx, key);
+
+    const before = await tx.attendance.findUnique({ where });
+    const attendance = await tx.attendance.upsert({ where, update, create });
+    const change = await logChange(before ? 'UPDATE' : 'CREATE', before, attendance, audit, tx);
+    return { before, attendance, change };
+  });
+
+  await retractNotice(change, before, attendance, audit);
+  return attendance;
+};
+
+/**
+ * Update a record by id and log the change
+ */
+export const updateAttendance = async (id, data, audit) => {
+  const record = await prisma.attendance.findUnique({ where: { id } });
+
+  const { before, attendance, change } = await prisma.$transaction(async (tx) => {
+    if (record) await lockRecord(tx, record);
+
+    const before = await tx.attendance.findUnique({ where: { id } });
+    const attendance = await tx.attendance.update({ where: { id }, data });
+    const change = await logChange('UPDATE', before, attendance, audit, tx);
+    return { before, attendance, change };
+  });
+
+  await retractNotice(change, before, attendance, audit);
+  return attendance;
+};
+
+/**
+ * Delete matching records, logging each one
+ * Runs in a transaction of its own unless db is one the caller already has open
+ */
+export const deleteAttendance = (where, audit, db = prisma) => {
+  const run = async (tx) => {
+    const records = await tx.attendance.findMany({ where });
+
+    for (const record of records) {
+      await tx.attendance.delete({ where: { id: record.id } });
+      await logChange('DELETE', record, null, audit, tx);
+    }
+
+    return records.length;
+  };
+
+  return db === prisma ? prisma.$transaction(run) : run(db);
+};
+
+/**
+ * Change log for one attendance record, oldest first
+ */
+export const getHistory = (attendanceId) => {
+  return prisma.attendanceChange.findMany({
+    where: { attendanceId },
+    include: {
+      changedBy: {
+        select: {
+          id: true,
+          firstName: true,
+          lastName: true,
+          role: true
+        }
+      }
+    },
+    orderBy: { createdAt: 'asc' }
+  });
+};
+
+export default {
+  diffAttendance,
+  createAttendance,
+  upsertAttendance,
+  updateAttendance,
+  deleteAttendance,
+  getHistory
+};
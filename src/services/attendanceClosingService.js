@@ -0,0 +1,261 @@
+// Attendance Closing Service
+// After each session ends, marks unmarked students ABSENT and alerts staff about
+// classes whose attendance was not taken
+
+import prisma from '../config/database.js';
+import { toDateOnly, timeToMinutes } from './sessionService.js';
+import { formatLocalDate, formatLocalTime } from './calendarService.js';
+import lineService from './lineService.js';
+import attendanceAuditService from './attendanceAuditService.js';
+
+// Minutes after a session ends before its attendance is closed
+const DEFAULT_CLOSE_DELAY_MINUTES = 30;
+
+// Only look back this far, so enabling the job doesn't rewrite old history
+const LOOKBACK_DAYS = 1;
+
+const AUTO_ABSENT_NOTE = '未點名，系統自動標記缺席 / Not marked, automatically set to absent';
+
+/**
+ * Sessions of a school that have ended (plus delay) and are not yet closed
+ */
+const findEndedSessions = async (school, now) => {
+  const delay = school.settings?.attendanceCloseDelayMinutes ?? DEFAULT_CLOSE_DELAY_MINUTES;
+  const today = toDateOnly(formatLocalDate(now, school.timezone));
+  const nowMinutes = timeToMinutes(formatLocalTime(now, school.timezone));
+
+  const earliest = new Date(today);
+  earliest.setUTCDate(earliest.getUTCDate() - LOOKBACK_DAYS);
+
+  const sessions = await prisma.classSession.findMany({
+    where: {
+      class: { schoolId: school.id },
+      status: 'SCHEDULED',
+      attendanceClosedAt: null,
+      date: { gte: earliest, lte: today }
+    },
+    include: {
+      class: {
+        select: {
+          id: true,
+          name: true,
+          teacherId: true,
+          teacher: { select: { id: true, lineUserId: true } }
+        }
+      }
+    }
+  });
+
+  return sessions.filter(s => s.date < today || timeToMinutes(s.endTime) + delay <= nowMinutes);
+};
+
+/**
+ * Close one session's attendance
+ * Returns { taken, unmarked, autoMarked } for alerting
+ */
+export const closeSession = async (session, school, fallbackMarkerId) => {
+  const nextDay = new Date(session.date);
+  nextDay.setUTCDate(nextDay.getUTCDate() + 1);
+
+  const [enrollments, records] = await Promise.all([
+    prisma.classEnrollment.findMany({
+      where: {
+        classId: session.classId,
+        status: 'ACTIVE',
+        enrollmentDate: { lt: nextDay }
+      },
+      include: {
+        student: {
+          include: {
+            parentRelations: {
+              where: { isPrimary: true },
+              include: {
+                parent: { select: { lineUserId: true } }
+              }
+            }
+          }
+        }
+      }
+    }),
+    prisma.attendance.findMany({
+      where: { classId: session.classId, date: session.date },
+      select: { studentId: true, leaveRequestId: true }
+    })
+  ]);
+
+  const marked = new Set(records.map(r => r.studentId));
+  const unmarked = enrollments.filter(e => !marked.has(e.studentId));
+  // Records pre-filled from approved leave requests don't mean the teacher took attendance
+  const taken = records.some(r => !r.leaveRequestId);
+
+  // A class nobody marked is flagged rather than mass-marked absent, unless the school opts in
+  const markAbsent = unmarked.length > 0 &&
+    (taken || school.settings?.autoAbsentWhenNotTaken === true);
+  const markedById = session.class.teacherId || fallbackMarkerId;
+
+  let autoMarked = 0;
+
+  if (markAbsent && markedById) {
+    for (const { student } of unmarked) {
+      let attendance;
+      try {
+        attendance = await attendanceAuditService.createAttendance({
+          classId: session.classId,
+          studentId: student.id,
+          sessionId: session.id,
+          date: session.date,
+          status: 'ABSENT',
+          notes: AUTO_ABSENT_NOTE,
+          autoMarked: true,
+          markedById
+        }, { source: 'AUTO_CLOSE' });
+      } catch (error) {
+        // The teacher marked the student while the job ran; their record stands
+        if (error.code === 'P2002') continue;
+        throw error;
+      }
+      autoMarked++;
+
+      const primaryParent = student.parentRelations[0]?.parent;
+      if (!primaryParent?.lineUserId) continue;
+
+      try {
+        const message = lineService.createAttendanceNotification(
+          `${student.firstName} ${student.lastName}`,
+          session.class.name,
+          session.date,
+          'ABSENT'
+        );
+
+        await lineService.sendPushMessage(primaryParent.lineUserId, message, school.id);
+
+        await prisma.attendance.update({
+          where: { id: attendance.id },
+          data: { parentNotified: true, parentNotifiedAt: new Date() }
+        });
+      } catch (error) {
+        console.error(`Failed to send absence notification for student ${student.id}:`, error);
+      }
+    }
+  }
+
+  await prisma.classSession.update({
+    where: { id: session.id },
+    data: {
+      attendanceClosedAt: new Date(),
+      attendanceTaken: taken,
+      autoMarkedAbsent: autoMarked,
+      // Sessions nobody took attendance for stay open for the teacher to fill in
+      ...(taken && { status: 'COMPLETED' })
+    }
+  });
+
+  return { taken, unmarked: unmarked.length, autoMarked };
+};
+
+/**
+ * Send incomplete-attendance alerts to each teacher and to the school's managers
+ */
+const sendStaffAlerts = async (school, incomplete) => {
+  const byTeacher = new Map();
+  for (const item of incomplete) {
+    const lineUserId = item.session.class.teacher?.lineUserId;
+    if (!lineUserId) continue;
+    if (!byTeacher.has(lineUserId)) byTeacher.set(lineUserId, []);
+    byTeacher.get(lineUserId).push(item);
+  }
+
+  const managers = await prisma.user.findMany({
+    where: {
+      schoolId: school.id,
+      role: { in: ['ADMIN', 'MANAGER'] },
+      isActive: true,
+      lineUserId: { not: null }
+    },
+    select: { lineUserId: true }
+  });
+
+  const toAlertItem = ({ session, taken, unmarked }) => ({
+    className: session.class.name,
+    date: session.date,
+    startTime: session.startTime,
+    taken,
+    unmarked
+  });
+
+  const recipients = [
+    ...Array.from(byTeacher, ([lineUserId, items]) => [lineUserId, items]),
+    ...managers.map(m => [m.lineUserId, incomplete])
+  ];
+
+  for (const [lineUserId, items] of recipients) {
+    try {
+      const message = lineService.createIncompleteAttendanceAlert(items.map(toAlertItem));
+      await lineService.sendPushMessage(lineUserId, message, school.id);
+    } catch (error) {
+      console.error('Failed to send incomplete attendance alert:', error);
+    }
+  }
+};
+
+/**
+ * Close attendance for every session that has ended, across all schools
+ * Run periodically by the job scheduler
+ */
+export const closeEndedSessions = async (now = new Date()) => {
+  const schools = await prisma.school.findMany({
+    select: { id: true, timezone: true, settings: true }
+  });
+
+  const totals = { sessionsClosed: 0, autoMarkedAbsent: 0, notTaken: 0, failed: 0 };
+
+  // A session or school that fails is logged and left for the next run; the rest still close
+  for (const school of schools) {
+    try {
+      const sessions = await findEndedSessions(school, now);
+      if (sessions.length === 0) continue;
+
+      // Records must have a marker; classes without a teacher use a school admin
+      const admin = await prisma.user.findFirst({
+        where: { schoolId: school.id, role: 'ADMIN', isActive: true },
+        select: { id: true },
+        orderBy: { createdAt: 'asc' }
+      });
+
+      const incomplete = [];
+
+      for (const session of sessions) {
+        let result;
+        try {
+          result = await closeSession(session, school, admin?.id);
+        } catch (error) {
+          console.error(`Failed to close attendance for session ${session.id}:`, error);
+          totals.failed++;
+          continue;
+        }
+
+        totals.sessionsClosed++;
+        totals.autoMarkedAbsent += result.autoMarked;
+        if (!result.taken) totals.notTaken++;
+
+        if (result.unmarked > 0) {
+          incomplete.push({ session, ...result });
+        }
+      }
+
+      if (incomplete.length > 0) {
+        await sendStaffAlerts(school, incomplete);
+      }
+    } catch (error) {
+      console.error(`Failed to close attendance for school ${school.id}:`, error);
+      totals.failed++;
+    }
+  }
+
+  return totals;
+};
+
+export default {
+  closeSession,
+  closeEndedSessions
+};
@@ -0,0 +1,420 @@
+// Attendance Export Service
+// Monthly attendance matrix (CSV / XLSX) and printable PDF sign-in sheets
+
+import ExcelJS from 'exceljs';
+import PDFDocument from 'pdfkit';
+import prisma from '../config/database.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { toDateOnly, formatDateOnly, parseDaysOfWeek, getSessionDates, isSessionHeld } from './sessionService.js';
+import { getClosedDates } from './calendarService.js';
+
+export const STATUS_LABELS = {
+  PRESENT: '出席',
+  ABSENT: '缺席',
+  LATE: '遲到',
+  EXCUSED: '請假',
+  EARLY_LEAVE: '早退'
+};
+
+// Glyphs used in the matrix cells (○ present, ✕ absent, △ late)
+export const STATUS_GLYPHS = {
+  PRESENT: '○',
+  ABSENT: '✕',
+  LATE: '△',
+  EXCUSED: '假',
+  EARLY_LEAVE: '早'
+};
+
+const STATUS_FILLS = {
+  ABSENT: 'FFF8D7DA',
+  LATE: 'FFFFF3CD',
+  EXCUSED: 'FFD1ECF1',
+  EARLY_LEAVE: 'FFE2E3E5'
+};
+
+const WEEKDAYS_ZH = ['日', '一', '二', '三', '四', '五', '六'];
+
+// Empty rows at the end of each sign-in sheet for walk-ins
+const SIGN_IN_BLANK_ROWS = 3;
+
+const studentName = (student) => `${student.lastName}${student.firstName}`;
+
+const formatColumnDate = (date) => {
+  const [, month, day] = formatDateOnly(date).split('-');
+  return `${month}/${day}(${WEEKDAYS_ZH[toDateOnly(date).getUTCDay()]})`;
+};
+
+/**
+ * Classes the user may export (teachers: their own), optionally one class
+ */
+export const getExportClasses = (user, classId) => {
+  return prisma.class.findMany({
+    where: {
+      schoolId: user.schoolId,
+      ...(user.role === 'TEACHER' && { teacherId: user.id }),
+      ...(classId && { id: classId })
+    },
+    include: {
+      teacher: { select: { firstName: true, lastName: true } }
+    },
+    orderBy: { name: 'asc' }
+  });
+};
+
+/**
+ * Quote a CSV cell; cells starting with a formula character are prefixed so
+ * spreadsheets don't evaluate them
+ */
+const csvCell = (value) => {
+  let text = value === null || value === undefined ? '' : String(value);
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return `"${text.replace(/"/g, '""')}"`;
+};
+
+/**
+ * Build CSV text (with a BOM so Excel reads it as UTF-8)
+ */
+export const toCsv = (rows) => {
+  return '\uFEFF' + rows.map(row => row.map(csvCell).join(',')).join('\r\n');
+};
+
+/**
+ * Dates the class met between start and end: held sessions, or the weekly
+ * schedule minus closures for classes without sessions
+ */
+const getMeetingDates = async (classData, start, end, closedDates) => {
+  const sessionCount = await prisma.classSession.count({ where: { classId: classData.id } });
+
+  if (sessionCount > 0) {
+    const sessions = await prisma.classSession.findMany({
+      where: { classId: classData.id, date: { gte: start, lte: end } },
+      select: { date: true, status: true }
+    });
+    return sessions.filter(isSessionHeld).map(s => formatDateOnly(s.date));
+  }
+
+  const termStart = classData.startDate && classData.startDate > start ? classData.startDate : start;
+  const termEnd = classData.endDate && classData.endDate < end ? classData.endDate : end;
+
+  return getSessionDates(parseDaysOfWeek(classData.dayOfWeek), termStart, termEnd)
+    .map(formatDateOnly)
+    .filter(date => !closedDates.has(date));
+};
+
+/**
+ * Students × dates attendance matrix for one class
+ * Returns { class, dates, rows: [{ student, cells: { 'YYYY-MM-DD': status }, totals, rate }] }
+ */
+export const buildClassMatrix = async (classData, startDate, endDate, closedDates) => {
+  const start = toDateOnly(startDate);
+  const end = toDateOnly(endDate);
+
+  const [meetingDates, enrollments, records] = await Promise.all([
+    getMeetingDates(classData, start, end, closedDates),
+    prisma.classEnrollment.findMany({
+      where: { classId: classData.id, status: 'ACTIVE' },
+      include: {
+        student: { select: { id: true, firstName: true, lastName: true, englishName: true } }
+      }
+    }),
+    prisma.attendance.findMany({
+      where: { classId: classData.id, date: { gte: start, lte: end } },
+      include: {
+        student: { select: { id: true, firstName: true, lastName: true, englishName: true } }
+      }
+    })
+  ]);
+
+  // Students who left mid-month still appear if they have records
+  const students = new Map(enrollments.map(e => [e.student.id, e.student]));
+  for (const record of records) {
+    if (!students.has(record.studentId)) students.set(record.studentId, record.student);
+  }
+
+  const dates = [...new Set([...meetingDates, ...records.map(r => formatDateOnly(r.date))])].sort();
+
+  const rows = [...students.values()]
+    .sort((a, b) => studentName(a).localeCompare(studentName(b), 'zh-TW'))
+    .map(student => {
+      const cells = {};
+      const totals = { PRESENT: 0, ABSENT: 0, LATE: 0, EXCUSED: 0, EARLY_LEAVE: 0 };
+
+      for (const record of records.filter(r => r.studentId === student.id)) {
+        cells[formatDateOnly(record.date)] = record.status;
+        totals[record.status]++;
+      }
+
+      const total = Object.values(totals).reduce((sum, n) => sum + n, 0);
+      const rate = total > 0 ? ((totals.PRESENT / total) * 100).toFixed(1) : null;
+
+      return { student, cells, totals, rate };
+    });
+
+  return { class: classData, dates, rows };
+};
+
+/**
+ * Build matrices for several classes, sharing one closure lookup
+ */
+export const buildMatrices = async (classes, schoolId, startDate, endDate) => {
+  const closedDates = await getClosedDates(schoolId, startDate, endDate);
+
+  const matrices = [];
+  for (const classData of classes) {
+    matrices.push(await buildClassMatrix(classData, startDate, endDate, closedDates));
+  }
+  return matrices;
+};
+
+const STATUS_ORDER = ['PRESENT', 'ABSENT', 'LATE', 'EXCUSED', 'EARLY_LEAVE'];
+
+/**
+ * Header row and data rows of a matrix, as plain values
+ */
+const matrixRows = (matrix, { includeClass = false } = {}) => {
+  const header = [
+    ...(includeClass ? ['班級 Class'] : []),
+    '姓名 Name',
+    '英文名 English Name',
+    ...matrix.dates.map(formatColumnDate),
+    ...STATUS_ORDER.map(status => STATUS_LABELS[status]),
+    '出席率 Rate (%)'
+  ];
+
+  const rows = matrix.rows.map(row => [
+    ...(includeClass ? [matrix.class.name] : []),
+    studentName(row.student),
+    row.student.englishName || '',
+    ...matrix.dates.map(date => STATUS_GLYPHS[row.cells[date]] || ''),
+    ...STATUS_ORDER.map(status => row.totals[status]),
+    row.rate === null ? '' : Number(row.rate)
+  ]);
+
+  return { header, rows };
+};
+
+/**
+ * Matrix CSV for one or more classes (classes separated by a blank line)
+ */
+export const matricesToCsv = (matrices) => {
+  const rows = [];
+
+  matrices.forEach((matrix, index) => {
+    const { header, rows: dataRows } = matrixRows(matrix, { includeClass: true });
+    if (index > 0) rows.push([]);
+    rows.push(header, ...dataRows);
+  });
+
+  rows.push([], [Object.entries(STATUS_GLYPHS).map(([status, glyph]) => `${glyph} ${STATUS_LABELS[status]}`).join('  ')]);
+
+  return toCsv(rows);
+};
+
+/**
+ * Excel sheet names: max 31 characters, no []:*?/\ and unique within the workbook
+ */
+const sheetName = (name, used) => {
+  const base = name.replace(/[[\]:*?/\\]/g, ' ').trim().slice(0, 28) || 'Class';
+  let candidate = base;
+  for (let n = 2; used.has(candidate); n++) {
+    candidate = `${base.slice(0, 27)}-${n}`;
+  }
+  used.add(candidate);
+  return candidate;
+};
+
+/**
+ * XLSX workbook with one matrix sheet per class
+ * Returns a Buffer
+ */
+export const buildWorkbook = async (matrices, { title }) => {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = 'Erudition';
+  workbook.created = new Date();
+
+  const used = new Set();
+
+  for (const matrix of matrices) {
+    const sheet = workbook.addWorksheet(sheetName(matrix.class.name, used));
+    const { header, rows } = matrixRows(matrix);
+    const firstDateColumn = 3;
+
+    sheet.addRow([`${matrix.class.name}　${title}`]).font = { bold: true, size: 14 };
+    const headerRow = sheet.addRow(header);
+    headerRow.font = { bold: true };
+    headerRow.alignment = { horizontal: 'center', vertical: 'middle', wrapText: true };
+
+    rows.forEach((values, index) => {
+      const row = sheet.addRow(values);
+      const { cells } = matrix.rows[index];
+
+      matrix.dates.forEach((date, i) => {
+        const cell = row.getCell(firstDateColumn + i);
+        cell.alignment = { horizontal: 'center' };
+        const fill = STATUS_FILLS[cells[date]];
+        if (fill) {
+          cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: fill } };
+        }
+      });
+    });
+
+    sheet.addRow([]);
+    sheet.addRow([Object.entries(STATUS_GLYPHS).map(([status, glyph]) => `${glyph} ${STATUS_LABELS[status]}`).join('   ')]);
+
+    sheet.getColumn(1).width = 14;
+    sheet.getColumn(2).width = 16;
+    matrix.dates.forEach((_, i) => {
+      sheet.getColumn(firstDateColumn + i).width = 8;
+    });
+    sheet.views = [{ state: 'frozen', xSplit: 2, ySplit: 2 }];
+  }
+
+  if (matrices.length === 0) {
+    workbook.addWorksheet('Attendance').addRow(['沒有可匯出的班級 No classes to export']);
+  }
+
+  return workbook.xlsx.writeBuffer();
+};
+
+/**
+ * Sessions to print sign-in sheets for on a date, with rosters
+ * Classes without generated sessions use their weekly schedule (skipped on closed days)
+ */
+export const getSignInSessions = async (classes, schoolId, date) => {
+  const day = toDateOnly(date);
+  const closedDates = await getClosedDates(schoolId, day, day);
+  const result = [];
+
+  for (const classData of classes) {
+    const [sessions, sessionCount, enrollments] = await Promise.all([
+      prisma.classSession.findMany({
+        where: { classId: classData.id, date: day },
+        orderBy: { startTime: 'asc' }
+      }),
+      prisma.classSession.count({ where: { classId: classData.id } }),
+      prisma.classEnrollment.findMany({
+        where: { classId: classData.id, status: 'ACTIVE' },
+        include: {
+          student: { select: { id: true, firstName: true, lastName: true, englishName: true } }
+        }
+      })
+    ]);
+
+    const students = enrollments
+      .map(e => e.student)
+      .sort((a, b) => studentName(a).localeCompare(studentName(b), 'zh-TW'));
+
+    if (sessionCount > 0) {
+      for (const session of sessions.filter(isSessionHeld)) {
+        result.push({ classData, date: day, startTime: session.startTime, endTime: session.endTime, room: session.room, students });
+      }
+    } else if (
+      parseDaysOfWeek(classData.dayOfWeek).includes(day.getUTCDay()) &&
+      !closedDates.has(formatDateOnly(day))
+    ) {
+      result.push({ classData, date: day, startTime: classData.startTime, endTime: classData.endTime, room: classData.room, students });
+    }
+  }
+
+  return result.sort((a, b) => (a.startTime || '').localeCompare(b.startTime || ''));
+};
+
+const SHEET_COLUMNS = [
+  { label: '#', width: 28 },
+  { label: '姓名 Name', width: 110 },
+  { label: '英文名 English', width: 90 },
+  { label: '到班時間 Time In', width: 80 },
+  { label: '簽名 Signature', width: 120 },
+  { label: '備註 Notes', width: 87 }
+];
+const ROW_HEIGHT = 26;
+
+/**
+ * Printable blank sign-in sheets, one page (or more) per session
+ * The headers and names are Chinese, so PDF_FONT_PATH must point to a CJK TTF/OTF such as
+ * Noto Sans TC; without one the built-in fonts print them as unreadable glyphs
+ * Returns the PDFKit document (a readable stream); the caller pipes it and calls end()
+ */
+export const buildSignInSheets = (sessions, { schoolName }) => {
+  if (!process.env.PDF_FONT_PATH) {
+    throw new AppError('PDF_FONT_NOT_CONFIGURED', 'Sign-in sheets need a Chinese font: set PDF_FONT_PATH on the server', '伺服器尚未設定 PDF 中文字型（PDF_FONT_PATH），無法列印簽到表', 500);
+  }
+
+  const doc = new PDFDocument({ size: 'A4', margin: 40, autoFirstPage: false });
+  doc.registerFont('body', process.env.PDF_FONT_PATH);
+
+  const drawTableHeader = () => {
+    let x = doc.page.margins.left;
+    const y = doc.y;
+    doc.fontSize(10);
+    for (const column of SHEET_COLUMNS) {
+      doc.rect(x, y, column.width, ROW_HEIGHT).stroke();
+      doc.text(column.label, x + 4, y + 8, { width: column.width - 8, lineBreak: false });
+      x += column.width;
+    }
+    doc.y = y + ROW_HEIGHT;
+  };
+
+  const drawRow = (cells) => {
+    if (doc.y + ROW_HEIGHT > doc.page.height - doc.page.margins.bottom - 20) {
+      doc.addPage();
+      drawTableHeader();
+    }
+
+    let x = doc.page.margins.left;
+    const y = doc.y;
+    SHEET_COLUMNS.forEach((column, i) => {
+      doc.rect(x, y, column.width, ROW_HEIGHT).stroke();
+      if (cells[i]) {
+        doc.text(cells[i], x + 4, y + 8, { width: column.width - 8, lineBreak: false, ellipsis: true });
+      }
+      x += column.width;
+    });
+    doc.y = y + ROW_HEIGHT;
+  };
+
+  for (const session of sessions) {
+    doc.addPage();
+    doc.font('body');
+
+    const dateText = `${formatDateOnly(session.date)}（${WEEKDAYS_ZH[session.date.getUTCDay()]}）`;
+    const teacher = session.classData.teacher;
+
+    doc.fontSize(16).text(`${schoolName}　簽到表 Sign-in Sheet`, { align: 'center' });
+    doc.moveDown(0.5);
+    doc.fontSize(11)
+      .text(`班級 Class：${session.classData.name}`)
+      .text(`日期 Date：${dateText}　時間 Time：${session.startTime || ''} - ${session.endTime || ''}`)
+      .text(`教室 Room：${session.room || '-'}　老師 Teacher：${teacher ? `${teacher.lastName}${teacher.firstName}` : '-'}`);
+    doc.moveDown(0.8);
+
+    drawTableHeader();
+    session.students.forEach((student, i) => {
+      drawRow([String(i + 1), studentName(student), student.englishName || '', '', '', '']);
+    });
+    for (let i = 0; i < SIGN_IN_BLANK_ROWS; i++) {
+      drawRow([String(session.students.length + i + 1), '', '', '', '', '']);
+    }
+
+    doc.moveDown(1);
+    doc.fontSize(9).text(
+      '系統無法使用時以此表點名，恢復後請補登出席記錄。For use when the system is down; enter the records once it is back.',
+      doc.page.margins.left
+    );
+  }
+
+  return doc;
+};
+
+export default {
+  STATUS_LABELS,
+  STATUS_GLYPHS,
+  getExportClasses,
+  toCsv,
+  buildClassMatrix,
+  buildMatrices,
+  matricesToCsv,
+  buildWorkbook,
+  getSignInSessions,
+  buildSignInSheets
+};
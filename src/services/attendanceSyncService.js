@@ -0,0 +1,351 @@
+// Attendance Sync Service
+// Offline sync for teacher tablets: idempotent mutation batches and a server delta by cursor
+//
+// Conflict rule: a mutation is applied unless the record was changed on the server
+// after the mutation's clientTimestamp. Two exceptions:
+// - absences auto-marked by the closing job always yield to the teacher's mark
+// - a leave-request EXCUSED record yields to PRESENT / LATE / EARLY_LEAVE (the child
+//   came after all) but not to ABSENT
+// When the server wins, the mutation is reported as CONFLICT with the server record.
+
+import prisma from '../config/database.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { toDateOnly, findSessionForDate, isSessionHeld } from './sessionService.js';
+import attendanceAuditService from './attendanceAuditService.js';
+
+export const MAX_MUTATIONS = 500;
+
+// Records returned per sync; the client keeps syncing while hasMore is true
+const DELTA_LIMIT = 1000;
+
+// First sync (no cursor) returns records from this many days back
+const INITIAL_SYNC_DAYS = 14;
+
+// A mutation left PENDING this long was claimed by a request that died, and is applied again
+const CLAIM_TIMEOUT_MS = 5 * 60 * 1000;
+
+const VALID_STATUSES = ['PRESENT', 'ABSENT', 'LATE', 'EXCUSED', 'EARLY_LEAVE'];
+const ATTENDED_STATUSES = ['PRESENT', 'LATE', 'EARLY_LEAVE'];
+
+const DELTA_SELECT = {
+  id: true,
+  classId: true,
+  studentId: true,
+  sessionId: true,
+  date: true,
+  status: true,
+  reason: true,
+  notes: true,
+  checkInTime: true,
+  checkOutTime: true,
+  markedById: true,
+  markedAt: true,
+  updatedAt: true
+};
+
+/**
+ * Cursors are opaque to clients: base64url of the server timestamp, plus the ID of the last
+ * record returned when paging (records sharing its timestamp resume after that ID)
+ */
+export const encodeCursor = (date, afterId = null) => {
+  const value = afterId ? `${date.toISOString()}|${afterId}` : date.toISOString();
+  return Buffer.from(value).toString('base64url');
+};
+
+/**
+ * Returns { since, afterId }, or null without a cursor
+ */
+export const decodeCursor = (cursor) => {
+  if (!cursor) return null;
+
+  const [timestamp, afterId = null] = Buffer.from(String(cursor), 'base64url').toString().split('|');
+  const since = new Date(timestamp);
+  if (isNaN(since)) {
+    throw new AppError('INVALID_CURSOR', 'Sync cursor is not valid', '無效的同步游標');
+  }
+  return { since, afterId };
+};
+
+/**
+ * Classes whose attendance the user may sync (teachers: their own)
+ */
+const getSyncClassIds = async (user, classIds) => {
+  const classes = await prisma.class.findMany({
+    where: {
+      schoolId: user.schoolId,
+      ...(user.role === 'TEACHER' && { teacherId: user.id }),
+      ...(classIds?.length && { id: { in: classIds } })
+    },
+    select: { id: true }
+  });
+
+  return classes.map(c => c.id);
+};
+
+/**
+ * Decide whether the server record wins over a mutation made at clientTime
+ * Returns a conflict code, or null to apply the mutation
+ */
+const findConflict = (existing, status, clientTime) => {
+  if (!existing) return null;
+
+  if (existing.status === 'EXCUSED' && existing.leaveRequestId) {
+    return ATTENDED_STATUSES.includes(status) ? null : 'EXCUSED_BY_LEAVE';
+  }
+
+  if (existing.autoMarked) return null;
+
+  return existing.markedAt > clientTime ? 'NEWER_SERVER_EDIT' : null;
+};
+
+/**
+ * Apply one mutation
+ * Returns { clientMutationId, result, code?, attendance?, session?, notify? }
+ */
+const applyMutation = async (user, mutation, classIds, now) => {
+  const { clientMutationId, classId, studentId, date, status, reason, notes, clientTimestamp } = mutation;
+
+  const reject = (code) => ({ clientMutationId, result: 'REJECTED', code });
+
+  if (!classId || !studentId || !date || !status) return reject('MISSING_FIELDS');
+  if (!VALID_STATUSES.includes(status)) return reject('INVALID_STATUS');
+  if (!classIds.includes(classId)) return reject('CLASS_NOT_FOUND');
+
+  const day = toDateOnly(date);
+  const markedAt = clientTimestamp ? new Date(clientTimestamp) : now;
+  if (isNaN(day) || isNaN(markedAt)) return reject('INVALID_DATE');
+
+  // A tablet clock running ahead can't make its edits newer than the server's
+  const clientTime = markedAt > now ? now : markedAt;
+
+  const [enrollment, session, existing] = await Promise.all([
+    prisma.classEnrollment.findFirst({
+      where: { classId, studentId, status: 'ACTIVE' }
+    }),
+    findSessionForDate(classId, day),
+    prisma.attendance.findUnique({
+      where: { classId_studentId_date: { classId, studentId, date: day } }
+    })
+  ]);
+
+  if (!enrollment && !existing) return reject('STUDENT_NOT_ENROLLED');
+  if (session && !isSessionHeld(session)) return reject('SESSION_NOT_HELD');
+
+  const conflict = findConflict(existing, status, clientTime);
+  if (conflict) {
+    return { clientMutationId, result: 'CONFLICT', code: conflict, attendance: existing };
+  }
+
+  const attendance = await attendanceAuditService.upsertAttendance({
+    classId,
+    studentId,
+    date: day
+  }, {
+    update: {
+      status,
+      reason,
+      notes,
+      sessionId: session?.id,
+      autoMarked: false,
+      markedById: user.id,
+      markedAt: clientTime
+    },
+    create: {
+      classId,
+      studentId,
+      date: day,
+      sessionId: session?.id,
+      status,
+      reason,
+      notes,
+      markedById: user.id,
+      markedAt: clientTime
+    }
+  }, { source: 'OFFLINE_SYNC', changedById: user.id });
+
+  return {
+    clientMutationId,
+    result: 'APPLIED',
+    attendance,
+    session,
+    notify: status !== 'PRESENT' && existing?.status !== status
+  };
+};
+
+/**
+ * Result for a mutation already processed; PENDING while another request is still applying it
+ */
+const replayMutation = (record) => ({
+  clientMutationId: record.clientMutationId,
+  result: record.result,
+  code: record.result === 'PENDING' ? 'IN_PROGRESS' : record.code,
+  replayed: true
+});
+
+/**
+ * Claim a mutation ID before applying it: a retry sent while the first request is still running
+ * hits the unique index and replays instead of applying the mutation a second time
+ * stored is the record already kept for the ID, if any; a PENDING one older than
+ * CLAIM_TIMEOUT_MS is taken over by whichever request gets there first
+ * Returns { claim } to apply the mutation, or { stored } to replay
+ */
+const claimMutation = async (user, clientMutationId, stored) => {
+  const key = { userId_clientMutationId: { userId: user.id, clientMutationId } };
+
+  if (!stored) {
+    try {
+      const claim = await prisma.attendanceSyncMutation.create({
+        data: { clientMutationId, userId: user.id, result: 'PENDING' }
+      });
+      return { claim };
+    } catch (error) {
+      if (error.code !== 'P2002') throw error;
+      stored = await prisma.attendanceSyncMutation.findUnique({ where: key });
+    }
+  }
+
+  if (stored.result !== 'PENDING' || stored.claimedAt > new Date(Date.now() - CLAIM_TIMEOUT_MS)) {
+    return { stored };
+  }
+
+  const claimedAt = new Date();
+  const { count } = await prisma.attendanceSyncMutation.updateMany({
+    where: { id: stored.id, result: 'PENDING', claimedAt: stored.claimedAt },
+    data: { claimedAt }
+  });
+
+  return count === 1
+    ? { claim: { ...stored, claimedAt } }
+    : { stored: await prisma.attendanceSyncMutation.findUnique({ where: key }) };
+};
+
+/**
+ * Apply a batch of mutations in order, skipping ones already processed
+ */
+export const applyMutations = async (user, mutations, classIds) => {
+  const now = new Date();
+  const ids = mutations.map(m => m.clientMutationId).filter(Boolean);
+
+  const processed = await prisma.attendanceSyncMutation.findMany({
+    where: { userId: user.id, clientMutationId: { in: ids } }
+  });
+  const processedById = new Map(processed.map(p => [p.clientMutationId, p]));
+
+  const results = [];
+
+  for (const mutation of mutations) {
+    if (!mutation.clientMutationId) {
+      results.push({ clientMutationId: null, result: 'REJECTED', code: 'MISSING_MUTATION_ID' });
+      continue;
+    }
+
+    const { claim, stored } = await claimMutation(user, mutation.clientMutationId, processedById.get(mutation.clientMutationId));
+    if (!claim) {
+      results.push(replayMutation(stored));
+      continue;
+    }
+
+    let result;
+    try {
+      result = await applyMutation(user, mutation, classIds, now);
+    } catch (error) {
+      // Release the claim so the mutation can be retried
+      await prisma.attendanceSyncMutation.delete({ where: { id: claim.id } });
+      throw error;
+    }
+
+    const record = await prisma.attendanceSyncMutation.update({
+      where: { id: claim.id },
+      data: {
+        result: result.result,
+        code: result.code || null,
+        attendanceId: result.attendance?.id || null
+      }
+    });
+    processedById.set(record.clientMutationId, record);
+
+    results.push(result);
+  }
+
+  return results;
+};
+
+/**
+ * Records changed since the cursor (or recent records on first sync) plus deletions
+ * position is a decoded cursor: { since, afterId }
+ */
+export const getDelta = async (classIds, position) => {
+  const syncedAt = new Date();
+  const since = position?.since;
+
+  // Records are paged in (updatedAt, id) order; many can share one updatedAt (an updateMany),
+  // so a page ends inside a timestamp and the next resumes after the last ID within it
+  const changedSince = position?.afterId
+    ? { OR: [{ updatedAt: { gt: since } }, { updatedAt: since, id: { gt: position.afterId } }] }
+    : { updatedAt: { gte: since } };
+
+  const where = {
+    classId: { in: classIds },
+    ...(since
+      ? changedSince
+      : { date: { gte: new Date(syncedAt.getTime() - INITIAL_SYNC_DAYS * 24 * 60 * 60 * 1000) } })
+  };
+
+  const [records, deletions] = await Promise.all([
+    prisma.attendance.findMany({
+      where,
+      select: DELTA_SELECT,
+      orderBy: [{ updatedAt: 'asc' }, { id: 'asc' }],
+      take: DELTA_LIMIT + 1
+    }),
+    since
+      ? prisma.attendanceChange.findMany({
+          where: {
+            action: 'DELETE',
+            classId: { in: classIds },
+            createdAt: { gte: since }
+          },
+          select: { attendanceId: true }
+        })
+      : []
+  ]);
+
+  const hasMore = records.length > DELTA_LIMIT;
+  const page = hasMore ? records.slice(0, DELTA_LIMIT) : records;
+
+  return {
+    records: page,
+    deleted: deletions.map(d => d.attendanceId),
+    hasMore,
+    // When paging, resume after the last record returned
+    cursor: hasMore
+      ? encodeCursor(page[page.length - 1].updatedAt, page[page.length - 1].id)
+      : encodeCursor(syncedAt)
+  };
+};
+
+/**
+ * Process a sync request: apply the client's mutations, then return the server delta
+ */
+export const sync = async (user, { cursor, mutations = [], classIds }) => {
+  if (!Array.isArray(mutations) || mutations.length > MAX_MUTATIONS) {
+    throw new AppError('INVALID_MUTATIONS', `mutations must be an array of at most ${MAX_MUTATIONS} items`, `每次最多同步 ${MAX_MUTATIONS} 筆`);
+  }
+
+  const position = decodeCursor(cursor);
+  const syncClassIds = await getSyncClassIds(user, classIds);
+
+  const results = await applyMutations(user, mutations, syncClassIds);
+  const delta = await getDelta(syncClassIds, position);
+
+  return { results, ...delta };
+};
+
+export default {
+  MAX_MUTATIONS,
+  encodeCursor,
+  decodeCursor,
+  applyMutations,
+  getDelta,
+  sync
+};
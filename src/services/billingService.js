@@ -0,0 +1,578 @@
+// Billing Service
+// Tuition plans, building each student's monthly invoice lines from their enrollments,
+// and crediting back tuition when a student leaves a class that was already invoiced
+
+import prisma from '../config/database.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { getClosedDates } from './calendarService.js';
+import { parseDaysOfWeek, getSessionDates, formatDateOnly, toDateOnly, timeToMinutes, isSessionHeld } from './sessionService.js';
+import { syncInvoiceStatus } from './paymentService.js';
+
+export const BILLING_TYPES = ['MONTHLY', 'PER_TERM', 'PER_SESSION', 'PER_HOUR'];
+export const ROUNDING_METHODS = ['ROUND', 'FLOOR', 'CEIL'];
+
+const DEFAULT_BILLING_SETTINGS = {
+  rounding: 'ROUND',      // how prorated amounts are rounded: ROUND, FLOOR or CEIL
+  roundingUnit: 1,        // to the nearest NT$1 (or e.g. 10)
+  prorateClosures: false  // reduce monthly tuition for closures and cancelled sessions unless generate says otherwise
+};
+
+// Invoices that no longer count when checking what an enrollment was already billed for
+const VOID_INVOICE_STATUSES = ['CANCELLED'];
+
+// Enrollments that still get billed up to their endedAt
+const ENDED_STATUSES = ['DROPPED', 'COMPLETED'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const toAmount = (value) => (value === null || value === undefined ? 0 : Number(value));
+
+/**
+ * Merge a school's billing settings over the defaults
+ */
+export const getBillingSettings = (settings) => {
+  return { ...DEFAULT_BILLING_SETTINGS, ...settings?.billing };
+};
+
+/**
+ * Round an amount by the school's rounding rule
+ */
+export const roundAmount = (amount, { rounding, roundingUnit }) => {
+  const unit = Number(roundingUnit) > 0 ? Number(roundingUnit) : 1;
+  const method = ROUNDING_METHODS.includes(rounding) ? rounding.toLowerCase() : 'round';
+  // Drop floating point noise (e.g. 3062.4999999) before rounding
+  return Math[method](Number((amount / unit).toFixed(6))) * unit;
+};
+
+/**
+ * Validate a tuition plan from a request body
+ */
+export const normalizeTuitionPlan = ({ billingType = 'MONTHLY', amount, materialsFee, registrationFee, description }) => {
+  if (!BILLING_TYPES.includes(billingType)) {
+    throw new AppError('INVALID_BILLING_TYPE', `billingType must be one of ${BILLING_TYPES.join(', ')}`, '無效的計費方式', 400);
+  }
+
+  const fees = { amount, materialsFee, registrationFee };
+  for (const [field, value] of Object.entries(fees)) {
+    const required = field === 'amount';
+    if ((value === undefined || value === null) && !required) continue;
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+      throw new AppError('INVALID_AMOUNT', `${field} must be a number of 0 or more`, '金額必須為 0 以上的數字', 400);
+    }
+  }
+
+  return {
+    billingType,
+    amount,
+    materialsFee: materialsFee ?? null,
+    registrationFee: registrationFee ?? null,
+    description: description || null
+  };
+};
+
+/**
+ * Class meetings in a range: held sessions when the class has generated sessions,
+ * otherwise the weekly schedule minus closed days
+ * Returns [{ date, startTime, endTime }]
+ */
+const getClassMeetings = (classData, sessions, hasSessions, closedDates, startDate, endDate) => {
+  if (hasSessions) {
+    return sessions
+      .filter(s => s.classId === classData.id && isSessionHeld(s))
+      .map(s => ({ date: s.date, startTime: s.startTime, endTime: s.endTime }));
+  }
+
+  return getSessionDates(parseDaysOfWeek(classData.dayOfWeek), startDate, endDate)
+    .filter(date => !closedDates.has(formatDateOnly(date)))
+    .map(date => ({ date, startTime: classData.startTime, endTime: classData.endTime }));
+};
+
+/**
+ * The part of the month inside the class's term, or null when the term doesn't touch the month
+ */
+const getBillingWindow = (classData, monthStart, monthEnd) => {
+  const start = classData.startDate && toDateOnly(classData.startDate) > monthStart ? toDateOnly(classData.startDate) : monthStart;
+  const end = classData.endDate && toDateOnly(classData.endDate) < monthEnd ? toDateOnly(classData.endDate) : monthEnd;
+  return start <= end ? { start, end } : null;
+};
+
+/**
+ * The part of a range the student was enrolled for: from their enrollmentDate,
+ * up to endedAt once the enrollment was dropped or completed
+ */
+const getEnrollmentSpan = (enrollment, range) => {
+  const enrolled = toDateOnly(enrollment.enrollmentDate);
+  const ended = ENDED_STATUSES.includes(enrollment.status) && enrollment.endedAt ? toDateOnly(enrollment.endedAt) : null;
+
+  const start = enrolled > range.start ? enrolled : range.start;
+  const end = ended && ended < range.end ? ended : range.end;
+  return start <= end ? { start, end } : null;
+};
+
+const countDays = ({ start, end }) => Math.round((end - start) / DAY_MS) + 1;
+
+/**
+ * Share of the term's scheduled classes the enrollment covers, as [part, total]
+ * null when the class has no term dates or weekly schedule to measure it by
+ */
+const getTermShare = (enrollment, classData) => {
+  if (!classData.startDate || !classData.endDate) return null;
+
+  const term = { start: toDateOnly(classData.startDate), end: toDateOnly(classData.endDate) };
+  const days = parseDaysOfWeek(classData.dayOfWeek);
+  const total = getSessionDates(days, term.start, term.end).length;
+  if (total === 0) return null;
+
+  const span = getEnrollmentSpan(enrollment, term);
+  return [span ? getSessionDates(days, span.start, span.end).length : 0, total];
+};
+
+/**
+ * Invoice lines for one enrollment in a month
+ * billed: Set of invoice item types already billed for this enrollment
+ * Tuition is prorated to the part of the month the student was enrolled; with prorateClosures,
+ * monthly tuition also only counts classes actually held
+ */
+export const buildEnrollmentItems = (enrollment, { window, meetings, scheduled, monthLabel, billed, prorateClosures, settings = DEFAULT_BILLING_SETTINGS }) => {
+  const { class: classData } = enrollment;
+  const plan = classData.tuitionPlan;
+  const label = plan.description || classData.name;
+  const rate = toAmount(plan.amount);
+  const round = (amount) => roundAmount(amount, settings);
+
+  const line = (type, description, amount, quantity = 1) => ({
+    type,
+    description,
+    amount,
+    quantity,
+    classId: classData.id,
+    enrollmentId: enrollment.id
+  });
+
+  const span = window && getEnrollmentSpan(enrollment, window);
+  const inSpan = (date) => date >= span.start && date <= span.end;
+  const spanMeetings = span ? meetings.filter(m => inSpan(m.date)) : [];
+
+  const items = [];
+
+  if (span) {
+    switch (plan.billingType) {
+      case 'MONTHLY': {
+        // Measured in classes, or in calendar days for classes without a weekly schedule
+        const [part, total] = scheduled.length > 0
+          ? [Math.min(prorateClosures ? spanMeetings.length : scheduled.filter(inSpan).length, scheduled.length), scheduled.length]
+          : [countDays(span), countDays(window)];
+
+        if (part === total) {
+          items.push(line('TUITION', `${label} ${monthLabel} 月費 / Monthly tuition`, rate));
+        } else if (part > 0) {
+          items.push(line('TUITION', `${label} ${monthLabel} 月費 (按比例 ${part}/${total}) / Monthly tuition, prorated`, round(rate * part / total)));
+        }
+        break;
+      }
+
+      case 'PER_TERM':
+        if (!billed.has('TUITION')) {
+          const term = [classData.academicYear, classData.term].filter(Boolean).join(' ');
+          const description = `${label} ${term ? `${term} ` : ''}學期費`;
+          const share = getTermShare(enrollment, classData);
+
+          if (!share || share[0] === share[1]) {
+            items.push(line('TUITION', `${description} / Term tuition`, rate));
+          } else if (share[0] > 0) {
+            items.push(line('TUITION', `${description} (按比例 ${share[0]}/${share[1]}) / Term tuition, prorated`, round(rate * share[0] / share[1])));
+          }
+        }
+        break;
+
+      case 'PER_SESSION':
+        if (spanMeetings.length > 0) {
+          items.push(line('TUITION', `${label} ${monthLabel} 上課 ${spanMeetings.length} 堂 / Sessions`, rate, spanMeetings.length));
+        }
+        break;
+
+      case 'PER_HOUR': {
+        // One line per session length, so the quantity stays a whole number of sessions
+        const byLength = new Map();
+        for (const meeting of spanMeetings) {
+          if (!meeting.startTime || !meeting.endTime) continue;
+          const minutes = timeToMinutes(meeting.endTime) - timeToMinutes(meeting.startTime);
+          if (minutes > 0) byLength.set(minutes, (byLength.get(minutes) || 0) + 1);
+        }
+        for (const [minutes, count] of byLength) {
+          const hours = Math.round(minutes / 60 * 100) / 100;
+          items.push(line('TUITION', `${label} ${monthLabel} 上課 ${count} 堂 × ${hours} 小時 / Sessions × hours`, round(rate * hours), count));
+        }
+        break;
+      }
+    }
+  }
+
+  // One-off fees go on the first invoice that bills the enrollment
+  if (items.length > 0 || billed.size > 0) {
+    if (toAmount(plan.registrationFee) > 0 && !billed.has('REGISTRATION')) {
+      items.push(line('REGISTRATION', `${label} 報名費 / Registration fee`, toAmount(plan.registrationFee)));
+    }
+    if (toAmount(plan.materialsFee) > 0 && !billed.has('MATERIALS')) {
+      items.push(line('MATERIALS', `${label} 教材費 / Materials fee`, toAmount(plan.materialsFee)));
+    }
+  }
+
+  return items;
+};
+
+/**
+ * Month boundaries for "YYYY-MM"
+ */
+const getMonthRange = (month) => {
+  const monthStart = toDateOnly(`${month}-01`);
+  const monthEnd = new Date(Date.UTC(monthStart.getUTCFullYear(), monthStart.getUTCMonth() + 1, 0));
+  return { monthStart, monthEnd, monthLabel: month.replace('-', '/') };
+};
+
+/**
+ * Billing window, held meetings and scheduled class days of each class in a month
+ * Returns Map classId -> { window, meetings, scheduled }
+ */
+const loadClassContexts = async (schoolId, classes, monthStart, monthEnd) => {
+  const classIds = classes.map(c => c.id);
+
+  const [sessions, sessionCounts, closedDates] = await Promise.all([
+    prisma.classSession.findMany({
+      where: { classId: { in: classIds }, date: { gte: monthStart, lte: monthEnd } }
+    }),
+    prisma.classSession.groupBy({
+      by: ['classId'],
+      where: { classId: { in: classIds } },
+      _count: true
+    }),
+    getClosedDates(schoolId, formatDateOnly(monthStart), formatDateOnly(monthEnd))
+  ]);
+
+  const withSessions = new Set(sessionCounts.map(c => c.classId));
+
+  return new Map(classes.map(classData => {
+    const window = getBillingWindow(classData, monthStart, monthEnd);
+    if (!window) return [classData.id, { window: null, meetings: [], scheduled: [] }];
+
+    const inWindow = sessions.filter(s => s.date >= window.start && s.date <= window.end);
+    return [classData.id, {
+      window,
+      meetings: getClassMeetings(classData, inWindow, withSessions.has(classData.id), closedDates, window.start, window.end),
+      scheduled: getSessionDates(parseDaysOfWeek(classData.dayOfWeek), window.start, window.end)
+    }];
+  }));
+};
+
+const getSchoolBillingSettings = async (schoolId) => {
+  const school = await prisma.school.findUnique({
+    where: { id: schoolId },
+    select: { settings: true }
+  });
+  return getBillingSettings(school?.settings);
+};
+
+/**
+ * Invoice lines for every student enrolled during a month, from the tuition plans of their
+ * enrollments (optionally only some classes). Enrollments dropped or completed during the
+ * month are billed up to their endedAt
+ * Students who already have a generated invoice for the month are listed in skipped
+ * Returns { billingMonth, monthStart, monthEnd, students: [{ student, items }], skipped }
+ */
+export const planMonthlyInvoices = async (schoolId, { month, classIds, prorateClosures }) => {
+  const { monthStart, monthEnd, monthLabel } = getMonthRange(month);
+  const settings = await getSchoolBillingSettings(schoolId);
+
+  const classFilter = {
+    schoolId,
+    tuitionPlan: { isNot: null },
+    ...(classIds?.length && { id: { in: classIds } })
+  };
+  const baseFilter = {
+    class: classFilter,
+    enrollmentDate: { lt: new Date(monthEnd.getTime() + DAY_MS) }
+  };
+  const endedFilter = { status: { in: ENDED_STATUSES }, endedAt: { gte: monthStart } };
+  const enrollmentFilter = { ...baseFilter, OR: [{ status: 'ACTIVE' }, endedFilter] };
+
+  const students = await prisma.student.findMany({
+    where: {
+      schoolId,
+      OR: [
+        { status: 'ACTIVE', enrollments: { some: enrollmentFilter } },
+        { enrollments: { some: { ...baseFilter, ...endedFilter } } }
+      ]
+    },
+    include: {
+      enrollments: {
+        where: enrollmentFilter,
+        include: { class: { include: { tuitionPlan: true } } }
+      }
+    },
+    orderBy: [{ lastName: 'asc' }, { firstName: 'asc' }]
+  });
+
+  // Students who are no longer active only get their final invoice for ended enrollments
+  for (const student of students) {
+    if (student.status !== 'ACTIVE') {
+      student.enrollments = student.enrollments.filter(e => ENDED_STATUSES.includes(e.status));
+    }
+  }
+
+  const enrollments = students.flatMap(s => s.enrollments);
+  const classes = [...new Map(enrollments.map(e => [e.class.id, e.class])).values()];
+
+  const [existingInvoices, billedItems, classContext] = await Promise.all([
+    prisma.invoice.findMany({
+      where: {
+        studentId: { in: students.map(s => s.id) },
+        billingMonth: month,
+        status: { notIn: VOID_INVOICE_STATUSES }
+      },
+      select: { studentId: true }
+    }),
+    prisma.invoiceItem.findMany({
+      where: {
+        enrollmentId: { in: enrollments.map(e => e.id) },
+        invoice: { status: { notIn: VOID_INVOICE_STATUSES } }
+      },
+      select: { enrollmentId: true, type: true }
+    }),
+    loadClassContexts(schoolId, classes, monthStart, monthEnd)
+  ]);
+
+  const invoicedIds = new Set(existingInvoices.map(i => i.studentId));
+
+  const billedByEnrollment = new Map();
+  for (const item of billedItems) {
+    if (!billedByEnrollment.has(item.enrollmentId)) billedByEnrollment.set(item.enrollmentId, new Set());
+    billedByEnrollment.get(item.enrollmentId).add(item.type);
+  }
+
+  const planned = [];
+  const skipped = [];
+
+  for (const student of students) {
+    if (invoicedIds.has(student.id)) {
+      skipped.push({ studentId: student.id, reason: 'ALREADY_INVOICED' });
+      continue;
+    }
+
+    const items = student.enrollments.flatMap(enrollment => buildEnrollmentItems(enrollment, {
+      ...classContext.get(enrollment.class.id),
+      monthLabel,
+      billed: billedByEnrollment.get(enrollment.id) || new Set(),
+      prorateClosures: prorateClosures ?? settings.prorateClosures,
+      settings
+    }));
+
+    if (items.length === 0) {
+      skipped.push({ studentId: student.id, reason: 'NOTHING_TO_BILL' });
+      continue;
+    }
+
+    planned.push({ student, items });
+  }
+
+  return { billingMonth: month, monthStart, monthEnd, students: planned, skipped };
+};
+
+// Tries at a credit note number before giving up, when withdrawals at the same time collide
+const CREDIT_NOTE_NUMBER_ATTEMPTS = 5;
+
+/**
+ * The credit note number after the school's latest one (the sequence runs on across months)
+ */
+const nextCreditNoteNumber = async (schoolId) => {
+  const latest = await prisma.creditNote.findFirst({
+    where: { schoolId },
+    orderBy: { createdAt: 'desc' },
+    select: { creditNoteNumber: true }
+  });
+  const sequence = latest ? Number(latest.creditNoteNumber.split('-').at(-1)) + 1 : 1;
+  return `CN-${formatDateOnly(new Date()).slice(0, 7).replace('-', '')}-${String(sequence).padStart(4, '0')}`;
+};
+
+/**
+ * Issue credit notes for tuition already invoiced past the end of dropped or completed enrollments
+ * Each affected invoice gets one credit note with a line per enrollment. The credit is the share
+ * of the invoiced tuition the student no longer owes, less the invoice's share of discounts,
+ * minus anything already credited, so calling this again for the same enrollments is safe
+ * Returns the created credit notes
+ */
+export const issueWithdrawalCredits = async (enrollmentIds, { createdById } = {}) => {
+  if (enrollmentIds.length === 0) return [];
+
+  const enrollments = await prisma.classEnrollment.findMany({
+    where: { id: { in: enrollmentIds }, status: { in: ENDED_STATUSES }, endedAt: { not: null } },
+    include: { class: { include: { tuitionPlan: true } } }
+  });
+  const enrollmentById = new Map(enrollments.filter(e => e.class.tuitionPlan).map(e => [e.id, e]));
+  if (enrollmentById.size === 0) return [];
+
+  const tuitionItems = await prisma.invoiceItem.findMany({
+    where: {
+      enrollmentId: { in: [...enrollmentById.keys()] },
+      type: 'TUITION',
+      invoice: { status: { notIn: VOID_INVOICE_STATUSES }, billingMonth: { not: null } }
+    },
+    include: {
+      invoice: {
+        include: {
+          items: true,
+          creditNotes: { include: { items: true } }
+        }
+      }
+    }
+  });
+
+  // Only invoices for the month the enrollment ended or later, except a term's single invoice
+  const affected = tuitionItems.filter(item => {
+    const enrollment = enrollmentById.get(item.enrollmentId);
+    return enrollment.class.tuitionPlan.billingType === 'PER_TERM' ||
+      item.invoice.billingMonth >= formatDateOnly(enrollment.endedAt).slice(0, 7);
+  });
+  if (affected.length === 0) return [];
+
+  const schoolId = enrollments[0].class.schoolId;
+  const settings = await getSchoolBillingSettings(schoolId);
+
+  // Class contexts per billing month, loaded once per month
+  const contexts = new Map();
+  const getContext = async (month, classData) => {
+    if (!contexts.has(month)) {
+      const { monthStart, monthEnd } = getMonthRange(month);
+      const classes = [...new Map(enrollments.map(e => [e.class.id, e.class])).values()];
+      contexts.set(month, await loadClassContexts(schoolId, classes, monthStart, monthEnd));
+    }
+    return contexts.get(month).get(classData.id);
+  };
+
+  const tuitionFor = async (enrollment, month) => {
+    const items = buildEnrollmentItems(enrollment, {
+      ...(await getContext(month, enrollment.class)),
+      monthLabel: getMonthRange(month).monthLabel,
+      billed: new Set(),
+      prorateClosures: settings.prorateClosures,
+      settings
+    });
+    return items
+      .filter(item => item.type === 'TUITION')
+      .reduce((sum, item) => sum + item.amount * item.quantity, 0);
+  };
+
+  // Group the invoiced tuition by invoice, then enrollment
+  const byInvoice = new Map();
+  for (const item of affected) {
+    if (!byInvoice.has(item.invoiceId)) byInvoice.set(item.invoiceId, { invoice: item.invoice, billed: new Map() });
+    const { billed } = byInvoice.get(item.invoiceId);
+    billed.set(item.enrollmentId, (billed.get(item.enrollmentId) || 0) + toAmount(item.amount) * item.quantity);
+  }
+
+  const creditNotes = [];
+
+  for (const { invoice, billed } of byInvoice.values()) {
+    const sumOf = (items, type) => items
+      .filter(i => i.type === type)
+      .reduce((sum, i) => sum + toAmount(i.amount) * i.quantity, 0);
+
+    const invoiceTuition = sumOf(invoice.items, 'TUITION');
+    const discountShare = invoiceTuition > 0 ? -sumOf(invoice.items, 'DISCOUNT') / invoiceTuition : 0;
+    const credited = invoice.creditNotes.flatMap(note => note.items);
+
+    const lines = [];
+    for (const [enrollmentId, billedAmount] of billed) {
+      const enrollment = enrollmentById.get(enrollmentId);
+
+      // Compare with what the enrollment would cost had it not ended
+      const [due, full] = await Promise.all([
+        tuitionFor(enrollment, invoice.billingMonth),
+        tuitionFor({ ...enrollment, status: 'ACTIVE', endedAt: null }, invoice.billingMonth)
+      ]);
+      if (full <= 0 || due >= full) continue;
+
+      const alreadyCredited = credited
+        .filter(i => i.enrollmentId === enrollmentId)
+        .reduce((sum, i) => sum + toAmount(i.amount) * i.quantity, 0);
+      const amount = roundAmount(billedAmount * (1 - due / full) * (1 - discountShare), settings) - alreadyCredited;
+      if (amount <= 0) continue;
+
+      const label = enrollment.class.tuitionPlan.description || enrollment.class.name;
+      const endedOn = formatDateOnly(enrollment.endedAt);
+      lines.push({
+        type: 'TUITION',
+        description: `${label} 退費 (${endedOn} 後停止上課) / Tuition credit after ${endedOn}`,
+        amount,
+        quantity: 1,
+        classId: enrollment.classId,
+        enrollmentId
+      });
+    }
+
+    if (lines.length === 0) continue;
+
+    // Another withdrawal at the same moment can take the same number; the unique index
+    // rejects the second credit note, which then takes the next number
+    let creditNote = null;
+    for (let attempt = 1; !creditNote; attempt++) {
+      try {
+        creditNote = await prisma.creditNote.create({
+          data: {
+            creditNoteNumber: await nextCreditNoteNumber(schoolId),
+            amount: lines.reduce((sum, line) => sum + line.amount, 0),
+            currency: invoice.currency,
+            reason: 'Withdrawal / 退班',
+            invoiceId: invoice.id,
+            schoolId,
+            studentId: invoice.studentId,
+            createdById: createdById || null,
+            items: { create: lines }
+          },
+          include: { items: true }
+        });
+      } catch (error) {
+        if (error.code !== 'P2002' || attempt >= CREDIT_NOTE_NUMBER_ATTEMPTS) throw error;
+      }
+    }
+    creditNotes.push(creditNote);
+
+    // A credit can settle the invoice, or turn what was paid into account credit
+    await syncInvoiceStatus(invoice.id);
+  }
+
+  return creditNotes;
+};
+
+/**
+ * issueWithdrawalCredits for requests that have already ended the enrollments: a failure is
+ * returned as creditError instead of thrown, so the request can finish (e.g. offer the freed
+ * seats) and the credit can be issued again later
+ * Returns { creditNotes, creditError }
+ */
+export const tryIssueWithdrawalCredits = async (enrollmentIds, options) => {
+  try {
+    return { creditNotes: await issueWithdrawalCredits(enrollmentIds, options), creditError: null };
+  } catch (error) {
+    console.error('Withdrawal credit failed:', error);
+    return {
+      creditNotes: [],
+      creditError: {
+        code: error.code || 'CREDIT_NOTE_FAILED',
+        message: `Enrollments were ended but their credit notes could not be issued: ${error.message}`,
+        messageZh: '已結束選課，但無法開立退費折讓單，請檢查帳單'
+      }
+    };
+  }
+};
+
+export default {
+  BILLING_TYPES,
+  ROUNDING_METHODS,
+  getBillingSettings,
+  roundAmount,
+  normalizeTuitionPlan,
+  buildEnrollmentItems,
+  planMonthlyInvoices,
+  issueWithdrawalCredits,
+  tryIssueWithdrawalCredits
+};
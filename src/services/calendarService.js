@@ -0,0 +1,250 @@
+// Calendar Service
+// School holidays, breaks and emergency closures, and the date checks built on them
+
+import prisma from '../config/database.js';
+import { toDateOnly, formatDateOnly } from './sessionService.js';
+
+// Longest stretch nextOpenDate will skip (e.g. winter break)
+const MAX_CLOSED_STREAK_DAYS = 90;
+
+/**
+ * Label used for a closure in session cancel reasons and messages
+ */
+export const getEventLabel = (event) => event.nameZh || event.name;
+
+/**
+ * Format an instant as 'YYYY-MM-DD' in the school's timezone
+ */
+export const formatLocalDate = (date, timeZone = 'Asia/Taipei') => {
+  return new Date(date).toLocaleDateString('en-CA', { timeZone });
+};
+
+/**
+ * Format an instant as 'HH:mm' in the school's timezone
+ */
+export const formatLocalTime = (date, timeZone = 'Asia/Taipei') => {
+  return new Date(date).toLocaleTimeString('en-GB', { timeZone, hour: '2-digit', minute: '2-digit', hour12: false });
+};
+
+/**
+ * Get calendar events overlapping a date range
+ */
+export const getEventsInRange = (schoolId, startDate, endDate, types) => {
+  return prisma.schoolCalendarEvent.findMany({
+    where: {
+      schoolId,
+      startDate: { lte: toDateOnly(endDate) },
+      endDate: { gte: toDateOnly(startDate) },
+      ...(types && { type: { in: types } })
+    },
+    orderBy: { startDate: 'asc' }
+  });
+};
+
+/**
+ * Map of closed dates ('YYYY-MM-DD') to the event closing them, within a range
+ */
+export const getClosedDates = async (schoolId, startDate, endDate) => {
+  const start = toDateOnly(startDate);
+  const end = toDateOnly(endDate);
+  const events = await getEventsInRange(schoolId, start, end);
+
+  const closed = new Map();
+  for (const event of events) {
+    const cursor = new Date(Math.max(event.startDate, start));
+    const last = new Date(Math.min(event.endDate, end));
+
+    while (cursor <= last) {
+      const key = formatDateOnly(cursor);
+      if (!closed.has(key)) closed.set(key, event);
+      cursor.setUTCDate(cursor.getUTCDate() + 1);
+    }
+  }
+
+  return closed;
+};
+
+/**
+ * Summarize open and closed days in a range from a getClosedDates map
+ */
+export const summarizeClosedDates = (closedDates, startDate, endDate) => {
+  const totalDays = Math.round((toDateOnly(endDate) - toDateOnly(startDate)) / 86400000) + 1;
+
+  return {
+    totalDays,
+    schoolDays: totalDays - closedDates.size,
+    closedDays: Array.from(closedDates, ([date, event]) => ({
+      date,
+      name: getEventLabel(event),
+      type: event.type
+    }))
+  };
+};
+
+/**
+ * Get the event closing the school on a date, or null if open
+ */
+export const getClosureOn = async (schoolId, date) => {
+  const day = toDateOnly(date);
+
+  return prisma.schoolCalendarEvent.findFirst({
+    where: {
+      schoolId,
+      startDate: { lte: day },
+      endDate: { gte: day }
+    }
+  });
+};
+
+/**
+ * Move an instant forward day by day (keeping its time) until the school is open
+ * Returns { date, closures } where closures lists the events that were skipped
+ */
+export const nextOpenDate = async (schoolId, date, timeZone = 'Asia/Taipei') => {
+  const original = new Date(date);
+  const localDay = formatLocalDate(original, timeZone);
+  const horizon = new Date(toDateOnly(localDay));
+  horizon.setUTCDate(horizon.getUTCDate() + MAX_CLOSED_STREAK_DAYS);
+
+  const closed = await getClosedDates(schoolId, localDay, horizon);
+  const closures = [];
+  const candidate = new Date(original);
+
+  for (let i = 0; i < MAX_CLOSED_STREAK_DAYS; i++) {
+    const event = closed.get(formatLocalDate(candidate, timeZone));
+    if (!event) break;
+    if (!closures.includes(event)) closures.push(event);
+    candidate.setTime(candidate.getTime() + 86400000);
+  }
+
+  return { date: candidate, closures };
+};
+
+/**
+ * Mark scheduled sessions in the event's range as HOLIDAY
+ */
+export const applyEventToSessions = async (event) => {
+  const result = await prisma.classSession.updateMany({
+    where: {
+      class: { schoolId: event.schoolId },
+      status: 'SCHEDULED',
+      date: { gte: event.startDate, lte: event.endDate }
+    },
+    data: {
+      status: 'HOLIDAY',
+      cancelReason: getEventLabel(event)
+    }
+  });
+
+  return result.count;
+};
+
+/**
+ * Restore sessions that were closed by an event (used when the event is removed)
+ */
+export const releaseEventFromSessions = async (event) => {
+  const result = await prisma.classSession.updateMany({
+    where: {
+      class: { schoolId: event.schoolId },
+      status: 'HOLIDAY',
+      cancelReason: getEventLabel(event),
+      date: { gte: event.startDate, lte: event.endDate }
+    },
+    data: {
+      status: 'SCHEDULED',
+      cancelReason: null
+    }
+  });
+
+  return result.count;
+};
+
+/**
+ * Parse the DGPA office calendar CSV (政府行政機關辦公日曆表, data.gov.tw)
+ * Columns: 西元日期 (YYYYMMDD), 星期, 是否放假 (2 = day off), 備註
+ * Only named days off are returned; plain weekends and make-up workdays are skipped.
+ */
+export const parseHolidayRecords = (records) => {
+  const holidays = [];
+
+  for (const record of records) {
+    const rawDate = (record.date || '').replace(/[^\d]/g, '');
+    const name = (record.name || '').trim();
+    const isDayOff = record.isHoliday === undefined || String(record.isHoliday) === '2';
+
+    if (rawDate.length !== 8 || !name || !isDayOff) continue;
+
+    holidays.push({
+      date: `${rawDate.slice(0, 4)}-${rawDate.slice(4, 6)}-${rawDate.slice(6, 8)}`,
+      name
+    });
+  }
+
+  return holidays;
+};
+
+// Header aliases for parseCsvRecords
+export const HOLIDAY_HEADERS = {
+  '西元日期': 'date',
+  'date': 'date',
+  '是否放假': 'isHoliday',
+  '備註': 'name',
+  'name': 'name'
+};
+
+/**
+ * Import public holidays ([{ date: 'YYYY-MM-DD', name }]) into a school's calendar
+ * Re-importing the same list is a no-op.
+ */
+export const importPublicHolidays = async (schoolId, holidays, createdById) => {
+  const result = await prisma.schoolCalendarEvent.createMany({
+    data: holidays.map(h => ({
+      schoolId,
+      name: h.name,
+      nameZh: h.nameZh || h.name,
+      type: 'PUBLIC_HOLIDAY',
+      startDate: toDateOnly(h.date),
+      endDate: toDateOnly(h.date),
+      source: 'DGPA',
+      createdById
+    })),
+    skipDuplicates: true
+  });
+
+  // Close any sessions already generated on these days
+  let sessionsClosed = 0;
+  if (result.count > 0) {
+    const events = await prisma.schoolCalendarEvent.findMany({
+      where: {
+        schoolId,
+        type: 'PUBLIC_HOLIDAY',
+        startDate: { in: holidays.map(h => toDateOnly(h.date)) }
+      }
+    });
+    for (const event of events) {
+      sessionsClosed += await applyEventToSessions(event);
+    }
+  }
+
+  return {
+    created: result.count,
+    skipped: holidays.length - result.count,
+    sessionsClosed
+  };
+};
+
+export default {
+  getEventLabel,
+  formatLocalDate,
+  formatLocalTime,
+  getEventsInRange,
+  getClosedDates,
+  summarizeClosedDates,
+  getClosureOn,
+  nextOpenDate,
+  applyEventToSessions,
+  releaseEventFromSessions,
+  parseHolidayRecords,
+  HOLIDAY_HEADERS,
+  importPublicHolidays
+};
@@ -0,0 +1,104 @@
+// CSV Service
+// Decoding and parsing of CSV uploads (Taiwan Excel exports are often Big5)
+
+const UTF8_BOM = [0xef, 0xbb, 0xbf];
+
+/**
+ * Decode an uploaded CSV buffer to a string
+ * encoding: 'utf-8', 'big5' or 'auto' (UTF-8 with BOM, else strict UTF-8, else Big5)
+ */
+export const decodeBuffer = (buffer, encoding = 'auto') => {
+  const hasBom = UTF8_BOM.every((byte, i) => buffer[i] === byte);
+
+  if (hasBom) {
+    return new TextDecoder('utf-8').decode(buffer.subarray(3));
+  }
+
+  if (encoding && encoding !== 'auto') {
+    return new TextDecoder(encoding).decode(buffer);
+  }
+
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+  } catch (error) {
+    // Not valid UTF-8 - Excel on zh-TW Windows saves CSV as Big5
+    return new TextDecoder('big5').decode(buffer);
+  }
+};
+
+/**
+ * Parse CSV text into an array of rows (arrays of cells)
+ * Handles quoted cells, escaped quotes, embedded newlines and CRLF
+ */
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter(r => r.some(c => c.trim() !== ''));
+};
+
+/**
+ * Parse CSV text into objects keyed by the header row
+ * headerMap maps accepted header labels (lowercased) to field names
+ */
+export const parseCsvRecords = (text, headerMap = {}) => {
+  const [header = [], ...rows] = parseCsv(text);
+
+  const fields = header.map(h => {
+    const label = h.trim().toLowerCase();
+    return headerMap[label] || label;
+  });
+
+  return rows.map((cells, index) => {
+    const record = { _row: index + 2 }; // 1-based, after header
+    fields.forEach((field, i) => {
+      record[field] = (cells[i] || '').trim();
+    });
+    return record;
+  });
+};
+
+export default {
+  decodeBuffer,
+  parseCsv,
+  parseCsvRecords
+};
@@ -0,0 +1,299 @@
+// Discount Service
+// Sibling, early-payment and manually granted (scholarship) discounts on generated invoices
+
+import prisma from '../config/database.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { toDateOnly } from './sessionService.js';
+
+export const DISCOUNT_ELIGIBILITIES = ['SIBLING', 'EARLY_PAYMENT', 'MANUAL'];
+export const DISCOUNT_VALUE_TYPES = ['PERCENTAGE', 'FIXED'];
+
+// Only tuition is discounted; registration, materials and extra lines are charged in full
+const DISCOUNTABLE_TYPES = ['TUITION'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MONTH_PATTERN = /^\d{4}-\d{2}$/;
+
+/**
+ * Validate a discount rule from a request body
+ * existing is the stored rule when updating, so partial updates are checked as a whole
+ */
+export const normalizeDiscountRule = (body, existing = {}) => {
+  const rule = { ...existing, ...body };
+  const name = typeof rule.name === 'string' ? rule.name.trim() : '';
+  const value = Number(rule.value);
+
+  if (!name) {
+    throw new AppError('MISSING_FIELDS', 'Discount name is required', '請填寫折扣名稱', 400);
+  }
+  if (!DISCOUNT_ELIGIBILITIES.includes(rule.eligibility)) {
+    throw new AppError('INVALID_ELIGIBILITY', `eligibility must be one of ${DISCOUNT_ELIGIBILITIES.join(', ')}`, '無效的折扣資格', 400);
+  }
+  if (!DISCOUNT_VALUE_TYPES.includes(rule.valueType)) {
+    throw new AppError('INVALID_VALUE_TYPE', `valueType must be one of ${DISCOUNT_VALUE_TYPES.join(', ')}`, '無效的折扣方式', 400);
+  }
+  if (!Number.isFinite(value) || value <= 0 || (rule.valueType === 'PERCENTAGE' && value > 100)) {
+    throw new AppError('INVALID_AMOUNT', 'value must be above 0 (and at most 100 for a percentage)', '折扣數值必須大於 0（百分比不可超過 100）', 400);
+  }
+
+  const minSiblings = rule.eligibility === 'SIBLING' ? Number(rule.minSiblings ?? 2) : null;
+  if (rule.eligibility === 'SIBLING' && (!Number.isInteger(minSiblings) || minSiblings < 1)) {
+    throw new AppError('INVALID_RULE', 'minSiblings must be a whole number of 1 or more', '手足人數必須為 1 以上的整數', 400);
+  }
+
+  const daysBeforeStart = rule.eligibility === 'EARLY_PAYMENT' ? Number(rule.daysBeforeStart ?? 0) : null;
+  if (rule.eligibility === 'EARLY_PAYMENT' && (!Number.isInteger(daysBeforeStart) || daysBeforeStart < 0)) {
+    throw new AppError('INVALID_RULE', 'daysBeforeStart must be a whole number of 0 or more', '提前天數必須為 0 以上的整數', 400);
+  }
+
+  return {
+    name,
+    description: rule.description || null,
+    eligibility: rule.eligibility,
+    valueType: rule.valueType,
+    value,
+    stackable: rule.stackable !== false,
+    sortOrder: Number.isInteger(rule.sortOrder) ? rule.sortOrder : 0,
+    minSiblings,
+    daysBeforeStart,
+    ...(rule.isActive !== undefined && { isActive: Boolean(rule.isActive) })
+  };
+};
+
+/**
+ * Validate the months of a discount grant ("YYYY-MM", either may be left open)
+ */
+export const normalizeGrantMonths = ({ startMonth, endMonth }) => {
+  for (const month of [startMonth, endMonth]) {
+    if (month && !MONTH_PATTERN.test(month)) {
+      throw new AppError('INVALID_MONTH', 'startMonth and endMonth must be YYYY-MM', '月份格式應為 YYYY-MM', 400);
+    }
+  }
+  if (startMonth && endMonth && startMonth > endMonth) {
+    throw new AppError('INVALID_MONTH', 'startMonth must not be after endMonth', '開始月份不可晚於結束月份', 400);
+  }
+  return { startMonth: startMonth || null, endMonth: endMonth || null };
+};
+
+/**
+ * Each student's place among the active children of their family (1 = first to join the school)
+ * A family is every student who shares a parent with the student
+ * Returns Map studentId -> rank
+ */
+const getSiblingRanks = async (schoolId, studentIds) => {
+  const links = await prisma.parentStudent.findMany({
+    where: { studentId: { in: studentIds } },
+    select: { parentId: true, studentId: true }
+  });
+
+  const familyLinks = await prisma.parentStudent.findMany({
+    where: {
+      parentId: { in: [...new Set(links.map(l => l.parentId))] },
+      student: { schoolId, status: 'ACTIVE' }
+    },
+    select: {
+      parentId: true,
+      student: { select: { id: true, enrollmentDate: true } }
+    }
+  });
+
+  const childrenByParent = new Map();
+  for (const { parentId, student } of familyLinks) {
+    if (!childrenByParent.has(parentId)) childrenByParent.set(parentId, []);
+    childrenByParent.get(parentId).push(student);
+  }
+
+  const ranks = new Map();
+  for (const studentId of studentIds) {
+    const family = new Map();
+    for (const link of links.filter(l => l.studentId === studentId)) {
+      for (const child of childrenByParent.get(link.parentId) || []) family.set(child.id, child);
+    }
+
+    const ordered = [...family.values()].sort((a, b) =>
+      new Date(a.enrollmentDate) - new Date(b.enrollmentDate) || a.id.localeCompare(b.id)
+    );
+    const index = ordered.findIndex(child => child.id === studentId);
+    ranks.set(studentId, index === -1 ? 1 : index + 1);
+  }
+
+  return ranks;
+};
+
+/**
+ * Whether a rule applies to a student's invoice when it is generated
+ * Early-payment rules never do; they are added when the invoice is paid (applyEarlyPaymentDiscount)
+ * context: { siblingRank, grantedRuleIds }
+ */
+const isEligible = (rule, { siblingRank, grantedRuleIds }) => {
+  switch (rule.eligibility) {
+    case 'SIBLING':
+      return siblingRank >= rule.minSiblings;
+    case 'MANUAL':
+      return grantedRuleIds.has(rule.id);
+    default:
+      return false;
+  }
+};
+
+/**
+ * Discount off a base amount; percentages are of the base, fixed amounts are capped at it
+ */
+const discountAmount = (rule, base) => {
+  const value = Number(rule.value);
+  const amount = rule.valueType === 'PERCENTAGE' ? base * value / 100 : value;
+  return Math.min(Math.round(amount), base);
+};
+
+const discountLine = (rule, amount) => ({
+  type: 'DISCOUNT',
+  description: rule.valueType === 'PERCENTAGE'
+    ? `${rule.name} ${Number(rule.value)}% 折扣 / Discount`
+    : `${rule.name} 折扣 / Discount`,
+  amount: -amount,
+  quantity: 1,
+  discountRuleId: rule.id
+});
+
+/**
+ * Discount lines for an invoice's items from the rules that apply to it (in sortOrder)
+ * Stackable rules are applied one after another to what is left of the tuition; an exclusive
+ * rule is used on its own instead when it takes more off than the stackable rules together
+ */
+export const buildDiscountLines = (items, rules) => {
+  const base = items
+    .filter(item => DISCOUNTABLE_TYPES.includes(item.type))
+    .reduce((sum, item) => sum + item.amount * item.quantity, 0);
+
+  if (base <= 0 || rules.length === 0) return [];
+
+  const stacked = [];
+  let remaining = base;
+  for (const rule of rules.filter(r => r.stackable)) {
+    const amount = discountAmount(rule, remaining);
+    if (amount <= 0) continue;
+    stacked.push(discountLine(rule, amount));
+    remaining -= amount;
+  }
+  const stackedTotal = base - remaining;
+
+  let best = null;
+  for (const rule of rules.filter(r => !r.stackable)) {
+    const amount = discountAmount(rule, base);
+    if (amount > stackedTotal && (!best || amount > -best.amount)) {
+      best = discountLine(rule, amount);
+    }
+  }
+
+  return best ? [best] : stacked;
+};
+
+/**
+ * Add discount lines to planned invoices ([{ student, items }], as from
+ * billingService.planMonthlyInvoices) for a billing month
+ */
+export const applyDiscounts = async (schoolId, planned, { month }) => {
+  if (planned.length === 0) return planned;
+
+  const rules = await prisma.discountRule.findMany({
+    where: { schoolId, isActive: true },
+    orderBy: [{ sortOrder: 'asc' }, { createdAt: 'asc' }]
+  });
+  if (rules.length === 0) return planned;
+
+  const studentIds = planned.map(p => p.student.id);
+
+  const [siblingRanks, grants] = await Promise.all([
+    rules.some(r => r.eligibility === 'SIBLING')
+      ? getSiblingRanks(schoolId, studentIds)
+      : new Map(),
+    prisma.discountGrant.findMany({
+      where: {
+        studentId: { in: studentIds },
+        rule: { schoolId, eligibility: 'MANUAL', isActive: true },
+        OR: [{ startMonth: null }, { startMonth: { lte: month } }],
+        AND: [{ OR: [{ endMonth: null }, { endMonth: { gte: month } }] }]
+      },
+      select: { ruleId: true, studentId: true }
+    })
+  ]);
+
+  return planned.map(({ student, items }) => {
+    const context = {
+      siblingRank: siblingRanks.get(student.id) || 1,
+      grantedRuleIds: new Set(grants.filter(g => g.studentId === student.id).map(g => g.ruleId))
+    };
+
+    const eligible = rules.filter(rule => isEligible(rule, context));
+    return { student, items: [...items, ...buildDiscountLines(items, eligible)] };
+  });
+};
+
+/**
+ * Add the school's early-payment discounts to a generated invoice (loaded with items) paid on
+ * paidAt, for the rules whose daysBeforeStart it was paid ahead of the billing month
+ * The discount lines are worked out again with the rules already on the invoice, so stacking
+ * and exclusive rules behave as they do at generation. balanceDue is what is left after the
+ * payment: the discount is only given when it settles the invoice, not for a part payment
+ * Returns the amount taken off the invoice (0 when nothing changed)
+ */
+export const applyEarlyPaymentDiscount = async (invoice, paidAt, balanceDue) => {
+  if (!invoice.billingMonth) return 0;
+
+  const discountItems = invoice.items.filter(item => item.type === 'DISCOUNT');
+  // A line whose rule is gone can't be worked out again; leave such an invoice as it is
+  if (discountItems.some(item => !item.discountRuleId)) return 0;
+
+  const appliedRuleIds = discountItems.map(item => item.discountRuleId);
+  const monthStart = toDateOnly(`${invoice.billingMonth}-01`);
+  const paidDate = toDateOnly(paidAt);
+
+  const rules = await prisma.discountRule.findMany({
+    where: {
+      schoolId: invoice.schoolId,
+      OR: [
+        { id: { in: appliedRuleIds } },
+        { eligibility: 'EARLY_PAYMENT', isActive: true }
+      ]
+    },
+    orderBy: [{ sortOrder: 'asc' }, { createdAt: 'asc' }]
+  });
+
+  const eligible = rules.filter(rule =>
+    appliedRuleIds.includes(rule.id) ||
+    (monthStart - paidDate) / DAY_MS >= rule.daysBeforeStart
+  );
+  if (eligible.length === rules.filter(rule => appliedRuleIds.includes(rule.id)).length) return 0;
+
+  const items = invoice.items
+    .filter(item => item.type !== 'DISCOUNT')
+    .map(item => ({ type: item.type, amount: Number(item.amount), quantity: item.quantity }));
+  const lines = buildDiscountLines(items, eligible);
+
+  const total = (rows) => -rows.reduce((sum, row) => sum + Number(row.amount) * row.quantity, 0);
+  const extra = total(lines) - total(discountItems);
+  if (extra <= 0 || extra < balanceDue) return 0;
+
+  await prisma.$transaction([
+    prisma.invoiceItem.deleteMany({ where: { invoiceId: invoice.id, type: 'DISCOUNT' } }),
+    prisma.invoiceItem.createMany({
+      data: lines.map(line => ({ ...line, invoiceId: invoice.id }))
+    }),
+    prisma.invoice.update({
+      where: { id: invoice.id },
+      data: { amount: Number(invoice.amount) - extra }
+    })
+  ]);
+
+  return extra;
+};
+
+export default {
+  DISCOUNT_ELIGIBILITIES,
+  DISCOUNT_VALUE_TYPES,
+  normalizeDiscountRule,
+  normalizeGrantMonths,
+  buildDiscountLines,
+  applyDiscounts,
+  applyEarlyPaymentDiscount
+};
@@ -0,0 +1,618 @@
+// E-Invoice Service
+// Taiwan uniform invoices (電子發票) for paid invoices through a pluggable provider; each school
+// picks one with eInvoiceProvider (none: no e-invoices are issued)
+//
+// A provider implements:
+//   issue(request)                 issue a uniform invoice -> { number, date, randomNumber }
+//   void(eInvoice, { reason })     void an issued uniform invoice
+//   allowance(eInvoice, request)   allowance (折讓) against an issued invoice -> { number, date }
+//
+// request:  { relateNumber, amount, taxType, items: [{ name, quantity, unit, price, amount }],
+//             buyer: { taxId, name, address, email, phone }, carrier: { type, number } | null, donationCode }
+// eInvoice: { number, date, amount }
+
+import crypto from 'crypto';
+import prisma from '../config/database.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { decrypt } from './encryptionService.js';
+
+export const CARRIER_TYPES = ['MOBILE_BARCODE', 'CITIZEN_CERTIFICATE', 'PROVIDER'];
+export const TAX_TYPES = ['TAXABLE', 'ZERO_RATED', 'TAX_FREE'];
+
+const DEFAULT_EINVOICE_SETTINGS = {
+  taxType: 'TAX_FREE',  // tuition of a licensed cram school (立案短期補習班) is exempt from business tax
+  itemUnit: '式'        // unit word printed on each line
+};
+
+const TAX_ID_PATTERN = /^\d{8}$/;
+const TAX_ID_WEIGHTS = [1, 2, 1, 2, 1, 2, 4, 1];
+const CARRIER_PATTERNS = {
+  MOBILE_BARCODE: /^\/[0-9A-Z.+-]{7}$/,
+  CITIZEN_CERTIFICATE: /^[A-Z]{2}\d{14}$/
+};
+const DONATION_CODE_PATTERN = /^\d{3,7}$/;
+
+// Void reasons by invoice status (the platform takes at most 20 characters)
+const VOID_REASONS = {
+  CANCELLED: '帳單取消',
+  REFUNDED: '退費'
+};
+const DEFAULT_VOID_REASON = '付款作廢';
+
+const toAmount = (value) => (value === null || value === undefined ? 0 : Number(value));
+
+/**
+ * School e-invoice settings (settings.eInvoice) over the defaults
+ */
+export const getEInvoiceSettings = (settings) => {
+  return { ...DEFAULT_EINVOICE_SETTINGS, ...settings?.eInvoice };
+};
+
+/**
+ * Check a company tax ID (統一編號) against the Ministry of Finance checksum
+ * The sum of the weighted digits must divide by 5; a 7 in the seventh place may count as 0 or 1
+ */
+export const isValidTaxId = (taxId) => {
+  if (typeof taxId !== 'string' || !TAX_ID_PATTERN.test(taxId)) return false;
+
+  const digits = [...taxId].map(Number);
+  const sum = digits.reduce((total, digit, i) => {
+    const product = digit * TAX_ID_WEIGHTS[i];
+    return total + Math.floor(product / 10) + (product % 10);
+  }, 0);
+
+  return sum % 5 === 0 || (digits[6] === 7 && (sum + 1) % 5 === 0);
+};
+
+/**
+ * Validate an invoice's e-invoice buyer from a request body
+ * A company (buyerTaxId + buyerName) gets a printed B2B invoice and can't use a carrier or
+ * donate it; otherwise the invoice goes to a carrier, is donated, or is printed
+ * existing is the stored invoice, so partial updates are checked as a whole
+ */
+export const normalizeEInvoiceBuyer = (body, existing = {}) => {
+  const buyer = { ...existing, ...body };
+  const buyerTaxId = buyer.buyerTaxId ? String(buyer.buyerTaxId).trim() : null;
+  const buyerName = buyer.buyerName ? String(buyer.buyerName).trim() : null;
+  const carrierType = buyer.carrierType || null;
+  const carrierNumber = buyer.carrierNumber ? String(buyer.carrierNumber).trim().toUpperCase() : null;
+  const donationCode = buyer.donationCode ? String(buyer.donationCode).trim() : null;
+
+  if (buyerTaxId) {
+    if (!isValidTaxId(buyerTaxId)) {
+      throw new AppError('INVALID_TAX_ID', 'buyerTaxId is not a valid 統一編號', '統一編號格式錯誤', 400);
+    }
+    if (!buyerName) {
+      throw new AppError('MISSING_FIELDS', 'buyerName (company name) is required with buyerTaxId', '請填寫買受人（公司）名稱', 400);
+    }
+    if (carrierType || donationCode) {
+      throw new AppError('INVALID_BUYER', 'Invoices with a tax ID cannot use a carrier or be donated', '打統編的發票不可使用載具或捐贈', 400);
+    }
+  }
+
+  if (carrierType && donationCode) {
+    throw new AppError('INVALID_BUYER', 'Use either a carrier or a donation code, not both', '載具與捐贈碼只能擇一', 400);
+  }
+  if (carrierType && !CARRIER_TYPES.includes(carrierType)) {
+    throw new AppError('INVALID_CARRIER', `carrierType must be one of ${CARRIER_TYPES.join(', ')}`, '無效的載具類型', 400);
+  }
+  if (CARRIER_PATTERNS[carrierType] && !CARRIER_PATTERNS[carrierType].test(carrierNumber || '')) {
+    throw new AppError('INVALID_CARRIER', `carrierNumber is not a valid ${carrierType} number`, '載具號碼格式錯誤', 400);
+  }
+  if (donationCode && !DONATION_CODE_PATTERN.test(donationCode)) {
+    throw new AppError('INVALID_DONATION_CODE', 'donationCode must be 3 to 7 digits', '捐贈碼應為 3 至 7 位數字', 400);
+  }
+
+  return {
+    buyerTaxId,
+    buyerName,
+    buyerAddress: buyer.buyerAddress || null,
+    carrierType,
+    // The provider's member carrier follows the buyer's email or phone unless a number is given
+    carrierNumber: carrierType ? carrierNumber : null,
+    donationCode
+  };
+};
+
+// ============================================
+// PROVIDERS
+// ============================================
+
+const providerError = (message) =>
+  new AppError('EINVOICE_PROVIDER_ERROR', `E-invoice provider: ${message}`, `電子發票平台錯誤：${message}`, 502);
+
+// Provider dates are Taiwan time
+const toTaipeiDate = (date) => new Date(new Date(date).getTime() + 8 * 60 * 60 * 1000).toISOString().slice(0, 10);
+const fromTaipeiTime = (value) => new Date(`${value.replace(' ', 'T')}+08:00`);
+
+/**
+ * Local provider for development and testing: hands out ZZ numbers and keeps them in memory,
+ * rejecting the same mistakes the platform would (a relate number used twice, voiding twice,
+ * allowances beyond the amount)
+ */
+export const createMockProvider = () => {
+  const issued = new Map();
+  const relateNumbers = new Set();
+  let sequence = 0;
+
+  // Numbers issued before a restart are taken at their stored amount
+  const find = ({ number, amount }) => {
+    if (!issued.has(number)) issued.set(number, { amount, allowed: 0, allowances: 0, voided: false });
+
+    const entry = issued.get(number);
+    if (entry.voided) throw providerError(`invoice ${number} is void`);
+    return entry;
+  };
+
+  return {
+    name: 'mock',
+
+    async issue(request) {
+      if (request.amount <= 0) throw providerError('amount must be above 0');
+      if (relateNumbers.has(request.relateNumber)) {
+        throw providerError(`relate number ${request.relateNumber} was already issued`);
+      }
+
+      relateNumbers.add(request.relateNumber);
+      sequence++;
+      const number = `ZZ${String(sequence).padStart(8, '0')}`;
+      issued.set(number, { amount: request.amount, allowed: 0, allowances: 0, voided: false });
+
+      return {
+        number,
+        date: new Date(),
+        randomNumber: String(crypto.randomInt(10000)).padStart(4, '0')
+      };
+    },
+
+    async void(eInvoice) {
+      find(eInvoice).voided = true;
+    },
+
+    async allowance(eInvoice, request) {
+      const entry = find(eInvoice);
+      if (entry.allowed + request.amount > entry.amount) {
+        throw providerError(`allowance exceeds what is left of invoice ${eInvoice.number}`);
+      }
+
+      entry.allowed += request.amount;
+      entry.allowances++;
+      return { number: `${eInvoice.number}-A${entry.allowances}`, date: new Date() };
+    }
+  };
+};
+
+const ECPAY_TAX_TYPES = { TAXABLE: '1', ZERO_RATED: '2', TAX_FREE: '3' };
+const ECPAY_CARRIER_TYPES = { PROVIDER: '1', CITIZEN_CERTIFICATE: '2', MOBILE_BARCODE: '3' };
+
+/**
+ * ECPay (綠界) B2C e-invoice API; requests are AES-128-CBC encrypted with the merchant's HashKey and HashIV
+ * B2B invoices go through the same API with the buyer's tax ID, printed
+ */
+export const createEcpayProvider = ({ merchantId, hashKey, hashIv, baseUrl }) => {
+  if (!merchantId || !hashKey || !hashIv) {
+    throw new AppError('EINVOICE_NOT_CONFIGURED', 'ECPay merchant ID, hash key and hash IV are required', '請先設定綠界電子發票帳號', 400);
+  }
+
+  const encryptData = (data) => {
+    const cipher = crypto.createCipheriv('aes-128-cbc', Buffer.from(hashKey), Buffer.from(hashIv));
+    const plain = encodeURIComponent(JSON.stringify(data));
+    return Buffer.concat([cipher.update(plain, 'utf8'), cipher.final()]).toString('base64');
+  };
+
+  const decryptData = (data) => {
+    const decipher = crypto.createDecipheriv('aes-128-cbc', Buffer.from(hashKey), Buffer.from(hashIv));
+    const plain = Buffer.concat([decipher.update(data, 'base64'), decipher.final()]).toString('utf8');
+    return JSON.parse(decodeURIComponent(plain.replace(/\+/g, ' ')));
+  };
+
+  const post = async (path, data) => {
+    const response = await fetch(`${baseUrl}${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        MerchantID: merchantId,
+        RqHeader: { Timestamp: Math.floor(Date.now() / 1000) },
+        Data: encryptData({ MerchantID: merchantId, ...data })
+      })
+    });
+
+    if (!response.ok) {
+      throw providerError(`ECPay responded with HTTP ${response.status}`);
+    }
+
+    const body = await response.json();
+    if (body.TransCode !== 1) {
+      throw providerError(body.TransMsg || 'request rejected');
+    }
+
+    const result = decryptData(body.Data);
+    if (result.RtnCode !== 1) {
+      throw providerError(result.RtnMsg || `error ${result.RtnCode}`);
+    }
+    return result;
+  };
+
+  const toItems = (items, taxType) => items.map((item, i) => ({
+    ItemSeq: i + 1,
+    ItemName: item.name.slice(0, 100),
+    ItemCount: item.quantity,
+    ItemWord: item.unit,
+    ItemPrice: item.price,
+    ItemTaxType: ECPAY_TAX_TYPES[taxType],
+    ItemAmount: item.amount
+  }));
+
+  return {
+    name: 'ecpay',
+
+    async issue({ relateNumber, amount, taxType, items, buyer, carrier, donationCode }) {
+      const result = await post('/B2CInvoice/Issue', {
+        RelateNumber: relateNumber,
+        CustomerIdentifier: buyer.taxId || '',
+        CustomerName: buyer.name || '',
+        CustomerAddr: buyer.address || '',
+        CustomerPhone: buyer.phone || '',
+        CustomerEmail: buyer.email || '',
+        // Invoices with a tax ID must be printed; the rest stay electronic unless nothing else applies
+        Print: buyer.taxId || (!carrier && !donationCode) ? '1' : '0',
+        Donation: donationCode ? '1' : '0',
+        LoveCode: donationCode || '',
+        CarrierType: carrier ? ECPAY_CARRIER_TYPES[carrier.type] : '',
+        CarrierNum: carrier?.number || '',
+        TaxType: ECPAY_TAX_TYPES[taxType],
+        SalesAmount: amount,
+        Items: toItems(items, taxType),
+        InvType: '07',
+        vat: '1'
+      });
+
+      return {
+        number: result.InvoiceNo,
+        date: fromTaipeiTime(result.InvoiceDate),
+        randomNumber: result.RandomNumber
+      };
+    },
+
+    async void(eInvoice, { reason }) {
+      await post('/B2CInvoice/Invalid', {
+        InvoiceNo: eInvoice.number,
+        InvoiceDate: toTaipeiDate(eInvoice.date),
+        Reason: reason.slice(0, 20)
+      });
+    },
+
+    async allowance(eInvoice, { amount, taxType, items, buyer }) {
+      const result = await post('/B2CInvoice/Allowance', {
+        InvoiceNo: eInvoice.number,
+        InvoiceDate: toTaipeiDate(eInvoice.date),
+        AllowanceNotify: buyer.email ? 'E' : 'N',
+        CustomerName: buyer.name || '',
+        NotifyMail: buyer.email || '',
+        AllowanceAmount: amount,
+        Items: toItems(items, taxType)
+      });
+
+      return {
+        number: result.IA_Allow_No,
+        date: result.IA_Date ? fromTaipeiTime(result.IA_Date) : new Date()
+      };
+    }
+  };
+};
+
+const providers = {
+  ecpay: (school) => createEcpayProvider({
+    merchantId: school.eInvoiceMerchantId,
+    hashKey: decrypt(school.eInvoiceHashKey),
+    hashIv: decrypt(school.eInvoiceHashIv),
+    baseUrl: process.env.ECPAY_EINVOICE_URL || 'https://einvoice.ecpay.com.tw'
+  })
+};
+
+// Mock numbers are not real uniform invoices and restart with the process, so production
+// schools can't pick the mock provider
+if (process.env.NODE_ENV !== 'production') {
+  const mockProvider = createMockProvider();
+  providers.mock = () => mockProvider;
+}
+
+/**
+ * Register another provider under an eInvoiceProvider name
+ * factory(school) gets the school with its (encrypted) credentials
+ */
+export const registerEInvoiceProvider = (name, factory) => {
+  providers[name] = factory;
+};
+
+export const getEInvoiceProviderNames = () => Object.keys(providers);
+
+/**
+ * The school's provider, or null when it doesn't issue e-invoices
+ */
+export const getEInvoiceProvider = (school) => {
+  if (!school.eInvoiceProvider) return null;
+
+  const factory = providers[school.eInvoiceProvider];
+  if (!factory) {
+    throw new AppError('EINVOICE_NOT_CONFIGURED', `Unknown e-invoice provider "${school.eInvoiceProvider}"`, '電子發票平台設定錯誤', 500);
+  }
+  return factory(school);
+};
+
+// ============================================
+// ISSUING
+// ============================================
+
+// E-invoice states a sync may issue from (none yet, a failed attempt, or voided)
+const ISSUABLE = [
+  { eInvoiceStatus: null },
+  { eInvoiceStatus: { in: ['FAILED', 'VOIDED'] } }
+];
+
+// How long an ISSUING claim holds before another sync may retry it
+const ISSUING_TIMEOUT_MS = 10 * 60 * 1000;
+
+const invoiceInclude = {
+  items: true,
+  creditNotes: { include: { items: true }, orderBy: { createdAt: 'asc' } },
+  school: true,
+  student: {
+    include: {
+      parentRelations: {
+        orderBy: { isPrimary: 'desc' },
+        include: { parent: { select: { firstName: true, lastName: true, email: true, phone: true } } }
+      }
+    }
+  }
+};
+
+const pickEInvoiceFields = (invoice) => ({
+  eInvoiceNumber: invoice.eInvoiceNumber,
+  eInvoiceDate: invoice.eInvoiceDate,
+  eInvoiceRandomNumber: invoice.eInvoiceRandomNumber,
+  eInvoiceAmount: invoice.eInvoiceAmount,
+  eInvoiceStatus: invoice.eInvoiceStatus,
+  eInvoiceError: invoice.eInvoiceError
+});
+
+const toEInvoice = (invoice) => ({
+  number: invoice.eInvoiceNumber,
+  date: invoice.eInvoiceDate,
+  amount: toAmount(invoice.eInvoiceAmount)
+});
+
+/**
+ * Buyer details for the provider; a family pays as the student's primary parent
+ */
+const getBuyer = (invoice) => {
+  const parent = invoice.student.parentRelations[0]?.parent;
+
+  return {
+    taxId: invoice.buyerTaxId,
+    name: invoice.buyerName || (parent ? `${parent.lastName}${parent.firstName}` : `${invoice.student.lastName}${invoice.student.firstName}`),
+    address: invoice.buyerAddress || invoice.student.address,
+    email: parent?.email || null,
+    phone: parent?.phone || null
+  };
+};
+
+const getCarrier = (invoice, buyer) => {
+  if (!invoice.carrierType) return null;
+  return {
+    type: invoice.carrierType,
+    number: invoice.carrierNumber || buyer.email || buyer.phone
+  };
+};
+
+/**
+ * Lines for the provider; lines that don't add up to the amount (discounts, credits) are
+ * replaced by a single line for the whole amount
+ */
+const buildLines = (rows, amount, fallbackName, unit) => {
+  const lines = rows
+    .filter(row => toAmount(row.amount) > 0)
+    .map(row => {
+      const price = Math.round(toAmount(row.amount));
+      return { name: row.description, quantity: row.quantity, unit, price, amount: price * row.quantity };
+    });
+
+  if (lines.reduce((sum, line) => sum + line.amount, 0) === amount) return lines;
+  return [{ name: fallbackName, quantity: 1, unit, price: amount, amount }];
+};
+
+const issue = async (provider, invoice, settings) => {
+  // What the family owes after any credit notes issued so far; those need no allowance
+  const amount = Math.round(toAmount(invoice.amount) - invoice.creditNotes.reduce((sum, note) => sum + toAmount(note.amount), 0));
+  if (amount <= 0) return invoice;
+
+  // Claim the invoice first, so a sync running at the same time (say a payment and a withdrawal
+  // credit) leaves it alone; a claim left by a sync that died is taken over after a while
+  const { count } = await prisma.invoice.updateMany({
+    where: {
+      id: invoice.id,
+      OR: [
+        ...ISSUABLE,
+        { eInvoiceStatus: 'ISSUING', updatedAt: { lt: new Date(Date.now() - ISSUING_TIMEOUT_MS) } }
+      ]
+    },
+    data: { eInvoiceStatus: 'ISSUING' }
+  });
+  if (count === 0) return prisma.invoice.findUnique({ where: { id: invoice.id } });
+
+  const buyer = getBuyer(invoice);
+  let result;
+  try {
+    result = await provider.issue({
+      // The same on every attempt at one e-invoice, so the provider turns away a repeat of an
+      // issue that went through but wasn't saved; each void moves a reissue on to a new one
+      relateNumber: invoice.eInvoiceReissues > 0
+        ? `${invoice.invoiceNumber}-${invoice.eInvoiceReissues}`
+        : invoice.invoiceNumber,
+      amount,
+      taxType: settings.taxType,
+      items: buildLines(invoice.items, amount, `補習費 Tuition (${invoice.invoiceNumber})`, settings.itemUnit),
+      buyer,
+      carrier: invoice.buyerTaxId ? null : getCarrier(invoice, buyer),
+      donationCode: invoice.buyerTaxId ? null : invoice.donationCode
+    });
+  } catch (error) {
+    await prisma.invoice.update({
+      where: { id: invoice.id },
+      data: { eInvoiceStatus: 'FAILED' }
+    });
+    throw error;
+  }
+
+  return prisma.invoice.update({
+    where: { id: invoice.id },
+    data: {
+      eInvoiceNumber: result.number,
+      eInvoiceDate: result.date,
+      eInvoiceRandomNumber: result.randomNumber || null,
+      eInvoiceAmount: amount,
+      eInvoiceStatus: 'ISSUED',
+      eInvoiceError: null
+    }
+  });
+};
+
+/**
+ * Allowances for credit notes issued after the e-invoice, up to what is left of it
+ */
+const issueAllowances = async (provider, invoice, settings) => {
+  // Credit notes from before a reissue were netted out of the new e-invoice
+  const later = invoice.creditNotes.filter(note => note.createdAt > invoice.eInvoiceDate);
+  const pending = later.filter(note => !note.eInvoiceAllowanceNumber);
+  if (pending.length === 0) return invoice;
+
+  const allowed = later
+    .filter(note => note.eInvoiceAllowanceNumber)
+    .reduce((sum, note) => sum + Math.round(toAmount(note.amount)), 0);
+  let remaining = toAmount(invoice.eInvoiceAmount) - allowed;
+
+  for (const note of pending) {
+    const amount = Math.min(Math.round(toAmount(note.amount)), remaining);
+    if (amount <= 0) break;
+
+    const result = await provider.allowance(toEInvoice(invoice), {
+      amount,
+      taxType: settings.taxType,
+      items: buildLines(note.items, amount, `折讓 Credit (${note.creditNoteNumber})`, settings.itemUnit),
+      buyer: getBuyer(invoice)
+    });
+
+    await prisma.creditNote.update({
+      where: { id: note.id },
+      data: { eInvoiceAllowanceNumber: result.number, eInvoiceAllowanceDate: result.date }
+    });
+    remaining -= amount;
+  }
+
+  return prisma.invoice.update({
+    where: { id: invoice.id },
+    data: { eInvoiceError: null }
+  });
+};
+
+const voidIssued = async (provider, invoice, reason) => {
+  await provider.void(toEInvoice(invoice), { reason });
+
+  return prisma.invoice.update({
+    where: { id: invoice.id },
+    data: { eInvoiceStatus: 'VOIDED', eInvoiceError: null, eInvoiceReissues: { increment: 1 } }
+  });
+};
+
+/**
+ * Bring an invoice's e-invoice in line with its payments: issue it once the invoice is paid,
+ * void it when the invoice stops being paid (a voided payment, cancellation or refund), and
+ * issue allowances for credit notes that come after it
+ * Provider errors don't fail the payment that triggered this; they are kept in eInvoiceError
+ * (issuing is retried on the next sync)
+ * Returns the invoice's e-invoice fields
+ */
+export const syncEInvoice = async (invoiceId) => {
+  const current = await prisma.invoice.findUnique({
+    where: { id: invoiceId },
+    include: { school: { select: { eInvoiceProvider: true } } }
+  });
+
+  if (!current.school.eInvoiceProvider) return pickEInvoiceFields(current);
+
+  const invoice = await prisma.invoice.findUnique({
+    where: { id: invoiceId },
+    include: invoiceInclude
+  });
+
+  try {
+    const provider = getEInvoiceProvider(invoice.school);
+    const settings = getEInvoiceSettings(invoice.school.settings);
+
+    if (invoice.eInvoiceStatus === 'ISSUED') {
+      if (invoice.status !== 'PAID') {
+        return pickEInvoiceFields(await voidIssued(provider, invoice, VOID_REASONS[invoice.status] || DEFAULT_VOID_REASON));
+      }
+      return pickEInvoiceFields(await issueAllowances(provider, invoice, settings));
+    }
+
+    if (invoice.status === 'PAID') {
+      return pickEInvoiceFields(await issue(provider, invoice, settings));
+    }
+  } catch (error) {
+    console.error(`E-invoice sync failed for invoice ${invoice.invoiceNumber}:`, error.message);
+
+    // An issue in progress elsewhere keeps its ISSUING claim
+    await prisma.invoice.updateMany({
+      where: { id: invoice.id, OR: ISSUABLE },
+      data: { eInvoiceStatus: 'FAILED' }
+    });
+    const updated = await prisma.invoice.update({
+      where: { id: invoice.id },
+      data: { eInvoiceError: error.message }
+    });
+    return pickEInvoiceFields(updated);
+  }
+
+  return pickEInvoiceFields(invoice);
+};
+
+/**
+ * Void an invoice's e-invoice by hand, e.g. to correct the buyer and issue it again
+ * Returns the invoice's e-invoice fields
+ */
+export const voidEInvoice = async (invoiceId, { reason }) => {
+  const invoice = await prisma.invoice.findUnique({
+    where: { id: invoiceId },
+    include: invoiceInclude
+  });
+
+  if (invoice.eInvoiceStatus !== 'ISSUED') {
+    throw new AppError('EINVOICE_NOT_ISSUED', 'Invoice has no issued e-invoice', '此帳單沒有已開立的電子發票', 400);
+  }
+  if (!reason) {
+    throw new AppError('MISSING_FIELDS', 'A reason is required to void an e-invoice', '請填寫作廢原因', 400);
+  }
+
+  const provider = getEInvoiceProvider(invoice.school);
+  if (!provider) {
+    throw new AppError('EINVOICE_NOT_CONFIGURED', 'School has no e-invoice provider', '尚未設定電子發票平台', 400);
+  }
+
+  return pickEInvoiceFields(await voidIssued(provider, invoice, reason));
+};
+
+export default {
+  CARRIER_TYPES,
+  TAX_TYPES,
+  getEInvoiceSettings,
+  isValidTaxId,
+  normalizeEInvoiceBuyer,
+  createMockProvider,
+  createEcpayProvider,
+  registerEInvoiceProvider,
+  getEInvoiceProviderNames,
+  getEInvoiceProvider,
+  syncEInvoice,
+  voidEInvoice
+};
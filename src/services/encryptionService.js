@@ -0,0 +1,251 @@
+// Encryption Service
+// Envelope encryption for secrets stored at rest (LINE channel secrets and access tokens, e-invoice provider keys)
+
+import crypto from 'crypto';
+import { Prisma } from '@prisma/client';
+
+const CIPHER = 'aes-256-gcm';
+const PREFIX = 'enc:v1';
+
+// Fields encrypted at rest, keyed by Prisma model name
+export const ENCRYPTED_FIELDS = {
+  School: ['lineChannelSecret', 'lineAccessToken', 'eInvoiceHashKey', 'eInvoiceHashIv'],
+  User: ['lineAccessToken']
+};
+
+let warnedMissingKeys = false;
+
+/**
+ * Load master keys from env
+ * ENCRYPTION_KEYS = "keyId:base64Key,keyId:base64Key" (32-byte keys)
+ * ENCRYPTION_ACTIVE_KEY_ID selects the key for new writes (defaults to the last one)
+ * Read at call time because dotenv is loaded after module imports
+ */
+const loadKeys = () => {
+  const raw = process.env.ENCRYPTION_KEYS || '';
+  const keys = new Map();
+
+  for (const entry of raw.split(',').map(e => e.trim()).filter(Boolean)) {
+    const [keyId, encoded] = entry.split(':');
+    const key = Buffer.from(encoded || '', 'base64');
+
+    if (!keyId || key.length !== 32) {
+      throw new Error(`Invalid encryption key "${keyId}": expected keyId:base64 of 32 bytes`);
+    }
+    keys.set(keyId, key);
+  }
+
+  const activeKeyId = process.env.ENCRYPTION_ACTIVE_KEY_ID || Array.from(keys.keys()).pop();
+
+  if (activeKeyId && !keys.has(activeKeyId)) {
+    throw new Error(`ENCRYPTION_ACTIVE_KEY_ID "${activeKeyId}" is not in ENCRYPTION_KEYS`);
+  }
+
+  return { keys, activeKeyId };
+};
+
+/**
+ * AES-256-GCM encrypt, returning iv + tag + ciphertext as one buffer
+ */
+const seal = (key, plaintext) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(CIPHER, key, iv);
+  const data = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), data]);
+};
+
+/**
+ * Reverse of seal()
+ */
+const open = (key, sealed) => {
+  const iv = sealed.subarray(0, 12);
+  const tag = sealed.subarray(12, 28);
+  const decipher = crypto.createDecipheriv(CIPHER, key, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(sealed.subarray(28)), decipher.final()]);
+};
+
+/**
+ * Split a stored value into its key ID, wrapped data key and payload
+ */
+const parse = (value) => {
+  const [, , keyId, wrappedKey, payload] = value.split(':');
+  return {
+    keyId,
+    wrappedKey: Buffer.from(wrappedKey, 'base64'),
+    payload
+  };
+};
+
+/**
+ * Check whether a stored value is already encrypted
+ */
+export const isEncrypted = (value) => {
+  return typeof value === 'string' && value.startsWith(`${PREFIX}:`);
+};
+
+/**
+ * Get the master key ID an encrypted value was wrapped with
+ */
+export const getKeyId = (value) => {
+  return isEncrypted(value) ? parse(value).keyId : null;
+};
+
+/**
+ * Encrypt a value with a fresh data key, wrapped by the active master key
+ * Stored format: enc:v1:<keyId>:<wrapped data key>:<ciphertext>
+ */
+export const encrypt = (plaintext) => {
+  if (plaintext === null || plaintext === undefined || plaintext === '' || isEncrypted(plaintext)) {
+    return plaintext;
+  }
+
+  const { keys, activeKeyId } = loadKeys();
+
+  if (!activeKeyId) {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('ENCRYPTION_KEYS must be set to store secrets in production');
+    }
+    if (!warnedMissingKeys) {
+      console.warn('ENCRYPTION_KEYS not set - secrets will be stored as plaintext');
+      warnedMissingKeys = true;
+    }
+    return plaintext;
+  }
+
+  const dataKey = crypto.randomBytes(32);
+  const wrappedKey = seal(keys.get(activeKeyId), dataKey);
+  const payload = seal(dataKey, Buffer.from(String(plaintext), 'utf8'));
+
+  return [PREFIX, activeKeyId, wrappedKey.toString('base64'), payload.toString('base64')].join(':');
+};
+
+/**
+ * Decrypt a stored value
+ * Plaintext values (rows not yet migrated) are returned unchanged
+ */
+export const decrypt = (value) => {
+  if (!isEncrypted(value)) {
+    return value;
+  }
+
+  const { keys } = loadKeys();
+  const { keyId, wrappedKey, payload } = parse(value);
+  const masterKey = keys.get(keyId);
+
+  if (!masterKey) {
+    throw new Error(`Encryption key "${keyId}" is not configured`);
+  }
+
+  const dataKey = open(masterKey, wrappedKey);
+  return open(dataKey, Buffer.from(payload, 'base64')).toString('utf8');
+};
+
+/**
+ * Re-wrap a value's data key with the active master key
+ * The payload itself is untouched; plaintext values are encrypted
+ */
+export const rewrap = (value) => {
+  if (!isEncrypted(value)) {
+    return encrypt(value);
+  }
+
+  const { keys, activeKeyId } = loadKeys();
+  const { keyId, wrappedKey, payload } = parse(value);
+
+  if (keyId === activeKeyId) {
+    return value;
+  }
+
+  const oldKey = keys.get(keyId);
+  if (!oldKey) {
+    throw new Error(`Encryption key "${keyId}" is not configured`);
+  }
+
+  const dataKey = open(oldKey, wrappedKey);
+  const newWrappedKey = seal(keys.get(activeKeyId), dataKey);
+
+  return [PREFIX, activeKeyId, newWrappedKey.toString('base64'), payload].join(':');
+};
+
+/**
+ * Get the key ID new values are written with
+ */
+export const getActiveKeyId = () => loadKeys().activeKeyId;
+
+/**
+ * Encrypt the secret fields of a Prisma `data` object
+ */
+export const encryptFields = (model, data) => {
+  const fields = ENCRYPTED_FIELDS[model];
+
+  if (!fields || !data || typeof data !== 'object') {
+    return data;
+  }
+
+  const result = { ...data };
+  for (const field of fields) {
+    const value = result[field];
+    if (typeof value === 'string') {
+      result[field] = encrypt(value);
+    } else if (value && typeof value.set === 'string') {
+      result[field] = { ...value, set: encrypt(value.set) };
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Prisma client extension that encrypts secret fields on every top-level write
+ * Reads are not decrypted automatically; call decrypt() where the secret is used
+ */
+export const encryptionExtension = Prisma.defineExtension({
+  name: 'encryptedFields',
+  query: {
+    $allModels: {
+      async $allOperations({ model, operation, args, query }) {
+        if (!ENCRYPTED_FIELDS[model] || !args) {
+          return query(args);
+        }
+
+        switch (operation) {
+          case 'create':
+          case 'update':
+          case 'updateMany':
+            return query({ ...args, data: encryptFields(model, args.data) });
+
+          case 'createMany':
+            return query({
+              ...args,
+              data: Array.isArray(args.data)
+                ? args.data.map(d => encryptFields(model, d))
+                : encryptFields(model, args.data)
+            });
+
+          case 'upsert':
+            return query({
+              ...args,
+              create: encryptFields(model, args.create),
+              update: encryptFields(model, args.update)
+            });
+
+          default:
+            return query(args);
+        }
+      }
+    }
+  }
+});
+
+export default {
+  ENCRYPTED_FIELDS,
+  isEncrypted,
+  getKeyId,
+  getActiveKeyId,
+  encrypt,
+  decrypt,
+  rewrap,
+  encryptFields,
+  encryptionExtension
+};
@@ -0,0 +1,363 @@
+// Exam Service
+// Score entry for quizzes and exams (assessments), rankings, percentiles and score distributions
+
+import prisma from '../config/database.js';
+import { AppError } from '../middleware/errorHandler.js';
+
+export const SCORE_STATUSES = ['SCORED', 'MISSING', 'EXCUSED'];
+
+// Histogram buckets over the percentage score (0-9%, 10-19% ... 90-100%)
+const HISTOGRAM_BUCKETS = 10;
+
+// Accepted CSV header labels (lowercased) -> score import field
+export const SCORE_IMPORT_HEADERS = {
+  student_id: 'studentId', id: 'studentId', '學生編號': 'studentId',
+  name: 'name', student: 'name', student_name: 'name', '姓名': 'name', '學生': 'name',
+  english_name: 'englishName', '英文名': 'englishName',
+  score: 'score', '分數': 'score', '成績': 'score',
+  comment: 'comment', '備註': 'comment', '評語': 'comment'
+};
+
+// Score cells that mean the student didn't take the test
+const MISSING_LABELS = ['缺考', '缺交', 'missing', 'absent'];
+const EXCUSED_LABELS = ['免', '免考', 'excused'];
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Count, mean, median, population standard deviation, min and max of a list of numbers
+ */
+export const describeScores = (values) => {
+  if (values.length === 0) {
+    return { count: 0, mean: null, median: null, stdDev: null, min: null, max: null };
+  }
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const mean = sorted.reduce((sum, v) => sum + v, 0) / sorted.length;
+  const middle = Math.floor(sorted.length / 2);
+  const median = sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+  const variance = sorted.reduce((sum, v) => sum + (v - mean) ** 2, 0) / sorted.length;
+
+  return {
+    count: sorted.length,
+    mean: round1(mean),
+    median: round1(median),
+    stdDev: round1(Math.sqrt(variance)),
+    min: sorted[0],
+    max: sorted[sorted.length - 1]
+  };
+};
+
+/**
+ * Rank entries by score, highest first; ties share a rank (1, 2, 2, 4)
+ * percentile is the share of the class scoring below, counting half of ties (PR)
+ */
+export const rankEntries = (entries) => {
+  const count = entries.length;
+
+  return [...entries]
+    .sort((a, b) => b.score - a.score)
+    .map(entry => {
+      const above = entries.filter(e => e.score > entry.score).length;
+      const below = entries.filter(e => e.score < entry.score).length;
+      const ties = count - above - below;
+
+      return {
+        ...entry,
+        rank: above + 1,
+        percentile: Math.round((below + 0.5 * ties) / count * 100)
+      };
+    });
+};
+
+/**
+ * Number of scores per 10% band of maxScore
+ */
+export const buildHistogram = (scores, maxScore) => {
+  const buckets = Array.from({ length: HISTOGRAM_BUCKETS }, (_, i) => ({
+    from: i * 100 / HISTOGRAM_BUCKETS,
+    to: (i + 1) * 100 / HISTOGRAM_BUCKETS - (i === HISTOGRAM_BUCKETS - 1 ? 0 : 1),
+    count: 0
+  }));
+
+  for (const score of scores) {
+    const index = Math.min(Math.floor(score / maxScore * HISTOGRAM_BUCKETS), HISTOGRAM_BUCKETS - 1);
+    buckets[index].count++;
+  }
+
+  return buckets;
+};
+
+/**
+ * Results of one assessment (loaded with scores and their students)
+ * Only SCORED entries are ranked; missing and excused students are counted separately
+ */
+export const summarizeAssessment = (assessment) => {
+  const scored = assessment.scores.filter(s => s.status === 'SCORED' && s.score !== null);
+  const values = scored.map(s => s.score);
+
+  const results = rankEntries(scored.map(s => ({
+    student: s.student,
+    studentId: s.studentId,
+    score: s.score,
+    percent: round1(s.score / assessment.maxScore * 100),
+    comment: s.comment
+  })));
+
+  return {
+    id: assessment.id,
+    title: assessment.title,
+    date: assessment.date,
+    maxScore: assessment.maxScore,
+    category: assessment.category
+      ? { id: assessment.category.id, name: assessment.category.name, kind: assessment.category.kind }
+      : undefined,
+    stats: {
+      ...describeScores(values),
+      missing: assessment.scores.filter(s => s.status === 'MISSING').length,
+      excused: assessment.scores.filter(s => s.status === 'EXCUSED').length
+    },
+    histogram: buildHistogram(values, assessment.maxScore),
+    results
+  };
+};
+
+const studentSelect = {
+  select: { id: true, firstName: true, lastName: true, englishName: true }
+};
+
+/**
+ * Summaries of a class's assessments, oldest first, optionally between two dates
+ */
+export const getClassExamSummaries = async (classId, { start, end } = {}) => {
+  const assessments = await prisma.assessment.findMany({
+    where: {
+      classId,
+      ...((start || end) && { date: { ...(start && { gte: start }), ...(end && { lte: end }) } })
+    },
+    include: {
+      category: true,
+      scores: { include: { student: studentSelect } }
+    },
+    orderBy: { date: 'asc' }
+  });
+
+  return assessments.map(summarizeAssessment);
+};
+
+/**
+ * Score trend per student across a list of assessment summaries
+ * Returns Map studentId -> [{ assessmentId, date, percent, rank, percentile }]
+ */
+export const buildStudentTrends = (summaries) => {
+  const trends = new Map();
+
+  for (const summary of summaries) {
+    for (const result of summary.results) {
+      if (!trends.has(result.studentId)) trends.set(result.studentId, []);
+      trends.get(result.studentId).push({
+        assessmentId: summary.id,
+        title: summary.title,
+        date: summary.date,
+        percent: result.percent,
+        rank: result.rank,
+        percentile: result.percentile
+      });
+    }
+  }
+
+  return trends;
+};
+
+/**
+ * A student's quiz and exam results over time, with where they placed in the class
+ */
+export const getStudentExamHistory = async (studentId, { classIds } = {}) => {
+  const assessments = await prisma.assessment.findMany({
+    where: {
+      scores: { some: { studentId } },
+      ...(classIds && { classId: { in: classIds } })
+    },
+    include: {
+      category: true,
+      class: { select: { id: true, name: true } },
+      scores: true
+    },
+    orderBy: { date: 'asc' }
+  });
+
+  return assessments.map(assessment => {
+    const summary = summarizeAssessment(assessment);
+    const own = assessment.scores.find(s => s.studentId === studentId);
+    const result = summary.results.find(r => r.studentId === studentId);
+
+    return {
+      id: assessment.id,
+      title: assessment.title,
+      date: assessment.date,
+      class: assessment.class,
+      category: summary.category,
+      maxScore: assessment.maxScore,
+      status: own.status,
+      score: own.score,
+      percent: result?.percent ?? null,
+      comment: own.comment,
+      rank: result?.rank ?? null,
+      percentile: result?.percentile ?? null,
+      classStats: {
+        count: summary.stats.count,
+        mean: summary.stats.mean,
+        median: summary.stats.median,
+        stdDev: summary.stats.stdDev
+      }
+    };
+  });
+};
+
+/**
+ * Check and store scores for an assessment
+ * entries: [{ studentId, score, status, comment }]; status defaults to SCORED and
+ * a SCORED entry with score null clears the student's score
+ */
+export const saveScores = async (assessment, entries, enteredById) => {
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new AppError('MISSING_FIELDS', 'scores array is required', '請提供成績', 400);
+  }
+
+  const enrolled = await prisma.classEnrollment.findMany({
+    where: {
+      classId: assessment.classId,
+      studentId: { in: entries.map(e => e.studentId) },
+      status: { in: ['ACTIVE', 'COMPLETED'] }
+    },
+    select: { studentId: true }
+  });
+  const enrolledIds = new Set(enrolled.map(e => e.studentId));
+
+  const invalid = entries.find(entry => {
+    const status = entry.status || 'SCORED';
+    if (!enrolledIds.has(entry.studentId) || !SCORE_STATUSES.includes(status)) return true;
+    if (status !== 'SCORED' || entry.score === null || entry.score === undefined) return false;
+    return typeof entry.score !== 'number' || entry.score < 0 || entry.score > assessment.maxScore;
+  });
+
+  if (invalid) {
+    throw new AppError('INVALID_SCORE', `Invalid entry for student ${invalid.studentId}: scores must be between 0 and ${assessment.maxScore} for students in this class`, `學生 ${invalid.studentId} 的成績有誤：分數必須介於 0 和 ${assessment.maxScore} 之間，且學生須在此班級`, 400);
+  }
+
+  await prisma.$transaction(entries.map(entry => {
+    const status = entry.status || 'SCORED';
+
+    if (status === 'SCORED' && (entry.score === null || entry.score === undefined)) {
+      return prisma.assessmentScore.deleteMany({
+        where: { assessmentId: assessment.id, studentId: entry.studentId }
+      });
+    }
+
+    const data = {
+      score: status === 'SCORED' ? entry.score : null,
+      status,
+      comment: entry.comment || null,
+      enteredById
+    };
+
+    return prisma.assessmentScore.upsert({
+      where: {
+        assessmentId_studentId: { assessmentId: assessment.id, studentId: entry.studentId }
+      },
+      update: data,
+      create: { ...data, assessmentId: assessment.id, studentId: entry.studentId }
+    });
+  }));
+
+  return prisma.assessmentScore.findMany({
+    where: { assessmentId: assessment.id },
+    include: { student: studentSelect }
+  });
+};
+
+/**
+ * Match score sheet rows (from SCORE_IMPORT_HEADERS) to the class roster
+ * Students are found by id, full Chinese name (姓+名) or English name
+ * Returns { entries, errors } where errors are [{ row, message, messageZh }]
+ */
+export const planScoreImport = async (assessment, records) => {
+  const enrollments = await prisma.classEnrollment.findMany({
+    where: { classId: assessment.classId, status: { in: ['ACTIVE', 'COMPLETED'] } },
+    include: { student: studentSelect }
+  });
+
+  const byName = new Map();
+  const addName = (name, student) => {
+    const key = name?.trim().toLowerCase();
+    if (!key) return;
+    byName.set(key, byName.has(key) && byName.get(key).id !== student.id ? 'AMBIGUOUS' : student);
+  };
+  for (const { student } of enrollments) {
+    addName(`${student.lastName}${student.firstName}`, student);
+    addName(student.englishName, student);
+  }
+
+  const entries = [];
+  const errors = [];
+  const seen = new Set();
+
+  for (const record of records) {
+    const fail = (message, messageZh) => errors.push({ row: record._row, message, messageZh });
+
+    const student = record.studentId
+      ? enrollments.find(e => e.student.id === record.studentId)?.student
+      : byName.get((record.name || record.englishName || '').toLowerCase());
+
+    if (student === 'AMBIGUOUS') {
+      fail('More than one student has this name; use student_id', '有多位學生同名，請使用學生編號');
+      continue;
+    }
+    if (!student) {
+      fail('Student is not in this class', '此班級沒有這位學生');
+      continue;
+    }
+    if (seen.has(student.id)) {
+      fail('Student appears more than once', '學生重複出現');
+      continue;
+    }
+    seen.add(student.id);
+
+    const cell = (record.score || '').trim();
+    const label = cell.toLowerCase();
+    let entry;
+
+    if (!cell) {
+      continue;
+    } else if (MISSING_LABELS.includes(label)) {
+      entry = { status: 'MISSING' };
+    } else if (EXCUSED_LABELS.includes(label)) {
+      entry = { status: 'EXCUSED' };
+    } else {
+      const score = Number(cell);
+      if (!Number.isFinite(score) || score < 0 || score > assessment.maxScore) {
+        fail(`Score must be between 0 and ${assessment.maxScore}`, `分數必須介於 0 和 ${assessment.maxScore} 之間`);
+        continue;
+      }
+      entry = { status: 'SCORED', score };
+    }
+
+    entries.push({ ...entry, studentId: student.id, student, comment: record.comment || null });
+  }
+
+  return { entries, errors };
+};
+
+export default {
+  SCORE_STATUSES,
+  SCORE_IMPORT_HEADERS,
+  describeScores,
+  rankEntries,
+  buildHistogram,
+  summarizeAssessment,
+  getClassExamSummaries,
+  buildStudentTrends,
+  getStudentExamHistory,
+  saveScores,
+  planScoreImport
+};
@@ -0,0 +1,320 @@
+// File Service
+// Uploads (type/size limits, per-school quota), signed download URLs and file attachments
+
+import crypto from 'crypto';
+import path from 'path';
+import prisma from '../config/database.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { getStorage } from './storageService.js';
+
+export const FILE_PURPOSES = ['HOMEWORK', 'SUBMISSION', 'MESSAGE', 'STUDENT_PHOTO'];
+
+export const MAX_FILES_PER_UPLOAD = 10;
+const DEFAULT_MAX_FILE_MB = 10;
+const DEFAULT_QUOTA_MB = 1024;
+
+// Lifetime of download links handed out in API responses
+const DOWNLOAD_URL_TTL_MINUTES = 60;
+
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/gif', 'image/webp'];
+const DOCUMENT_TYPES = [
+  'application/pdf',
+  'text/plain',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/vnd.ms-powerpoint',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation'
+];
+const AUDIO_TYPES = ['audio/mpeg', 'audio/mp4', 'audio/x-m4a'];
+
+const ALLOWED_TYPES = {
+  HOMEWORK: [...IMAGE_TYPES, ...DOCUMENT_TYPES, ...AUDIO_TYPES],
+  SUBMISSION: [...IMAGE_TYPES, ...DOCUMENT_TYPES, ...AUDIO_TYPES],
+  MESSAGE: [...IMAGE_TYPES, ...DOCUMENT_TYPES],
+  STUDENT_PHOTO: ['image/jpeg', 'image/png', 'image/webp']
+};
+
+// Leading bytes of types we can check, so a renamed file can't pass as an image or PDF
+const SIGNATURES = {
+  'image/jpeg': (b) => b[0] === 0xff && b[1] === 0xd8 && b[2] === 0xff,
+  'image/png': (b) => b.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  'image/gif': (b) => b.subarray(0, 4).toString('latin1') === 'GIF8',
+  'image/webp': (b) => b.subarray(0, 4).toString('latin1') === 'RIFF' && b.subarray(8, 12).toString('latin1') === 'WEBP',
+  'application/pdf': (b) => b.subarray(0, 5).toString('latin1') === '%PDF-'
+};
+
+export const getMaxFileBytes = () => {
+  return Math.floor((parseFloat(process.env.UPLOAD_MAX_MB) || DEFAULT_MAX_FILE_MB) * 1024 * 1024);
+};
+
+const getUrlSecret = () => {
+  const secret = process.env.FILE_URL_SECRET || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new AppError('STORAGE_NOT_CONFIGURED', 'FILE_URL_SECRET is not set', '尚未設定檔案金鑰', 500);
+  }
+  return secret;
+};
+
+const signDownload = (fileId, expires) => {
+  return crypto
+    .createHmac('sha256', getUrlSecret())
+    .update(`${fileId}.${expires}`)
+    .digest('base64url');
+};
+
+/**
+ * Signed download URL for a file
+ */
+export const getDownloadUrl = (file, { expiresInMinutes = DOWNLOAD_URL_TTL_MINUTES } = {}) => {
+  const expires = Math.floor(Date.now() / 1000) + expiresInMinutes * 60;
+
+  const base = (process.env.API_URL || '').replace(/\/$/, '');
+  return `${base}/api/files/${file.id}/download?expires=${expires}&signature=${signDownload(file.id, expires)}`;
+};
+
+/**
+ * File details returned by the API
+ */
+export const toFileResponse = (file) => ({
+  id: file.id,
+  purpose: file.purpose,
+  fileName: file.fileName,
+  mimeType: file.mimeType,
+  size: file.size,
+  createdAt: file.createdAt,
+  url: getDownloadUrl(file)
+});
+
+/**
+ * Storage used by a school against its quota (settings.storageQuotaMb)
+ */
+export const getUsage = async (schoolId) => {
+  const [school, aggregate] = await Promise.all([
+    prisma.school.findUnique({
+      where: { id: schoolId },
+      select: { settings: true }
+    }),
+    prisma.storedFile.aggregate({
+      where: { schoolId },
+      _sum: { size: true },
+      _count: true
+    })
+  ]);
+
+  const quotaMb = school?.settings?.storageQuotaMb ?? DEFAULT_QUOTA_MB;
+
+  return {
+    usedBytes: aggregate._sum.size || 0,
+    quotaBytes: quotaMb * 1024 * 1024,
+    fileCount: aggregate._count
+  };
+};
+
+/**
+ * Multer decodes non-ASCII file names as latin1
+ */
+const decodeFileName = (name) => {
+  const decoded = Buffer.from(name, 'latin1').toString('utf8');
+  return (decoded.includes('\uFFFD') ? name : decoded).replace(/[\\/\r\n"]/g, '_').slice(0, 200);
+};
+
+const validateFile = (file, purpose) => {
+  if (!ALLOWED_TYPES[purpose].includes(file.mimetype)) {
+    throw new AppError('INVALID_FILE_TYPE', `${file.mimetype} files are not allowed here`, '不支援此檔案類型', 400);
+  }
+
+  if (file.size > getMaxFileBytes()) {
+    throw new AppError('FILE_TOO_LARGE', 'File is too large', '檔案太大', 413);
+  }
+
+  const matches = SIGNATURES[file.mimetype];
+  if (matches && !matches(file.buffer)) {
+    throw new AppError('INVALID_FILE_TYPE', 'File content does not match its type', '檔案內容與類型不符', 400);
+  }
+};
+
+/**
+ * Store uploaded files (multer memory-storage objects) for a purpose
+ * All files are checked before any is stored
+ */
+export const saveFiles = async (user, files, purpose) => {
+  if (!FILE_PURPOSES.includes(purpose)) {
+    throw new AppError('INVALID_PURPOSE', `purpose must be one of ${FILE_PURPOSES.join(', ')}`, '無效的檔案用途', 400);
+  }
+
+  if (!files?.length) {
+    throw new AppError('FILE_REQUIRED', 'No file was uploaded', '請選擇要上傳的檔案', 400);
+  }
+
+  files.forEach(file => validateFile(file, purpose));
+
+  const usage = await getUsage(user.schoolId);
+  const uploadBytes = files.reduce((sum, file) => sum + file.size, 0);
+
+  if (usage.usedBytes + uploadBytes > usage.quotaBytes) {
+    throw new AppError('STORAGE_QUOTA_EXCEEDED', 'The school has used up its file storage', '補習班的檔案空間已用完', 413);
+  }
+
+  const storage = getStorage();
+  const month = new Date().toISOString().slice(0, 7);
+  const saved = [];
+
+  try {
+    for (const file of files) {
+      const extension = path.extname(file.originalname).toLowerCase().replace(/[^a-z0-9.]/g, '');
+      const storageKey = `${user.schoolId}/${purpose.toLowerCase()}/${month}/${crypto.randomUUID()}${extension}`;
+
+      await storage.put(storageKey, file.buffer, { mimeType: file.mimetype });
+
+      saved.push(await prisma.storedFile.create({
+        data: {
+          purpose,
+          fileName: decodeFileName(file.originalname),
+          mimeType: file.mimetype,
+          size: file.size,
+          storageKey,
+          schoolId: user.schoolId,
+          uploadedById: user.id
+        }
+      }));
+    }
+  } catch (error) {
+    await Promise.all(saved.map(file => deleteFile(file).catch(() => {})));
+    throw error;
+  }
+
+  return saved;
+};
+
+/**
+ * Find a file of the school that the user may read (staff: any; others: their own uploads)
+ */
+export const findAccessibleFile = (user, id) => {
+  return prisma.storedFile.findFirst({
+    where: {
+      id,
+      schoolId: user.schoolId,
+      ...(!['ADMIN', 'MANAGER', 'TEACHER'].includes(user.role) && { uploadedById: user.id })
+    }
+  });
+};
+
+/**
+ * Check a download link and open the file
+ * Returns { file, stream }
+ */
+export const openDownload = async (id, expires, signature) => {
+  const expected = signDownload(id, expires);
+  const valid = typeof signature === 'string' &&
+    signature.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+
+  if (!valid) {
+    throw new AppError('INVALID_SIGNATURE', 'Download link is not valid', '無效的下載連結', 403);
+  }
+
+  if (!(parseInt(expires) >= Date.now() / 1000)) {
+    throw new AppError('LINK_EXPIRED', 'Download link has expired', '下載連結已過期', 410);
+  }
+
+  const file = await prisma.storedFile.findUnique({ where: { id } });
+  if (!file) {
+    throw new AppError('FILE_NOT_FOUND', 'File not found', '找不到檔案', 404);
+  }
+
+  return { file, stream: getStorage().createReadStream(file.storageKey) };
+};
+
+/**
+ * Remove a file's bytes and record
+ */
+export const deleteFile = async (file) => {
+  if (file.purpose === 'STUDENT_PHOTO') {
+    await prisma.student.updateMany({
+      where: { photoFileId: file.id },
+      data: { photoUrl: null, photoFileId: null }
+    });
+  }
+
+  await getStorage().remove(file.storageKey);
+  await prisma.storedFile.delete({ where: { id: file.id } });
+};
+
+/**
+ * Validate an attachments array from a request body
+ * Items are http(s) URLs or { fileId } of files uploaded for the purpose
+ * Returns the array to store: URLs as-is, files as { fileId, fileName, mimeType, size }
+ */
+export const resolveAttachments = async (user, attachments, purpose) => {
+  if (!Array.isArray(attachments)) {
+    throw new AppError('INVALID_ATTACHMENTS', 'attachments must be an array', '附件格式錯誤', 400);
+  }
+
+  const fileIds = attachments.filter(a => a && typeof a === 'object').map(a => a.fileId);
+
+  const files = fileIds.length
+    ? await prisma.storedFile.findMany({
+        where: {
+          id: { in: fileIds.filter(id => typeof id === 'string') },
+          schoolId: user.schoolId,
+          purpose,
+          ...(!['ADMIN', 'MANAGER', 'TEACHER'].includes(user.role) && { uploadedById: user.id })
+        }
+      })
+    : [];
+  const filesById = new Map(files.map(f => [f.id, f]));
+
+  return attachments.map(item => {
+    if (typeof item === 'string' && /^https?:\/\//i.test(item)) return item;
+
+    const file = filesById.get(item?.fileId);
+    if (!file) {
+      throw new AppError('INVALID_ATTACHMENTS', 'Attachments must be http(s) URLs or uploaded files', '附件必須為網址或已上傳的檔案', 400);
+    }
+
+    return {
+      fileId: file.id,
+      fileName: file.fileName,
+      mimeType: file.mimeType,
+      size: file.size
+    };
+  });
+};
+
+/**
+ * Add fresh download URLs to stored attachments
+ */
+export const signAttachments = (attachments) => {
+  if (!Array.isArray(attachments)) return attachments;
+
+  return attachments.map(item => (
+    item?.fileId ? { ...item, url: getDownloadUrl({ id: item.fileId }) } : item
+  ));
+};
+
+/**
+ * A student (or any row with photoUrl and photoFileId) with a fresh link to an uploaded photo
+ * Only the file id is stored for uploads; photoUrl is kept as is for an external link
+ */
+export const signStudentPhoto = (student) => {
+  if (!student?.photoFileId) return student;
+  return { ...student, photoUrl: getDownloadUrl({ id: student.photoFileId }) };
+};
+
+export default {
+  FILE_PURPOSES,
+  MAX_FILES_PER_UPLOAD,
+  getMaxFileBytes,
+  getDownloadUrl,
+  toFileResponse,
+  getUsage,
+  saveFiles,
+  findAccessibleFile,
+  openDownload,
+  deleteFile,
+  resolveAttachments,
+  signAttachments,
+  signStudentPhoto
+};
@@ -0,0 +1,437 @@
+// Gradebook Service
+// Weighted grade categories, per-student gradebook cells, term grades and gradebook exports
+
+import ExcelJS from 'exceljs';
+import prisma from '../config/database.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { formatDateOnly, toDateOnly } from './sessionService.js';
+
+export const CATEGORY_KINDS = ['HOMEWORK', 'QUIZ', 'EXAM', 'OTHER'];
+
+const MAX_CATEGORIES = 10;
+
+// Enrollments whose students appear in the gradebook
+const GRADEBOOK_ENROLLMENT_STATUSES = ['ACTIVE', 'COMPLETED'];
+
+// Classes without categories grade homework alone
+const IMPLICIT_HOMEWORK_CATEGORY = {
+  id: 'HOMEWORK',
+  name: '作業 Homework',
+  kind: 'HOMEWORK',
+  weight: 100
+};
+
+const DEFAULT_GRADEBOOK_SETTINGS = {
+  missingWork: 'ZERO' // ZERO: missing work scores 0; EXCLUDE: left out of the grade
+};
+
+/**
+ * Merge a school's gradebook settings over the defaults
+ */
+export const getGradebookSettings = (settings) => {
+  return { ...DEFAULT_GRADEBOOK_SETTINGS, ...settings?.gradebook };
+};
+
+/**
+ * Validate grade categories from a request body
+ * Weights are percentages of the term grade and must add up to 100
+ */
+export const normalizeCategories = (categories) => {
+  if (!Array.isArray(categories) || categories.length === 0 || categories.length > MAX_CATEGORIES) {
+    throw new AppError('INVALID_CATEGORIES', `A gradebook needs 1 to ${MAX_CATEGORIES} categories`, `成績類別需有 1 至 ${MAX_CATEGORIES} 項`, 400);
+  }
+
+  const normalized = categories.map((category, index) => {
+    const name = typeof category?.name === 'string' ? category.name.trim() : '';
+    const weight = Number(category?.weight);
+    const kind = category?.kind || 'OTHER';
+
+    if (!name || !Number.isFinite(weight) || weight <= 0 || !CATEGORY_KINDS.includes(kind)) {
+      throw new AppError('INVALID_CATEGORIES', `Each category needs a name, a weight above 0 and a kind (${CATEGORY_KINDS.join(', ')})`, '每個類別需有名稱、大於 0 的比重及類型', 400);
+    }
+
+    return { id: category.id, name, kind, weight, sortOrder: index };
+  });
+
+  const totalWeight = normalized.reduce((sum, category) => sum + category.weight, 0);
+  if (Math.abs(totalWeight - 100) > 0.01) {
+    throw new AppError('INVALID_WEIGHTS', `Category weights must add up to 100 (now ${totalWeight})`, `類別比重總和需為 100（目前為 ${totalWeight}）`, 400);
+  }
+
+  return normalized;
+};
+
+/**
+ * Replace a class's categories
+ * Categories left out are deleted; homework in them falls back to the HOMEWORK category,
+ * but a category that still has assessments can't be deleted
+ */
+export const saveCategories = async (classId, categories) => {
+  const normalized = normalizeCategories(categories);
+
+  const existing = await prisma.gradeCategory.findMany({
+    where: { classId },
+    include: { _count: { select: { assessments: true } } }
+  });
+  const existingIds = new Set(existing.map(c => c.id));
+
+  const unknown = normalized.find(c => c.id && !existingIds.has(c.id));
+  if (unknown) {
+    throw new AppError('CATEGORY_NOT_FOUND', 'Category not found in this class', '找不到此班級的成績類別', 404);
+  }
+
+  const keptIds = new Set(normalized.map(c => c.id).filter(Boolean));
+  const removed = existing.filter(c => !keptIds.has(c.id));
+
+  const inUse = removed.find(c => c._count.assessments > 0);
+  if (inUse) {
+    throw new AppError('CATEGORY_IN_USE', `"${inUse.name}" still has assessments; move or delete them first`, `「${inUse.name}」仍有測驗成績，請先移動或刪除`, 409);
+  }
+
+  await prisma.$transaction([
+    prisma.gradeCategory.deleteMany({ where: { id: { in: removed.map(c => c.id) } } }),
+    ...normalized.map(({ id, ...data }) => (
+      id
+        ? prisma.gradeCategory.update({ where: { id }, data })
+        : prisma.gradeCategory.create({ data: { ...data, classId } })
+    ))
+  ]);
+
+  return prisma.gradeCategory.findMany({
+    where: { classId },
+    orderBy: { sortOrder: 'asc' }
+  });
+};
+
+/**
+ * Check that a grade category belongs to the class
+ */
+export const findClassCategory = async (classId, categoryId) => {
+  const category = await prisma.gradeCategory.findFirst({
+    where: { id: categoryId, classId }
+  });
+
+  if (!category) {
+    throw new AppError('CATEGORY_NOT_FOUND', 'Grade category not found in this class', '找不到此班級的成績類別', 404);
+  }
+  return category;
+};
+
+/**
+ * Gradebook cell for one homework and student
+ * status: SCORED, MISSING (past due, nothing handed in), EXCUSED or PENDING (not due / not graded yet)
+ * null when the homework was due before the student joined
+ */
+const homeworkCell = (homework, submission, enrollmentDate, now) => {
+  if (submission?.status === 'EXCUSED') return { score: null, status: 'EXCUSED' };
+  if (submission?.score !== null && submission?.score !== undefined) {
+    return { score: submission.score, status: 'SCORED' };
+  }
+
+  const handedIn = submission && submission.status !== 'PENDING';
+  if (handedIn || homework.dueDate >= now) return { score: null, status: 'PENDING' };
+  if (homework.dueDate < enrollmentDate) return null;
+
+  return { score: null, status: 'MISSING' };
+};
+
+/**
+ * Gradebook cell for one assessment and student
+ * With no score entered, a quiz or exam held before today is MISSING, like past-due homework
+ * null when it is not held yet or was held before the student joined
+ */
+const assessmentCell = (assessment, entry, enrollmentDate, now) => {
+  if (entry) return { score: entry.score, status: entry.status, comment: entry.comment };
+  if (assessment.date >= toDateOnly(now) || assessment.date < toDateOnly(enrollmentDate)) return null;
+
+  return { score: null, status: 'MISSING', comment: null };
+};
+
+/**
+ * Percentage per category and the weighted term grade for one student
+ * Categories without counted work are left out and the remaining weights rescaled
+ */
+export const computeGrades = (categories, items, cells, settings) => {
+  const categoryGrades = {};
+  let weighted = 0;
+  let weightUsed = 0;
+
+  for (const category of categories) {
+    let earned = 0;
+    let possible = 0;
+
+    for (const item of items.filter(i => i.categoryId === category.id)) {
+      const cell = cells[item.id];
+      if (!cell) continue;
+
+      if (cell.status === 'SCORED') {
+        earned += cell.score;
+        possible += item.maxScore;
+      } else if (cell.status === 'MISSING' && settings.missingWork === 'ZERO') {
+        possible += item.maxScore;
+      }
+    }
+
+    const percent = possible > 0 ? earned / possible * 100 : null;
+    categoryGrades[category.id] = percent === null ? null : Math.round(percent * 10) / 10;
+
+    if (percent !== null) {
+      weighted += percent * category.weight;
+      weightUsed += category.weight;
+    }
+  }
+
+  return {
+    categoryGrades,
+    termGrade: weightUsed > 0 ? Math.round(weighted / weightUsed * 10) / 10 : null
+  };
+};
+
+/**
+ * Gradebook for a class: categories, graded items (homework with a maxScore, assessments)
+ * and one row per student with cells, category percentages and the term grade
+ * studentIds: limit the rows to these students
+ */
+export const buildGradebook = async (classData, { studentIds, now = new Date() } = {}) => {
+  const [school, savedCategories, enrollments, homework, assessments] = await Promise.all([
+    prisma.school.findUnique({
+      where: { id: classData.schoolId },
+      select: { settings: true }
+    }),
+    prisma.gradeCategory.findMany({
+      where: { classId: classData.id },
+      orderBy: { sortOrder: 'asc' }
+    }),
+    prisma.classEnrollment.findMany({
+      where: {
+        classId: classData.id,
+        status: { in: GRADEBOOK_ENROLLMENT_STATUSES },
+        ...(studentIds && { studentId: { in: studentIds } })
+      },
+      include: {
+        student: { select: { id: true, firstName: true, lastName: true, englishName: true } }
+      }
+    }),
+    prisma.homework.findMany({
+      where: { classId: classData.id, maxScore: { not: null } },
+      include: {
+        submissions: {
+          where: studentIds ? { studentId: { in: studentIds } } : {},
+          select: { studentId: true, score: true, status: true }
+        }
+      },
+      orderBy: { dueDate: 'asc' }
+    }),
+    prisma.assessment.findMany({
+      where: { classId: classData.id },
+      include: {
+        scores: {
+          where: studentIds ? { studentId: { in: studentIds } } : {},
+          select: { studentId: true, score: true, status: true, comment: true }
+        }
+      },
+      orderBy: { date: 'asc' }
+    })
+  ]);
+
+  const settings = getGradebookSettings(school?.settings);
+  const categories = savedCategories.length > 0
+    ? savedCategories.map(({ id, name, kind, weight }) => ({ id, name, kind, weight }))
+    : [IMPLICIT_HOMEWORK_CATEGORY];
+  const homeworkCategory = categories.find(c => c.kind === 'HOMEWORK');
+
+  const items = [
+    ...homework.map(hw => ({
+      id: hw.id,
+      type: 'HOMEWORK',
+      title: hw.title,
+      date: hw.dueDate,
+      maxScore: hw.maxScore,
+      categoryId: hw.gradeCategoryId || homeworkCategory?.id || null
+    })),
+    ...assessments.map(assessment => ({
+      id: assessment.id,
+      type: 'ASSESSMENT',
+      title: assessment.title,
+      date: assessment.date,
+      maxScore: assessment.maxScore,
+      categoryId: assessment.categoryId
+    }))
+  ].sort((a, b) => a.date - b.date);
+
+  const students = enrollments
+    .sort((a, b) => `${a.student.lastName}${a.student.firstName}`.localeCompare(`${b.student.lastName}${b.student.firstName}`, 'zh-TW'))
+    .map(({ student, enrollmentDate }) => {
+      const cells = {};
+
+      for (const hw of homework) {
+        const submission = hw.submissions.find(s => s.studentId === student.id);
+        const cell = homeworkCell(hw, submission, enrollmentDate, now);
+        if (cell) cells[hw.id] = cell;
+      }
+
+      for (const assessment of assessments) {
+        const entry = assessment.scores.find(s => s.studentId === student.id);
+        const cell = assessmentCell(assessment, entry, enrollmentDate, now);
+        if (cell) cells[assessment.id] = cell;
+      }
+
+      return {
+        student,
+        cells,
+        ...computeGrades(categories, items, cells, settings)
+      };
+    });
+
+  const termGrades = students.map(s => s.termGrade).filter(g => g !== null);
+
+  return {
+    class: {
+      id: classData.id,
+      name: classData.name,
+      academicYear: classData.academicYear,
+      term: classData.term
+    },
+    settings,
+    categories,
+    items,
+    students,
+    classAverage: termGrades.length > 0
+      ? Math.round(termGrades.reduce((sum, g) => sum + g, 0) / termGrades.length * 10) / 10
+      : null
+  };
+};
+
+/**
+ * Term grades for a student in each of their classes, optionally for one academic year / term
+ */
+export const getStudentTermGrades = async (studentId, schoolId, { academicYear, term } = {}) => {
+  const enrollments = await prisma.classEnrollment.findMany({
+    where: {
+      studentId,
+      status: { in: GRADEBOOK_ENROLLMENT_STATUSES },
+      class: {
+        schoolId,
+        ...(academicYear && { academicYear }),
+        ...(term && { term })
+      }
+    },
+    include: { class: true }
+  });
+
+  const gradebooks = await Promise.all(
+    enrollments.map(e => buildGradebook(e.class, { studentIds: [studentId] }))
+  );
+
+  return gradebooks.map(gradebook => {
+    const row = gradebook.students[0];
+    return {
+      class: gradebook.class,
+      categories: gradebook.categories.map(category => ({
+        ...category,
+        grade: row?.categoryGrades[category.id] ?? null
+      })),
+      termGrade: row?.termGrade ?? null
+    };
+  });
+};
+
+const CELL_LABELS = {
+  MISSING: '缺交',
+  EXCUSED: '免',
+  PENDING: ''
+};
+
+const cellText = (cell) => {
+  if (!cell) return '';
+  return cell.status === 'SCORED' ? cell.score : CELL_LABELS[cell.status];
+};
+
+/**
+ * Gradebook as rows: a header, then one row per student
+ */
+export const gradebookRows = (gradebook) => {
+  const categoryName = (id) => gradebook.categories.find(c => c.id === id)?.name || '-';
+
+  const header = [
+    '姓名 Name',
+    '英文名 English',
+    ...gradebook.items.map(item => `${item.title} (${formatDateOnly(item.date)}, ${categoryName(item.categoryId)}, /${item.maxScore})`),
+    ...gradebook.categories.map(c => `${c.name} ${c.weight}%`),
+    '學期成績 Term Grade'
+  ];
+
+  const rows = gradebook.students.map(({ student, cells, categoryGrades, termGrade }) => [
+    `${student.lastName}${student.firstName}`,
+    student.englishName || '',
+    ...gradebook.items.map(item => cellText(cells[item.id])),
+    ...gradebook.categories.map(c => categoryGrades[c.id] ?? ''),
+    termGrade ?? ''
+  ]);
+
+  return { header, rows };
+};
+
+/**
+ * XLSX gradebook for one class
+ * Returns a Buffer
+ */
+export const buildGradebookWorkbook = async (gradebook) => {
+  const workbook = new ExcelJS.Workbook();
+  workbook.creator = 'Erudition';
+  workbook.created = new Date();
+
+  const sheet = workbook.addWorksheet(gradebook.class.name.replace(/[*?:\\/[\]]/g, '_').slice(0, 31) || 'Gradebook');
+  const { header, rows } = gradebookRows(gradebook);
+  const period = [gradebook.class.academicYear, gradebook.class.term].filter(Boolean).join(' ');
+
+  sheet.addRow([`${gradebook.class.name}　成績簿 Gradebook${period ? `　${period}` : ''}`]).font = { bold: true, size: 14 };
+  const headerRow = sheet.addRow(header);
+  headerRow.font = { bold: true };
+  headerRow.alignment = { horizontal: 'center', vertical: 'middle', wrapText: true };
+
+  const firstItemColumn = 3;
+  rows.forEach((values, index) => {
+    const row = sheet.addRow(values);
+    const { cells } = gradebook.students[index];
+
+    gradebook.items.forEach((item, i) => {
+      const cell = row.getCell(firstItemColumn + i);
+      cell.alignment = { horizontal: 'center' };
+      if (cells[item.id]?.status === 'MISSING') {
+        cell.fill = { type: 'pattern', pattern: 'solid', fgColor: { argb: 'FFF8D7DA' } };
+      }
+    });
+    row.getCell(header.length).font = { bold: true };
+  });
+
+  sheet.addRow([]);
+  sheet.addRow([
+    `缺交 Missing: ${gradebook.settings.missingWork === 'ZERO' ? '以 0 分計 counts as 0' : '不計入 not counted'}　免 Excused: 不計入 not counted`
+  ]);
+  if (gradebook.classAverage !== null) {
+    sheet.addRow([`班級平均 Class average: ${gradebook.classAverage}`]);
+  }
+
+  sheet.getColumn(1).width = 14;
+  sheet.getColumn(2).width = 16;
+  for (let i = firstItemColumn; i <= header.length; i++) {
+    sheet.getColumn(i).width = 14;
+  }
+  sheet.views = [{ state: 'frozen', xSplit: 2, ySplit: 2 }];
+
+  return workbook.xlsx.writeBuffer();
+};
+
+export default {
+  CATEGORY_KINDS,
+  getGradebookSettings,
+  normalizeCategories,
+  saveCategories,
+  findClassCategory,
+  computeGrades,
+  buildGradebook,
+  getStudentTermGrades,
+  gradebookRows,
+  buildGradebookWorkbook
+};
@@ -0,0 +1,262 @@
+// Homework Submission Service
+// Submission status rules, and homework photos / files parents send to the LINE Official Account
+
+import path from 'path';
+import prisma from '../config/database.js';
+import { AppError } from '../middleware/errorHandler.js';
+import fileService from './fileService.js';
+import lineService from './lineService.js';
+
+// Homework still open for LINE submissions this many days after it was due (if late work is allowed)
+const LATE_SUBMISSION_WINDOW_DAYS = 14;
+
+// More photos within this many minutes of a LINE submission are added to it (multi-page worksheets)
+const APPEND_WINDOW_MINUTES = 10;
+
+// Most homework choices offered in one quick reply (LINE allows 13 items)
+export const MAX_LINE_CHOICES = 13;
+
+// Used when LINE sends a file as application/octet-stream
+const EXTENSION_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.pdf': 'application/pdf',
+  '.doc': 'application/msword',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.txt': 'text/plain',
+  '.m4a': 'audio/x-m4a',
+  '.mp3': 'audio/mpeg'
+};
+
+const TYPE_EXTENSIONS = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/gif': '.gif',
+  'image/webp': '.webp'
+};
+
+/**
+ * Status for a submission made now: SUBMITTED, or LATE after the due date
+ * Throws when the homework doesn't take late work
+ */
+export const getSubmissionStatus = (homework, now = new Date()) => {
+  if (now <= homework.dueDate) return 'SUBMITTED';
+
+  if (!homework.allowLateSubmission) {
+    throw new AppError('LATE_NOT_ALLOWED', 'Late submissions are not allowed for this homework', '此作業不允許遲交', 400);
+  }
+
+  return 'LATE';
+};
+
+/**
+ * Create or replace a student's submission
+ * db is the client to write with (a transaction client when called inside one)
+ */
+export const submitHomework = async (homework, studentId, { content, attachments = [] }, now = new Date(), db = prisma) => {
+  const status = getSubmissionStatus(homework, now);
+
+  const submission = await db.homeworkSubmission.upsert({
+    where: {
+      homeworkId_studentId: {
+        homeworkId: homework.id,
+        studentId
+      }
+    },
+    update: {
+      content,
+      attachments,
+      submittedAt: now,
+      status
+    },
+    create: {
+      homeworkId: homework.id,
+      studentId,
+      content,
+      attachments,
+      status
+    },
+    include: {
+      student: {
+        select: {
+          id: true,
+          firstName: true,
+          lastName: true
+        }
+      }
+    }
+  });
+
+  return { submission, isLate: status === 'LATE' };
+};
+
+/**
+ * Whether more pages sent now go to this submission: it was sent within APPEND_WINDOW_MINUTES
+ */
+const isAppendable = (submission, now) => {
+  const appendCutoff = new Date(now.getTime() - APPEND_WINDOW_MINUTES * 60 * 1000);
+  return ['SUBMITTED', 'LATE'].includes(submission.status) && submission.updatedAt >= appendCutoff;
+};
+
+const toAttachment = (file) => ({
+  fileId: file.id,
+  fileName: file.fileName,
+  mimeType: file.mimeType,
+  size: file.size
+});
+
+/**
+ * Homework a parent can send work for over LINE
+ * Returns { recent, open }:
+ *   recent  the submission sent within APPEND_WINDOW_MINUTES, if any (more pages may go there)
+ *   open    [{ homework, student }] not yet submitted (or returned for redo), soonest due first
+ */
+export const findLineTargets = async (parentId, now = new Date()) => {
+  const lateCutoff = new Date(now.getTime() - LATE_SUBMISSION_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+
+  const relations = await prisma.parentStudent.findMany({
+    where: { parentId },
+    include: {
+      student: {
+        select: {
+          id: true,
+          firstName: true,
+          lastName: true,
+          enrollments: {
+            where: { status: 'ACTIVE' },
+            select: {
+              class: {
+                select: {
+                  id: true,
+                  name: true,
+                  homework: {
+                    where: { dueDate: { gte: lateCutoff } }
+                  }
+                }
+              }
+            }
+          },
+          homeworkSubmissions: {
+            where: { homework: { dueDate: { gte: lateCutoff } } }
+          }
+        }
+      }
+    }
+  });
+
+  let recent = null;
+  const open = [];
+
+  for (const { student } of relations) {
+    const submissions = new Map(student.homeworkSubmissions.map(s => [s.homeworkId, s]));
+
+    for (const { class: classData } of student.enrollments) {
+      for (const homework of classData.homework) {
+        const submission = submissions.get(homework.id);
+        const target = { homework: { ...homework, class: classData }, student, submission };
+
+        if (submission && isAppendable(submission, now)) {
+          if (!recent || submission.updatedAt > recent.submission.updatedAt) recent = target;
+          continue;
+        }
+
+        const isOpen = !submission || ['PENDING', 'RETURNED'].includes(submission.status);
+        if (isOpen && (homework.dueDate >= now || homework.allowLateSubmission)) {
+          open.push(target);
+        }
+      }
+    }
+  }
+
+  open.sort((a, b) => a.homework.dueDate - b.homework.dueDate);
+
+  return { recent, open };
+};
+
+/**
+ * Download a LINE image / file message and store it as a submission file
+ */
+const saveLineContent = async (parent, message, schoolId) => {
+  if (message.fileSize && message.fileSize > fileService.getMaxFileBytes()) {
+    throw new AppError('FILE_TOO_LARGE', 'File is too large', '檔案太大', 413);
+  }
+
+  const { buffer, mimeType: contentType } = await lineService.getMessageContent(message.id, schoolId);
+
+  const extension = path.extname(message.fileName || '').toLowerCase();
+  const mimeType = contentType === 'application/octet-stream'
+    ? EXTENSION_TYPES[extension] || contentType
+    : contentType;
+
+  const [file] = await fileService.saveFiles(parent, [{
+    originalname: message.fileName || `LINE-${message.id}${TYPE_EXTENSIONS[mimeType] || extension}`,
+    mimetype: mimeType,
+    size: buffer.length,
+    buffer
+  }], 'SUBMISSION');
+
+  return file;
+};
+
+/**
+ * Store a LINE message's content and submit it for one homework
+ * target: { homework, student, submission } from findLineTargets
+ * Adds to the existing attachments when the parent is sending more pages (the submission is
+ * read again under a lock, as the other pages may be saving at the same time)
+ */
+export const submitLineContent = async (parent, message, target, schoolId, now = new Date()) => {
+  const appending = target.submission && ['SUBMITTED', 'LATE'].includes(target.submission.status);
+
+  // Check before storing anything
+  if (!appending) getSubmissionStatus(target.homework, now);
+
+  const file = await saveLineContent(parent, message, schoolId);
+  const { homework, student } = target;
+
+  // LINE delivers each page of a worksheet as its own webhook event, and they are handled at
+  // the same time. Taking them one at a time per student and homework, each re-reads the
+  // submission the one before wrote, so no page is lost
+  const submit = prisma.$transaction(async (tx) => {
+    await tx.$executeRaw`SELECT pg_advisory_xact_lock(hashtext(${`homework-submission:${homework.id}:${student.id}`}))`;
+
+    const current = await tx.homeworkSubmission.findUnique({
+      where: { homeworkId_studentId: { homeworkId: homework.id, studentId: student.id } }
+    });
+
+    if (current && isAppendable(current, now)) {
+      const submission = await tx.homeworkSubmission.update({
+        where: { id: current.id },
+        data: {
+          attachments: [...(current.attachments || []), toAttachment(file)]
+        }
+      });
+      return { submission, isLate: submission.status === 'LATE', appended: true };
+    }
+
+    // Work returned for redo starts over with the new photo
+    const { submission, isLate } = await submitHomework(homework, student.id, {
+      content: current?.content,
+      attachments: [toAttachment(file)]
+    }, now, tx);
+
+    return { submission, isLate, appended: false };
+  });
+
+  // A file that ends up on no submission (say the append window closed and late work isn't
+  // allowed) would otherwise sit in storage, counted against the school's quota
+  try {
+    return await submit;
+  } catch (error) {
+    await fileService.deleteFile(file).catch(() => {});
+    throw error;
+  }
+};
+
+export default {
+  MAX_LINE_CHOICES,
+  getSubmissionStatus,
+  submitHomework,
+  findLineTargets,
+  submitLineContent
+};
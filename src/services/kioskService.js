@@ -0,0 +1,264 @@
+// Kiosk Service
+// Device tokens, signed student QR codes / NFC cards, and check-in/check-out recording
+
+import crypto from 'crypto';
+import prisma from '../config/database.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { toDateOnly, timeToMinutes, parseDaysOfWeek, isSessionHeld } from './sessionService.js';
+import { formatLocalDate, formatLocalTime } from './calendarService.js';
+import lineService from './lineService.js';
+import attendanceAuditService from './attendanceAuditService.js';
+
+const CODE_PREFIX = 'ERU1';
+const DEFAULT_GRACE_MINUTES = 10;
+
+// How early before class a check-in counts toward it
+const EARLY_CHECK_IN_MINUTES = 60;
+
+// A second scan this soon after checking in is treated as a double scan
+const REPEAT_SCAN_MINUTES = 2;
+
+const getCodeSecret = () => {
+  const secret = process.env.KIOSK_CODE_SECRET || process.env.JWT_SECRET;
+  if (!secret) {
+    throw new AppError('KIOSK_NOT_CONFIGURED', 'KIOSK_CODE_SECRET is not set', '尚未設定簽到金鑰', 500);
+  }
+  return secret;
+};
+
+/**
+ * Create a new device token; only its hash is stored
+ */
+export const generateDeviceToken = () => {
+  const token = crypto.randomBytes(32).toString('base64url');
+  return { token, tokenHash: hashDeviceToken(token) };
+};
+
+export const hashDeviceToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+const signCode = (schoolId, studentId, version) => {
+  return crypto
+    .createHmac('sha256', getCodeSecret())
+    .update(`${schoolId}.${studentId}.${version}`)
+    .digest('base64url')
+    .slice(0, 22);
+};
+
+/**
+ * Build the signed QR code payload for a student
+ * Format: ERU1.<studentId>.<version>.<signature>
+ */
+export const createCheckInCode = (student) => {
+  const version = student.checkInCodeVersion;
+  return `${CODE_PREFIX}.${student.id}.${version}.${signCode(student.schoolId, student.id, version)}`;
+};
+
+/**
+ * Normalize an NFC card UID ("04:a2:3b 11" -> "04A23B11")
+ */
+export const normalizeCardUid = (uid) => uid.replace(/[^0-9a-z]/gi, '').toUpperCase();
+
+/**
+ * Resolve a scanned QR code or card UID to a student of the school
+ */
+export const resolveStudent = async (schoolId, code) => {
+  const value = String(code || '').trim();
+
+  if (value.startsWith(`${CODE_PREFIX}.`)) {
+    const [, studentId, version, signature] = value.split('.');
+    const expected = signCode(schoolId, studentId, version);
+
+    const valid = signature?.length === expected.length &&
+      crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+
+    if (!valid) {
+      throw new AppError('INVALID_CODE', 'Check-in code is not valid for this school', '無效的簽到碼', 400);
+    }
+
+    const student = await prisma.student.findFirst({
+      where: { id: studentId, schoolId }
+    });
+
+    if (!student || student.checkInCodeVersion !== parseInt(version)) {
+      throw new AppError('CODE_REVOKED', 'This check-in code has been replaced', '此簽到碼已失效', 400);
+    }
+
+    return student;
+  }
+
+  if (!value) return null;
+
+  return prisma.student.findFirst({
+    where: { schoolId, cardUid: normalizeCardUid(value) }
+  });
+};
+
+/**
+ * Find the class the student is attending now (per generated sessions, or the
+ * weekly schedule for classes without sessions), or null
+ */
+export const findCurrentClass = async (studentId, now, timeZone) => {
+  const localDate = formatLocalDate(now, timeZone);
+  const nowMinutes = timeToMinutes(formatLocalTime(now, timeZone));
+
+  const enrollments = await prisma.classEnrollment.findMany({
+    where: { studentId, status: 'ACTIVE' },
+    include: {
+      class: {
+        include: {
+          sessions: { where: { date: toDateOnly(localDate) } },
+          _count: { select: { sessions: true } }
+        }
+      }
+    }
+  });
+
+  const candidates = [];
+
+  for (const { class: classData } of enrollments) {
+    if (classData._count.sessions > 0) {
+      for (const session of classData.sessions.filter(isSessionHeld)) {
+        candidates.push({ classData, session, startTime: session.startTime, endTime: session.endTime });
+      }
+    } else if (
+      classData.startTime && classData.endTime &&
+      parseDaysOfWeek(classData.dayOfWeek).includes(toDateOnly(localDate).getUTCDay())
+    ) {
+      candidates.push({ classData, session: null, startTime: classData.startTime, endTime: classData.endTime });
+    }
+  }
+
+  return candidates
+    .filter(c => nowMinutes >= timeToMinutes(c.startTime) - EARLY_CHECK_IN_MINUTES && nowMinutes <= timeToMinutes(c.endTime))
+    .sort((a, b) => a.startTime.localeCompare(b.startTime))[0] || null;
+};
+
+/**
+ * Push an arrival/departure message to every parent on LINE (time shown in the school's timezone)
+ */
+const notifyParents = async (student, className, time, type, schoolId, timeZone) => {
+  const parents = await prisma.parentStudent.findMany({
+    where: { studentId: student.id, parent: { lineUserId: { not: null } } },
+    include: { parent: { select: { lineUserId: true } } }
+  });
+
+  const message = lineService.createKioskNotification(
+    `${student.firstName} ${student.lastName}`,
+    className,
+    time,
+    type,
+    timeZone
+  );
+
+  let sent = 0;
+  for (const { parent } of parents) {
+    try {
+      await lineService.sendPushMessage(parent.lineUserId, message, schoolId);
+      sent++;
+    } catch (error) {
+      console.error(`Failed to send ${type} notification for student ${student.id}:`, error);
+    }
+  }
+
+  return sent > 0;
+};
+
+/**
+ * Record a kiosk scan: check in to the current class, or check out if already in
+ * action: 'auto' | 'in' | 'out'
+ */
+export const recordScan = async (device, student, action = 'auto', now = new Date()) => {
+  const timeZone = device.school.timezone;
+  const localDate = toDateOnly(formatLocalDate(now, timeZone));
+  const localTime = formatLocalTime(now, timeZone);
+
+  const openCheckIn = await prisma.attendance.findFirst({
+    where: {
+      studentId: student.id,
+      date: localDate,
+      checkInTime: { not: null },
+      checkOutTime: null
+    },
+    include: { class: { select: { name: true } } },
+    orderBy: { checkInTime: 'desc' }
+  });
+
+  const isRepeatScan = openCheckIn && now - openCheckIn.checkInTime < REPEAT_SCAN_MINUTES * 60 * 1000;
+
+  if (action === 'out' || (action === 'auto' && openCheckIn && !isRepeatScan)) {
+    if (!openCheckIn) {
+      throw new AppError('NOT_CHECKED_IN', 'Student has not checked in today', '學生今日尚未簽到', 400);
+    }
+
+    const attendance = await attendanceAuditService.updateAttendance(openCheckIn.id, {
+      checkOutTime: now
+    }, { source: 'KIOSK', changedById: device.createdById });
+
+    const parentNotified = await notifyParents(student, openCheckIn.class.name, now, 'CHECK_OUT', device.schoolId, timeZone);
+
+    return { action: 'CHECK_OUT', attendance, className: openCheckIn.class.name, parentNotified };
+  }
+
+  if (openCheckIn) {
+    return { action: 'CHECK_IN', attendance: openCheckIn, className: openCheckIn.class.name, duplicate: true };
+  }
+
+  const current = await findCurrentClass(student.id, now, timeZone);
+
+  if (!current) {
+    throw new AppError('NO_CLASS_NOW', 'No class to check in to right now', '目前沒有可簽到的課程', 400);
+  }
+
+  const graceMinutes = device.school.settings?.kioskGraceMinutes ?? DEFAULT_GRACE_MINUTES;
+  const status = timeToMinutes(localTime) > timeToMinutes(current.startTime) + graceMinutes ? 'LATE' : 'PRESENT';
+
+  const attendance = await attendanceAuditService.upsertAttendance({
+    classId: current.classData.id,
+    studentId: student.id,
+    date: localDate
+  }, {
+    update: {
+      status,
+      checkInTime: now,
+      checkOutTime: null,
+      sessionId: current.session?.id,
+      kioskDeviceId: device.id,
+      autoMarked: false,
+      markedById: device.createdById,
+      markedAt: now
+    },
+    create: {
+      classId: current.classData.id,
+      studentId: student.id,
+      date: localDate,
+      status,
+      checkInTime: now,
+      sessionId: current.session?.id,
+      kioskDeviceId: device.id,
+      markedById: device.createdById
+    }
+  }, { source: 'KIOSK', changedById: device.createdById });
+
+  const parentNotified = await notifyParents(student, current.classData.name, now, 'CHECK_IN', device.schoolId, timeZone);
+
+  if (parentNotified) {
+    await prisma.attendance.update({
+      where: { id: attendance.id },
+      data: { parentNotified: true, parentNotifiedAt: new Date() }
+    });
+  }
+
+  return { action: 'CHECK_IN', attendance, className: current.classData.name, status, parentNotified };
+};
+
+export default {
+  generateDeviceToken,
+  hashDeviceToken,
+  createCheckInCode,
+  normalizeCardUid,
+  resolveStudent,
+  findCurrentClass,
+  recordScan
+};
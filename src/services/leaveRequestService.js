@@ -0,0 +1,399 @@
+// Leave Request Service
+// Parent absence requests (請假): submission, teacher review, and pre-marking attendance as EXCUSED
+
+import prisma from '../config/database.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { toDateOnly, formatDateOnly, parseDaysOfWeek, getSessionDates, isSessionHeld } from './sessionService.js';
+import { formatLocalDate, getClosedDates } from './calendarService.js';
+import lineService from './lineService.js';
+import attendanceAuditService from './attendanceAuditService.js';
+
+export const LEAVE_TYPES = ['SICK', 'PERSONAL', 'OTHER'];
+
+const LEAVE_TYPE_LABELS = {
+  SICK: '病假',
+  PERSONAL: '事假',
+  OTHER: '其他'
+};
+
+// Longest leave one request may cover
+const MAX_LEAVE_DAYS = 31;
+
+// How far back a parent may report an absence that already happened
+const MAX_BACKDATE_DAYS = 7;
+
+// Statuses that mean the child actually came; an approved leave doesn't overwrite them
+const ATTENDED_STATUSES = ['PRESENT', 'LATE', 'EARLY_LEAVE'];
+
+export const getLeaveTypeLabel = (type) => LEAVE_TYPE_LABELS[type] || type;
+
+/**
+ * Build the attendance reason recorded for an approved leave
+ */
+const buildAttendanceReason = (request) => {
+  const label = getLeaveTypeLabel(request.type);
+  return request.reason ? `${label}：${request.reason}` : label;
+};
+
+/**
+ * List the class meetings a leave covers: [{ classData, date, sessionId }]
+ * Uses generated sessions when the class has them, otherwise its weekly schedule
+ * minus school closures
+ */
+export const findLeaveDays = async (studentId, classId, startDate, endDate) => {
+  const start = toDateOnly(startDate);
+  const end = toDateOnly(endDate);
+
+  const enrollments = await prisma.classEnrollment.findMany({
+    where: {
+      studentId,
+      status: 'ACTIVE',
+      ...(classId && { classId })
+    },
+    include: {
+      class: {
+        include: {
+          sessions: {
+            where: { date: { gte: start, lte: end } },
+            orderBy: [{ date: 'asc' }, { startTime: 'asc' }]
+          },
+          _count: { select: { sessions: true } }
+        }
+      }
+    }
+  });
+
+  const days = [];
+  let closedDates = null;
+
+  for (const { class: classData } of enrollments) {
+    if (classData._count.sessions > 0) {
+      const seen = new Set();
+      for (const session of classData.sessions.filter(isSessionHeld)) {
+        // Attendance is one record per class per day
+        const key = formatDateOnly(session.date);
+        if (seen.has(key)) continue;
+        seen.add(key);
+        days.push({ classData, date: session.date, sessionId: session.id });
+      }
+      continue;
+    }
+
+    closedDates ??= await getClosedDates(classData.schoolId, start, end);
+
+    const termStart = classData.startDate && classData.startDate > start ? classData.startDate : start;
+    const termEnd = classData.endDate && classData.endDate < end ? classData.endDate : end;
+
+    for (const date of getSessionDates(parseDaysOfWeek(classData.dayOfWeek), termStart, termEnd)) {
+      if (closedDates.has(formatDateOnly(date))) continue;
+      days.push({ classData, date, sessionId: null });
+    }
+  }
+
+  return days.sort((a, b) => a.date - b.date);
+};
+
+/**
+ * Where clause limiting leave requests to those a staff member may see and review
+ * Teachers see requests touching their own classes
+ */
+export const getReviewerScope = (user) => {
+  const scope = { schoolId: user.schoolId };
+
+  if (user.role === 'TEACHER') {
+    scope.OR = [
+      { class: { teacherId: user.id } },
+      {
+        classId: null,
+        student: {
+          enrollments: {
+            some: { status: 'ACTIVE', class: { teacherId: user.id } }
+          }
+        }
+      }
+    ];
+  }
+
+  return scope;
+};
+
+/**
+ * Push the new request to the teachers of the affected classes
+ */
+const notifyTeachers = async (request, student, days) => {
+  const classes = new Map(days.map(d => [d.classData.id, d.classData]));
+  const teacherIds = [...new Set([...classes.values()].map(c => c.teacherId).filter(Boolean))];
+
+  if (teacherIds.length === 0) return 0;
+
+  const teachers = await prisma.user.findMany({
+    where: { id: { in: teacherIds }, lineUserId: { not: null } },
+    select: { id: true, lineUserId: true }
+  });
+
+  let sent = 0;
+  for (const teacher of teachers) {
+    const classNames = [...classes.values()]
+      .filter(c => c.teacherId === teacher.id)
+      .map(c => c.name);
+
+    try {
+      const messages = lineService.createLeaveRequestAlert(
+        `${student.firstName} ${student.lastName}`,
+        classNames,
+        request.startDate,
+        request.endDate,
+        getLeaveTypeLabel(request.type),
+        request.reason,
+        request.id
+      );
+
+      await lineService.sendPushMessage(teacher.lineUserId, messages, request.schoolId);
+      sent++;
+    } catch (error) {
+      console.error(`Failed to send leave request alert to teacher ${teacher.id}:`, error);
+    }
+  }
+
+  return sent;
+};
+
+/**
+ * Submit a leave request for one of the parent's children
+ * Returns { leaveRequest, days, teachersNotified }
+ */
+export const createLeaveRequest = async (parent, { studentId, classId, startDate, endDate, type = 'PERSONAL', reason, source = 'PORTAL' }) => {
+  if (!studentId || !startDate) {
+    throw new AppError('MISSING_FIELDS', 'studentId and startDate are required', '請提供學生與請假日期');
+  }
+
+  if (!LEAVE_TYPES.includes(type)) {
+    throw new AppError('INVALID_LEAVE_TYPE', `type must be one of ${LEAVE_TYPES.join(', ')}`, '無效的假別');
+  }
+
+  const relation = await prisma.parentStudent.findFirst({
+    where: { parentId: parent.id, studentId },
+    include: {
+      student: {
+        include: { school: { select: { timezone: true } } }
+      }
+    }
+  });
+
+  if (!relation) {
+    throw new AppError('STUDENT_NOT_FOUND', 'Student not found', '找不到學生', 404);
+  }
+
+  const { student } = relation;
+  const start = toDateOnly(startDate);
+  const end = toDateOnly(endDate || startDate);
+
+  if (isNaN(start) || isNaN(end) || end < start) {
+    throw new AppError('INVALID_DATE_RANGE', 'End date must be on or after the start date', '日期範圍無效');
+  }
+
+  if ((end - start) / 86400000 >= MAX_LEAVE_DAYS) {
+    throw new AppError('INVALID_DATE_RANGE', `A leave request may cover at most ${MAX_LEAVE_DAYS} days`, `請假最多 ${MAX_LEAVE_DAYS} 天`);
+  }
+
+  const earliest = toDateOnly(formatLocalDate(new Date(), student.school.timezone));
+  earliest.setUTCDate(earliest.getUTCDate() - MAX_BACKDATE_DAYS);
+
+  if (start < earliest) {
+    throw new AppError('LEAVE_TOO_OLD', `Leave can be requested at most ${MAX_BACKDATE_DAYS} days after the absence`, `僅能補請 ${MAX_BACKDATE_DAYS} 天內的假`);
+  }
+
+  const overlapping = await prisma.leaveRequest.findFirst({
+    where: {
+      studentId,
+      status: { in: ['PENDING', 'APPROVED'] },
+      startDate: { lte: end },
+      endDate: { gte: start },
+      ...(classId && { OR: [{ classId }, { classId: null }] })
+    }
+  });
+
+  if (overlapping) {
+    throw new AppError('LEAVE_OVERLAP', 'A leave request already covers these dates', '此期間已有請假申請', 409);
+  }
+
+  const days = await findLeaveDays(studentId, classId, start, end);
+
+  if (days.length === 0) {
+    throw new AppError('NO_CLASS_IN_RANGE', 'The student has no class on these dates', '此期間沒有課程，無需請假');
+  }
+
+  const leaveRequest = await prisma.leaveRequest.create({
+    data: {
+      studentId,
+      classId: classId || null,
+      startDate: start,
+      endDate: end,
+      type,
+      reason: reason || null,
+      source,
+      requestedById: parent.id,
+      schoolId: student.schoolId
+    }
+  });
+
+  const teachersNotified = await notifyTeachers(leaveRequest, student, days);
+
+  return { leaveRequest, days, teachersNotified };
+};
+
+/**
+ * Pre-mark attendance as EXCUSED for every class meeting the leave covers
+ * Returns the number of attendance records written
+ */
+const applyLeaveToAttendance = async (request, markedById) => {
+  const days = await findLeaveDays(request.studentId, request.classId, request.startDate, request.endDate);
+  const reason = buildAttendanceReason(request);
+  let applied = 0;
+
+  for (const { classData, date, sessionId } of days) {
+    const key = { classId: classData.id, studentId: request.studentId, date };
+
+    const existing = await prisma.attendance.findUnique({
+      where: { classId_studentId_date: key }
+    });
+    if (existing && ATTENDED_STATUSES.includes(existing.status)) continue;
+
+    await attendanceAuditService.upsertAttendance(key, {
+      update: {
+        status: 'EXCUSED',
+        reason,
+        leaveRequestId: request.id,
+        autoMarked: false,
+        markedById,
+        markedAt: new Date()
+      },
+      create: {
+        classId: classData.id,
+        studentId: request.studentId,
+        date,
+        sessionId,
+        status: 'EXCUSED',
+        reason,
+        leaveRequestId: request.id,
+        markedById
+      }
+    }, { source: 'LEAVE_REQUEST', changedById: markedById });
+    applied++;
+  }
+
+  return applied;
+};
+
+/**
+ * Approve or reject a pending leave request
+ * Approval pre-marks attendance EXCUSED; the requesting parent is told either way
+ * Leave from every class (no classId) reaches other teachers' classes, so only an admin or
+ * manager may review it
+ */
+export const reviewLeaveRequest = async (id, reviewer, approve, note) => {
+  const request = await prisma.leaveRequest.findFirst({
+    where: { id, ...getReviewerScope(reviewer) },
+    include: {
+      student: { select: { firstName: true, lastName: true } },
+      requestedBy: { select: { lineUserId: true } }
+    }
+  });
+
+  if (!request) {
+    throw new AppError('LEAVE_REQUEST_NOT_FOUND', 'Leave request not found', '找不到請假申請', 404);
+  }
+
+  if (request.status !== 'PENDING') {
+    throw new AppError('LEAVE_ALREADY_REVIEWED', `Leave request is already ${request.status.toLowerCase()}`, '此請假申請已處理');
+  }
+
+  if (reviewer.role === 'TEACHER' && !request.classId) {
+    throw new AppError('LEAVE_REVIEW_NOT_ALLOWED', 'Leave from every class must be reviewed by an admin or manager', '全部課程的請假須由管理員審核', 403);
+  }
+
+  // Only the first of two reviews at once (or a double-tapped LINE button) goes through
+  const { count } = await prisma.leaveRequest.updateMany({
+    where: { id, status: 'PENDING' },
+    data: {
+      status: approve ? 'APPROVED' : 'REJECTED',
+      reviewedById: reviewer.id,
+      reviewedAt: new Date(),
+      reviewNote: note || null
+    }
+  });
+
+  if (count === 0) {
+    throw new AppError('LEAVE_ALREADY_REVIEWED', 'Leave request was already reviewed', '此請假申請已處理', 409);
+  }
+
+  const leaveRequest = await prisma.leaveRequest.findUnique({ where: { id } });
+
+  const attendanceMarked = approve ? await applyLeaveToAttendance(leaveRequest, reviewer.id) : 0;
+
+  let parentNotified = false;
+  if (request.requestedBy.lineUserId) {
+    try {
+      const message = lineService.createLeaveDecisionNotification(
+        `${request.student.firstName} ${request.student.lastName}`,
+        request.startDate,
+        request.endDate,
+        approve,
+        note
+      );
+      await lineService.sendPushMessage(request.requestedBy.lineUserId, message, request.schoolId);
+      parentNotified = true;
+    } catch (error) {
+      console.error(`Failed to send leave decision for request ${id}:`, error);
+    }
+  }
+
+  return { leaveRequest, attendanceMarked, parentNotified };
+};
+
+/**
+ * Withdraw a request the parent made
+ * Approved leave can be withdrawn until it starts; its EXCUSED records are removed
+ */
+export const cancelLeaveRequest = async (id, parent) => {
+  const request = await prisma.leaveRequest.findFirst({
+    where: { id, requestedById: parent.id },
+    include: { school: { select: { timezone: true } } }
+  });
+
+  if (!request) {
+    throw new AppError('LEAVE_REQUEST_NOT_FOUND', 'Leave request not found', '找不到請假申請', 404);
+  }
+
+  const today = toDateOnly(formatLocalDate(new Date(), request.school.timezone));
+  const cancellable = request.status === 'PENDING' ||
+    (request.status === 'APPROVED' && request.startDate > today);
+
+  if (!cancellable) {
+    throw new AppError('LEAVE_NOT_CANCELLABLE', 'This leave request can no longer be cancelled', '此請假申請已無法取消');
+  }
+
+  // The excused days, their log entries and the cancellation stand or fall together
+  return prisma.$transaction(async (tx) => {
+    await attendanceAuditService.deleteAttendance(
+      { leaveRequestId: id, status: 'EXCUSED' },
+      { source: 'LEAVE_REQUEST', changedById: parent.id },
+      tx
+    );
+
+    return tx.leaveRequest.update({
+      where: { id },
+      data: { status: 'CANCELLED' }
+    });
+  });
+};
+
+export default {
+  LEAVE_TYPES,
+  getLeaveTypeLabel,
+  findLeaveDays,
+  getReviewerScope,
+  createLeaveRequest,
+  reviewLeaveRequest,
+  cancelLeaveRequest
+};
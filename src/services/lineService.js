@@ -2,9 +2,12 @@
 // Handles LINE Login OAuth and Messaging API
 
 import crypto from 'crypto';
+import prisma from '../config/database.js';
+import { decrypt } from './encryptionService.js';
 
 const LINE_LOGIN_CHANNEL_ID = process.env.LINE_LOGIN_CHANNEL_ID;
 const LINE_LOGIN_CHANNEL_SECRET = process.env.LINE_LOGIN_CHANNEL_SECRET;
+const LINE_MESSAGING_CHANNEL_ID = process.env.LINE_MESSAGING_CHANNEL_ID;
 const LINE_MESSAGING_CHANNEL_SECRET = process.env.LINE_MESSAGING_CHANNEL_SECRET;
 const LINE_MESSAGING_ACCESS_TOKEN = process.env.LINE_MESSAGING_ACCESS_TOKEN;
 const LINE_REDIRECT_URI = process.env.LINE_REDIRECT_URI || 'http://localhost:5173/auth/line/callback';
@@ -99,10 +102,46 @@ export const verifyIdToken = async (idToken) => {
 // ======================
 
 /**
- * Verify LINE webhook signature
+ * Resolve Messaging API credentials for a school's Official Account.
+ * Falls back to the LINE_MESSAGING_* env channel when no schoolId is given
+ * or the school has not configured its own channel.
  */
-export const verifyWebhookSignature = (body, signature) => {
-  const channelSecret = LINE_MESSAGING_CHANNEL_SECRET;
+export const getChannelCredentials = async (schoolId) => {
+  if (schoolId) {
+    const school = await prisma.school.findUnique({
+      where: { id: schoolId },
+      select: {
+        lineChannelId: true,
+        lineChannelSecret: true,
+        lineAccessToken: true
+      }
+    });
+
+    if (school?.lineChannelSecret && school?.lineAccessToken) {
+      return {
+        channelId: school.lineChannelId,
+        channelSecret: decrypt(school.lineChannelSecret),
+        accessToken: decrypt(school.lineAccessToken)
+      };
+    }
+  }
+
+  return {
+    channelId: LINE_MESSAGING_CHANNEL_ID,
+    channelSecret: LINE_MESSAGING_CHANNEL_SECRET,
+    accessToken: LINE_MESSAGING_ACCESS_TOKEN
+  };
+};
+
+/**
+ * Verify LINE webhook signature against the school's channel secret
+ */
+export const verifyWebhookSignature = async (body, signature, schoolId) => {
+  const { channelSecret } = await getChannelCredentials(schoolId);
+
+  if (!channelSecret) {
+    return false;
+  }
   
   const hash = crypto
     .createHmac('sha256', channelSecret)
@@ -115,7 +154,9 @@ export const verifyWebhookSignature = (body, signature) => {
 /**
  * Send push message to a user via LINE
  */
-export const sendPushMessage = async (lineUserId, messages) => {
+export const sendPushMessage = async (lineUserId, messages, schoolId) => {
+  const { accessToken } = await getChannelCredentials(schoolId);
+
   // Ensure messages is an array
   const messageArray = Array.isArray(messages) ? messages : [messages];
   
@@ -131,7 +172,7 @@ export const sendPushMessage = async (lineUserId, messages) => {
     method: 'POST',
     headers: {
       'Content-Type': 'application/json',
-      'Authorization': `Bearer ${LINE_MESSAGING_ACCESS_TOKEN}`
+      'Authorization': `Bearer ${accessToken}`
     },
     body: JSON.stringify({
       to: lineUserId,
@@ -150,8 +191,11 @@ export const sendPushMessage = async (lineUserId, messages) => {
 
 /**
  * Send reply message in response to a webhook event
+ * Must use the same channel that received the event
  */
-export const sendReplyMessage = async (replyToken, messages) => {
+export const sendReplyMessage = async (replyToken, messages, schoolId) => {
+  const { accessToken } = await getChannelCredentials(schoolId);
+
   const messageArray = Array.isArray(messages) ? messages : [messages];
   
   const formattedMessages = messageArray.map(msg => {
@@ -165,7 +209,7 @@ export const sendReplyMessage = async (replyToken, messages) => {
     method: 'POST',
     headers: {
       'Content-Type': 'application/json',
-      'Authorization': `Bearer ${LINE_MESSAGING_ACCESS_TOKEN}`
+      'Authorization': `Bearer ${accessToken}`
     },
     body: JSON.stringify({
       replyToken: replyToken,
@@ -185,7 +229,9 @@ export const sendReplyMessage = async (replyToken, messages) => {
 /**
  * Send multicast message to multiple users
  */
-export const sendMulticast = async (lineUserIds, messages) => {
+export const sendMulticast = async (lineUserIds, messages, schoolId) => {
+  const { accessToken } = await getChannelCredentials(schoolId);
+
   const messageArray = Array.isArray(messages) ? messages : [messages];
   
   const formattedMessages = messageArray.map(msg => {
@@ -199,7 +245,7 @@ export const sendMulticast = async (lineUserIds, messages) => {
     method: 'POST',
     headers: {
       'Content-Type': 'application/json',
-      'Authorization': `Bearer ${LINE_MESSAGING_ACCESS_TOKEN}`
+      'Authorization': `Bearer ${accessToken}`
     },
     body: JSON.stringify({
       to: lineUserIds,
@@ -219,10 +265,12 @@ export const sendMulticast = async (lineUserIds, messages) => {
 /**
  * Get user profile from Messaging API
  */
-export const getMessagingProfile = async (lineUserId) => {
+export const getMessagingProfile = async (lineUserId, schoolId) => {
+  const { accessToken } = await getChannelCredentials(schoolId);
+
   const response = await fetch(`https://api.line.me/v2/bot/profile/${lineUserId}`, {
     headers: {
-      'Authorization': `Bearer ${LINE_MESSAGING_ACCESS_TOKEN}`
+      'Authorization': `Bearer ${accessToken}`
     }
   });
 
@@ -233,23 +281,46 @@ export const getMessagingProfile = async (lineUserId) => {
   return response.json();
 };
 
+/**
+ * Download the content of an image or file message a user sent
+ * Returns { buffer, mimeType }
+ */
+export const getMessageContent = async (messageId, schoolId) => {
+  const { accessToken } = await getChannelCredentials(schoolId);
+
+  const response = await fetch(`https://api-data.line.me/v2/bot/message/${messageId}/content`, {
+    headers: {
+      'Authorization': `Bearer ${accessToken}`
+    }
+  });
+
+  if (!response.ok) {
+    throw new Error(`Failed to get LINE message content: ${response.status}`);
+  }
+
+  return {
+    buffer: Buffer.from(await response.arrayBuffer()),
+    mimeType: (response.headers.get('content-type') || 'application/octet-stream').split(';')[0].trim()
+  };
+};
+
 // ======================
 // MESSAGE TEMPLATES
 // ======================
 
+const ATTENDANCE_STATUS_TEXT = {
+  PRESENT: { en: 'Present', zh: '出席' },
+  ABSENT: { en: 'Absent', zh: '缺席' },
+  LATE: { en: 'Late', zh: '遲到' },
+  EXCUSED: { en: 'Excused', zh: '請假' },
+  EARLY_LEAVE: { en: 'Early Leave', zh: '早退' }
+};
+
 /**
  * Create attendance notification message
  */
 export const createAttendanceNotification = (studentName, className, date, status, reason) => {
-  const statusMap = {
-    PRESENT: { en: 'Present', zh: '出席' },
-    ABSENT: { en: 'Absent', zh: '缺席' },
-    LATE: { en: 'Late', zh: '遲到' },
-    EXCUSED: { en: 'Excused', zh: '請假' },
-    EARLY_LEAVE: { en: 'Early Leave', zh: '早退' }
-  };
-
-  const statusText = statusMap[status] || { en: status, zh: status };
+  const statusText = ATTENDANCE_STATUS_TEXT[status] || { en: status, zh: status };
   const formattedDate = new Date(date).toLocaleDateString('zh-TW');
 
   let message = `【出席通知】\n`;
@@ -265,6 +336,23 @@ export const createAttendanceNotification = (studentName, className, date, statu
   return message;
 };
 
+/**
+ * Create correction notice retracting an earlier attendance notification
+ */
+export const createAttendanceCorrectionNotice = (studentName, className, date, oldStatus, newStatus) => {
+  const oldText = ATTENDANCE_STATUS_TEXT[oldStatus]?.zh || oldStatus;
+  const newText = ATTENDANCE_STATUS_TEXT[newStatus]?.zh || newStatus;
+  const formattedDate = new Date(date).toLocaleDateString('zh-TW');
+
+  let message = `【出席更正通知】\n`;
+  message += `學生：${studentName}\n`;
+  message += `班級：${className}\n`;
+  message += `日期：${formattedDate}\n`;
+  message += `先前通知的「${oldText}」有誤，已更正為「${newText}」。造成困擾，敬請見諒。`;
+
+  return message;
+};
+
 /**
  * Create homework reminder message
  */
@@ -306,6 +394,231 @@ export const createPaymentReminder = (studentName, amount, dueDate) => {
   return message;
 };
 
+/**
+ * Create school closure notice (typhoon days, emergencies)
+ */
+export const createClosureNotification = (schoolName, startDate, endDate, reason) => {
+  const formattedStart = new Date(startDate).toLocaleDateString('zh-TW', { timeZone: 'UTC' });
+  const formattedEnd = new Date(endDate).toLocaleDateString('zh-TW', { timeZone: 'UTC' });
+
+  let message = `【停課通知】\n`;
+  message += `${schoolName}\n`;
+  message += formattedStart === formattedEnd
+    ? `日期：${formattedStart}\n`
+    : `日期：${formattedStart} - ${formattedEnd}\n`;
+
+  if (reason) {
+    message += `原因：${reason}\n`;
+  }
+
+  message += `當日課程暫停，補課時間將另行通知。`;
+
+  return message;
+};
+
+/**
+ * Create kiosk arrival / departure message
+ * The time is shown in the school's timezone
+ */
+export const createKioskNotification = (studentName, className, time, type, timeZone) => {
+  const formattedTime = new Date(time).toLocaleTimeString('zh-TW', {
+    timeZone,
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+
+  const isArrival = type === 'CHECK_IN';
+
+  let message = isArrival ? `【到校通知】\n` : `【離校通知】\n`;
+  message += `學生：${studentName}\n`;
+  message += `班級：${className}\n`;
+  message += isArrival
+    ? `${formattedTime} 已平安抵達補習班。`
+    : `${formattedTime} 已離開補習班。`;
+
+  return message;
+};
+
+/**
+ * Create staff alert listing sessions whose attendance was not (fully) taken
+ * items: [{ className, date, startTime, taken, unmarked }]
+ */
+export const createIncompleteAttendanceAlert = (items) => {
+  let message = `【點名未完成提醒】\n`;
+
+  for (const item of items) {
+    const formattedDate = new Date(item.date).toLocaleDateString('zh-TW', { timeZone: 'UTC' });
+    message += `\n${item.className}（${formattedDate} ${item.startTime}）\n`;
+    message += item.taken
+      ? `  ${item.unmarked} 位學生未點名，已自動標記缺席\n`
+      : `  尚未點名（${item.unmarked} 位學生）\n`;
+  }
+
+  message += `\n請至系統確認出席記錄。`;
+
+  return message;
+};
+
+/**
+ * Create waitlist seat offer with accept/decline postback buttons
+ * The hold expiry is shown in the school's timezone
+ */
+export const createWaitlistOffer = (studentName, className, expiresAt, enrollmentId, timeZone) => {
+  const formattedExpiry = new Date(expiresAt).toLocaleString('zh-TW', {
+    timeZone,
+    month: 'long',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+
+  let message = `【候補名額通知】\n`;
+  message += `學生：${studentName}\n`;
+  message += `班級：${className}\n`;
+  message += `班級已有名額釋出，名額保留至 ${formattedExpiry}，逾期將由下一位候補者遞補。`;
+
+  return [
+    message,
+    {
+      type: 'template',
+      altText: '候補名額通知 - 請確認是否接受名額',
+      template: {
+        type: 'buttons',
+        text: `是否接受「${className}」的名額？`.slice(0, 160),
+        actions: [
+          {
+            type: 'postback',
+            label: '接受 Accept',
+            data: `action=waitlist_accept&enrollmentId=${enrollmentId}`,
+            displayText: '接受名額'
+          },
+          {
+            type: 'postback',
+            label: '放棄 Decline',
+            data: `action=waitlist_decline&enrollmentId=${enrollmentId}`,
+            displayText: '放棄名額'
+          }
+        ]
+      }
+    }
+  ];
+};
+
+/**
+ * Format a leave date range for messages ('2026/10/20' or '2026/10/20 - 2026/10/22')
+ */
+const formatLeaveDates = (startDate, endDate) => {
+  const start = new Date(startDate).toLocaleDateString('zh-TW', { timeZone: 'UTC' });
+  const end = new Date(endDate).toLocaleDateString('zh-TW', { timeZone: 'UTC' });
+  return start === end ? start : `${start} - ${end}`;
+};
+
+/**
+ * Create teacher alert for a new leave request with approve/reject postback buttons
+ */
+export const createLeaveRequestAlert = (studentName, classNames, startDate, endDate, typeLabel, reason, leaveRequestId) => {
+  let message = `【請假申請】\n`;
+  message += `學生：${studentName}\n`;
+  message += `班級：${classNames.join('、')}\n`;
+  message += `日期：${formatLeaveDates(startDate, endDate)}\n`;
+  message += `假別：${typeLabel}`;
+
+  if (reason) {
+    message += `\n原因：${reason}`;
+  }
+
+  return [
+    message,
+    {
+      type: 'template',
+      altText: `請假申請 - ${studentName}`,
+      template: {
+        type: 'buttons',
+        text: `是否核准 ${studentName} 的請假？`.slice(0, 160),
+        actions: [
+          {
+            type: 'postback',
+            label: '核准 Approve',
+            data: `action=leave_approve&leaveRequestId=${leaveRequestId}`,
+            displayText: '核准請假'
+          },
+          {
+            type: 'postback',
+            label: '退回 Reject',
+            data: `action=leave_reject&leaveRequestId=${leaveRequestId}`,
+            displayText: '退回請假'
+          }
+        ]
+      }
+    }
+  ];
+};
+
+/**
+ * Create parent notice of a leave request decision
+ */
+export const createLeaveDecisionNotification = (studentName, startDate, endDate, approved, note) => {
+  let message = `【請假${approved ? '核准' : '未核准'}通知】\n`;
+  message += `學生：${studentName}\n`;
+  message += `日期：${formatLeaveDates(startDate, endDate)}\n`;
+  message += approved
+    ? `老師已核准請假，當日將記錄為請假。`
+    : `老師未核准此次請假，如有疑問請與老師聯繫。`;
+
+  if (note) {
+    message += `\n備註：${note}`;
+  }
+
+  return message;
+};
+
+/**
+ * Create parent notice for an attendance early-warning alert
+ */
+export const createAttendanceAlertNotice = (studentName, summary) => {
+  let message = `【出席關懷通知】\n`;
+  message += `學生：${studentName}\n`;
+  message += `${summary}\n`;
+  message += `如孩子有任何狀況需要協助，歡迎與我們聯繫。`;
+
+  return message;
+};
+
+/**
+ * Create parent notice for homework returned for revision, with rubric scores and
+ * feedback in both languages
+ * criteria: [{ name, score, maxPoints, comment, commentTranslated }]
+ */
+export const createHomeworkReturnedNotice = (studentName, homeworkTitle, criteria, feedback, feedbackTranslated) => {
+  let message = `【作業退回訂正】Homework returned\n`;
+  message += `學生：${studentName}\n`;
+  message += `作業：${homeworkTitle}\n`;
+
+  if (criteria.length > 0) {
+    message += `\n評分 Scores:\n`;
+    for (const criterion of criteria) {
+      message += `• ${criterion.name}：${criterion.score ?? '-'}/${criterion.maxPoints}\n`;
+      if (criterion.comment) {
+        message += `  ${criterion.comment}\n`;
+      }
+      if (criterion.commentTranslated) {
+        message += `  ${criterion.commentTranslated}\n`;
+      }
+    }
+  }
+
+  if (feedback) {
+    message += `\n老師評語 Feedback:\n${feedback}\n`;
+    if (feedbackTranslated) {
+      message += `${feedbackTranslated}\n`;
+    }
+  }
+
+  message += `\n請協助孩子訂正後再次繳交。\nPlease help your child revise and hand it in again.`;
+
+  return message;
+};
+
 export default {
   // OAuth
   getLineLoginUrl,
@@ -314,14 +627,25 @@ export default {
   verifyIdToken,
   
   // Messaging
+  getChannelCredentials,
   verifyWebhookSignature,
   sendPushMessage,
   sendReplyMessage,
   sendMulticast,
   getMessagingProfile,
+  getMessageContent,
   
   // Templates
   createAttendanceNotification,
+  createAttendanceCorrectionNotice,
   createHomeworkReminder,
-  createPaymentReminder
+  createPaymentReminder,
+  createClosureNotification,
+  createWaitlistOffer,
+  createKioskNotification,
+  createIncompleteAttendanceAlert,
+  createLeaveRequestAlert,
+  createLeaveDecisionNotification,
+  createAttendanceAlertNotice,
+  createHomeworkReturnedNotice
 };
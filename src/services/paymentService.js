@@ -0,0 +1,315 @@
+// Payment Service
+// Payments against invoices, invoice balances and status, account credit from overpayments and receipts
+
+import PDFDocument from 'pdfkit';
+import prisma from '../config/database.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { formatDateOnly } from './sessionService.js';
+import { syncEInvoice } from './eInvoiceService.js';
+import { applyEarlyPaymentDiscount } from './discountService.js';
+
+// Methods staff can record; ACCOUNT_CREDIT payments are only created by applyAccountCredit
+export const PAYMENT_METHODS = ['CASH', 'BANK_TRANSFER', 'CREDIT_CARD', 'LINE_PAY', 'CONVENIENCE_STORE', 'OTHER'];
+
+export const METHOD_LABELS = {
+  CASH: '現金 Cash',
+  BANK_TRANSFER: '銀行轉帳 Bank transfer',
+  CREDIT_CARD: '信用卡 Credit card',
+  LINE_PAY: 'LINE Pay',
+  CONVENIENCE_STORE: '超商代收 Convenience store',
+  ACCOUNT_CREDIT: '帳戶餘額 Account credit',
+  OTHER: '其他 Other'
+};
+
+// Invoices payments no longer apply to
+const CLOSED_STATUSES = ['CANCELLED', 'REFUNDED'];
+
+// Invoices that still expect a payment
+export const OPEN_STATUSES = ['PENDING', 'PARTIALLY_PAID', 'OVERDUE'];
+
+const toAmount = (value) => (value === null || value === undefined ? 0 : Number(value));
+const sumAmounts = (rows) => rows.reduce((sum, row) => sum + toAmount(row.amount), 0);
+
+/**
+ * What is left to pay on an invoice loaded with its payments and credit notes
+ * Voided payments don't count; overpaid is what was paid beyond the amount due
+ */
+export const getInvoiceBalance = (invoice) => {
+  const amount = toAmount(invoice.amount);
+  const credited = sumAmounts(invoice.creditNotes || []);
+  const paid = sumAmounts((invoice.payments || []).filter(p => !p.voidedAt));
+  const net = amount - credited - paid;
+
+  return {
+    amount,
+    credited,
+    paid,
+    balanceDue: Math.max(net, 0),
+    overpaid: Math.max(-net, 0)
+  };
+};
+
+/**
+ * Invoice status for its balance: PAID once nothing is left to pay, PARTIALLY_PAID after a
+ * first payment; cancelled and refunded invoices keep their status
+ */
+const getPaymentStatus = (invoice, balance) => {
+  if (CLOSED_STATUSES.includes(invoice.status)) return invoice.status;
+  if (balance.balanceDue <= 0) return 'PAID';
+  if (balance.paid > 0) return 'PARTIALLY_PAID';
+  return invoice.status === 'OVERDUE' ? 'OVERDUE' : 'PENDING';
+};
+
+const balanceInclude = {
+  payments: { orderBy: { paidAt: 'asc' } },
+  creditNotes: true
+};
+
+/**
+ * Bring an invoice's status and payment summary in line with its payments and credit notes,
+ * and its e-invoice in line with its status
+ * Returns the updated invoice with balance
+ */
+export const syncInvoiceStatus = async (invoiceId) => {
+  const invoice = await prisma.invoice.findUnique({
+    where: { id: invoiceId },
+    include: balanceInclude
+  });
+
+  const balance = getInvoiceBalance(invoice);
+  const status = getPaymentStatus(invoice, balance);
+  const lastPayment = invoice.payments.filter(p => !p.voidedAt).at(-1);
+
+  const updated = await prisma.invoice.update({
+    where: { id: invoiceId },
+    data: {
+      status,
+      paidAmount: balance.paid > 0 ? balance.paid : null,
+      paidAt: status === 'PAID' ? (lastPayment?.paidAt || new Date()) : null,
+      paymentMethod: lastPayment?.method || null
+    },
+    include: { items: true, ...balanceInclude }
+  });
+
+  // Issue, void or adjust the uniform invoice to match (nothing happens without an e-invoice provider)
+  const eInvoice = await syncEInvoice(invoiceId);
+
+  return { ...updated, ...eInvoice, balance };
+};
+
+/**
+ * Unused account credit per student: overpayments (including invoices credited after they
+ * were paid) minus credit already applied to other invoices
+ * A voided payment whose overpayment was already used can leave a negative balance
+ * Returns Map studentId -> amount
+ */
+export const getCreditBalances = async (studentIds) => {
+  const invoices = await prisma.invoice.findMany({
+    where: { studentId: { in: studentIds }, status: { notIn: CLOSED_STATUSES } },
+    include: {
+      payments: { where: { voidedAt: null } },
+      creditNotes: true
+    }
+  });
+
+  const balances = new Map(studentIds.map(id => [id, 0]));
+  for (const invoice of invoices) {
+    const applied = sumAmounts(invoice.payments.filter(p => p.method === 'ACCOUNT_CREDIT'));
+    const change = getInvoiceBalance(invoice).overpaid - applied;
+    balances.set(invoice.studentId, balances.get(invoice.studentId) + change);
+  }
+
+  return balances;
+};
+
+/**
+ * Pay a new invoice from the student's account credit, as far as it goes
+ * Returns the ACCOUNT_CREDIT payment, or null when there was no credit to use
+ */
+export const applyAccountCredit = async (invoice) => {
+  const balances = await getCreditBalances([invoice.studentId]);
+  const amount = Math.min(balances.get(invoice.studentId), toAmount(invoice.amount));
+  if (amount <= 0) return null;
+
+  const payment = await prisma.payment.create({
+    data: {
+      amount,
+      method: 'ACCOUNT_CREDIT',
+      notes: '前期溢繳抵扣 / Credit carried over from an earlier overpayment',
+      invoiceId: invoice.id,
+      schoolId: invoice.schoolId,
+      studentId: invoice.studentId
+    }
+  });
+
+  await syncInvoiceStatus(invoice.id);
+  return payment;
+};
+
+// Tries at a receipt number before giving up, when payments recorded at the same time collide
+const RECEIPT_NUMBER_ATTEMPTS = 5;
+
+/**
+ * The receipt number after the school's latest one (the sequence runs on across months)
+ */
+const nextReceiptNumber = async (schoolId, paidAt) => {
+  const latest = await prisma.payment.findFirst({
+    where: { schoolId, receiptNumber: { not: null } },
+    orderBy: { createdAt: 'desc' },
+    select: { receiptNumber: true }
+  });
+  const sequence = latest ? Number(latest.receiptNumber.split('-').at(-1)) + 1 : 1;
+  return `RC-${formatDateOnly(paidAt).slice(0, 7).replace('-', '')}-${String(sequence).padStart(4, '0')}`;
+};
+
+/**
+ * Record a payment against an invoice and give it a receipt number
+ * Paying more than is due is allowed; the difference becomes account credit
+ * An invoice settled early enough for the school's early-payment rules is discounted first
+ * Returns { payment, invoice }
+ */
+export const recordPayment = async (invoice, { amount, method, reference, paidAt, notes }, receivedById) => {
+  if (CLOSED_STATUSES.includes(invoice.status)) {
+    throw new AppError('INVOICE_CLOSED', `Cannot record payments on a ${invoice.status.toLowerCase()} invoice`, '此帳單已取消或退款，無法登錄付款', 400);
+  }
+  if (typeof amount !== 'number' || !Number.isFinite(amount) || amount <= 0) {
+    throw new AppError('INVALID_AMOUNT', 'amount must be a number above 0', '金額必須大於 0', 400);
+  }
+  if (!PAYMENT_METHODS.includes(method)) {
+    throw new AppError('INVALID_PAYMENT_METHOD', `method must be one of ${PAYMENT_METHODS.join(', ')}`, '無效的付款方式', 400);
+  }
+
+  const paidDate = paidAt ? new Date(paidAt) : new Date();
+  if (isNaN(paidDate.getTime())) {
+    throw new AppError('INVALID_DATE', 'paidAt is not a valid date', '付款日期無效', 400);
+  }
+
+  // A payment recorded at the same moment can take the same number; the unique index
+  // rejects the second one, which then takes the next number
+  let payment = null;
+  for (let attempt = 1; !payment; attempt++) {
+    try {
+      payment = await prisma.payment.create({
+        data: {
+          amount,
+          method,
+          reference: reference || null,
+          paidAt: paidDate,
+          notes: notes || null,
+          receiptNumber: await nextReceiptNumber(invoice.schoolId, paidDate),
+          invoiceId: invoice.id,
+          schoolId: invoice.schoolId,
+          studentId: invoice.studentId,
+          receivedById
+        }
+      });
+    } catch (error) {
+      if (error.code !== 'P2002' || attempt >= RECEIPT_NUMBER_ATTEMPTS) throw error;
+    }
+  }
+
+  // Settling a generated invoice ahead of its billing month can earn early-payment discounts;
+  // anything paid beyond the discounted amount becomes account credit
+  if (invoice.status !== 'PAID') {
+    const paid = await prisma.invoice.findUnique({
+      where: { id: invoice.id },
+      include: { items: true, ...balanceInclude }
+    });
+    await applyEarlyPaymentDiscount(paid, paidDate, getInvoiceBalance(paid).balanceDue);
+  }
+
+  return { payment, invoice: await syncInvoiceStatus(invoice.id) };
+};
+
+/**
+ * Void a payment entered by mistake; the invoice goes back to owing it
+ * Returns { payment, invoice }
+ */
+export const voidPayment = async (payment, { reason }, voidedById) => {
+  if (payment.voidedAt) {
+    throw new AppError('PAYMENT_ALREADY_VOIDED', 'Payment was already voided', '此付款已作廢', 400);
+  }
+
+  const voided = await prisma.payment.update({
+    where: { id: payment.id },
+    data: { voidedAt: new Date(), voidReason: reason || null, voidedById }
+  });
+
+  return { payment: voided, invoice: await syncInvoiceStatus(payment.invoiceId) };
+};
+
+const formatTwd = (amount) => `NT$ ${toAmount(amount).toLocaleString('en-US')}`;
+
+/**
+ * Printable receipt for a payment (loaded with student, receivedBy and its invoice's payments and credit notes)
+ * Receipts printed again are marked as copies; voided payments are marked void
+ * Receipts are printed in Chinese and need PDF_FONT_PATH set to a CJK TTF/OTF (e.g. Noto Sans TC)
+ * Returns the PDFKit document (a readable stream); the caller pipes it and calls end()
+ */
+export const buildReceiptPdf = (payment, { schoolName }) => {
+  if (!process.env.PDF_FONT_PATH) {
+    throw new AppError('PDF_FONT_NOT_CONFIGURED', 'Receipts need a Chinese font: set PDF_FONT_PATH on the server', '伺服器尚未設定 PDF 中文字型（PDF_FONT_PATH），無法列印收據', 500);
+  }
+
+  const doc = new PDFDocument({ size: 'A5', margin: 40 });
+  doc.registerFont('body', process.env.PDF_FONT_PATH);
+  doc.font('body');
+
+  const { invoice, student, receivedBy } = payment;
+  // Balance as it stood after this payment, so a reprint matches the original
+  const balance = getInvoiceBalance({
+    ...invoice,
+    payments: invoice.payments.filter(p => p.createdAt <= payment.createdAt)
+  });
+
+  doc.fontSize(16).text(`${schoolName}`, { align: 'center' });
+  doc.fontSize(14).text('收據 Receipt', { align: 'center' });
+  if (payment.receiptPrints > 1) {
+    doc.fontSize(10).text('補發副本 Reissued copy', { align: 'center' });
+  }
+  if (payment.voidedAt) {
+    doc.fontSize(12).fillColor('red').text('已作廢 VOID', { align: 'center' }).fillColor('black');
+  }
+  doc.moveDown(1);
+
+  const rows = [
+    ['收據號碼 Receipt No.', payment.receiptNumber],
+    ['付款日期 Date', formatDateOnly(payment.paidAt)],
+    ['學生 Student', `${student.lastName}${student.firstName}${student.englishName ? ` (${student.englishName})` : ''}`],
+    ['帳單號碼 Invoice No.', invoice.invoiceNumber],
+    ...(invoice.eInvoiceStatus === 'ISSUED' ? [['電子發票 E-invoice No.', invoice.eInvoiceNumber]] : []),
+    ...(invoice.billingMonth ? [['帳單月份 Billing month', invoice.billingMonth]] : []),
+    ['付款方式 Method', METHOD_LABELS[payment.method] || payment.method],
+    ...(payment.reference ? [['參考號碼 Reference', payment.reference]] : []),
+    ['金額 Amount', formatTwd(payment.amount)],
+    ['帳單金額 Invoice total', formatTwd(balance.amount - balance.credited)],
+    ['尚欠金額 Balance due', formatTwd(balance.balanceDue)],
+    ...(receivedBy ? [['經手人 Received by', `${receivedBy.lastName}${receivedBy.firstName}`]] : [])
+  ];
+
+  doc.fontSize(10);
+  for (const [label, value] of rows) {
+    const y = doc.y;
+    doc.text(label, doc.page.margins.left, y, { width: 150 });
+    doc.text(String(value), doc.page.margins.left + 160, y);
+    doc.moveDown(0.4);
+  }
+
+  doc.moveDown(1);
+  doc.fontSize(8).text(`列印時間 Printed ${new Date().toISOString().slice(0, 16).replace('T', ' ')} UTC`, doc.page.margins.left);
+
+  return doc;
+};
+
+export default {
+  PAYMENT_METHODS,
+  METHOD_LABELS,
+  OPEN_STATUSES,
+  getInvoiceBalance,
+  syncInvoiceStatus,
+  getCreditBalances,
+  applyAccountCredit,
+  recordPayment,
+  voidPayment,
+  buildReceiptPdf
+};
@@ -0,0 +1,174 @@
+// Rubric Service
+// Rubric criteria validation, attaching rubrics to homework and per-criterion grading
+
+import crypto from 'crypto';
+import prisma from '../config/database.js';
+import { AppError } from '../middleware/errorHandler.js';
+import lineService from './lineService.js';
+import translationService from './translationService.js';
+
+const MAX_CRITERIA = 20;
+
+/**
+ * Validate rubric criteria from a request body
+ * Returns [{ id, name, description, maxPoints }]; existing ids are kept so edits don't orphan scores
+ */
+export const normalizeCriteria = (criteria) => {
+  if (!Array.isArray(criteria) || criteria.length === 0 || criteria.length > MAX_CRITERIA) {
+    throw new AppError('INVALID_CRITERIA', `A rubric needs 1 to ${MAX_CRITERIA} criteria`, `評分標準需有 1 至 ${MAX_CRITERIA} 項`, 400);
+  }
+
+  return criteria.map(criterion => {
+    const name = typeof criterion?.name === 'string' ? criterion.name.trim() : '';
+    const maxPoints = Number(criterion?.maxPoints);
+
+    if (!name || !Number.isInteger(maxPoints) || maxPoints <= 0) {
+      throw new AppError('INVALID_CRITERIA', 'Each criterion needs a name and whole-number maxPoints above 0', '每項評分標準需有名稱及大於 0 的整數配分', 400);
+    }
+
+    return {
+      id: criterion.id || crypto.randomUUID(),
+      name,
+      description: criterion.description || null,
+      maxPoints
+    };
+  });
+};
+
+export const getTotalPoints = (criteria) => {
+  return (criteria || []).reduce((sum, criterion) => sum + criterion.maxPoints, 0);
+};
+
+/**
+ * Homework fields for attaching a rubric (or detaching with rubricId null)
+ * maxScore defaults to the rubric total and may not be below it
+ */
+export const getRubricFields = async (schoolId, rubricId, maxScore) => {
+  if (rubricId === null) {
+    return { rubricId: null, rubricCriteria: null };
+  }
+
+  const rubric = await prisma.rubric.findFirst({
+    where: { id: rubricId, schoolId, isActive: true }
+  });
+
+  if (!rubric) {
+    throw new AppError('RUBRIC_NOT_FOUND', 'Rubric not found', '找不到評分標準', 404);
+  }
+
+  const totalPoints = getTotalPoints(rubric.criteria);
+
+  if (maxScore !== undefined && maxScore !== null && maxScore < totalPoints) {
+    throw new AppError('RUBRIC_EXCEEDS_MAX_SCORE', `The rubric totals ${totalPoints} points, more than maxScore ${maxScore}`, `評分標準總分 ${totalPoints} 超過作業滿分 ${maxScore}`, 400);
+  }
+
+  return {
+    rubricId: rubric.id,
+    rubricCriteria: rubric.criteria,
+    maxScore: maxScore ?? totalPoints
+  };
+};
+
+/**
+ * Check per-criterion scores against the homework's rubric
+ * entries: [{ criterionId, score, comment }] covering every criterion
+ * Returns { criterionScores, score } where score is the rolled-up total
+ */
+export const scoreCriteria = (homework, entries) => {
+  const criteria = homework.rubricCriteria || [];
+
+  if (!Array.isArray(entries)) {
+    throw new AppError('CRITERIA_REQUIRED', 'This homework is graded with a rubric; send criteria scores', '此作業使用評分標準，請逐項評分', 400);
+  }
+
+  const byId = new Map(entries.map(entry => [entry?.criterionId, entry]));
+
+  const criterionScores = criteria.map(criterion => {
+    const entry = byId.get(criterion.id);
+    const score = Number(entry?.score);
+
+    if (!entry || !Number.isInteger(score) || score < 0 || score > criterion.maxPoints) {
+      throw new AppError('INVALID_CRITERION_SCORE', `"${criterion.name}" needs a whole-number score from 0 to ${criterion.maxPoints}`, `「${criterion.name}」需評 0 至 ${criterion.maxPoints} 分`, 400);
+    }
+
+    return {
+      criterionId: criterion.id,
+      score,
+      comment: entry.comment || null
+    };
+  });
+
+  if (byId.size > criterionScores.length) {
+    throw new AppError('INVALID_CRITERION_SCORE', 'Scores were sent for criteria not on this rubric', '包含不屬於此評分標準的項目', 400);
+  }
+
+  const score = criterionScores.reduce((sum, entry) => sum + entry.score, 0);
+
+  if (homework.maxScore !== null && score > homework.maxScore) {
+    throw new AppError('INVALID_SCORE', `Score must be between 0 and ${homework.maxScore}`, `分數必須介於 0 和 ${homework.maxScore} 之間`, 400);
+  }
+
+  return { criterionScores, score };
+};
+
+/**
+ * Feedback in the other language (zh-TW <-> en), or null when there is none
+ */
+export const translateFeedback = async (feedback) => {
+  if (!feedback?.trim()) return null;
+
+  const sourceLang = translationService.detectLanguage(feedback);
+  const targetLang = sourceLang === 'zh-TW' ? 'en' : 'zh-TW';
+  const translated = await translationService.translateText(feedback, sourceLang, targetLang);
+
+  return translated && translated !== feedback ? translated : null;
+};
+
+/**
+ * Tell the primary parent that work was returned, with the rubric breakdown and
+ * the feedback in both languages
+ */
+export const sendReturnedNotice = async (submission, homework, schoolId) => {
+  const primaryParent = submission.student.parentRelations[0]?.parent;
+  if (!primaryParent?.lineUserId) return false;
+
+  const comments = submission.criterionScores?.length
+    ? await Promise.all(submission.criterionScores.map(entry => translateFeedback(entry.comment)))
+    : [];
+
+  const criteria = (homework.rubricCriteria || []).map((criterion, i) => {
+    const entry = submission.criterionScores?.find(e => e.criterionId === criterion.id);
+    return {
+      name: criterion.name,
+      score: entry?.score,
+      maxPoints: criterion.maxPoints,
+      comment: entry?.comment,
+      commentTranslated: comments[i] || null
+    };
+  });
+
+  try {
+    const message = lineService.createHomeworkReturnedNotice(
+      `${submission.student.firstName} ${submission.student.lastName}`,
+      homework.title,
+      criteria,
+      submission.feedback,
+      submission.feedbackTranslated
+    );
+
+    await lineService.sendPushMessage(primaryParent.lineUserId, message, schoolId);
+    return true;
+  } catch (error) {
+    console.error(`Failed to send returned-homework notice for submission ${submission.id}:`, error);
+    return false;
+  }
+};
+
+export default {
+  normalizeCriteria,
+  getTotalPoints,
+  getRubricFields,
+  scoreCriteria,
+  translateFeedback,
+  sendReturnedNotice
+};
@@ -0,0 +1,136 @@
+// Schedule Service
+// Detects teacher, room and student double-booking between weekly class schedules
+
+import prisma from '../config/database.js';
+import { parseDaysOfWeek, timeToMinutes } from './sessionService.js';
+
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const CLASS_SCHEDULE_SELECT = {
+  id: true,
+  name: true,
+  dayOfWeek: true,
+  startTime: true,
+  endTime: true,
+  startDate: true,
+  endDate: true,
+  room: true,
+  teacherId: true
+};
+
+/**
+ * Whether two HH:mm ranges overlap (touching end/start is not an overlap)
+ * Compared in minutes, so times saved without a leading zero ("9:00") still order correctly
+ */
+export const timesOverlap = (startA, endA, startB, endB) => {
+  return timeToMinutes(startA) < timeToMinutes(endB) && timeToMinutes(startB) < timeToMinutes(endA);
+};
+
+/**
+ * Whether two classes' terms overlap; a class without term dates runs indefinitely
+ */
+export const termsOverlap = (a, b) => {
+  if (a.endDate && b.startDate && new Date(a.endDate) < new Date(b.startDate)) return false;
+  if (b.endDate && a.startDate && new Date(b.endDate) < new Date(a.startDate)) return false;
+  return true;
+};
+
+/**
+ * Days (0 = Sunday) on which two class schedules clash, or [] if they don't
+ */
+export const getOverlappingDays = (a, b) => {
+  if (!a.startTime || !a.endTime || !b.startTime || !b.endTime) return [];
+  if (!timesOverlap(a.startTime, a.endTime, b.startTime, b.endTime)) return [];
+  if (!termsOverlap(a, b)) return [];
+
+  const daysB = parseDaysOfWeek(b.dayOfWeek);
+  return parseDaysOfWeek(a.dayOfWeek).filter(day => daysB.includes(day));
+};
+
+const describeConflict = (type, other, days, extra = {}) => ({
+  type,
+  ...extra,
+  class: {
+    id: other.id,
+    name: other.name,
+    dayOfWeek: other.dayOfWeek,
+    startTime: other.startTime,
+    endTime: other.endTime,
+    room: other.room
+  },
+  days: days.map(day => DAY_NAMES[day])
+});
+
+/**
+ * Find teacher and room double-bookings for a class schedule
+ * candidate: { id?, teacherId, room, dayOfWeek, startTime, endTime, startDate, endDate }
+ */
+export const findClassConflicts = async (schoolId, candidate) => {
+  if (!candidate.teacherId && !candidate.room) return [];
+
+  const others = await prisma.class.findMany({
+    where: {
+      schoolId,
+      ...(candidate.id && { id: { not: candidate.id } }),
+      OR: [
+        ...(candidate.teacherId ? [{ teacherId: candidate.teacherId }] : []),
+        ...(candidate.room ? [{ room: candidate.room }] : [])
+      ]
+    },
+    select: CLASS_SCHEDULE_SELECT
+  });
+
+  const conflicts = [];
+
+  for (const other of others) {
+    const days = getOverlappingDays(candidate, other);
+    if (days.length === 0) continue;
+
+    if (candidate.teacherId && other.teacherId === candidate.teacherId) {
+      conflicts.push(describeConflict('TEACHER', other, days, { teacherId: candidate.teacherId }));
+    }
+    if (candidate.room && other.room === candidate.room) {
+      conflicts.push(describeConflict('ROOM', other, days, { room: candidate.room }));
+    }
+  }
+
+  return conflicts;
+};
+
+/**
+ * Find students who would be enrolled in two overlapping classes
+ */
+export const findStudentConflicts = async (classData, studentIds) => {
+  const enrollments = await prisma.classEnrollment.findMany({
+    where: {
+      studentId: { in: studentIds },
+      classId: { not: classData.id },
+      status: 'ACTIVE'
+    },
+    include: {
+      class: { select: CLASS_SCHEDULE_SELECT },
+      student: {
+        select: { id: true, firstName: true, lastName: true }
+      }
+    }
+  });
+
+  const conflicts = [];
+
+  for (const enrollment of enrollments) {
+    const days = getOverlappingDays(classData, enrollment.class);
+    if (days.length === 0) continue;
+
+    conflicts.push(describeConflict('STUDENT', enrollment.class, days, { student: enrollment.student }));
+  }
+
+  return conflicts;
+};
+
+export default {
+  timesOverlap,
+  termsOverlap,
+  getOverlappingDays,
+  findClassConflicts,
+  findStudentConflicts
+};
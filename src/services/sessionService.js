@@ -0,0 +1,162 @@
+// Session Service
+// Generates class sessions from the weekly schedule and resolves the session for a date
+
+import prisma from '../config/database.js';
+import { AppError } from '../middleware/errorHandler.js';
+
+const DAY_INDEX = {
+  sunday: 0, sun: 0, '日': 0, '天': 0,
+  monday: 1, mon: 1, '一': 1,
+  tuesday: 2, tue: 2, tues: 2, '二': 2,
+  wednesday: 3, wed: 3, '三': 3,
+  thursday: 4, thu: 4, thur: 4, thurs: 4, '四': 4,
+  friday: 5, fri: 5, '五': 5,
+  saturday: 6, sat: 6, '六': 6
+};
+
+// Statuses in which the class actually meets
+export const HELD_STATUSES = ['SCHEDULED', 'COMPLETED'];
+
+// Longest range one generate call may cover
+const MAX_GENERATE_DAYS = 366;
+
+/**
+ * Parse Class.dayOfWeek ("Monday,Wednesday", "Mon, Thu", "週二,週四", "1,3") into day indexes (0 = Sunday)
+ */
+export const parseDaysOfWeek = (dayOfWeek) => {
+  if (!dayOfWeek) return [];
+
+  const days = new Set();
+  for (const token of dayOfWeek.split(/[,，、\s]+/)) {
+    const name = token.trim().toLowerCase().replace(/^(星期|週|周|禮拜)/, '');
+    if (!name) continue;
+
+    if (/^[0-7]$/.test(name)) {
+      days.add(parseInt(name) % 7);
+    } else if (name in DAY_INDEX) {
+      days.add(DAY_INDEX[name]);
+    }
+  }
+
+  return Array.from(days).sort();
+};
+
+/**
+ * Normalize a 'YYYY-MM-DD' string or Date to UTC midnight (matches @db.Date columns)
+ */
+export const toDateOnly = (value) => {
+  const date = new Date(value);
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+};
+
+/**
+ * Format a date-only value as 'YYYY-MM-DD'
+ */
+export const formatDateOnly = (date) => toDateOnly(date).toISOString().slice(0, 10);
+
+/**
+ * Convert 'HH:mm' to minutes after midnight
+ */
+export const timeToMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * List the dates between start and end (inclusive) that fall on the given weekdays
+ */
+export const getSessionDates = (days, startDate, endDate) => {
+  const dates = [];
+  const cursor = toDateOnly(startDate);
+  const end = toDateOnly(endDate);
+
+  while (cursor <= end) {
+    if (days.includes(cursor.getUTCDay())) {
+      dates.push(new Date(cursor));
+    }
+    cursor.setUTCDate(cursor.getUTCDate() + 1);
+  }
+
+  return dates;
+};
+
+/**
+ * Generate sessions for a class over a date range from its weekly pattern
+ * Dates in `holidays` ('YYYY-MM-DD') and `closures` (Map of 'YYYY-MM-DD' to
+ * closure label, see calendarService) are created with HOLIDAY status so they
+ * read as "no class that day" rather than missing attendance.
+ * Existing sessions are left untouched, so generation can be re-run safely.
+ */
+export const generateSessions = async (classData, { startDate, endDate, holidays = [], closures = new Map(), room } = {}) => {
+  const start = startDate || classData.startDate;
+  const end = endDate || classData.endDate;
+
+  if (!start || !end) {
+    throw new AppError('TERM_DATES_REQUIRED', 'Term start and end dates are required', '需要學期開始與結束日期');
+  }
+
+  const days = parseDaysOfWeek(classData.dayOfWeek);
+
+  if (days.length === 0 || !classData.startTime || !classData.endTime) {
+    throw new AppError('SCHEDULE_REQUIRED', 'Class needs dayOfWeek, startTime and endTime to generate sessions', '班級需要設定上課日與時間才能產生課堂');
+  }
+
+  const rangeDays = (toDateOnly(end) - toDateOnly(start)) / 86400000;
+  if (rangeDays < 0 || rangeDays > MAX_GENERATE_DAYS) {
+    throw new AppError('INVALID_DATE_RANGE', `Date range must be between 0 and ${MAX_GENERATE_DAYS} days`, '日期範圍無效');
+  }
+
+  const holidaySet = new Set(holidays.map(formatDateOnly));
+  const isHoliday = (date) => holidaySet.has(formatDateOnly(date)) || closures.has(formatDateOnly(date));
+  const dates = getSessionDates(days, start, end);
+
+  const result = await prisma.classSession.createMany({
+    data: dates.map(date => ({
+      classId: classData.id,
+      date,
+      startTime: classData.startTime,
+      endTime: classData.endTime,
+      room: room || classData.room,
+      status: isHoliday(date) ? 'HOLIDAY' : 'SCHEDULED',
+      cancelReason: closures.get(formatDateOnly(date)) || null
+    })),
+    skipDuplicates: true
+  });
+
+  return {
+    created: result.count,
+    scheduled: dates.length,
+    holidays: dates.filter(isHoliday).length,
+    startDate: formatDateOnly(start),
+    endDate: formatDateOnly(end)
+  };
+};
+
+/**
+ * Find the session of a class on a date (earliest if there are several)
+ */
+export const findSessionForDate = async (classId, date) => {
+  return prisma.classSession.findFirst({
+    where: { classId, date: toDateOnly(date) },
+    orderBy: { startTime: 'asc' }
+  });
+};
+
+/**
+ * Whether the class meets in this session
+ */
+export const isSessionHeld = (session) => {
+  return !!session && HELD_STATUSES.includes(session.status);
+};
+
+export default {
+  HELD_STATUSES,
+  parseDaysOfWeek,
+  toDateOnly,
+  formatDateOnly,
+  timeToMinutes,
+  getSessionDates,
+  generateSessions,
+  findSessionForDate,
+  isSessionHeld
+};
@@ -0,0 +1,79 @@
+// Storage Service
+// Pluggable backend for uploaded file bytes; STORAGE_DRIVER selects it (default: local disk)
+//
+// A backend implements:
+//   put(key, buffer, { mimeType })  store the bytes under key
+//   createReadStream(key)           readable stream of the bytes
+//   remove(key)                     delete the bytes (no error if missing)
+
+import fs from 'fs';
+import path from 'path';
+import { AppError } from '../middleware/errorHandler.js';
+
+/**
+ * Local disk backend rooted at a directory (STORAGE_LOCAL_PATH, default ./uploads)
+ */
+export const createLocalStorage = (root) => {
+  const base = path.resolve(root);
+
+  // Keys are generated by fileService, but never let one escape the root
+  const resolveKey = (key) => {
+    const filePath = path.resolve(base, key);
+    if (!filePath.startsWith(base + path.sep)) {
+      throw new AppError('INVALID_STORAGE_KEY', 'Invalid storage key', '無效的檔案路徑', 400);
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+
+    async put(key, buffer) {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+    },
+
+    createReadStream(key) {
+      return fs.createReadStream(resolveKey(key));
+    },
+
+    async remove(key) {
+      await fs.promises.rm(resolveKey(key), { force: true });
+    }
+  };
+};
+
+const drivers = {
+  local: () => createLocalStorage(process.env.STORAGE_LOCAL_PATH || './uploads')
+};
+
+let storage = null;
+
+/**
+ * Register another backend (e.g. S3) under a STORAGE_DRIVER name
+ */
+export const registerStorageDriver = (name, factory) => {
+  drivers[name] = factory;
+};
+
+/**
+ * The configured backend (created once)
+ */
+export const getStorage = () => {
+  if (storage) return storage;
+
+  const driver = process.env.STORAGE_DRIVER || 'local';
+  if (!drivers[driver]) {
+    throw new AppError('STORAGE_NOT_CONFIGURED', `Unknown STORAGE_DRIVER "${driver}"`, '檔案儲存設定錯誤', 500);
+  }
+
+  storage = drivers[driver]();
+  return storage;
+};
+
+export default {
+  createLocalStorage,
+  registerStorageDriver,
+  getStorage
+};
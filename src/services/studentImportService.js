@@ -0,0 +1,468 @@
+// Student Import Service
+// Validates CSV rows and plans/commits bulk student, parent and enrollment imports
+
+import prisma from '../config/database.js';
+import { SEAT_STATUSES } from './waitlistService.js';
+
+// Accepted CSV header labels (lowercased) -> import field
+export const IMPORT_HEADERS = {
+  student_last_name: 'studentLastName', last_name: 'studentLastName', '學生姓': 'studentLastName', '姓': 'studentLastName',
+  student_first_name: 'studentFirstName', first_name: 'studentFirstName', '學生名': 'studentFirstName', '名': 'studentFirstName',
+  english_name: 'englishName', '英文名': 'englishName',
+  date_of_birth: 'dateOfBirth', birthday: 'dateOfBirth', '生日': 'dateOfBirth', '出生日期': 'dateOfBirth',
+  gender: 'gender', '性別': 'gender',
+  student_phone: 'studentPhone', '學生電話': 'studentPhone',
+  student_email: 'studentEmail', '學生信箱': 'studentEmail',
+  address: 'address', '地址': 'address',
+  medical_info: 'medicalInfo', '醫療資訊': 'medicalInfo',
+  allergies: 'allergies', '過敏': 'allergies',
+  emergency_contact_name: 'emergencyContactName', '緊急聯絡人': 'emergencyContactName',
+  emergency_contact_phone: 'emergencyContactPhone', '緊急聯絡電話': 'emergencyContactPhone',
+  emergency_contact_relation: 'emergencyContactRelation', '緊急聯絡人關係': 'emergencyContactRelation',
+  parent_last_name: 'parentLastName', '家長姓': 'parentLastName',
+  parent_first_name: 'parentFirstName', '家長名': 'parentFirstName',
+  parent_phone: 'parentPhone', '家長電話': 'parentPhone',
+  parent_email: 'parentEmail', '家長信箱': 'parentEmail',
+  relationship: 'relationship', '關係': 'relationship',
+  classes: 'classes', class: 'classes', '班級': 'classes',
+  notes: 'notes', '備註': 'notes'
+};
+
+const RELATIONSHIPS = {
+  mother: 'mother', '母親': 'mother', '媽媽': 'mother', '母': 'mother',
+  father: 'father', '父親': 'father', '爸爸': 'father', '父': 'father',
+  guardian: 'guardian', '監護人': 'guardian',
+  grandparent: 'grandparent', '祖父': 'grandparent', '祖母': 'grandparent', '爺爺': 'grandparent',
+  '奶奶': 'grandparent', '外公': 'grandparent', '外婆': 'grandparent',
+  other: 'other', '其他': 'other'
+};
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Normalize a Taiwan phone number to digits (+886 912... -> 0912...)
+ */
+export const normalizePhone = (phone) => {
+  if (!phone) return null;
+  let digits = String(phone).replace(/\D/g, '');
+  if (digits.startsWith('886')) {
+    digits = '0' + digits.slice(3);
+  }
+  return digits || null;
+};
+
+/**
+ * Parse a date cell: YYYY-MM-DD, YYYY/MM/DD or ROC year (民國 102/05/03)
+ */
+const parseDate = (value) => {
+  const match = /^(\d{2,4})[-/.](\d{1,2})[-/.](\d{1,2})$/.exec(value);
+  if (!match) return null;
+
+  let year = parseInt(match[1]);
+  if (year < 1911) {
+    year += 1911; // ROC calendar
+  }
+
+  const date = new Date(Date.UTC(year, parseInt(match[2]) - 1, parseInt(match[3])));
+  return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Split a classes cell ("Math A; English B" or "數學A、英文B")
+ */
+const splitClassNames = (value) => {
+  return (value || '')
+    .split(/[;；、|]/)
+    .map(name => name.trim())
+    .filter(Boolean);
+};
+
+const studentKey = (lastName, firstName, dateOfBirth) => {
+  const dob = dateOfBirth ? dateOfBirth.toISOString().slice(0, 10) : '';
+  return `${lastName}|${firstName}|${dob}`.toLowerCase();
+};
+
+const rowError = (row, field, code, message, messageZh) => ({ row, field, code, message, messageZh });
+
+/**
+ * Validate and normalize parsed CSV records
+ */
+export const validateRows = (records) => {
+  const rows = [];
+  const errors = [];
+
+  for (const record of records) {
+    const rowErrors = [];
+    const row = record._row;
+
+    if (!record.studentLastName || !record.studentFirstName) {
+      rowErrors.push(rowError(row, 'studentName', 'NAME_REQUIRED',
+        'Student first and last name are required', '需要學生姓名'));
+    }
+
+    let dateOfBirth = null;
+    if (record.dateOfBirth) {
+      dateOfBirth = parseDate(record.dateOfBirth);
+      if (!dateOfBirth) {
+        rowErrors.push(rowError(row, 'dateOfBirth', 'INVALID_DATE',
+          `Invalid date "${record.dateOfBirth}"`, `無效的日期「${record.dateOfBirth}」`));
+      }
+    }
+
+    for (const field of ['studentEmail', 'parentEmail']) {
+      if (record[field] && !EMAIL_REGEX.test(record[field])) {
+        rowErrors.push(rowError(row, field, 'INVALID_EMAIL',
+          `Invalid email "${record[field]}"`, `無效的電子郵件「${record[field]}」`));
+      }
+    }
+
+    const parentPhone = normalizePhone(record.parentPhone);
+    const parentEmail = record.parentEmail ? record.parentEmail.toLowerCase() : null;
+    const hasParent = !!(record.parentLastName || record.parentFirstName || parentPhone || parentEmail);
+
+    if (hasParent) {
+      if (!parentPhone && !parentEmail) {
+        rowErrors.push(rowError(row, 'parentPhone', 'PARENT_CONTACT_REQUIRED',
+          'Parent phone or email is required', '需要家長電話或電子郵件'));
+      }
+      if (!record.parentLastName && !record.parentFirstName) {
+        rowErrors.push(rowError(row, 'parentName', 'PARENT_NAME_REQUIRED',
+          'Parent name is required', '需要家長姓名'));
+      }
+    }
+
+    let relationship = 'guardian';
+    if (record.relationship) {
+      relationship = RELATIONSHIPS[record.relationship.toLowerCase()];
+      if (!relationship) {
+        rowErrors.push(rowError(row, 'relationship', 'INVALID_RELATIONSHIP',
+          `Unknown relationship "${record.relationship}"`, `未知的關係「${record.relationship}」`));
+      }
+    }
+
+    if (rowErrors.length > 0) {
+      errors.push(...rowErrors);
+      continue;
+    }
+
+    rows.push({
+      row,
+      student: {
+        firstName: record.studentFirstName,
+        lastName: record.studentLastName,
+        englishName: record.englishName || null,
+        dateOfBirth,
+        gender: record.gender || null,
+        phone: record.studentPhone || null,
+        email: record.studentEmail || null,
+        address: record.address || null,
+        medicalInfo: record.medicalInfo || null,
+        allergies: record.allergies || null,
+        emergencyContactName: record.emergencyContactName || null,
+        emergencyContactPhone: record.emergencyContactPhone || null,
+        emergencyContactRelation: record.emergencyContactRelation || null,
+        notes: record.notes || null
+      },
+      parent: hasParent ? {
+        firstName: record.parentFirstName || '',
+        lastName: record.parentLastName || '',
+        phone: parentPhone,
+        email: parentEmail
+      } : null,
+      relationship,
+      classNames: splitClassNames(record.classes)
+    });
+  }
+
+  return { rows, errors };
+};
+
+/**
+ * Build an import plan (the dry-run diff) against the school's current data
+ * Parents are de-duplicated by phone/email, so siblings share one parent account
+ */
+export const buildImportPlan = async (schoolId, rows, errors = []) => {
+  const emails = [...new Set(rows.map(r => r.parent?.email).filter(Boolean))];
+
+  const [classes, existingStudents, existingParents, emailUsers] = await Promise.all([
+    prisma.class.findMany({
+      where: { schoolId },
+      select: {
+        id: true,
+        name: true,
+        maxStudents: true,
+        enrollments: { where: { status: { in: SEAT_STATUSES } }, select: { studentId: true } }
+      }
+    }),
+    prisma.student.findMany({
+      where: { schoolId },
+      select: {
+        id: true,
+        firstName: true,
+        lastName: true,
+        dateOfBirth: true,
+        parentRelations: { select: { parentId: true, isPrimary: true } }
+      }
+    }),
+    prisma.user.findMany({
+      where: { schoolId, role: 'PARENT' },
+      select: { id: true, firstName: true, lastName: true, phone: true, email: true }
+    }),
+    emails.length > 0
+      ? prisma.user.findMany({
+        where: { email: { in: emails } },
+        select: { id: true, email: true, role: true, schoolId: true }
+      })
+      : []
+  ]);
+
+  const classByName = new Map(classes.map(c => [c.name.trim().toLowerCase(), c]));
+  const dbStudentByKey = new Map(existingStudents.map(s => [studentKey(s.lastName, s.firstName, s.dateOfBirth), s]));
+  const dbParentByPhone = new Map();
+  const dbParentByEmail = new Map();
+  existingParents.forEach(p => {
+    const phone = normalizePhone(p.phone);
+    if (phone) dbParentByPhone.set(phone, p);
+    if (p.email) dbParentByEmail.set(p.email.toLowerCase(), p);
+  });
+  const emailOwners = new Map(emailUsers.map(u => [u.email.toLowerCase(), u]));
+
+  const students = new Map();
+  const parents = [];
+  const parentIndex = new Map(); // 'phone:..' / 'email:..' -> parent entry
+  const links = new Map();
+  const enrollments = new Map();
+  const classNewCounts = new Map();
+
+  for (const row of rows) {
+    // Student
+    const sKey = studentKey(row.student.lastName, row.student.firstName, row.student.dateOfBirth);
+    let student = students.get(sKey);
+    if (!student) {
+      const dbStudent = dbStudentByKey.get(sKey);
+      student = dbStudent
+        ? {
+          key: sKey,
+          row: row.row,
+          action: 'existing',
+          id: dbStudent.id,
+          name: `${dbStudent.lastName}${dbStudent.firstName}`,
+          hasPrimaryParent: dbStudent.parentRelations.some(r => r.isPrimary),
+          parentIds: new Set(dbStudent.parentRelations.map(r => r.parentId))
+        }
+        : {
+          key: sKey,
+          row: row.row,
+          action: 'create',
+          name: `${row.student.lastName}${row.student.firstName}`,
+          data: row.student,
+          hasPrimaryParent: false,
+          parentIds: new Set()
+        };
+      students.set(sKey, student);
+    }
+
+    // Parent
+    if (row.parent) {
+      const phoneKey = row.parent.phone && `phone:${row.parent.phone}`;
+      const emailKey = row.parent.email && `email:${row.parent.email}`;
+      const byPhone = phoneKey && parentIndex.get(phoneKey);
+      const byEmail = emailKey && parentIndex.get(emailKey);
+
+      if (byPhone && byEmail && byPhone !== byEmail) {
+        errors.push(rowError(row.row, 'parentEmail', 'PARENT_CONFLICT',
+          'Parent phone and email match different parents', '家長電話與電子郵件對應到不同家長'));
+        continue;
+      }
+
+      let parent = byPhone || byEmail;
+
+      if (!parent) {
+        const dbParent = (row.parent.phone && dbParentByPhone.get(row.parent.phone))
+          || (row.parent.email && dbParentByEmail.get(row.parent.email));
+        const emailOwner = row.parent.email && emailOwners.get(row.parent.email);
+
+        if (emailOwner && emailOwner.id !== dbParent?.id) {
+          errors.push(rowError(row.row, 'parentEmail', 'EMAIL_EXISTS',
+            `Email ${row.parent.email} belongs to another user`, `電子郵件 ${row.parent.email} 已被其他使用者使用`));
+          continue;
+        }
+
+        parent = dbParent
+          ? {
+            key: `parent:${parents.length}`,
+            rows: [],
+            action: 'existing',
+            id: dbParent.id,
+            name: `${dbParent.lastName}${dbParent.firstName}`,
+            phone: dbParent.phone,
+            email: dbParent.email
+          }
+          : {
+            key: `parent:${parents.length}`,
+            rows: [],
+            action: 'create',
+            name: `${row.parent.lastName}${row.parent.firstName}`,
+            phone: row.parent.phone,
+            email: row.parent.email,
+            data: row.parent
+          };
+        parents.push(parent);
+      }
+
+      parent.rows.push(row.row);
+      if (phoneKey) parentIndex.set(phoneKey, parent);
+      if (emailKey) parentIndex.set(emailKey, parent);
+
+      // Parent-student link
+      const linkKey = `${parent.key}|${sKey}`;
+      const alreadyLinked = parent.id && student.parentIds.has(parent.id);
+      if (!links.has(linkKey) && !alreadyLinked) {
+        const isPrimary = !student.hasPrimaryParent;
+        student.hasPrimaryParent = true;
+        links.set(linkKey, {
+          parentKey: parent.key,
+          studentKey: sKey,
+          parentName: parent.name,
+          studentName: student.name,
+          relationship: row.relationship,
+          isPrimary
+        });
+      }
+    }
+
+    // Enrollments
+    for (const className of row.classNames) {
+      const classData = classByName.get(className.toLowerCase());
+
+      if (!classData) {
+        errors.push(rowError(row.row, 'classes', 'CLASS_NOT_FOUND',
+          `Class "${className}" not found`, `找不到班級「${className}」`));
+        continue;
+      }
+
+      const enrollmentKey = `${classData.id}|${sKey}`;
+      const alreadyEnrolled = student.id && classData.enrollments.some(e => e.studentId === student.id);
+      if (enrollments.has(enrollmentKey) || alreadyEnrolled) {
+        continue;
+      }
+
+      const newCount = (classNewCounts.get(classData.id) || 0) + 1;
+      if (classData.enrollments.length + newCount > classData.maxStudents) {
+        errors.push(rowError(row.row, 'classes', 'CLASS_FULL',
+          `Class "${classData.name}" would exceed maximum capacity of ${classData.maxStudents}`,
+          `班級「${classData.name}」將超過最大容量 ${classData.maxStudents}`));
+        continue;
+      }
+
+      classNewCounts.set(classData.id, newCount);
+      enrollments.set(enrollmentKey, {
+        classId: classData.id,
+        className: classData.name,
+        studentKey: sKey,
+        studentName: student.name
+      });
+    }
+  }
+
+  const studentList = Array.from(students.values()).map(({ parentIds, hasPrimaryParent, ...s }) => s);
+  const linkList = Array.from(links.values());
+  const enrollmentList = Array.from(enrollments.values());
+
+  return {
+    summary: {
+      validRows: rows.length,
+      errors: errors.length,
+      studentsToCreate: studentList.filter(s => s.action === 'create').length,
+      studentsExisting: studentList.filter(s => s.action === 'existing').length,
+      parentsToCreate: parents.filter(p => p.action === 'create').length,
+      parentsExisting: parents.filter(p => p.action === 'existing').length,
+      linksToCreate: linkList.length,
+      enrollmentsToCreate: enrollmentList.length
+    },
+    errors: errors.sort((a, b) => a.row - b.row),
+    students: studentList,
+    parents,
+    links: linkList,
+    enrollments: enrollmentList
+  };
+};
+
+/**
+ * Apply an import plan in a single transaction
+ */
+export const commitImportPlan = async (schoolId, plan) => {
+  return prisma.$transaction(async (tx) => {
+    const studentIds = new Map();
+    const parentIds = new Map();
+
+    for (const student of plan.students) {
+      if (student.action === 'existing') {
+        studentIds.set(student.key, student.id);
+        continue;
+      }
+      const created = await tx.student.create({
+        data: { ...student.data, status: 'ACTIVE', schoolId }
+      });
+      studentIds.set(student.key, created.id);
+    }
+
+    for (const parent of plan.parents) {
+      if (parent.action === 'existing') {
+        parentIds.set(parent.key, parent.id);
+        continue;
+      }
+      const created = await tx.user.create({
+        data: {
+          firstName: parent.data.firstName,
+          lastName: parent.data.lastName,
+          phone: parent.data.phone,
+          email: parent.data.email,
+          role: 'PARENT',
+          schoolId
+        }
+      });
+      parentIds.set(parent.key, created.id);
+    }
+
+    const links = await tx.parentStudent.createMany({
+      data: plan.links.map(link => ({
+        parentId: parentIds.get(link.parentKey),
+        studentId: studentIds.get(link.studentKey),
+        relationship: link.relationship,
+        isPrimary: link.isPrimary
+      })),
+      skipDuplicates: true
+    });
+
+    for (const enrollment of plan.enrollments) {
+      const studentId = studentIds.get(enrollment.studentKey);
+      await tx.classEnrollment.upsert({
+        where: {
+          classId_studentId: { classId: enrollment.classId, studentId }
+        },
+        update: { status: 'ACTIVE', endedAt: null },
+        create: {
+          classId: enrollment.classId,
+          studentId,
+          status: 'ACTIVE'
+        }
+      });
+    }
+
+    return {
+      studentsCreated: plan.students.filter(s => s.action === 'create').length,
+      parentsCreated: plan.parents.filter(p => p.action === 'create').length,
+      linksCreated: links.count,
+      enrollmentsCreated: plan.enrollments.length
+    };
+  }, { timeout: 60000 });
+};
+
+export default {
+  IMPORT_HEADERS,
+  normalizePhone,
+  validateRows,
+  buildImportPlan,
+  commitImportPlan
+};
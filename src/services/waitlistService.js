@@ -0,0 +1,322 @@
+// Waitlist Service
+// Orders waitlisted students, offers freed seats and expires unanswered offers
+
+import prisma from '../config/database.js';
+import { AppError } from '../middleware/errorHandler.js';
+import lineService from './lineService.js';
+
+// Enrollment statuses that take up a seat (an offered seat is held until answered)
+export const SEAT_STATUSES = ['ACTIVE', 'OFFERED'];
+
+const DEFAULT_HOLD_HOURS = 48;
+
+/**
+ * How long a promoted family has to accept, from WAITLIST_HOLD_HOURS
+ */
+export const getHoldHours = () => {
+  const hours = parseFloat(process.env.WAITLIST_HOLD_HOURS);
+  return hours > 0 ? hours : DEFAULT_HOLD_HOURS;
+};
+
+/**
+ * Count seats taken in a class (active plus outstanding offers)
+ */
+export const countHeldSeats = (classId, db = prisma) => {
+  return db.classEnrollment.count({
+    where: { classId, status: { in: SEAT_STATUSES } }
+  });
+};
+
+/**
+ * Hold a class's waitlist and seats until the transaction ends
+ * Enrolling, promoting and leaving the waitlist can happen at the same time (a decline, an
+ * unenroll and the expiry job); one at a time, each sees the seats and positions the last left
+ */
+const lockWaitlist = (tx, classId) => {
+  return tx.$executeRaw`SELECT pg_advisory_xact_lock(hashtext(${`waitlist:${classId}`}))`;
+};
+
+/**
+ * Append students to the end of a class waitlist
+ * Returns the waitlisted enrollments in order
+ */
+export const addToWaitlist = (classId, studentIds) => {
+  return prisma.$transaction(async (tx) => {
+    await lockWaitlist(tx, classId);
+
+    const last = await tx.classEnrollment.aggregate({
+      where: { classId, status: 'WAITLISTED' },
+      _max: { waitlistPosition: true }
+    });
+
+    let position = last._max.waitlistPosition || 0;
+    const enrollments = [];
+
+    for (const studentId of studentIds) {
+      position++;
+      enrollments.push(await tx.classEnrollment.upsert({
+        where: {
+          classId_studentId: { classId, studentId }
+        },
+        update: { status: 'WAITLISTED', waitlistPosition: position, offeredAt: null, offerExpiresAt: null, endedAt: null },
+        create: { classId, studentId, status: 'WAITLISTED', waitlistPosition: position }
+      }));
+    }
+
+    return enrollments;
+  });
+};
+
+/**
+ * Close the gap left in the waitlist when a student leaves it
+ */
+const compactWaitlist = (tx, classId, removedPosition) => {
+  return tx.classEnrollment.updateMany({
+    where: {
+      classId,
+      status: 'WAITLISTED',
+      waitlistPosition: { gt: removedPosition }
+    },
+    data: { waitlistPosition: { decrement: 1 } }
+  });
+};
+
+/**
+ * Remove students from a class waitlist, keeping positions contiguous
+ */
+export const removeFromWaitlist = (classId, studentIds) => {
+  return prisma.$transaction(async (tx) => {
+    await lockWaitlist(tx, classId);
+
+    const waitlisted = await tx.classEnrollment.findMany({
+      where: { classId, studentId: { in: studentIds }, status: 'WAITLISTED' },
+      orderBy: { waitlistPosition: 'desc' }
+    });
+
+    for (const enrollment of waitlisted) {
+      await tx.classEnrollment.update({
+        where: { id: enrollment.id },
+        data: { status: 'DROPPED', waitlistPosition: null }
+      });
+      await compactWaitlist(tx, classId, enrollment.waitlistPosition);
+    }
+
+    return waitlisted.length;
+  });
+};
+
+/**
+ * Notify the primary parent of a seat offer with accept/decline buttons
+ */
+const sendOfferNotification = async (enrollment) => {
+  const primaryParent = enrollment.student.parentRelations[0]?.parent;
+
+  if (!primaryParent?.lineUserId) return false;
+
+  try {
+    const studentName = `${enrollment.student.firstName} ${enrollment.student.lastName}`;
+    const messages = lineService.createWaitlistOffer(
+      studentName,
+      enrollment.class.name,
+      enrollment.offerExpiresAt,
+      enrollment.id,
+      enrollment.class.school.timezone
+    );
+
+    await lineService.sendPushMessage(primaryParent.lineUserId, messages, enrollment.class.schoolId);
+    return true;
+  } catch (error) {
+    console.error(`Failed to send waitlist offer for enrollment ${enrollment.id}:`, error);
+    return false;
+  }
+};
+
+/**
+ * Offer free seats in a class to the next waitlisted students
+ * Returns the offered enrollments
+ */
+export const promoteNext = async (classId) => {
+  const offered = await prisma.$transaction(async (tx) => {
+    await lockWaitlist(tx, classId);
+
+    const classData = await tx.class.findUnique({
+      where: { id: classId },
+      select: { maxStudents: true }
+    });
+
+    if (!classData) return [];
+
+    const openSeats = classData.maxStudents - await countHeldSeats(classId, tx);
+    if (openSeats <= 0) return [];
+
+    // Students who have since left the school are passed over
+    const next = await tx.classEnrollment.findMany({
+      where: { classId, status: 'WAITLISTED', student: { status: 'ACTIVE' } },
+      orderBy: { waitlistPosition: 'asc' },
+      take: openSeats
+    });
+
+    const updates = [];
+    const offerExpiresAt = new Date(Date.now() + getHoldHours() * 60 * 60 * 1000);
+
+    // Highest position first so compacting doesn't shift the ones still to process
+    for (const enrollment of [...next].reverse()) {
+      const updated = await tx.classEnrollment.update({
+        where: { id: enrollment.id },
+        data: {
+          status: 'OFFERED',
+          waitlistPosition: null,
+          offeredAt: new Date(),
+          offerExpiresAt
+        },
+        include: {
+          class: { select: { name: true, schoolId: true, school: { select: { timezone: true } } } },
+          student: {
+            include: {
+              parentRelations: {
+                where: { isPrimary: true },
+                include: {
+                  parent: { select: { lineUserId: true } }
+                }
+              }
+            }
+          }
+        }
+      });
+      await compactWaitlist(tx, classId, enrollment.waitlistPosition);
+
+      updates.unshift(updated);
+    }
+
+    return updates;
+  });
+
+  // Parents hear of an offer only once it is committed
+  for (const enrollment of offered) {
+    enrollment.parentNotified = await sendOfferNotification(enrollment);
+  }
+
+  return offered;
+};
+
+/**
+ * Accept an offered seat
+ */
+export const acceptOffer = async (enrollmentId) => {
+  const now = new Date();
+
+  // Only an offer that is still open is taken up; the expiry job or a decline may get there first
+  const { count } = await prisma.classEnrollment.updateMany({
+    where: {
+      id: enrollmentId,
+      status: 'OFFERED',
+      OR: [{ offerExpiresAt: null }, { offerExpiresAt: { gte: now } }]
+    },
+    data: {
+      status: 'ACTIVE',
+      enrollmentDate: now,
+      endedAt: null,
+      offerExpiresAt: null
+    }
+  });
+
+  const enrollment = await prisma.classEnrollment.findUnique({ where: { id: enrollmentId } });
+  if (count === 0 && enrollment?.status === 'OFFERED') {
+    throw new AppError('OFFER_EXPIRED', 'The seat offer has expired', '候補名額保留期限已過', 400);
+  }
+  if (count === 0) {
+    throw new AppError('NO_OPEN_OFFER', 'There is no open seat offer for this enrollment', '此報名沒有候補名額可接受', 400);
+  }
+
+  return enrollment;
+};
+
+/**
+ * Decline an offered seat and pass it to the next family
+ */
+export const declineOffer = async (enrollmentId) => {
+  const { count } = await prisma.classEnrollment.updateMany({
+    where: { id: enrollmentId, status: 'OFFERED' },
+    data: { status: 'DROPPED', offerExpiresAt: null }
+  });
+
+  if (count === 0) {
+    throw new AppError('NO_OPEN_OFFER', 'There is no open seat offer for this enrollment', '此報名沒有候補名額可接受', 400);
+  }
+
+  const declined = await prisma.classEnrollment.findUnique({ where: { id: enrollmentId } });
+  const promoted = await promoteNext(declined.classId);
+
+  return { enrollment: declined, promoted };
+};
+
+/**
+ * Drop offers whose hold has run out and offer the seats onward
+ * Run periodically by the job scheduler
+ */
+export const expireOffers = async () => {
+  const now = new Date();
+  const stillOpen = { status: 'OFFERED', offerExpiresAt: { lt: now } };
+
+  const expired = await prisma.classEnrollment.findMany({
+    where: stillOpen,
+    select: { id: true, classId: true }
+  });
+
+  if (expired.length === 0) return { expired: 0, promoted: 0 };
+
+  // An offer accepted since it was read is no longer OFFERED and is left alone
+  const { count } = await prisma.classEnrollment.updateMany({
+    where: { id: { in: expired.map(e => e.id) }, ...stillOpen },
+    data: { status: 'DROPPED', offerExpiresAt: null }
+  });
+
+  let promoted = 0;
+  for (const classId of new Set(expired.map(e => e.classId))) {
+    promoted += (await promoteNext(classId)).length;
+  }
+
+  return { expired: count, promoted };
+};
+
+/**
+ * Take a student who left the school off every waitlist, withdraw their seat offers, and offer
+ * the freed seats onward (classIds: classes whose active seats the student just gave up)
+ * Returns the offered enrollments
+ */
+export const releaseStudent = async (studentId, classIds = []) => {
+  const waiting = await prisma.classEnrollment.findMany({
+    where: { studentId, status: { in: ['WAITLISTED', 'OFFERED'] } },
+    select: { id: true, classId: true, status: true }
+  });
+
+  for (const enrollment of waiting.filter(e => e.status === 'WAITLISTED')) {
+    await removeFromWaitlist(enrollment.classId, [studentId]);
+  }
+
+  const offers = waiting.filter(e => e.status === 'OFFERED');
+  await prisma.classEnrollment.updateMany({
+    where: { id: { in: offers.map(e => e.id) }, status: 'OFFERED' },
+    data: { status: 'DROPPED', offerExpiresAt: null }
+  });
+
+  const promoted = [];
+  for (const classId of new Set([...classIds, ...offers.map(e => e.classId)])) {
+    promoted.push(...await promoteNext(classId));
+  }
+
+  return promoted;
+};
+
+export default {
+  SEAT_STATUSES,
+  getHoldHours,
+  countHeldSeats,
+  addToWaitlist,
+  removeFromWaitlist,
+  promoteNext,
+  acceptOffer,
+  declineOffer,
+  expireOffers,
+  releaseStudent
+};